@@ -24,6 +24,31 @@ import { Socket } from "phoenix"
 import { LiveSocket } from "phoenix_live_view"
 import topbar from "../vendor/topbar"
 import Keyboard from "../vendor/simple-keyboard.min"
+import TrendChart from "./hooks/trend_chart"
+import AlarmAudio from "./hooks/alarm_audio"
+import HoldToConfirm from "./hooks/hold_to_confirm"
+import GloveNumberPad from "./hooks/glove_number_pad"
+import IdleLock from "./hooks/idle_lock"
+import TableExport from "./hooks/table_export"
+import OfflineForm from "./hooks/offline_form"
+import OfflineQueue from "./hooks/offline_queue"
+import NotificationSettings from "./hooks/notification_settings"
+import Synoptic from "./hooks/synoptic"
+import ScheduleTimeline from "./hooks/schedule_timeline"
+import StepCurve from "./hooks/step_curve"
+import RegisterWatch from "./hooks/register_watch"
+import ScenarioRecorder from "./hooks/scenario_recorder"
+import TimeSync from "./hooks/time_sync"
+import ClientTelemetry from "./hooks/client_telemetry"
+import PrintReport from "./hooks/print_report"
+import MultiHouse from "./hooks/multi_house"
+import { initConnectionHealth } from "./connection_health"
+import { initNotifications } from "./notifications"
+import { initTelemetry, instrumentHooks } from "./telemetry"
+import { initUiStore } from "./ui_store"
+import { initGestures, openSidebar, closeSidebar } from "./gestures"
+import { layoutFor, displayFor, candidatesFor, nextLanguage } from "./keyboard/layouts"
+import { showKeyboard, hideKeyboard, keepInputVisible } from "./keyboard/window_manager"
 
 // ============================================
 // Theme Management
@@ -63,19 +88,21 @@ let Hooks = {}
 Hooks.FillCurrentTime = {
   mounted() {
     this.el.addEventListener("click", () => {
-      const now = new Date();
+      // In the controller's timezone (data-timezone), which the server reads
+      // the entered date and time in - not necessarily this device's
+      const parts = new Intl.DateTimeFormat("en-CA", {
+        timeZone: this.el.dataset.timezone || undefined,
+        hourCycle: "h23",
+        year: "numeric", month: "2-digit", day: "2-digit",
+        hour: "2-digit", minute: "2-digit", second: "2-digit"
+      }).formatToParts(new Date());
+      const part = (type) => parts.find((p) => p.type === type).value;
 
       // Format date as YYYY-MM-DD
-      const year = now.getFullYear();
-      const month = String(now.getMonth() + 1).padStart(2, '0');
-      const day = String(now.getDate()).padStart(2, '0');
-      const dateStr = `${year}-${month}-${day}`;
+      const dateStr = `${part("year")}-${part("month")}-${part("day")}`;
 
       // Format time as HH:MM:SS
-      const hours = String(now.getHours()).padStart(2, '0');
-      const minutes = String(now.getMinutes()).padStart(2, '0');
-      const seconds = String(now.getSeconds()).padStart(2, '0');
-      const timeStr = `${hours}:${minutes}:${seconds}`;
+      const timeStr = `${part("hour")}:${part("minute")}:${part("second")}`;
 
       // Find the date and time input fields in the form
       const form = this.el.closest('form');
@@ -159,36 +186,13 @@ Hooks.SimpleKeyboard = {
       window.keyboard = new Keyboard({
         mergeDisplay: true,
         layoutName: "default",
-        layout: {
-          default: [
-            '` 1 2 3 4 5 6 7 8 9 0 - = {bksp}',
-            '{tab} q w e r t y u i o p [ ] \\',
-            'a s d f g h j k l ; \' {enter}',
-            '{shift} z x c v b n m , . / {shift}',
-            '{arrowleft} {arrowup} {space} {arrowdown} {arrowright}'
-          ],
-          shift: [
-            '~ ! @ # $ % ^ & * ( ) _ + {bksp}',
-            '{tab} Q W E R T Y U I O P { } |',
-            'A S D F G H J K L : " {enter}',
-            '{shift} Z X C V B N M < > ? {shift}',
-            '{arrowleft} {arrowup} {space} {arrowdown} {arrowright}'
-          ]
-        },
-        display: {
-          "{bksp}": "⌫ Bksp",
-          "{shift}": "⇧ Shift",
-          "{tab}": "Tab ⇥",
-          "{enter}": "Enter ↵",
-          "{space}": " ",
-          "{arrowleft}": "←",
-          "{arrowup}": "↑",
-          "{arrowdown}": "↓",
-          "{arrowright}": "→"
-        },
+        layout: layoutFor(window.keyboardLanguage),
+        display: displayFor(window.keyboardLanguage),
+        layoutCandidates: candidatesFor(window.keyboardLanguage),
+        enableLayoutCandidates: true,
         buttonTheme: [
           { class: "hg-button-double", buttons: "{enter} {bksp}" },
-          { class: "hg-button-wide", buttons: "{shift}" },
+          { class: "hg-button-wide", buttons: "{shift} {symbols} {abc} {lang}" },
           { class: "hg-button-tab", buttons: "{tab}" },
           { class: "hg-button-space", buttons: "{space}" }
         ],
@@ -222,6 +226,14 @@ Hooks.SimpleKeyboard = {
             window.keyboard.setOptions({ layoutName: newLayout });
           }
 
+          // Page switches: symbols/numbers, accented letters, back to letters
+          if (button === '{symbols}') window.keyboard.setOptions({ layoutName: 'symbols' });
+          if (button === '{accents}') window.keyboard.setOptions({ layoutName: 'accents' });
+          if (button === '{abc}') window.keyboard.setOptions({ layoutName: 'default' });
+
+          // Globe key cycles the keyboard language
+          if (button === '{lang}') setKeyboardLanguage(nextLanguage(window.keyboardLanguage));
+
           // Handle enter key - insert newline for textareas, submit for other inputs
           if (button === '{enter}') {
             const activeEl = window.keyboardInputs[window.keyboard.options.inputName];
@@ -273,6 +285,9 @@ Hooks.SimpleKeyboard = {
       });
 
       window.keyboardInputs = {}; // Map of inputName to elements
+
+      // The window was hidden when the previous page's last input went away
+      if (window.keyboardMode === "always_show") showKeyboard(keyboardContainer);
     }
 
     // Register this input
@@ -310,13 +325,8 @@ Hooks.SimpleKeyboard = {
         showKeyboard(keyboardContainer);
       }
 
-      // Scroll input into view above keyboard (if keyboard is visible)
-      if (keyboardContainer.style.display === "block") {
-        const viewportHeight = window.innerHeight;
-        const inputRect = inputElement.getBoundingClientRect();
-        const desiredScroll = window.scrollY + inputRect.top - (viewportHeight - keyboardContainer.offsetHeight - 20);
-        window.scrollTo({ top: desiredScroll, behavior: "smooth" });
-      }
+      // Keep the input clear of the keyboard (scrolls, or moves the keyboard in modals)
+      keepInputVisible(inputElement);
     });
 
     // Hide keyboard on blur only in "auto" mode
@@ -325,7 +335,7 @@ Hooks.SimpleKeyboard = {
       if (window.keyboardMode !== "auto") return;
 
       const relatedTarget = event.relatedTarget;
-      if (relatedTarget && (relatedTarget.closest('.simple-keyboard') || relatedTarget.getAttribute('phx-hook') === 'SimpleKeyboard')) {
+      if (relatedTarget && (relatedTarget.closest('#keyboard-window') || relatedTarget.getAttribute('phx-hook') === 'SimpleKeyboard')) {
         return; // Do not hide if switching to another input or interacting with keyboard
       }
 
@@ -344,29 +354,57 @@ Hooks.SimpleKeyboard = {
       delete window.keyboardInputs[this.inputName];
     }
 
-    // If no inputs remain, destroy keyboard and reset padding
+    // If no inputs remain, destroy keyboard, hide its (now empty) window and reset padding
     if (window.keyboard && Object.keys(window.keyboardInputs).length === 0) {
+      const keyboardContainer = document.querySelector(".simple-keyboard");
       window.keyboard.destroy();
       window.keyboard = null;
       window.keyboardInputs = null;
+      if (keyboardContainer) hideKeyboard(keyboardContainer);
       document.body.style.paddingBottom = this.originalPaddingBottom;
     }
   }
 };
 
+Hooks.TrendChart = TrendChart;
+Hooks.AlarmAudio = AlarmAudio;
+Hooks.HoldToConfirm = HoldToConfirm;
+Hooks.GloveNumberPad = GloveNumberPad;
+Hooks.IdleLock = IdleLock;
+Hooks.TableExport = TableExport;
+Hooks.OfflineForm = OfflineForm;
+Hooks.OfflineQueue = OfflineQueue;
+Hooks.NotificationSettings = NotificationSettings;
+Hooks.Synoptic = Synoptic;
+Hooks.ScheduleTimeline = ScheduleTimeline;
+Hooks.StepCurve = StepCurve;
+Hooks.RegisterWatch = RegisterWatch;
+Hooks.ScenarioRecorder = ScenarioRecorder;
+Hooks.TimeSync = TimeSync;
+Hooks.ClientTelemetry = ClientTelemetry;
+Hooks.PrintReport = PrintReport;
+Hooks.MultiHouse = MultiHouse;
+
 const liveSocket = new LiveSocket("/live", Socket, {
   longPollFallbackMs: 2500,
   params: { _csrf_token: csrfToken },
-  hooks: Hooks
+  // Hook failures are reported to the system log (telemetry.js)
+  hooks: instrumentHooks(Hooks)
 })
 
+// Errors, reconnects and click latency for the system log and admin diagnostics
+initTelemetry(liveSocket)
+
 // Show progress bar on live navigation and form submits
 topbar.config({ barColors: { 0: "#29d" }, shadowColor: "rgba(0, 0, 0, .3)" })
 window.addEventListener("phx:page-loading-start", _info => topbar.show(300))
 window.addEventListener("phx:page-loading-stop", _info => topbar.hide())
 
-// Handle go-back event from LiveView to navigate back in browser history
-window.addEventListener("phx:go-back", _event => history.back())
+// Stale-value marking and command blocking while the socket is down
+initConnectionHealth(liveSocket)
+
+// Desktop notifications for alarms / alerts while the tab is in the background
+initNotifications()
 
 // connect if there are any LiveViews on the page
 liveSocket.connect()
@@ -380,69 +418,26 @@ window.liveSocket = liveSocket
 // Keyboard mode management: "auto" | "always_show" | "always_hide"
 window.keyboardMode = localStorage.getItem("keyboardMode") || "auto";
 
-// ============================================
-// Sidebar State Persistence
-// ============================================
-const SIDEBAR_KEY = "pou_con_sidebar_open";
-
-function initSidebar() {
-  const sidebar = document.getElementById("sidebar");
-  const overlay = document.getElementById("sidebar-overlay");
-  if (!sidebar || !overlay) return;
-
-  // Restore sidebar state from localStorage
-  if (localStorage.getItem(SIDEBAR_KEY) === "true") {
-    sidebar.classList.remove("-translate-x-full");
-    overlay.classList.remove("hidden");
-  }
-}
-
-function openSidebar() {
-  const sidebar = document.getElementById("sidebar");
-  const overlay = document.getElementById("sidebar-overlay");
-  if (!sidebar || !overlay) return;
-
-  sidebar.classList.remove("-translate-x-full");
-  overlay.classList.remove("hidden");
-  localStorage.setItem(SIDEBAR_KEY, "true");
-}
-
-function closeSidebar() {
-  const sidebar = document.getElementById("sidebar");
-  const overlay = document.getElementById("sidebar-overlay");
-  if (!sidebar || !overlay) return;
-
-  sidebar.classList.add("-translate-x-full");
-  overlay.classList.add("hidden");
-  localStorage.setItem(SIDEBAR_KEY, "false");
+// Keyboard language: "en" | "ms" | "zh" (see keyboard/layouts.js)
+window.keyboardLanguage = localStorage.getItem("keyboardLanguage") || "en";
+
+// Installable app shell: the service worker (service_worker.js, served from
+// /sw.js) keeps the UI loading from cache when the farm network drops. The
+// page's own digested asset URLs are handed over for caching too.
+if ("serviceWorker" in navigator) {
+  navigator.serviceWorker.register("/sw.js").catch(() => {})
+  navigator.serviceWorker.ready.then((registration) => {
+    const urls = Array.from(
+      document.querySelectorAll("link[rel='stylesheet'][href], script[src]"),
+      (el) => el.href || el.src
+    )
+    if (registration.active) registration.active.postMessage({ type: "precache", urls })
+  })
 }
 
-// Initialize sidebar on page load and LiveView navigation
-document.addEventListener("DOMContentLoaded", initSidebar);
-window.addEventListener("phx:page-loading-stop", initSidebar);
-
-// Watch for LiveView DOM patches that reset the sidebar
-const sidebarObserver = new MutationObserver((mutations) => {
-  if (localStorage.getItem(SIDEBAR_KEY) !== "true") return;
-
-  for (const mutation of mutations) {
-    if (mutation.type === "attributes" && mutation.attributeName === "class") {
-      const sidebar = document.getElementById("sidebar");
-      if (sidebar && sidebar.classList.contains("-translate-x-full")) {
-        // LiveView reset the sidebar - restore it
-        initSidebar();
-      }
-    }
-  }
-});
-
-// Start observing once DOM is ready
-document.addEventListener("DOMContentLoaded", () => {
-  const sidebar = document.getElementById("sidebar");
-  if (sidebar) {
-    sidebarObserver.observe(sidebar, { attributes: true, attributeFilter: ["class"] });
-  }
-});
+// Sidebar state (ui_store.js) and edge-swipe / page-swipe gestures
+initUiStore()
+initGestures()
 
 // Expose functions globally for onclick handlers
 window.openSidebar = openSidebar;
@@ -477,21 +472,20 @@ function setKeyboardMode(mode) {
   // "auto" mode is handled by focus/blur events
 }
 
-function showKeyboard(keyboardContainer) {
-  keyboardContainer.style.display = "block";
-  keyboardContainer.style.position = "fixed";
-  keyboardContainer.style.bottom = "0px";
-  keyboardContainer.style.width = "70vw";
-  keyboardContainer.style.left = "50%";
-  keyboardContainer.style.transform = "translateX(-50%)";
+function setKeyboardLanguage(lang) {
+  window.keyboardLanguage = lang;
+  localStorage.setItem("keyboardLanguage", lang);
 
-  const keyboardHeight = keyboardContainer.offsetHeight;
-  document.body.style.paddingBottom = `${keyboardHeight}px`;
-}
+  if (!window.keyboard) return;
 
-function hideKeyboard(keyboardContainer) {
-  keyboardContainer.style.display = "none";
-  document.body.style.paddingBottom = "0px";
+  // Drop any half-typed pinyin candidates from the previous language
+  window.keyboard.candidateBox?.destroy();
+  window.keyboard.setOptions({
+    layout: layoutFor(lang),
+    display: displayFor(lang),
+    layoutCandidates: candidatesFor(lang),
+    layoutName: "default"
+  });
 }
 
 // Keyboard toggle button - cycles through modes
@@ -0,0 +1,230 @@
+// ============================================
+// Connection Health
+// ============================================
+// Watches the LiveView socket so the operator can tell live values from stale
+// ones when the house Wi-Fi drops:
+//   - a banner with the reconnect attempt count replaces the default
+//     "We can't find the internet" flash
+//   - every [data-live] element (and each child of [data-live-group]) is
+//     greyed out and stamped "stale since HH:MM:SS"
+//   - clicks on [data-command] buttons are swallowed until the socket is back,
+//     so a START/STOP tap is never queued and replayed minutes later
+//   - [data-reading] values are sampled into a small ring in localStorage and
+//     listed in the banner with how they were trending before the drop
+
+const READINGS_KEY = "pou_con_readings";
+const RING_SIZE = 30;              // samples kept per page
+const SAMPLE_EVERY_MS = 20000;     // 30 samples = last 10 minutes
+const DOWN_GRACE_MS = 2000;        // ignore blips shorter than this
+const LIVE_SELECTOR = "[data-live], [data-live-group] > *";
+
+const state = {
+  connected: false,
+  everConnected: false,
+  attempts: 0,
+  lastMessageAt: null,
+  downTimer: null,
+  down: false
+};
+
+let banner = null;
+
+function formatTime(ms) {
+  return new Date(ms).toLocaleTimeString([], { hour12: false });
+}
+
+// ---------- Ring of last-known readings ----------
+
+function loadRings() {
+  try {
+    return JSON.parse(localStorage.getItem(READINGS_KEY)) || {};
+  } catch (_e) {
+    return {};
+  }
+}
+
+function readCurrentValues() {
+  const values = {};
+  document.querySelectorAll("[data-reading]").forEach((el) => {
+    const text = el.innerText.replace(/\s+/g, " ").trim();
+    if (text) values[el.dataset.reading] = text;
+  });
+  return values;
+}
+
+function sampleReadings() {
+  if (!state.connected) return;
+
+  const values = readCurrentValues();
+  if (Object.keys(values).length === 0) return;
+
+  const rings = loadRings();
+  const ring = rings[location.pathname] || [];
+  ring.push({ t: Date.now(), values });
+  rings[location.pathname] = ring.slice(-RING_SIZE);
+
+  try {
+    localStorage.setItem(READINGS_KEY, JSON.stringify(rings));
+  } catch (_e) {
+    // Storage full or disabled - the ring is a convenience only
+  }
+}
+
+function readingRows() {
+  const ring = loadRings()[location.pathname] || [];
+  if (ring.length === 0) return [];
+
+  const oldest = ring[0];
+  const latest = ring[ring.length - 1];
+
+  return Object.entries(latest.values).map(([name, value]) => {
+    const earlier = oldest.values[name];
+    const minutes = Math.round((latest.t - oldest.t) / 60000);
+    return { name, value, earlier: minutes > 0 && earlier !== value ? { value: earlier, minutes } : null };
+  });
+}
+
+// ---------- Stale marking ----------
+
+function markStale(since) {
+  const stamp = formatTime(since);
+  document.querySelectorAll(LIVE_SELECTOR).forEach((el) => {
+    el.setAttribute("data-stale-since", stamp);
+  });
+}
+
+function clearStale() {
+  document.querySelectorAll("[data-stale-since]").forEach((el) => {
+    el.removeAttribute("data-stale-since");
+  });
+}
+
+// ---------- Banner ----------
+
+function renderBanner() {
+  if (!state.down) {
+    if (banner) banner.remove();
+    banner = null;
+    return;
+  }
+
+  if (!banner) {
+    banner = document.createElement("div");
+    banner.id = "connection-health";
+    banner.setAttribute("role", "alert");
+    banner.className =
+      "fixed top-2 left-1/2 -translate-x-1/2 z-[55] w-[min(36rem,95vw)] rounded-xl shadow-xl " +
+      "bg-error text-error-content px-4 py-3";
+    document.body.appendChild(banner);
+  }
+
+  const since = state.lastMessageAt ? formatTime(state.lastMessageAt) : "--:--:--";
+  const attempt = state.attempts > 0 ? ` (attempt ${state.attempts})` : "";
+  const rows = readingRows();
+
+  banner.innerHTML = `
+    <div class="flex items-center gap-2 font-bold text-lg">
+      <span class="hero-signal-slash size-6"></span>
+      <span class="flex-1">Connection lost - reconnecting${attempt}</span>
+      <span class="hero-arrow-path size-5 motion-safe:animate-spin"></span>
+    </div>
+    <div class="text-sm">
+      Values shown are stale since ${since}. Equipment controls are disabled until reconnected.
+    </div>
+    ${rows.length > 0 ? `
+      <div class="mt-2 grid grid-cols-2 gap-x-4 gap-y-0.5 text-xs font-mono max-h-40 overflow-y-auto">
+        ${rows.map((r) => `
+          <div class="truncate">${escapeHtml(r.name)}</div>
+          <div class="truncate">${escapeHtml(r.value)}${r.earlier
+            ? ` <span class="opacity-70">(${escapeHtml(r.earlier.value)} ${r.earlier.minutes} min before)</span>`
+            : ""}</div>`).join("")}
+      </div>` : ""}`;
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// ---------- Socket state ----------
+
+function goDown() {
+  state.connected = false;
+  if (state.down || state.downTimer || !state.everConnected) return;
+
+  state.downTimer = setTimeout(() => {
+    state.downTimer = null;
+    if (state.connected) return;
+
+    state.down = true;
+    document.documentElement.dataset.connection = "down";
+    markStale(state.lastMessageAt || Date.now());
+    renderBanner();
+  }, DOWN_GRACE_MS);
+}
+
+function goUp() {
+  state.connected = true;
+  state.everConnected = true;
+  state.attempts = 0;
+  state.lastMessageAt = Date.now();
+
+  if (state.downTimer) clearTimeout(state.downTimer);
+  state.downTimer = null;
+
+  if (state.down) {
+    state.down = false;
+    delete document.documentElement.dataset.connection;
+    clearStale();
+    renderBanner();
+  }
+}
+
+function blockCommands(e) {
+  if (state.connected) return;
+
+  const target = e.target.closest && e.target.closest("[data-command]");
+  if (!target) return;
+
+  e.preventDefault();
+  e.stopImmediatePropagation();
+}
+
+export function initConnectionHealth(liveSocket) {
+  const socket = liveSocket.getSocket();
+
+  socket.onOpen(() => goUp());
+  socket.onClose(() => {
+    if (state.everConnected) state.attempts += 1;
+    goDown();
+    if (state.down) renderBanner();
+  });
+  socket.onError(() => goDown());
+  socket.onMessage(() => {
+    state.lastMessageAt = Date.now();
+    // A socket that outlived an "offline" blip never fires onOpen again
+    if (!state.connected && socket.isConnected()) goUp();
+  });
+
+  // The browser knows about Wi-Fi loss before the socket heartbeat times out
+  window.addEventListener("offline", () => goDown());
+  window.addEventListener("online", () => {
+    if (socket.isConnected()) goUp();
+    else socket.connect();
+  });
+
+  // Capture phase so LiveView never sees the click
+  ["click", "pointerdown"].forEach((type) => {
+    document.addEventListener(type, blockCommands, true);
+  });
+
+  // Content patched in after navigation while down still needs the stamp
+  window.addEventListener("phx:page-loading-stop", () => {
+    if (state.down) markStale(state.lastMessageAt || Date.now());
+  });
+
+  setInterval(sampleReadings, SAMPLE_EVERY_MS);
+}
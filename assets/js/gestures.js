@@ -0,0 +1,173 @@
+// ============================================
+// Touch Gestures
+// ============================================
+// Kiosk navigation without hunting for small buttons:
+//   - swipe in from the left edge to pull the sidebar open; swipe it back
+//     to close. The sidebar follows the finger and settles open or closed
+//     depending on how far it was dragged
+//   - one-finger horizontal swipes on the dashboard and equipment group
+//     pages step through PAGES (swipe left = next, right = previous)
+//   - a two-finger swipe to the right goes back in browser history
+//
+// Swipes never start on inputs, the on-screen keyboard, keypads or anything
+// marked [data-no-swipe], so sliders and scrollable tables keep working.
+// Sidebar state lives in ui_store.js; CSS in app.css renders it.
+
+import { getState, setState } from "./ui_store";
+
+const PAGES = ["/", "/fans", "/pumps", "/temp", "/hum", "/co2", "/nh3"];
+const EDGE_PX = 24;          // touch must start this close to the left edge
+const SWIPE_PX = 80;         // minimum horizontal travel for page/back swipes
+const LOCK_PX = 10;          // movement before a drag commits to an axis
+const IGNORE_SELECTOR =
+  "input, textarea, select, #keyboard-window, .glove-number-pad, .touch-none, [data-no-swipe]";
+
+let gesture = null;
+
+// ---------- Sidebar ----------
+
+export function openSidebar() {
+  setState("sidebar", "open");
+}
+
+export function closeSidebar() {
+  setState("sidebar", "closed");
+}
+
+function sidebarWidth() {
+  const sidebar = document.getElementById("sidebar");
+  return sidebar ? sidebar.offsetWidth : 288;
+}
+
+function setDrag(px) {
+  setState("sidebarDragging", "true");
+  document.documentElement.style.setProperty("--sidebar-drag", `${px}px`);
+}
+
+function endDrag(open) {
+  setState("sidebarDragging", null);
+  document.documentElement.style.removeProperty("--sidebar-drag");
+  open ? openSidebar() : closeSidebar();
+}
+
+// ---------- Page swipes ----------
+
+function currentPageIndex() {
+  const path = location.pathname === "/dashboard" ? "/" : location.pathname;
+  return PAGES.indexOf(path);
+}
+
+function goToPage(offset) {
+  const index = currentPageIndex();
+  const target = PAGES[index + offset];
+  if (index === -1 || !target) return;
+  window.liveSocket.js().navigate(target);
+}
+
+function scrollsHorizontally(el) {
+  for (let node = el; node && node !== document.body; node = node.parentElement) {
+    if (node.scrollWidth > node.clientWidth + 1) {
+      const overflow = getComputedStyle(node).overflowX;
+      if (overflow === "auto" || overflow === "scroll") return true;
+    }
+  }
+  return false;
+}
+
+// ---------- Touch tracking ----------
+
+function midpoint(touches) {
+  let x = 0;
+  let y = 0;
+  for (const t of touches) {
+    x += t.clientX;
+    y += t.clientY;
+  }
+  return { x: x / touches.length, y: y / touches.length };
+}
+
+function cancelGesture() {
+  if (gesture && gesture.type.startsWith("sidebar")) endDrag(getState("sidebar") === "open");
+  gesture = null;
+}
+
+function onTouchStart(e) {
+  const point = midpoint(e.touches);
+
+  if (e.touches.length === 2) {
+    cancelGesture();
+    gesture = { type: "back", startX: point.x, startY: point.y };
+    return;
+  }
+  if (e.touches.length !== 1 || e.target.closest(IGNORE_SELECTOR)) {
+    gesture = null;
+    return;
+  }
+
+  const open = getState("sidebar") === "open";
+  const inSidebar = e.target.closest("#sidebar, #sidebar-overlay");
+
+  if (!open && point.x <= EDGE_PX) {
+    gesture = { type: "sidebar-open", startX: point.x, startY: point.y };
+  } else if (open && inSidebar) {
+    gesture = { type: "sidebar-close", startX: point.x, startY: point.y, locked: false };
+  } else if (!open && currentPageIndex() !== -1 && !scrollsHorizontally(e.target)) {
+    gesture = { type: "page", startX: point.x, startY: point.y };
+  } else {
+    gesture = null;
+  }
+}
+
+function onTouchMove(e) {
+  if (!gesture) return;
+  const point = midpoint(e.touches);
+  const dx = point.x - gesture.startX;
+  const dy = point.y - gesture.startY;
+  const width = sidebarWidth();
+
+  if (gesture.type === "sidebar-open") {
+    setDrag(Math.min(Math.max(point.x, 0), width));
+  } else if (gesture.type === "sidebar-close") {
+    // Let vertical scrolling of the menu win unless the drag is clearly sideways
+    if (!gesture.locked) {
+      if (Math.abs(dy) > LOCK_PX && Math.abs(dy) > Math.abs(dx)) gesture = null;
+      else if (Math.abs(dx) > LOCK_PX) gesture.locked = true;
+      return;
+    }
+    setDrag(Math.min(Math.max(dx, -width), 0));
+  }
+}
+
+function onTouchEnd(e) {
+  if (!gesture) return;
+  // A two-finger swipe ends one finger at a time; judge it on the first lift
+  const point = midpoint([...e.touches, ...e.changedTouches]);
+  const dx = point.x - gesture.startX;
+  const dy = point.y - gesture.startY;
+  const horizontal = Math.abs(dx) >= SWIPE_PX && Math.abs(dy) < Math.abs(dx) / 2;
+  const width = sidebarWidth();
+
+  switch (gesture.type) {
+    case "sidebar-open":
+      endDrag(point.x > width / 3);
+      break;
+    case "sidebar-close":
+      if (gesture.locked) endDrag(dx > -width / 3);
+      break;
+    case "page":
+      if (horizontal) goToPage(dx < 0 ? 1 : -1);
+      break;
+    case "back":
+      if (horizontal && dx > 0) history.back();
+      break;
+  }
+
+  gesture = null;
+}
+
+export function initGestures() {
+  document.addEventListener("touchstart", onTouchStart, { passive: true });
+  document.addEventListener("touchmove", onTouchMove, { passive: true });
+  document.addEventListener("touchend", onTouchEnd, { passive: true });
+  document.addEventListener("touchcancel", cancelGesture, { passive: true });
+}
@@ -0,0 +1,223 @@
+// ============================================
+// AlarmAudio Hook
+// ============================================
+// Mirrors AlarmController alarms in the browser: plays a Web Audio tone per
+// alarm severity and shows a full-screen overlay so the operator at the kiosk
+// can acknowledge or mute without walking to the siren panel.
+//
+// The server pushes "alarm:status" - {alarms: [{id, name, severity,
+// acknowledged, muted_until}]} on mount and whenever the alarm set changes.
+// Buttons push "alarm_ack" {id} and "alarm_mute" {id, minutes} back; the
+// AuthHooks :alarm_audio handler forwards them to AlarmController.
+//
+// Browsers start audio suspended until a user gesture, so the first tap
+// anywhere on the page unlocks sound (a hint is shown until then).
+
+const MUTE_MINUTES = 10;
+const SEVERITY_RANK = { critical: 3, warning: 2, info: 1 };
+
+// Each pattern is [frequency Hz, duration s] steps, repeated every `every` ms
+const TONES = {
+  critical: {
+    wave: "square",
+    gain: 0.25,
+    every: 1200,
+    steps: [[880, 0.3], [660, 0.3], [880, 0.3], [660, 0.3]]
+  },
+  warning: {
+    wave: "triangle",
+    gain: 0.3,
+    every: 3000,
+    steps: [[660, 0.15], [0, 0.1], [660, 0.15]]
+  },
+  info: {
+    wave: "sine",
+    gain: 0.25,
+    every: 10000,
+    steps: [[523, 0.25], [784, 0.5]]
+  }
+};
+
+const SEVERITY_CLASSES = {
+  critical: "border-red-500 bg-red-500/10",
+  warning: "border-amber-500 bg-amber-500/10",
+  info: "border-sky-500 bg-sky-500/10"
+};
+
+let audioCtx = null;
+
+function getAudioContext() {
+  if (!audioCtx) {
+    const Ctx = window.AudioContext || window.webkitAudioContext;
+    if (!Ctx) return null;
+    audioCtx = new Ctx();
+  }
+  return audioCtx;
+}
+
+function playTone(severity) {
+  const ctx = getAudioContext();
+  const tone = TONES[severity] || TONES.critical;
+  if (!ctx || ctx.state !== "running") return;
+
+  let t = ctx.currentTime;
+  tone.steps.forEach(([freq, duration]) => {
+    if (freq > 0) {
+      const osc = ctx.createOscillator();
+      const gain = ctx.createGain();
+      osc.type = tone.wave;
+      osc.frequency.setValueAtTime(freq, t);
+      // Short ramps avoid clicks at note boundaries
+      gain.gain.setValueAtTime(0, t);
+      gain.gain.linearRampToValueAtTime(tone.gain, t + 0.01);
+      gain.gain.setValueAtTime(tone.gain, t + duration - 0.02);
+      gain.gain.linearRampToValueAtTime(0, t + duration);
+      osc.connect(gain).connect(ctx.destination);
+      osc.start(t);
+      osc.stop(t + duration);
+    }
+    t += duration;
+  });
+}
+
+const AlarmAudio = {
+  mounted() {
+    this.alarms = [];
+    this.timer = null;
+    this.playing = null;
+
+    this.onUnlock = () => {
+      const ctx = getAudioContext();
+      if (ctx && ctx.state === "suspended") {
+        ctx.resume().then(() => this.render());
+      }
+    };
+    document.addEventListener("pointerdown", this.onUnlock, true);
+
+    this.el.addEventListener("click", (e) => {
+      const btn = e.target.closest("[data-alarm-action]");
+      if (btn) this.handleAction(btn.dataset.alarmAction, btn.dataset.alarmId);
+    });
+
+    this.handleEvent("alarm:status", ({ alarms }) => {
+      this.alarms = alarms || [];
+      this.render();
+    });
+  },
+
+  destroyed() {
+    document.removeEventListener("pointerdown", this.onUnlock, true);
+    this.stopTone();
+  },
+
+  // Alarms that still need attention: not acknowledged and not muted
+  sounding() {
+    const now = Date.now();
+    return this.alarms.filter((a) =>
+      !a.acknowledged && !(a.muted_until && Date.parse(a.muted_until) > now)
+    );
+  },
+
+  handleAction(action, id) {
+    const ids = id ? [Number(id)] : this.sounding().map((a) => a.id);
+
+    ids.forEach((alarmId) => {
+      if (action === "ack") {
+        this.pushEvent("alarm_ack", { id: alarmId });
+      } else {
+        this.pushEvent("alarm_mute", { id: alarmId, minutes: MUTE_MINUTES });
+      }
+    });
+
+    // Silence immediately; the server confirms with the next "alarm:status"
+    const mutedUntil = new Date(Date.now() + MUTE_MINUTES * 60000).toISOString();
+    this.alarms = this.alarms.map((a) => {
+      if (!ids.includes(a.id)) return a;
+      return action === "ack" ? { ...a, acknowledged: true } : { ...a, muted_until: mutedUntil };
+    });
+    this.render();
+  },
+
+  render() {
+    const sounding = this.sounding();
+    const top = sounding.reduce((best, a) =>
+      !best || (SEVERITY_RANK[a.severity] || 0) > (SEVERITY_RANK[best] || 0) ? a.severity : best,
+      null
+    );
+
+    this.startTone(top);
+
+    if (sounding.length === 0) {
+      this.el.innerHTML = "";
+      return;
+    }
+
+    const ctx = getAudioContext();
+    const locked = !ctx || ctx.state !== "running";
+    const multiple = sounding.length > 1;
+
+    this.el.innerHTML = `
+      <div class="fixed inset-0 z-[60] flex items-center justify-center bg-black/60 p-4">
+        <div class="w-full max-w-2xl rounded-2xl bg-base-100 shadow-2xl p-5 space-y-4">
+          <div class="flex items-center gap-3 text-2xl font-bold text-red-600">
+            <span class="animate-pulse">🚨</span>
+            <span>${sounding.length} Active Alarm${multiple ? "s" : ""}</span>
+          </div>
+          ${locked ? `<div class="rounded-lg bg-amber-100 text-amber-800 px-3 py-2 text-sm font-medium">
+            Tap anywhere to enable alarm sound on this screen</div>` : ""}
+          <div class="space-y-3 max-h-[50vh] overflow-y-auto">
+            ${sounding.map((a) => this.alarmRow(a)).join("")}
+          </div>
+          ${multiple ? `<div class="grid grid-cols-2 gap-3 pt-2 border-t border-base-300">
+            <button type="button" data-alarm-action="ack"
+              class="btn btn-lg btn-success">Acknowledge All</button>
+            <button type="button" data-alarm-action="mute"
+              class="btn btn-lg btn-warning">Mute All ${MUTE_MINUTES} min</button>
+          </div>` : ""}
+        </div>
+      </div>`;
+  },
+
+  alarmRow(alarm) {
+    const classes = SEVERITY_CLASSES[alarm.severity] || SEVERITY_CLASSES.critical;
+
+    return `
+      <div class="rounded-xl border-2 ${classes} p-3 flex flex-wrap items-center gap-3">
+        <div class="flex-1 min-w-40">
+          <div class="text-lg font-semibold">${escapeHtml(alarm.name)}</div>
+          <div class="text-xs uppercase tracking-wide opacity-70">${escapeHtml(alarm.severity)}</div>
+        </div>
+        <button type="button" data-alarm-action="ack" data-alarm-id="${alarm.id}"
+          class="btn btn-lg btn-success min-w-36">Acknowledge</button>
+        <button type="button" data-alarm-action="mute" data-alarm-id="${alarm.id}"
+          class="btn btn-lg btn-warning min-w-36">Mute ${MUTE_MINUTES} min</button>
+      </div>`;
+  },
+
+  startTone(severity) {
+    if (severity === this.playing) return;
+    this.stopTone();
+    if (!severity) return;
+
+    this.playing = severity;
+    const tone = TONES[severity] || TONES.critical;
+    playTone(severity);
+    this.timer = setInterval(() => playTone(severity), tone.every);
+  },
+
+  stopTone() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+    this.playing = null;
+  }
+};
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+export default AlarmAudio;
@@ -0,0 +1,184 @@
+// ============================================
+// ClientTelemetry Hook
+// ============================================
+// Sends what telemetry.js has queued to the server with pushEvent
+// "telemetry:batch" {device, entries}; the reply {logged} confirms the batch,
+// which is then dropped from the queue (a {limited: true} reply leaves it
+// queued). Sent every FLUSH_MS, within a couple of seconds of an error, and
+// straight after a reconnect.
+//
+// For admins it also draws the diagnostics panel, opened from the sidebar
+// (a "pou:diagnostics" window event): this device's name as it appears in
+// the log, connection state and reconnects, click → ack latency, the last
+// errors and how much is still waiting to be sent.
+
+import {
+  takeBatch, confirmBatch, hasUrgent, getDiagnostics, getDeviceName, setDeviceName, subscribe
+} from "../telemetry";
+
+const FLUSH_MS = 30000;
+const URGENT_MS = 2000;
+const BATCH_SIZE = 50;
+const REPLY_TIMEOUT_MS = 15000;
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function ms(value) {
+  return value === null ? "-" : `${value} ms`;
+}
+
+const ClientTelemetry = {
+  mounted() {
+    this.open = false;
+    this.sending = false;
+    this.timer = setInterval(() => this.flush(), FLUSH_MS);
+
+    this.unsubscribe = subscribe(() => {
+      if (hasUrgent()) this.flushSoon();
+      if (this.open) this.renderSoon();
+    });
+
+    this.onToggle = () => {
+      if (this.el.dataset.role !== "admin") return;
+      this.open = !this.open;
+      this.render();
+    };
+    window.addEventListener("pou:diagnostics", this.onToggle);
+
+    this.el.addEventListener("click", (e) => this.onClick(e));
+    this.el.addEventListener("change", (e) => {
+      if (e.target.matches("[data-device-name]")) {
+        setDeviceName(e.target.value);
+        this.render();
+      }
+    });
+
+    this.flush();
+  },
+
+  destroyed() {
+    clearInterval(this.timer);
+    clearTimeout(this.urgentTimer);
+    clearTimeout(this.renderTimer);
+    this.unsubscribe();
+    window.removeEventListener("pou:diagnostics", this.onToggle);
+  },
+
+  reconnected() {
+    this.sending = false;
+    this.flush();
+  },
+
+  // ---------- Sending ----------
+
+  flushSoon() {
+    if (this.urgentTimer) return;
+    this.urgentTimer = setTimeout(() => {
+      this.urgentTimer = null;
+      this.flush();
+    }, URGENT_MS);
+  },
+
+  flush() {
+    if (this.sending) return;
+    const entries = takeBatch(BATCH_SIZE);
+    if (entries.length === 0) return;
+
+    this.sending = true;
+    const timer = setTimeout(() => { this.sending = false; }, REPLY_TIMEOUT_MS);
+
+    this.pushEvent("telemetry:batch", { device: getDeviceName(), entries }, ({ limited }) => {
+      clearTimeout(timer);
+      this.sending = false;
+      // Over the server's per-minute limit: keep the entries for a later flush
+      if (!limited) confirmBatch(entries.length);
+    });
+  },
+
+  onClick(e) {
+    const button = e.target.closest("[data-diag-action]");
+    if (!button) return;
+
+    switch (button.dataset.diagAction) {
+      case "send": return this.flush();
+      case "close":
+        this.open = false;
+        return this.render();
+    }
+  },
+
+  // ---------- Drawing ----------
+
+  // Latency samples can arrive on every click; redraw at most once a second
+  renderSoon() {
+    if (this.renderTimer) return;
+    this.renderTimer = setTimeout(() => {
+      this.renderTimer = null;
+      this.render();
+    }, 1000);
+  },
+
+  render() {
+    if (!this.open) {
+      this.el.innerHTML = "";
+      return;
+    }
+
+    // Keep the name being typed
+    if (this.el.contains(document.activeElement) && document.activeElement.matches("[data-device-name]")) return;
+
+    const d = getDiagnostics();
+    const l = d.latency;
+
+    const errors = d.recent.length === 0
+      ? `<p class="text-xs text-base-content/60">No errors this session.</p>`
+      : `<ul class="max-h-40 overflow-y-auto space-y-1">
+          ${d.recent.map((e) => `
+            <li class="text-xs">
+              <span class="font-mono text-base-content/60">${new Date(e.at).toLocaleTimeString([], { hour12: false })}</span>
+              <span class="badge badge-xs ${e.level === "error" ? "badge-error" : "badge-warning"}">${escapeHtml(e.kind)}</span>
+              <span class="text-base-content/60">${escapeHtml(e.page)}</span>
+              <div class="break-all">${escapeHtml(e.message)}</div>
+            </li>`).join("")}
+        </ul>`;
+
+    this.el.innerHTML = `
+      <div class="fixed bottom-4 left-4 z-50 w-[min(26rem,92vw)] p-4 rounded-xl shadow-xl bg-base-100 border border-base-300 text-sm">
+        <div class="flex items-center justify-between">
+          <h3 class="font-bold">Diagnostics</h3>
+          <button type="button" data-diag-action="close" class="btn btn-ghost btn-xs">✕</button>
+        </div>
+
+        <label class="mt-2 flex items-center gap-2 text-xs">Device name
+          <input data-device-name type="text" value="${escapeHtml(d.device)}" class="input input-xs input-bordered flex-1" />
+        </label>
+
+        <dl class="mt-2 grid grid-cols-2 gap-x-3 gap-y-1 text-xs">
+          <dt class="text-base-content/60">Socket</dt>
+          <dd class="${d.connected ? "text-success" : "text-error"}">${d.connected ? "connected" : "down"}</dd>
+          <dt class="text-base-content/60">Reconnects this session</dt><dd>${d.reconnects}</dd>
+          <dt class="text-base-content/60">Click → ack (${l.count})</dt>
+          <dd>p50 ${ms(l.p50)} · p95 ${ms(l.p95)} · max ${ms(l.max)}</dd>
+          <dt class="text-base-content/60">Slowest</dt>
+          <dd class="truncate">${l.slowest ? `${escapeHtml(l.slowest.event)} on ${escapeHtml(l.slowest.page)}` : "-"}</dd>
+          <dt class="text-base-content/60">Waiting to send</dt><dd>${d.queued}</dd>
+        </dl>
+
+        <h4 class="mt-3 mb-1 font-semibold text-xs">Recent problems</h4>
+        ${errors}
+
+        <div class="mt-3 flex items-center gap-2">
+          <button type="button" data-diag-action="send" class="btn btn-xs btn-outline" ${d.queued === 0 ? "disabled" : ""}>Send now</button>
+          <a href="/reports?view=system_logs&source=client" class="link text-xs">Browser entries in System Logs</a>
+        </div>
+      </div>`;
+  }
+};
+
+export default ClientTelemetry;
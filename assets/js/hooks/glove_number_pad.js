@@ -0,0 +1,266 @@
+// ============================================
+// GloveNumberPad Hook
+// ============================================
+// Large-key numeric keypad for setpoints, counts and register addresses.
+// The layout is picked from the input:
+//   data-keypad="hex"              - 0-9 A-F keypad, writes "0x..." values
+//   type="number" / data-keypad    - digits, decimal point and sign key
+//
+// Step buttons follow the input's step/min/max attributes. The keypad keeps
+// its own entry buffer and only writes complete, in-range numbers into the
+// input, so out-of-range values never reach phx-change. Values typed on a
+// physical keyboard are checked the same way before LiveView sees them.
+
+const LAYOUTS = {
+  numeric: [
+    ["7", "8", "9", "{bksp}"],
+    ["4", "5", "6", "{step-}"],
+    ["1", "2", "3", "{step+}"],
+    ["{sign}", "0", ".", "{done}"]
+  ],
+  hex: [
+    ["C", "D", "E", "F", "{bksp}"],
+    ["8", "9", "A", "B", "{step-}"],
+    ["4", "5", "6", "7", "{step+}"],
+    ["0", "1", "2", "3", "{done}"]
+  ]
+};
+
+const LABELS = {
+  "{bksp}": "⌫",
+  "{step-}": "−",
+  "{step+}": "+",
+  "{sign}": "±",
+  "{done}": "Done"
+};
+
+function attrNumber(el, name) {
+  const raw = el.getAttribute(name) ?? el.dataset[name];
+  if (raw === null || raw === undefined || raw === "") return null;
+  const n = parseFloat(raw);
+  return Number.isFinite(n) ? n : null;
+}
+
+function decimalsOf(step) {
+  const s = String(step);
+  return s.includes(".") ? s.length - s.indexOf(".") - 1 : 0;
+}
+
+const GloveNumberPad = {
+  mounted() {
+    this.layout = this.el.dataset.keypad === "hex" ? "hex" : "numeric";
+    this.pad = null;
+    this.invalid = false;
+
+    this.ownInputMode = this.el.hasAttribute("inputmode");
+    this.syncInputMode();
+
+    this.onFocus = () => {
+      this.syncInputMode();
+      this.open();
+    };
+    this.onBlur = () => this.close();
+
+    // Registered on the element, so it runs before LiveView's window listener
+    this.onInput = (e) => {
+      if (e.detail === "glove-number-pad") return;
+      const value = this.parse(this.el.value);
+      if (this.el.value !== "" && (value === null || !this.inRange(value))) {
+        e.stopPropagation();
+        this.markInvalid(true);
+      } else {
+        this.markInvalid(false);
+      }
+    };
+
+    this.onSubmit = (e) => {
+      if (!this.invalid) return;
+      e.preventDefault();
+      e.stopPropagation();
+      this.el.focus();
+    };
+
+    this.el.addEventListener("focus", this.onFocus);
+    this.el.addEventListener("blur", this.onBlur);
+    this.el.addEventListener("input", this.onInput);
+    this.form = this.el.form;
+    if (this.form) this.form.addEventListener("submit", this.onSubmit, true);
+  },
+
+  destroyed() {
+    this.close();
+    if (this.form) this.form.removeEventListener("submit", this.onSubmit, true);
+  },
+
+  // ---------- Value helpers ----------
+
+  limits() {
+    return {
+      min: attrNumber(this.el, "min"),
+      max: attrNumber(this.el, "max"),
+      step: attrNumber(this.el, "step") || 1
+    };
+  },
+
+  parse(text) {
+    const s = String(text).trim();
+    if (s === "") return null;
+
+    // Hex only with the 0x prefix - the server renders register fields in decimal
+    if (/^0x/i.test(s)) {
+      const hex = s.slice(2);
+      return /^[0-9a-f]+$/i.test(hex) ? parseInt(hex, 16) : null;
+    }
+
+    return /^-?(\d+\.?\d*|\.\d+)$/.test(s) ? parseFloat(s) : null;
+  },
+
+  inRange(value) {
+    const { min, max } = this.limits();
+    return (min === null || value >= min) && (max === null || value <= max);
+  },
+
+  format(value) {
+    if (this.layout === "hex") return value.toString(16).toUpperCase();
+    return String(parseFloat(value.toFixed(decimalsOf(this.limits().step))));
+  },
+
+  // ---------- Keypad ----------
+
+  // Keep the tablet's own on-screen keyboard out of the way, but only when the
+  // pad will open instead: in always_hide mode it is the only keyboard left
+  syncInputMode() {
+    if (this.ownInputMode) return;
+    if (window.keyboardMode === "always_hide") this.el.removeAttribute("inputmode");
+    else this.el.setAttribute("inputmode", "none");
+  },
+
+  open() {
+    if (this.pad || window.keyboardMode === "always_hide") return;
+
+    const current = this.parse(this.el.value);
+    this.buffer = current === null ? "" : this.format(current);
+
+    const cols = LAYOUTS[this.layout][0].length;
+    const pad = document.createElement("div");
+    pad.className =
+      "glove-number-pad fixed bottom-2 left-1/2 -translate-x-1/2 z-[1001] rounded-2xl " +
+      "bg-base-300 shadow-2xl p-3 select-none touch-manipulation";
+    pad.innerHTML = `
+      <div class="flex items-center gap-2 mb-2">
+        <div data-pad-display class="flex-1 h-14 rounded-xl bg-base-100 px-3 flex items-center justify-end text-3xl font-mono font-bold"></div>
+        <button type="button" data-key="{clear}" class="h-14 px-4 rounded-xl bg-base-100 font-bold">C</button>
+      </div>
+      <div data-pad-hint class="text-sm text-center mb-2 text-base-content/70"></div>
+      <div class="grid gap-2" style="grid-template-columns: repeat(${cols}, minmax(0, 1fr))">
+        ${LAYOUTS[this.layout].flat().map((key) => this.keyHtml(key)).join("")}
+      </div>`;
+
+    // Keep focus in the input while pressing keys
+    pad.addEventListener("pointerdown", (e) => e.preventDefault());
+    pad.addEventListener("click", (e) => {
+      const btn = e.target.closest("[data-key]");
+      if (btn && !btn.disabled) this.press(btn.dataset.key);
+    });
+
+    document.body.appendChild(pad);
+    this.pad = pad;
+    this.render();
+  },
+
+  close() {
+    if (this.pad) this.pad.remove();
+    this.pad = null;
+  },
+
+  keyHtml(key) {
+    const { min, step } = this.limits();
+    const disabled =
+      (key === "{sign}" && min !== null && min >= 0) ||
+      (key === "." && Number.isInteger(step));
+    const accent =
+      key === "{done}" ? "bg-primary text-primary-content" :
+      key.startsWith("{step") ? "bg-info/20 text-info" : "bg-base-100";
+
+    return `<button type="button" data-key="${key}" ${disabled ? "disabled" : ""}
+      class="h-16 min-w-16 rounded-xl text-2xl font-bold ${accent} active:scale-95 disabled:opacity-30">
+      ${LABELS[key] || key}</button>`;
+  },
+
+  press(key) {
+    switch (key) {
+      case "{bksp}": this.buffer = this.buffer.slice(0, -1); break;
+      case "{clear}": this.buffer = ""; break;
+      case "{sign}":
+        this.buffer = this.buffer.startsWith("-") ? this.buffer.slice(1) : `-${this.buffer}`;
+        break;
+      case "{step-}": this.step(-1); break;
+      case "{step+}": this.step(1); break;
+      case "{done}":
+        if (!this.invalid) this.el.blur();
+        return;
+      case ".":
+        if (!this.buffer.includes(".")) this.buffer = `${this.buffer || "0"}.`;
+        break;
+      default:
+        this.buffer = this.buffer === "0" ? key : this.buffer + key;
+    }
+
+    this.commit();
+  },
+
+  step(direction) {
+    const { min, max, step } = this.limits();
+    const current = this.parse(this.layout === "hex" ? `0x${this.buffer}` : this.buffer);
+    let next = (current ?? min ?? 0) + direction * step;
+    if (min !== null) next = Math.max(min, next);
+    if (max !== null) next = Math.min(max, next);
+    this.buffer = this.format(next);
+  },
+
+  // Write the buffer to the input only when it is a complete, in-range number
+  commit() {
+    const text = this.layout === "hex" && this.buffer !== "" ? `0x${this.buffer}` : this.buffer;
+    const value = this.parse(text);
+    const complete = this.buffer === "" || value !== null;
+    const ok = this.buffer === "" || (value !== null && this.inRange(value));
+
+    this.markInvalid(complete && !ok);
+    this.render();
+
+    // type="number" inputs drop values like "5." so write the parsed number
+    const written = this.buffer === "" || this.layout === "hex" ? text : String(value);
+
+    if (complete && ok && this.el.value !== written) {
+      this.el.value = written;
+      this.el.dispatchEvent(new CustomEvent("input", { bubbles: true, detail: "glove-number-pad" }));
+    }
+  },
+
+  markInvalid(invalid) {
+    this.invalid = invalid;
+    this.el.classList.toggle("input-error", invalid);
+    this.el.setAttribute("aria-invalid", invalid ? "true" : "false");
+  },
+
+  render() {
+    if (!this.pad) return;
+
+    const { min, max } = this.limits();
+    const display = this.pad.querySelector("[data-pad-display]");
+    const hint = this.pad.querySelector("[data-pad-hint]");
+    const fmt = (n) => (this.layout === "hex" ? `0x${n.toString(16).toUpperCase()}` : n);
+
+    display.textContent = (this.layout === "hex" ? "0x" : "") + (this.buffer || "");
+    display.classList.toggle("text-error", this.invalid);
+
+    const range =
+      min !== null && max !== null ? `${fmt(min)} – ${fmt(max)}` :
+      min !== null ? `≥ ${fmt(min)}` :
+      max !== null ? `≤ ${fmt(max)}` : "";
+    hint.textContent = this.invalid ? `Out of range (${range})` : range;
+    hint.classList.toggle("text-error", this.invalid);
+  }
+};
+
+export default GloveNumberPad;
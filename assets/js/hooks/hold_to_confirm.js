@@ -0,0 +1,228 @@
+// ============================================
+// HoldToConfirm Hook
+// ============================================
+// Guards a phx-click button against accidental gloved taps. Plain clicks on
+// the element are swallowed; its phx-click only fires once the operator has
+// confirmed with one of two gestures:
+//
+//   data-confirm-mode="hold"  (default) - press and hold for data-hold-ms
+//                             (default 1200) while a ring fills around the
+//                             pointer; releasing early cancels
+//   data-confirm-mode="slide" - for critical actions: a tap opens a track
+//                             over the button and the thumb must be dragged
+//                             all the way across
+//   data-confirm-mode="none"  - pass clicks straight through (lets a button
+//                             guard only some of its states, e.g. STOP)
+//
+// Completion gives a short vibration (where supported) and a click tone.
+// Rendered by CoreComponents.button's `confirm` attr; the element needs an id.
+
+const DEFAULT_HOLD_MS = 1200;
+const SLIDE_TIMEOUT_MS = 5000;
+const RING_RADIUS = 26;
+const RING_LENGTH = 2 * Math.PI * RING_RADIUS;
+
+let feedbackCtx = null;
+
+function feedback(pattern) {
+  if (navigator.vibrate) navigator.vibrate(pattern);
+
+  try {
+    const Ctx = window.AudioContext || window.webkitAudioContext;
+    if (!Ctx) return;
+    feedbackCtx = feedbackCtx || new Ctx();
+    if (feedbackCtx.state !== "running") return;
+
+    const osc = feedbackCtx.createOscillator();
+    const gain = feedbackCtx.createGain();
+    const t = feedbackCtx.currentTime;
+    osc.frequency.setValueAtTime(1200, t);
+    gain.gain.setValueAtTime(0.15, t);
+    gain.gain.exponentialRampToValueAtTime(0.001, t + 0.08);
+    osc.connect(gain).connect(feedbackCtx.destination);
+    osc.start(t);
+    osc.stop(t + 0.08);
+  } catch (_e) {
+    // Audio feedback is best-effort
+  }
+}
+
+const HoldToConfirm = {
+  mounted() {
+    this.armed = false;
+    this.frame = null;
+    this.ring = null;
+    this.slider = null;
+
+    this.onClick = (e) => {
+      if (this.armed || this.mode() === "none") return;
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      if (this.mode() === "slide" && !this.slider) this.openSlider();
+    };
+
+    this.onPointerDown = (e) => {
+      if (this.mode() !== "hold" || this.el.disabled) return;
+      if (e.button !== undefined && e.button !== 0) return;
+      this.startHold(e);
+    };
+
+    this.onCancel = () => this.cancelHold();
+
+    this.el.addEventListener("click", this.onClick);
+    this.el.addEventListener("pointerdown", this.onPointerDown);
+    ["pointerup", "pointerleave", "pointercancel"].forEach((type) => {
+      this.el.addEventListener(type, this.onCancel);
+    });
+    // Long-press would otherwise open the context menu on touch screens
+    this.el.addEventListener("contextmenu", (e) => e.preventDefault());
+  },
+
+  destroyed() {
+    this.cancelHold();
+    this.closeSlider();
+  },
+
+  mode() {
+    return this.el.dataset.confirmMode || "hold";
+  },
+
+  fire() {
+    feedback([30, 40, 30]);
+    this.armed = true;
+    this.el.click();
+    this.armed = false;
+  },
+
+  // ---------- Hold mode ----------
+
+  startHold(e) {
+    this.cancelHold();
+
+    const duration = parseInt(this.el.dataset.holdMs, 10) || DEFAULT_HOLD_MS;
+    const rect = this.el.getBoundingClientRect();
+    this.ring = this.buildRing(e.clientX ?? rect.left + rect.width / 2, e.clientY ?? rect.top + rect.height / 2);
+    const arc = this.ring.querySelector("[data-arc]");
+    const started = performance.now();
+    feedback(10);
+
+    const step = (now) => {
+      const progress = Math.min((now - started) / duration, 1);
+      arc.setAttribute("stroke-dashoffset", RING_LENGTH * (1 - progress));
+
+      if (progress < 1) {
+        this.frame = requestAnimationFrame(step);
+      } else {
+        this.frame = null;
+        this.removeRing();
+        this.fire();
+      }
+    };
+
+    this.frame = requestAnimationFrame(step);
+  },
+
+  cancelHold() {
+    if (this.frame) cancelAnimationFrame(this.frame);
+    this.frame = null;
+    this.removeRing();
+  },
+
+  buildRing(x, y) {
+    const size = (RING_RADIUS + 6) * 2;
+    const ring = document.createElement("div");
+    ring.className = "fixed z-[70] pointer-events-none";
+    ring.style.left = `${x - size / 2}px`;
+    ring.style.top = `${y - size / 2}px`;
+    ring.innerHTML = `
+      <svg width="${size}" height="${size}" viewBox="0 0 ${size} ${size}" class="-rotate-90">
+        <circle cx="${size / 2}" cy="${size / 2}" r="${RING_RADIUS}" fill="rgba(0,0,0,0.25)"
+          stroke="rgba(255,255,255,0.5)" stroke-width="6" />
+        <circle data-arc cx="${size / 2}" cy="${size / 2}" r="${RING_RADIUS}" fill="none"
+          stroke="#f59e0b" stroke-width="6" stroke-linecap="round"
+          stroke-dasharray="${RING_LENGTH}" stroke-dashoffset="${RING_LENGTH}" />
+      </svg>`;
+    document.body.appendChild(ring);
+    return ring;
+  },
+
+  removeRing() {
+    if (this.ring) this.ring.remove();
+    this.ring = null;
+  },
+
+  // ---------- Slide mode ----------
+
+  openSlider() {
+    const rect = this.el.getBoundingClientRect();
+    const width = Math.max(rect.width, 240);
+    const label = this.el.dataset.confirmLabel || "Slide to confirm";
+
+    const slider = document.createElement("div");
+    slider.className =
+      "fixed z-[70] rounded-full bg-base-300 border-2 border-warning shadow-xl select-none touch-none";
+    slider.style.left = `${Math.max(4, rect.left + rect.width / 2 - width / 2)}px`;
+    slider.style.top = `${rect.top + rect.height / 2 - 28}px`;
+    slider.style.width = `${width}px`;
+    slider.style.height = "56px";
+    slider.innerHTML = `
+      <div class="absolute inset-0 flex items-center justify-center pl-12 pr-4 text-sm font-bold uppercase text-base-content/70">
+        ${label.replace(/</g, "&lt;")} &rarr;
+      </div>
+      <div data-thumb class="absolute top-1 left-1 h-12 w-12 rounded-full bg-warning text-warning-content flex items-center justify-center shadow">
+        <span class="hero-chevron-double-right size-6"></span>
+      </div>`;
+    document.body.appendChild(slider);
+    this.slider = slider;
+
+    const thumb = slider.querySelector("[data-thumb]");
+    const maxX = width - 56;
+    let startX = null;
+    let offset = 0;
+
+    thumb.addEventListener("pointerdown", (e) => {
+      startX = e.clientX - offset;
+      thumb.setPointerCapture(e.pointerId);
+      clearTimeout(this.slideTimer);
+    });
+
+    thumb.addEventListener("pointermove", (e) => {
+      if (startX === null) return;
+      offset = Math.min(Math.max(e.clientX - startX, 0), maxX);
+      thumb.style.transform = `translateX(${offset}px)`;
+    });
+
+    const release = () => {
+      if (startX === null) return;
+      startX = null;
+
+      if (offset >= maxX - 4) {
+        this.closeSlider();
+        this.fire();
+      } else {
+        offset = 0;
+        thumb.style.transform = "";
+        this.slideTimer = setTimeout(() => this.closeSlider(), SLIDE_TIMEOUT_MS);
+      }
+    };
+    thumb.addEventListener("pointerup", release);
+    thumb.addEventListener("pointercancel", release);
+
+    // Tapping anywhere else dismisses the slider
+    this.onOutside = (e) => {
+      if (!slider.contains(e.target)) this.closeSlider();
+    };
+    setTimeout(() => document.addEventListener("pointerdown", this.onOutside, true), 0);
+    this.slideTimer = setTimeout(() => this.closeSlider(), SLIDE_TIMEOUT_MS);
+  },
+
+  closeSlider() {
+    clearTimeout(this.slideTimer);
+    if (this.onOutside) document.removeEventListener("pointerdown", this.onOutside, true);
+    this.onOutside = null;
+    if (this.slider) this.slider.remove();
+    this.slider = null;
+  }
+};
+
+export default HoldToConfirm;
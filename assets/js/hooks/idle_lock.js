@@ -0,0 +1,186 @@
+// ============================================
+// IdleLock Hook
+// ============================================
+// Browser counterpart of the Pi backlight Screensaver, for office PCs and
+// tablets viewing the same LiveViews:
+//   - after `dim_after` seconds without input, a dimmed screen shows a large
+//     clock and the page's [data-reading] values; the first tap only wakes it
+//   - after `logout_after` seconds, admin sessions are logged out (POST
+//     /logout), which lands on the dashboard
+//
+// Both timeouts come from the admin Display Settings page and are pushed as
+// "idle:settings" {dim_after, logout_after} by the AuthHooks :idle_lock
+// handler; 0 disables either. While data-keep-awake="true" (a ScreenAlert
+// critical alert is active) the page never dims and holds a screen Wake Lock
+// where the browser supports it.
+
+const ACTIVITY_EVENTS = ["pointerdown", "pointermove", "keydown", "wheel", "touchstart"];
+const CHECK_EVERY_MS = 1000;
+const READINGS_EVERY_MS = 5000;
+
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+function readingRows() {
+  return Array.from(document.querySelectorAll("[data-reading]"))
+    .map((el) => ({ name: el.dataset.reading, value: el.innerText.replace(/\s+/g, " ").trim() }))
+    .filter((r) => r.value);
+}
+
+const IdleLock = {
+  mounted() {
+    this.dimAfter = 0;
+    this.logoutAfter = 0;
+    this.lastActivity = Date.now();
+    this.screen = null;
+    this.wakeLock = null;
+    this.loggingOut = false;
+
+    this.handleEvent("idle:settings", ({ dim_after, logout_after }) => {
+      this.dimAfter = dim_after || 0;
+      this.logoutAfter = logout_after || 0;
+    });
+
+    this.onActivity = () => {
+      this.lastActivity = Date.now();
+    };
+    ACTIVITY_EVENTS.forEach((type) => {
+      document.addEventListener(type, this.onActivity, { capture: true, passive: true });
+    });
+
+    // The browser drops the wake lock whenever the tab is hidden
+    this.onVisibility = () => {
+      if (document.visibilityState === "visible") this.syncWakeLock();
+    };
+    document.addEventListener("visibilitychange", this.onVisibility);
+
+    this.timer = setInterval(() => this.check(), CHECK_EVERY_MS);
+    this.syncWakeLock();
+  },
+
+  updated() {
+    if (this.keepAwake()) this.wake();
+    this.syncWakeLock();
+  },
+
+  destroyed() {
+    clearInterval(this.timer);
+    ACTIVITY_EVENTS.forEach((type) => {
+      document.removeEventListener(type, this.onActivity, { capture: true });
+    });
+    document.removeEventListener("visibilitychange", this.onVisibility);
+    this.wake();
+    this.releaseWakeLock();
+  },
+
+  keepAwake() {
+    return this.el.dataset.keepAwake === "true";
+  },
+
+  check() {
+    const idleSeconds = (Date.now() - this.lastActivity) / 1000;
+
+    if (this.el.dataset.role === "admin" && this.logoutAfter > 0 && idleSeconds >= this.logoutAfter) {
+      this.logout();
+    } else if (this.dimAfter > 0 && idleSeconds >= this.dimAfter && !this.keepAwake()) {
+      this.dim();
+    }
+  },
+
+  // ---------- Dim screen ----------
+
+  dim() {
+    if (this.screen) return;
+
+    const screen = document.createElement("div");
+    screen.id = "idle-screen";
+    screen.className =
+      "fixed inset-0 z-[58] bg-black/90 text-white flex flex-col items-center justify-center " +
+      "gap-8 p-6 select-none cursor-none";
+    screen.innerHTML = `
+      <div data-idle-clock class="font-mono font-bold text-7xl sm:text-9xl tabular-nums"></div>
+      <div data-idle-date class="text-xl opacity-60"></div>
+      <div data-idle-readings class="grid grid-cols-2 gap-x-8 gap-y-2 text-2xl font-mono opacity-80"></div>
+      <div class="text-sm opacity-40">Tap to wake</div>`;
+
+    // Swallow the waking tap so it cannot press whatever is underneath
+    screen.addEventListener("click", (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.wake();
+    });
+
+    document.body.appendChild(screen);
+    this.screen = screen;
+    this.renderClock();
+    this.renderReadings();
+    this.clockTimer = setInterval(() => this.renderClock(), CHECK_EVERY_MS);
+    this.readingsTimer = setInterval(() => this.renderReadings(), READINGS_EVERY_MS);
+  },
+
+  wake() {
+    clearInterval(this.clockTimer);
+    clearInterval(this.readingsTimer);
+    if (this.screen) this.screen.remove();
+    this.screen = null;
+    this.lastActivity = Date.now();
+  },
+
+  renderClock() {
+    const now = new Date();
+    this.screen.querySelector("[data-idle-clock]").textContent =
+      now.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit", hour12: false });
+    this.screen.querySelector("[data-idle-date]").textContent =
+      now.toLocaleDateString([], { weekday: "long", day: "numeric", month: "long" });
+  },
+
+  renderReadings() {
+    this.screen.querySelector("[data-idle-readings]").innerHTML = readingRows()
+      .map((r) => `
+        <div class="truncate text-right opacity-60">${escapeHtml(r.name)}</div>
+        <div class="truncate">${escapeHtml(r.value)}</div>`)
+      .join("");
+  },
+
+  // ---------- Auto-logout ----------
+
+  logout() {
+    if (this.loggingOut) return;
+    this.loggingOut = true;
+
+    const csrf = document.querySelector("meta[name='csrf-token']").getAttribute("content");
+    const form = document.createElement("form");
+    form.method = "post";
+    form.action = "/logout";
+    form.innerHTML = `<input type="hidden" name="_csrf_token" value="${escapeHtml(csrf)}">`;
+    document.body.appendChild(form);
+    form.submit();
+  },
+
+  // ---------- Wake Lock ----------
+
+  async syncWakeLock() {
+    if (!this.keepAwake()) return this.releaseWakeLock();
+    if (this.wakeLock || !("wakeLock" in navigator)) return;
+
+    try {
+      this.wakeLock = await navigator.wakeLock.request("screen");
+      this.wakeLock.addEventListener("release", () => {
+        this.wakeLock = null;
+      });
+    } catch (_e) {
+      // Needs a secure context and a visible tab - keep-awake is best-effort
+      this.wakeLock = null;
+    }
+  },
+
+  releaseWakeLock() {
+    if (this.wakeLock) this.wakeLock.release();
+    this.wakeLock = null;
+  }
+};
+
+export default IdleLock;
@@ -0,0 +1,566 @@
+// ============================================
+// MultiHouse Hook
+// ============================================
+// The /admin/houses overview (PouConWeb.Live.Houses.Index). Every house runs
+// its own PouCon controller; this browser polls each one's JSON API directly
+// and draws a card per house: temperature, humidity, active alarms,
+// online/offline and flock day. Tapping a card opens that controller in a new
+// tab.
+//
+// The list of houses, [{id, label, url, key}], lives in localStorage, so any
+// office browser can be set up as the central screen; it can be exported as
+// JSON and imported on another browser. Saved keys are only read for
+// requests, never written back into the page. The API key goes in the query
+// string (?api_key=) so requests stay simple cross-origin GETs without a
+// preflight; controllers answer with CORS headers (PouConWeb.Plugs.ApiCors).
+//
+// Polling: /api/status every POLL_MS and /api/info every INFO_MS, one request
+// per house at a time. After a failure the next try waits POLL_MS doubled for
+// every failure in a row, up to MAX_BACKOFF_MS, with some jitter so houses
+// coming back after a network outage are not all polled in the same second.
+// A house counts as offline after OFFLINE_AFTER failures in a row; its last
+// readings stay on the card, greyed, with how long ago they were read.
+// Polling pauses while the tab is hidden and catches up when it is shown.
+
+const STORAGE_KEY = "pou_con_houses";
+const POLL_MS = 15000;
+const INFO_MS = 10 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 8000;
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+const OFFLINE_AFTER = 2;
+const TICK_MS = 1000;
+const REDRAW_MS = 10000;
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function timestamp() {
+  const d = new Date();
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}-${pad(d.getHours())}${pad(d.getMinutes())}`;
+}
+
+function download(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function ago(ms) {
+  const s = Math.max(0, Math.round((Date.now() - ms) / 1000));
+  if (s < 60) return `${s} s ago`;
+  if (s < 3600) return `${Math.floor(s / 60)} min ago`;
+  return `${Math.floor(s / 3600)} h ${Math.floor((s % 3600) / 60)} min ago`;
+}
+
+function inSeconds(ms) {
+  const s = Math.max(0, Math.round((ms - Date.now()) / 1000));
+  return s < 60 ? `${s} s` : `${Math.round(s / 60)} min`;
+}
+
+// "192.168.1.21:4000/" → "http://192.168.1.21:4000"
+function normalizeUrl(input) {
+  const trimmed = String(input || "").trim().replace(/\/+$/, "");
+  if (!trimmed) return "";
+  return /^https?:\/\//i.test(trimmed) ? trimmed : `http://${trimmed}`;
+}
+
+function backoffMs(failures) {
+  const base = Math.min(POLL_MS * 2 ** failures, MAX_BACKOFF_MS);
+  return Math.round(base * (0.8 + Math.random() * 0.4));
+}
+
+// ---------- Houses list ----------
+
+function newId() {
+  return `h${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+function cleanHouse(house) {
+  return {
+    id: house.id || newId(),
+    label: String(house.label || "").trim(),
+    url: normalizeUrl(house.url),
+    key: String(house.key || "").trim()
+  };
+}
+
+function loadHouses() {
+  try {
+    const houses = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(houses) ? houses.map(cleanHouse) : [];
+  } catch (_e) {
+    return [];
+  }
+}
+
+function saveHouses(houses) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(houses));
+}
+
+// ---------- Reading a status reply ----------
+
+function stats(sensors, unit) {
+  const values = (sensors || [])
+    .filter((s) => s.unit === unit && typeof s.value === "number")
+    .map((s) => s.value);
+  if (values.length === 0) return null;
+  return {
+    avg: values.reduce((a, b) => a + b, 0) / values.length,
+    min: Math.min(...values),
+    max: Math.max(...values)
+  };
+}
+
+function running(equipment, type) {
+  const items = (equipment || []).filter((e) => e.type === type);
+  if (items.length === 0) return null;
+  return { on: items.filter((e) => e.status && e.status.is_running).length, total: items.length };
+}
+
+// Alarm rules raised on the controller (older controllers do not send them)
+// plus equipment in error
+function summarize(status) {
+  const alarms = (status.alarms || []).map((a) => ({
+    text: a.name,
+    severity: a.severity,
+    acknowledged: a.acknowledged
+  }));
+  const alerts = (status.alerts || []).map((a) => ({
+    text: `${a.equipment_name}: ${a.message}`,
+    severity: "warning",
+    acknowledged: false
+  }));
+
+  return {
+    name: status.house && status.house.name,
+    temp: stats(status.sensors, "°C"),
+    hum: stats(status.sensors, "%RH"),
+    alarms: [...alarms, ...alerts],
+    flock: status.flock ? { name: status.flock.name, day: status.flock.age_days } : null,
+    fans: running(status.equipment, "fan"),
+    pumps: running(status.equipment, "pump")
+  };
+}
+
+// ---------- Requests ----------
+
+async function getJson(house, path) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(`${house.url}${path}?api_key=${encodeURIComponent(house.key)}`, {
+      signal: controller.signal,
+      cache: "no-store",
+      credentials: "omit"
+    });
+    const body = await response.json().catch(() => null);
+    if (!response.ok) throw new Error((body && body.error) || `HTTP ${response.status}`);
+    if (!body) throw new Error("Not a PouCon controller");
+    return body;
+  } catch (error) {
+    if (error.name === "AbortError") throw new Error("No answer");
+    // fetch() rejects with a TypeError when the host is down or CORS blocks it
+    if (error instanceof TypeError) throw new Error("Unreachable");
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+const MultiHouse = {
+  mounted() {
+    this.houses = loadHouses();
+    this.state = {};
+    this.editing = this.houses.length === 0;
+    this.message = null;
+
+    this.el.innerHTML = `
+      <div data-mh="summary"></div>
+      <div data-mh="settings"></div>
+      <div data-mh="grid" class="grid gap-3 grid-cols-1 sm:grid-cols-2 xl:grid-cols-3 2xl:grid-cols-4"></div>
+      <input data-mh="import" type="file" accept="application/json,.json" class="hidden" />`;
+
+    this.el.addEventListener("click", (e) => this.onClick(e));
+    this.el.addEventListener("change", (e) => this.onChange(e));
+
+    this.onVisibility = () => {
+      if (!document.hidden) this.tick();
+    };
+    document.addEventListener("visibilitychange", this.onVisibility);
+
+    this.timer = setInterval(() => this.tick(), TICK_MS);
+    this.redrawTimer = setInterval(() => this.renderGrid(), REDRAW_MS);
+
+    this.render();
+    this.tick();
+  },
+
+  destroyed() {
+    clearInterval(this.timer);
+    clearInterval(this.redrawTimer);
+    document.removeEventListener("visibilitychange", this.onVisibility);
+  },
+
+  // ---------- Polling ----------
+
+  houseState(house) {
+    if (!this.state[house.id]) {
+      this.state[house.id] = {
+        status: null, info: null, error: null, failures: 0,
+        lastOkAt: null, nextAt: 0, nextInfoAt: 0, busy: false
+      };
+    }
+    return this.state[house.id];
+  },
+
+  tick() {
+    if (document.hidden) return;
+    const now = Date.now();
+    this.houses.forEach((house) => {
+      const s = this.houseState(house);
+      if (!s.busy && house.url && now >= s.nextAt) this.poll(house, s);
+    });
+  },
+
+  async poll(house, s) {
+    s.busy = true;
+
+    try {
+      const status = await getJson(house, "/api/status");
+      if (!this.current(house)) return;
+      s.status = summarize(status);
+      s.failures = 0;
+      s.error = null;
+      s.lastOkAt = Date.now();
+      s.nextAt = Date.now() + POLL_MS;
+
+      if (Date.now() >= s.nextInfoAt) {
+        s.nextInfoAt = Date.now() + INFO_MS;
+        getJson(house, "/api/info")
+          .then((info) => {
+            s.info = info;
+            this.renderGrid();
+          })
+          .catch(() => {});
+      }
+    } catch (error) {
+      if (!this.current(house)) return;
+      s.failures += 1;
+      s.error = error.message;
+      s.nextAt = Date.now() + backoffMs(s.failures);
+    } finally {
+      s.busy = false;
+    }
+
+    this.renderGrid();
+    this.renderSummary();
+  },
+
+  // Still in the list with the same address and key - edits restart polling
+  current(house) {
+    return this.houses.some((h) => h.id === house.id && h.url === house.url && h.key === house.key);
+  },
+
+  refreshAll() {
+    Object.values(this.state).forEach((s) => {
+      s.nextAt = 0;
+    });
+    this.tick();
+  },
+
+  // ---------- Editing the list ----------
+
+  updateHouses(houses, { redrawSettings = true } = {}) {
+    this.houses = houses.map(cleanHouse);
+    saveHouses(this.houses);
+    Object.keys(this.state).forEach((id) => {
+      if (!this.houses.some((h) => h.id === id)) delete this.state[id];
+    });
+    if (redrawSettings) this.renderSettings();
+    this.renderSummary();
+    this.renderGrid();
+    this.tick();
+  },
+
+  onChange(e) {
+    if (e.target.matches("[data-mh='import']")) return this.importFile(e.target);
+
+    const row = e.target.closest("[data-house-id]");
+    const field = e.target.dataset.field;
+    if (!row || !field) return;
+
+    const houses = this.houses.map((h) => ({ ...h }));
+    const house = houses.find((h) => h.id === row.dataset.houseId);
+    if (!house) return;
+
+    if (field === "key") {
+      // Saved keys are never put back into the page: an empty box keeps the
+      // key, a typed one replaces it and the box is cleared again
+      if (!e.target.value.trim()) return;
+      e.target.placeholder = "Saved - type to replace";
+    }
+
+    house[field] = e.target.value;
+    if (field === "key") e.target.value = "";
+    // A new address or key starts over; an edited field keeps its focus
+    if (field !== "label") delete this.state[house.id];
+    this.updateHouses(houses, { redrawSettings: false });
+  },
+
+  onClick(e) {
+    const button = e.target.closest("[data-mh-action]");
+    if (!button) return;
+
+    const id = button.closest("[data-house-id]")?.dataset.houseId;
+    const index = this.houses.findIndex((h) => h.id === id);
+
+    switch (button.dataset.mhAction) {
+      case "edit":
+        this.editing = !this.editing;
+        this.message = null;
+        return this.render();
+      case "refresh":
+        return this.refreshAll();
+      case "add":
+        return this.addHouse();
+      case "add-self":
+        return this.updateHouses([...this.houses, { url: location.origin, key: "", label: "" }]);
+      case "remove":
+        if (!confirm(`Remove ${this.houses[index].label || this.houses[index].url} from the overview?`)) return;
+        return this.updateHouses(this.houses.filter((h) => h.id !== id));
+      case "up":
+      case "down": {
+        const to = index + (button.dataset.mhAction === "up" ? -1 : 1);
+        if (to < 0 || to >= this.houses.length) return;
+        const houses = [...this.houses];
+        [houses[index], houses[to]] = [houses[to], houses[index]];
+        return this.updateHouses(houses);
+      }
+      case "export":
+        return this.exportHouses();
+      case "import":
+        return this.el.querySelector("[data-mh='import']").click();
+    }
+  },
+
+  addHouse() {
+    const form = this.el.querySelector("[data-mh='new']");
+    const url = normalizeUrl(form.querySelector("[name='url']").value);
+    if (!url) {
+      this.message = { ok: false, text: "Enter the controller's address, e.g. http://192.168.1.21" };
+      return this.renderSettings();
+    }
+    this.message = null;
+    this.updateHouses([...this.houses, {
+      url,
+      key: form.querySelector("[name='key']").value,
+      label: form.querySelector("[name='label']").value
+    }]);
+  },
+
+  exportHouses() {
+    const data = { version: 1, exported_at: new Date().toISOString(), houses: this.houses };
+    download(new Blob([JSON.stringify(data, null, 2)], { type: "application/json" }), `pou_con_houses_${timestamp()}.json`);
+  },
+
+  importFile(input) {
+    const file = input.files[0];
+    input.value = "";
+    if (!file) return;
+
+    file.text().then((text) => {
+      const data = JSON.parse(text);
+      const houses = Array.isArray(data) ? data : data.houses;
+      if (!Array.isArray(houses) || !houses.every((h) => h && h.url)) throw new Error("no houses");
+
+      // Houses already in the list (same address) are replaced, not doubled
+      const incoming = houses.map(cleanHouse);
+      const kept = this.houses.filter((h) => !incoming.some((i) => i.url === h.url));
+      this.message = { ok: true, text: `Imported ${incoming.length} houses.` };
+      this.updateHouses([...kept, ...incoming]);
+    }).catch(() => {
+      this.message = { ok: false, text: "That file is not an exported houses list." };
+      this.renderSettings();
+    });
+  },
+
+  // ---------- Drawing ----------
+
+  render() {
+    this.renderSummary();
+    this.renderSettings();
+    this.renderGrid();
+  },
+
+  online(s) {
+    return s.lastOkAt !== null && s.failures < OFFLINE_AFTER;
+  },
+
+  renderSummary() {
+    const states = this.houses.map((h) => this.houseState(h));
+    const online = states.filter((s) => this.online(s)).length;
+    const alarms = states.reduce((n, s) => n + (this.online(s) && s.status ? s.status.alarms.length : 0), 0);
+
+    this.el.querySelector("[data-mh='summary']").innerHTML = `
+      <div class="flex flex-wrap items-center gap-2 mb-3">
+        <h1 class="text-xl font-bold text-base-content mr-2">All Houses</h1>
+        <span class="badge badge-lg">${this.houses.length} houses</span>
+        <span class="badge badge-lg ${online === this.houses.length ? "badge-success" : "badge-warning"}">${online} online</span>
+        <span class="badge badge-lg ${alarms ? "badge-error" : "badge-ghost"}">${alarms} alarms</span>
+        <div class="ml-auto flex gap-2">
+          <button type="button" data-mh-action="refresh" class="btn btn-sm btn-ghost">Refresh now</button>
+          <button type="button" data-mh-action="edit" class="btn btn-sm ${this.editing ? "btn-primary" : "btn-outline"}">
+            ${this.editing ? "Done" : "Houses…"}
+          </button>
+        </div>
+      </div>`;
+  },
+
+  renderSettings() {
+    const container = this.el.querySelector("[data-mh='settings']");
+    if (!this.editing) {
+      container.innerHTML = "";
+      return;
+    }
+
+    const rows = this.houses.map((h, i) => `
+      <tr data-house-id="${h.id}">
+        <td><input data-field="label" value="${escapeHtml(h.label)}" placeholder="Name from controller" class="input input-sm input-bordered w-full" /></td>
+        <td><input data-field="url" value="${escapeHtml(h.url)}" class="input input-sm input-bordered w-full font-mono" /></td>
+        <td><input data-field="key" type="password" placeholder="${h.key ? "Saved - type to replace" : "Not set"}" autocomplete="off" class="input input-sm input-bordered w-full font-mono" /></td>
+        <td class="whitespace-nowrap text-right">
+          <button type="button" data-mh-action="up" class="btn btn-xs btn-ghost" ${i === 0 ? "disabled" : ""}>↑</button>
+          <button type="button" data-mh-action="down" class="btn btn-xs btn-ghost" ${i === this.houses.length - 1 ? "disabled" : ""}>↓</button>
+          <button type="button" data-mh-action="remove" class="btn btn-xs btn-ghost text-error">✕</button>
+        </td>
+      </tr>`).join("");
+
+    const hasSelf = this.houses.some((h) => h.url === location.origin);
+    const message = this.message ? `
+      <p class="mt-2 text-sm ${this.message.ok ? "text-success" : "text-error"}">${escapeHtml(this.message.text)}</p>` : "";
+
+    container.innerHTML = `
+      <div class="mb-4 p-4 rounded-xl bg-base-100 border border-base-300 text-sm">
+        <h3 class="font-bold">Houses on this screen</h3>
+        <p class="text-xs text-base-content/60 mb-2">
+          Kept in this browser only. Each controller needs its API enabled; the key is in
+          <span class="font-mono">/etc/pou_con/api_key</span> on that controller.
+        </p>
+        <table class="table table-sm">
+          <thead><tr><th class="w-1/4">Name</th><th class="w-1/3">Address</th><th>API key</th><th></th></tr></thead>
+          <tbody>
+            ${rows}
+            <tr data-mh="new">
+              <td><input name="label" placeholder="e.g. House 3" class="input input-sm input-bordered w-full" /></td>
+              <td><input name="url" placeholder="http://192.168.1.21" class="input input-sm input-bordered w-full font-mono" /></td>
+              <td><input name="key" type="password" autocomplete="off" class="input input-sm input-bordered w-full font-mono" /></td>
+              <td class="text-right"><button type="button" data-mh-action="add" class="btn btn-xs btn-primary">Add</button></td>
+            </tr>
+          </tbody>
+        </table>
+        ${message}
+        <div class="mt-3 flex flex-wrap gap-2">
+          ${hasSelf ? "" : `<button type="button" data-mh-action="add-self" class="btn btn-xs btn-outline">Add this controller</button>`}
+          <button type="button" data-mh-action="export" class="btn btn-xs btn-outline" ${this.houses.length ? "" : "disabled"}>Export list</button>
+          <button type="button" data-mh-action="import" class="btn btn-xs btn-outline">Import list</button>
+          <span class="text-xs text-base-content/60 self-center">The exported file includes the API keys.</span>
+        </div>
+      </div>`;
+  },
+
+  renderGrid() {
+    const grid = this.el.querySelector("[data-mh='grid']");
+    if (!grid) return;
+
+    if (this.houses.length === 0) {
+      grid.innerHTML = `
+        <p class="col-span-full text-center py-8 text-base-content/60">
+          No houses yet. Add each controller's address and API key above.
+        </p>`;
+      return;
+    }
+
+    grid.innerHTML = this.houses.map((house) => this.cardHtml(house, this.houseState(house))).join("");
+  },
+
+  cardHtml(house, s) {
+    const online = this.online(s);
+    const status = s.status;
+    const name = house.label || (status && status.name) || house.url.replace(/^https?:\/\//, "");
+    const alarms = status ? status.alarms : [];
+    const alarmed = online && alarms.length > 0;
+
+    const badge = s.lastOkAt === null && s.failures === 0
+      ? `<span class="badge badge-ghost">Connecting…</span>`
+      : `<span class="badge ${online ? "badge-success" : "badge-error"}">${online ? "Online" : "Offline"}</span>`;
+
+    const reading = (label, value, unit) => `
+      <div>
+        <div class="text-xs text-base-content/60">${label}</div>
+        <div class="text-2xl font-mono font-bold">${value ? value.avg.toFixed(1) : "-"}<span class="text-sm font-normal"> ${unit}</span></div>
+        <div class="text-xs text-base-content/60">${value && value.min !== value.max ? `${value.min.toFixed(1)} – ${value.max.toFixed(1)}` : "&nbsp;"}</div>
+      </div>`;
+
+    const alarmList = alarms.length === 0
+      ? `<div class="text-sm text-success">No active alarms</div>`
+      : `<ul class="text-sm space-y-0.5">
+          ${alarms.slice(0, 3).map((a) => `
+            <li class="truncate ${a.severity === "critical" ? "text-error font-semibold" : "text-warning"}">
+              ${a.acknowledged ? "✓" : "⚠"} ${escapeHtml(a.text)}
+            </li>`).join("")}
+          ${alarms.length > 3 ? `<li class="text-xs text-base-content/60">and ${alarms.length - 3} more</li>` : ""}
+        </ul>`;
+
+    const equipment = status ? [
+      status.fans && `Fans ${status.fans.on}/${status.fans.total}`,
+      status.pumps && `Pumps ${status.pumps.on}/${status.pumps.total}`
+    ].filter(Boolean).join(" · ") : "";
+
+    const flock = status && status.flock
+      ? `${escapeHtml(status.flock.name)} · <b>day ${status.flock.day}</b>`
+      : "No active flock";
+
+    const problem = s.error ? `
+      <div class="mt-2 text-xs text-error">
+        ${escapeHtml(s.error)}${s.failures ? ` · retry in ${inSeconds(s.nextAt)}` : ""}
+      </div>` : "";
+
+    const info = s.info ? ` · v${escapeHtml(s.info.app_version)}` : "";
+    const seen = s.lastOkAt ? `${online ? "Updated" : "Last seen"} ${ago(s.lastOkAt)}` : "Never reached";
+
+    return `
+      <a href="${escapeHtml(house.url)}/" target="_blank" rel="noopener"
+        class="block p-4 rounded-xl bg-base-100 border-2 transition-colors hover:bg-base-200 ${alarmed ? "border-error" : online ? "border-base-300" : "border-warning/60"}">
+        <div class="flex items-center justify-between gap-2">
+          <h3 class="font-bold text-lg truncate">${escapeHtml(name)}</h3>
+          ${badge}
+        </div>
+        <div class="${online ? "" : "opacity-50"}">
+          ${status ? `
+            <div class="grid grid-cols-2 gap-2 mt-3">
+              ${reading("Temperature", status.temp, "°C")}
+              ${reading("Humidity", status.hum, "%RH")}
+            </div>
+            <div class="mt-2">${alarmList}</div>
+            <div class="mt-2 text-sm">${flock}</div>
+            <div class="text-xs text-base-content/60">${equipment}</div>` : ""}
+        </div>
+        ${problem}
+        <div class="mt-2 text-xs text-base-content/50">${seen}${info}</div>
+      </a>`;
+  }
+};
+
+export default MultiHouse;
@@ -0,0 +1,62 @@
+// ============================================
+// NotificationSettings Hook
+// ============================================
+// Per-browser opt-in for desktop notifications (see notifications.js),
+// rendered in the sidebar. Ticking the first category asks the browser for
+// permission - it must come from a tap. Preferences live in localStorage, so
+// each office PC or tablet chooses its own.
+
+import { CATEGORIES, isSupported, getPrefs, setPref } from "../notifications";
+
+const NotificationSettings = {
+  mounted() {
+    this.el.addEventListener("change", (e) => {
+      const category = e.target.dataset.notifyCategory;
+      if (category) this.toggle(category, e.target.checked);
+    });
+
+    this.render();
+  },
+
+  async toggle(category, enabled) {
+    if (enabled && Notification.permission === "default") {
+      await Notification.requestPermission();
+    }
+
+    setPref(category, enabled && Notification.permission === "granted");
+    this.render();
+  },
+
+  render() {
+    const heading = `
+      <h3 class="px-3 py-1 text-xs font-semibold text-base-content/60 uppercase">
+        Desktop Notifications
+      </h3>`;
+
+    if (!isSupported()) {
+      this.el.innerHTML = `${heading}
+        <p class="px-3 text-xs text-base-content/60">
+          Not available here - needs HTTPS or the house kiosk.
+        </p>`;
+      return;
+    }
+
+    const prefs = getPrefs();
+    const blocked = Notification.permission === "denied";
+
+    this.el.innerHTML = `${heading}
+      ${Object.entries(CATEGORIES).map(([category, label]) => `
+        <label class="flex items-center gap-3 px-3 py-1.5 rounded hover:bg-base-200 cursor-pointer">
+          <input type="checkbox" class="checkbox checkbox-sm" data-notify-category="${category}"
+            ${prefs[category] && !blocked ? "checked" : ""} ${blocked ? "disabled" : ""} />
+          <span class="text-sm">${label}</span>
+        </label>`).join("")}
+      ${blocked ? `
+        <p class="px-3 text-xs text-error">
+          Blocked by the browser - allow notifications for this site in its settings.
+        </p>` : `
+        <p class="px-3 text-xs text-base-content/60">Shown while PouCon is in the background.</p>`}`;
+  }
+};
+
+export default NotificationSettings;
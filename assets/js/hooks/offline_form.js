@@ -0,0 +1,89 @@
+// ============================================
+// OfflineForm Hook
+// ============================================
+// Keeps data entry when the farm network drops. While the LiveSocket is
+// connected the form submits as usual (phx-submit). While it is down the
+// submission is saved to the offline queue (offline_store.js) instead of
+// being lost, the form is reset and [data-offline-status] says so; the
+// OfflineQueue hook sends it once the socket is back.
+//
+//   data-offline-kind   entry kind the server replays (PouConWeb.OfflineQueue)
+//   data-offline-label  what the entry is, shown in the review panel
+//   data-offline-hide   optional selector to hide after queueing (a modal)
+
+import { addEntry } from "../offline_store";
+
+// "a[b]" names become {a: {b: value}}, the shape Phoenix gives phx-submit
+function formParams(form) {
+  const params = {};
+  for (const [name, value] of new FormData(form)) {
+    if (typeof value !== "string") continue;
+    const match = name.match(/^([^[\]]+)\[([^[\]]+)\]$/);
+    if (match) {
+      params[match[1]] = params[match[1]] || {};
+      params[match[1]][match[2]] = value;
+    } else {
+      params[name] = value;
+    }
+  }
+  return params;
+}
+
+function labelFor(el) {
+  for (let node = el.parentElement; node && node !== el.form; node = node.parentElement) {
+    const label = Array.from(node.querySelectorAll("label"))
+      .map((l) => l.textContent.replace(/\s+/g, " ").trim())
+      .find((text) => text);
+    if (label) return label;
+  }
+  return el.name;
+}
+
+// What the operator typed, for the review panel - ids and tokens are hidden
+function formDetails(form) {
+  return Array.from(form.elements)
+    .filter((el) => el.name && el.value !== "")
+    .filter((el) => !["hidden", "submit", "button"].includes(el.type))
+    .map((el) => [labelFor(el), el.value]);
+}
+
+const OfflineForm = {
+  mounted() {
+    // Runs before LiveView's window-level submit listener
+    this.onSubmit = (e) => {
+      if (this.liveSocket.isConnected()) return;
+
+      e.preventDefault();
+      e.stopPropagation();
+      this.queue();
+    };
+    this.el.addEventListener("submit", this.onSubmit);
+  },
+
+  destroyed() {
+    this.el.removeEventListener("submit", this.onSubmit);
+  },
+
+  async queue() {
+    const { offlineKind, offlineLabel, offlineHide } = this.el.dataset;
+
+    try {
+      await addEntry(offlineKind, offlineLabel, formDetails(this.el), formParams(this.el));
+      this.el.reset();
+      this.setStatus("Saved offline - will be sent when reconnected");
+
+      const hide = offlineHide && document.querySelector(offlineHide);
+      if (hide) hide.style.display = "none";
+    } catch (_e) {
+      // No IndexedDB (private window, storage full) - keep what was typed
+      this.setStatus("Offline and could not save locally - keep this screen open");
+    }
+  },
+
+  setStatus(text) {
+    const status = this.el.querySelector("[data-offline-status]");
+    if (status) status.textContent = text;
+  }
+};
+
+export default OfflineForm;
@@ -0,0 +1,209 @@
+// ============================================
+// OfflineQueue Hook
+// ============================================
+// Sends data entry queued by OfflineForm while the socket was down, and lists
+// what could not be sent. Mounted once per page from the app layout, so
+// entries go out from whatever page is open when the socket comes back.
+//
+// Each pending entry is pushed as "offline:replay" {kind, params, queued_at,
+// force}; the AuthHooks :offline_queue handler replies {status, message}:
+//   saved     - removed from the queue
+//   conflict  - kept and shown for review; the operator either saves it
+//               anyway (force) or discards it. Nothing is dropped silently
+//   pending   - nobody logged in; kept until someone is
+//
+// A small badge in the bottom-left corner shows the count and opens the list.
+
+import { CHANGED_EVENT, listEntries, updateEntry, removeEntry } from "../offline_store";
+
+const REPLY_TIMEOUT_MS = 15000;
+const SENT_NOTICE_MS = 5000;
+const LOCK_NAME = "pou_con_offline_replay";
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function formatQueuedAt(iso) {
+  const options = { hour12: false, dateStyle: "short", timeStyle: "short" };
+  return new Date(iso).toLocaleString([], options);
+}
+
+// One tab replays at a time so two open tabs never send the same entry twice
+function withLock(fn) {
+  return navigator.locks ? navigator.locks.request(LOCK_NAME, fn) : fn();
+}
+
+const OfflineQueue = {
+  mounted() {
+    this.expanded = false;
+    this.sent = 0;
+    this.sentTimer = null;
+
+    this.onChanged = () => this.render();
+    window.addEventListener(CHANGED_EVENT, this.onChanged);
+
+    this.el.addEventListener("click", (e) => {
+      const target = e.target.closest("[data-offline-action]");
+      if (target) this.onAction(target.dataset.offlineAction, Number(target.dataset.id));
+    });
+
+    this.render();
+    this.replay();
+  },
+
+  reconnected() {
+    this.replay();
+  },
+
+  destroyed() {
+    window.removeEventListener(CHANGED_EVENT, this.onChanged);
+    clearTimeout(this.sentTimer);
+  },
+
+  canSend() {
+    return this.liveSocket.isConnected() && !!this.el.dataset.role;
+  },
+
+  send(entry, force) {
+    const { kind, params, queued_at } = entry;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error("timeout")), REPLY_TIMEOUT_MS);
+      this.pushEvent("offline:replay", { kind, params, queued_at, force }, (reply) => {
+        clearTimeout(timer);
+        resolve(reply);
+      });
+    });
+  },
+
+  // Sends every pending entry, or just `onlyId` (force = "save anyway")
+  replay(onlyId = null, force = false) {
+    if (!this.canSend()) return Promise.resolve();
+
+    return withLock(async () => {
+      let sent = 0;
+
+      try {
+        for (const entry of await listEntries()) {
+          if (onlyId !== null ? entry.id !== onlyId : entry.status !== "pending") continue;
+          if (!this.liveSocket.isConnected()) break;
+
+          const reply = await this.send(entry, force);
+          if (reply.status === "saved") {
+            await removeEntry(entry.id);
+            sent += 1;
+          } else if (reply.status === "conflict") {
+            await updateEntry({ ...entry, status: "conflict", message: reply.message });
+          } else {
+            break;
+          }
+        }
+      } catch (_e) {
+        // Socket dropped or no reply - entries stay queued for the next reconnect
+      }
+
+      if (sent > 0) this.showSent(sent);
+    });
+  },
+
+  showSent(count) {
+    this.sent = count;
+    clearTimeout(this.sentTimer);
+    this.sentTimer = setTimeout(() => {
+      this.sent = 0;
+      this.render();
+    }, SENT_NOTICE_MS);
+    this.render();
+  },
+
+  async onAction(action, id) {
+    if (action === "toggle") {
+      this.expanded = !this.expanded;
+      this.render();
+    } else if (action === "force") {
+      await this.replay(id, true);
+    } else if (action === "discard") {
+      if (confirm("Discard this entry? It has NOT been saved and cannot be recovered.")) {
+        await removeEntry(id);
+      }
+    }
+  },
+
+  async render() {
+    let entries = [];
+    try {
+      entries = await listEntries();
+    } catch (_e) {
+      // No IndexedDB - OfflineForm tells the operator at submit time
+    }
+
+    if (entries.length === 0) {
+      this.expanded = false;
+      this.el.innerHTML = this.sent > 0 ? this.sentBadge() : "";
+      return;
+    }
+
+    const conflicts = entries.filter((e) => e.status === "conflict").length;
+    const badgeClass = conflicts > 0
+      ? "bg-error text-error-content"
+      : "bg-warning text-warning-content";
+    const badgeText = conflicts > 0
+      ? `${conflicts} queued ${conflicts === 1 ? "entry needs" : "entries need"} review`
+      : `${entries.length} queued ${entries.length === 1 ? "entry" : "entries"} waiting to send`;
+
+    this.el.innerHTML = `
+      <div class="fixed bottom-4 left-4 z-50 flex flex-col items-start gap-2 max-w-[92vw]">
+        ${this.expanded ? this.listHtml(entries) : ""}
+        <button type="button" data-offline-action="toggle"
+          class="px-4 py-2 rounded-full shadow-lg font-semibold flex items-center gap-2 ${badgeClass}">
+          <span class="hero-cloud-arrow-up size-5"></span>${escapeHtml(badgeText)}
+        </button>
+      </div>`;
+  },
+
+  sentBadge() {
+    return `
+      <div class="fixed bottom-4 left-4 z-50 px-4 py-2 rounded-full shadow-lg font-semibold bg-success text-success-content">
+        <span class="hero-check size-5 align-text-bottom"></span>
+        ${this.sent} queued ${this.sent === 1 ? "entry" : "entries"} saved
+      </div>`;
+  },
+
+  listHtml(entries) {
+    const waiting = !this.liveSocket.isConnected()
+      ? "Waiting for connection"
+      : !this.el.dataset.role ? "Log in to send" : "Sending…";
+
+    return `
+      <div class="w-[min(28rem,92vw)] max-h-[60vh] overflow-y-auto rounded-xl shadow-2xl bg-base-100 border border-base-300 p-3 space-y-2">
+        ${entries.map((entry) => `
+          <div class="rounded-lg border p-2 text-sm ${entry.status === "conflict" ? "border-error bg-error/10" : "border-base-300"}">
+            <div class="flex justify-between gap-2 font-semibold">
+              <span>${escapeHtml(entry.label)}</span>
+              <span class="text-xs font-normal opacity-70">${escapeHtml(formatQueuedAt(entry.queued_at))}</span>
+            </div>
+            <div class="text-xs opacity-80">
+              ${(entry.details || [])
+                .map(([label, value]) => `${escapeHtml(label)}: <b>${escapeHtml(value)}</b>`)
+                .join(" · ")}
+            </div>
+            ${entry.status === "conflict" ? `
+              <div class="mt-1 text-error font-medium">${escapeHtml(entry.message)}</div>
+              <div class="mt-2 flex gap-2">
+                <button type="button" data-offline-action="force" data-id="${entry.id}"
+                  class="btn btn-sm btn-primary" ${this.canSend() ? "" : "disabled"}>Save anyway</button>
+                <button type="button" data-offline-action="discard" data-id="${entry.id}"
+                  class="btn btn-sm btn-ghost text-error">Discard</button>
+              </div>` : `
+              <div class="mt-1 text-xs opacity-70">${escapeHtml(entry.message || waiting)}</div>`}
+          </div>`).join("")}
+      </div>`;
+  }
+};
+
+export default OfflineQueue;
@@ -0,0 +1,771 @@
+// ============================================
+// PrintReport Hook
+// ============================================
+// Printable reports for buyers, vets and auditors, laid out in the browser and
+// printed through the browser's own print dialog (paper or "Save as PDF") -
+// nothing is rendered on the server. Templates:
+//   - flock weekly summary: flock details, daily yield and weekly mortality
+//     charts, one row per age week with totals
+//   - house environment daily sheet: an hourly min/avg/max chart per sensor
+//     unit, fans and pumps running, an hourly table and space for notes
+//   - equipment runtime summary: runtime, starts and errors per equipment for
+//     the last N days, with a day-by-day table
+//
+// Data comes from the Reports page as pushEvent "print:data" {template, ...}
+// (PouConWeb.PrintReport). The last payloads are kept in localStorage, so a
+// report loaded once on this device can still be previewed and printed while
+// the controller is unreachable; its footer then says when the data was read.
+//
+// Pages are laid out here at A4 size rather than left to the browser's page
+// breaking: every block has a height in mm and tables are split across pages
+// with their header repeated. That is what puts the header (farm name, house,
+// report), "Page n of N" and the signature lines in the right place.
+//
+// Opened by a "pou:print-report" window event, or straight away when the page
+// has ?print=<template> (the Flock pages link that way).
+
+const CACHE_KEY = "pou_con_print_reports";
+const FARM_KEY = "pou_con_farm_name";
+const MAX_CACHED = 12;
+const REPLY_TIMEOUT_MS = 15000;
+
+// A4 portrait inside 12 mm margins; the body keeps a few mm of slack for
+// borders the row heights do not include
+const PAGE_MM = { width: 186, height: 273 };
+const HEADER_MM = 20;
+const FOOTER_MM = 8;
+const BODY_MM = PAGE_MM.height - HEADER_MM - FOOTER_MM - 8;
+const TITLE_MM = 8;
+const TABLE_HEAD_MM = 7;
+const ROW_MM = 5.5;
+const MIN_ROWS = 3;
+const CHART_MM = 62;
+const FACTS_MM = 30;
+const NOTES_MM = 40;
+const SIGNATURES_MM = 28;
+
+// Chart drawing units: 4 per mm across the page width
+const CHART_W = PAGE_MM.width * 4;
+const CHART_H = (CHART_MM - TITLE_MM) * 4;
+const PAD = { left: 48, right: 16, top: 24, bottom: 28 };
+// Colour and dash, so series stay apart on a black and white printer
+const STYLES = [
+  { color: "#1d4ed8", dash: "" },
+  { color: "#b91c1c", dash: "8 4" },
+  { color: "#047857", dash: "3 3" },
+  { color: "#92400e", dash: "10 4 3 4" }
+];
+
+const TEMPLATES = {
+  flock_weekly: {
+    title: "Flock Weekly Summary",
+    signatures: ["Prepared by", "Farm manager", "Veterinarian"]
+  },
+  environment_daily: {
+    title: "House Environment Daily Sheet",
+    signatures: ["Recorded by", "Checked by"]
+  },
+  equipment_runtime: {
+    title: "Equipment Runtime Summary",
+    signatures: ["Technician", "Farm manager"]
+  }
+};
+
+const PRINT_CSS = `
+  #pou-print-root { display: none; }
+  .pr-page { box-sizing: border-box; width: ${PAGE_MM.width}mm; height: ${PAGE_MM.height}mm; display: flex; flex-direction: column;
+    background: #fff; color: #111; font: 9pt/1.25 system-ui, -apple-system, "Segoe UI", sans-serif; overflow: hidden; }
+  .pr-preview .pr-page { box-sizing: content-box; padding: 12mm; margin: 0 auto 6mm; box-shadow: 0 2px 12px rgba(0,0,0,.35); }
+  .pr-header { box-sizing: border-box; height: ${HEADER_MM}mm; display: flex; justify-content: space-between; align-items: flex-end;
+    gap: 4mm; border-bottom: 0.6mm solid #111; padding-bottom: 2mm; margin-bottom: 3mm; }
+  .pr-farm { font-size: 14pt; font-weight: 700; }
+  .pr-report { font-size: 11pt; font-weight: 700; text-align: right; }
+  .pr-muted { color: #555; }
+  .pr-body { flex: 1; overflow: hidden; }
+  .pr-footer { box-sizing: border-box; height: ${FOOTER_MM}mm; display: flex; justify-content: space-between; align-items: flex-end;
+    border-top: 0.3mm solid #999; font-size: 7.5pt; color: #555; }
+  .pr-title { box-sizing: border-box; height: ${TITLE_MM}mm; margin: 0; padding-bottom: 1mm; display: flex; align-items: flex-end;
+    font-size: 10.5pt; font-weight: 700; }
+  .pr-table { width: 100%; border-collapse: collapse; table-layout: fixed; }
+  .pr-table th { height: ${TABLE_HEAD_MM}mm; padding: 0 1.5mm; background: #e5e5e5; border: 0.2mm solid #999; font-weight: 600; }
+  .pr-table td { height: ${ROW_MM}mm; padding: 0 1.5mm; border: 0.2mm solid #bbb; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+  .pr-table tr.pr-total td { font-weight: 700; background: #f2f2f2; }
+  .pr-num { text-align: right; font-variant-numeric: tabular-nums; }
+  .pr-facts { box-sizing: border-box; height: ${FACTS_MM}mm; margin: 0; padding: 2mm 0; display: grid;
+    grid-template-columns: repeat(4, 1fr); gap: 1.5mm 4mm; align-content: start; }
+  .pr-facts dt { font-size: 7.5pt; color: #555; }
+  .pr-facts dd { margin: 0; font-weight: 600; }
+  .pr-chart { height: ${CHART_MM}mm; }
+  .pr-chart svg { display: block; width: 100%; height: ${CHART_MM - TITLE_MM}mm; }
+  .pr-empty { height: ${CHART_MM - TITLE_MM}mm; display: flex; align-items: center; justify-content: center; color: #555; border: 0.2mm dashed #bbb; }
+  .pr-notes { height: ${NOTES_MM}mm; }
+  .pr-notes div { height: 8mm; border-bottom: 0.2mm solid #999; }
+  .pr-signatures { box-sizing: border-box; height: ${SIGNATURES_MM}mm; padding-top: 12mm; display: flex; gap: 8mm; }
+  .pr-signatures div { flex: 1; border-top: 0.3mm solid #111; padding-top: 1mm; font-size: 8pt; }
+  @page { size: A4 portrait; margin: 12mm; }
+  @media print {
+    body.pou-printing { background: #fff !important; }
+    body.pou-printing > *:not(#pou-print-root) { display: none !important; }
+    body.pou-printing #pou-print-root { display: block; }
+    .pr-page { break-after: page; }
+    .pr-page:last-child { break-after: auto; }
+  }
+`;
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// ---------- Formatting ----------
+
+// "2026-01-07" → "07-01-2026", as the rest of PouCon shows dates
+function formatDate(iso) {
+  const [y, m, d] = String(iso || "").split("-");
+  return d ? `${d}-${m}-${y}` : "-";
+}
+
+function shortDate(iso) {
+  return formatDate(iso).slice(0, 5);
+}
+
+function num(value, decimals = 0) {
+  if (value === null || value === undefined || Number.isNaN(value)) return "-";
+  return Number(value).toLocaleString("en-US", { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+}
+
+function hours(seconds) {
+  return num(seconds / 3600, 1);
+}
+
+function sum(values) {
+  return values.reduce((a, b) => a + (b || 0), 0);
+}
+
+// Farm time, so a report printed on a laptop in another zone still matches the house
+function formatStamp(ms, timeZone) {
+  try {
+    const parts = new Intl.DateTimeFormat("en-GB", {
+      timeZone, hourCycle: "h23", year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit"
+    }).formatToParts(new Date(ms));
+    const get = (type) => parts.find((p) => p.type === type).value;
+    return `${get("day")}-${get("month")}-${get("year")} ${get("hour")}:${get("minute")}`;
+  } catch (_e) {
+    return new Date(ms).toLocaleString();
+  }
+}
+
+function farmToday(timeZone) {
+  try {
+    return new Intl.DateTimeFormat("en-CA", { timeZone }).format(new Date());
+  } catch (_e) {
+    return new Date().toISOString().slice(0, 10);
+  }
+}
+
+// ---------- Cache ----------
+
+function loadCache() {
+  try {
+    return JSON.parse(localStorage.getItem(CACHE_KEY)) || {};
+  } catch (_e) {
+    return {};
+  }
+}
+
+function saveCache(cache) {
+  const keep = Object.entries(cache)
+    .sort(([, a], [, b]) => b.fetchedAt - a.fetchedAt)
+    .slice(0, MAX_CACHED);
+  try {
+    localStorage.setItem(CACHE_KEY, JSON.stringify(Object.fromEntries(keep)));
+  } catch (_e) {
+    // Storage full or disabled - the report still prints from memory
+  }
+}
+
+// ---------- Charts ----------
+
+function niceTicks(min, max, count) {
+  const raw = (max - min) / count;
+  const magnitude = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 2.5, 5, 10].map((m) => m * magnitude).find((s) => s >= raw);
+  const ticks = [];
+  for (let v = Math.floor(min / step) * step; v < max + step * 0.999; v += step) {
+    ticks.push(Number(v.toFixed(6)));
+  }
+  return ticks;
+}
+
+// Runs of consecutive non-null points, so gaps in the data stay gaps
+function segments(values) {
+  const runs = [];
+  let run = [];
+  values.forEach((value, i) => {
+    if (value === null || value === undefined) {
+      if (run.length) runs.push(run);
+      run = [];
+    } else {
+      run.push(i);
+    }
+  });
+  if (run.length) runs.push(run);
+  return runs;
+}
+
+// series: [{label, kind: "line" | "bar", values: [n | null], band?: [[lo, hi] | null]}]
+function chartSvg(labels, series) {
+  const values = series
+    .flatMap((s) => [...s.values, ...(s.band || []).flat()])
+    .filter((v) => v !== null && v !== undefined);
+  if (values.length === 0) return `<div class="pr-empty">No data for this period</div>`;
+
+  const bars = series.filter((s) => s.kind === "bar");
+  let min = Math.min(...values);
+  let max = Math.max(...values);
+  if (bars.length) min = Math.min(0, min);
+  if (min === max) {
+    min -= 1;
+    max += 1;
+  }
+  const ticks = niceTicks(min, max, 5);
+  min = ticks[0];
+  max = ticks[ticks.length - 1];
+
+  const plotW = CHART_W - PAD.left - PAD.right;
+  const plotH = CHART_H - PAD.top - PAD.bottom;
+  const step = plotW / labels.length;
+  const x = (i) => PAD.left + step * (i + 0.5);
+  const y = (v) => PAD.top + plotH * (1 - (v - min) / (max - min));
+  const every = Math.ceil(labels.length / 16);
+
+  const grid = ticks.map((t) => `
+    <line x1="${PAD.left}" x2="${CHART_W - PAD.right}" y1="${y(t)}" y2="${y(t)}" stroke="#ddd" stroke-width="1" />
+    <text x="${PAD.left - 6}" y="${y(t) + 4}" text-anchor="end" font-size="11" fill="#555">${num(t, Number.isInteger(t) ? 0 : 1)}</text>`).join("");
+
+  const xLabels = labels.map((label, i) => (i % every === 0 ? `
+    <text x="${x(i)}" y="${CHART_H - PAD.bottom + 16}" text-anchor="middle" font-size="11" fill="#555">${escapeHtml(label)}</text>` : "")).join("");
+
+  const barWidth = (step * 0.7) / Math.max(bars.length, 1);
+  const drawn = series.map((s, index) => {
+    const style = STYLES[index % STYLES.length];
+
+    if (s.kind === "bar") {
+      const offset = bars.indexOf(s) * barWidth - (step * 0.7) / 2;
+      return s.values.map((v, i) => (v === null || v === undefined ? "" : `
+        <rect x="${x(i) + offset}" y="${Math.min(y(v), y(0))}" width="${Math.max(barWidth - 1, 1)}"
+          height="${Math.abs(y(0) - y(v))}" fill="${style.color}" fill-opacity="${0.85 - bars.indexOf(s) * 0.35}" />`)).join("");
+    }
+
+    const band = (s.band ? segments(s.band) : []).map((run) => {
+      const top = run.map((i) => `${x(i)},${y(s.band[i][1])}`);
+      const bottom = run.slice().reverse().map((i) => `${x(i)},${y(s.band[i][0])}`);
+      return `<polygon points="${[...top, ...bottom].join(" ")}" fill="${style.color}" fill-opacity="0.15" />`;
+    }).join("");
+
+    const lines = segments(s.values).map((run) => (run.length === 1
+      ? `<circle cx="${x(run[0])}" cy="${y(s.values[run[0]])}" r="2.5" fill="${style.color}" />`
+      : `<polyline points="${run.map((i) => `${x(i)},${y(s.values[i])}`).join(" ")}" fill="none"
+          stroke="${style.color}" stroke-width="2" stroke-dasharray="${style.dash}" />`)).join("");
+
+    return band + lines;
+  }).join("");
+
+  let legendX = CHART_W - PAD.right;
+  const legend = series.slice().reverse().map((s) => {
+    const style = STYLES[series.indexOf(s) % STYLES.length];
+    const width = s.label.length * 6.5 + 22;
+    legendX -= width;
+    const mark = s.kind === "bar"
+      ? `<rect x="${legendX}" y="6" width="14" height="9" fill="${style.color}" />`
+      : `<line x1="${legendX}" x2="${legendX + 14}" y1="11" y2="11" stroke="${style.color}" stroke-width="2" stroke-dasharray="${style.dash}" />`;
+    return `${mark}<text x="${legendX + 18}" y="15" font-size="11" fill="#333">${escapeHtml(s.label)}</text>`;
+  }).join("");
+
+  return `
+    <svg viewBox="0 0 ${CHART_W} ${CHART_H}" xmlns="http://www.w3.org/2000/svg" font-family="system-ui, sans-serif">
+      ${grid}
+      <line x1="${PAD.left}" x2="${CHART_W - PAD.right}" y1="${y(Math.max(min, 0))}" y2="${y(Math.max(min, 0))}" stroke="#999" stroke-width="1" />
+      ${drawn}
+      ${xLabels}
+      ${legend}
+    </svg>`;
+}
+
+// ---------- Blocks ----------
+// A block is {height, html}, placed whole, or {table}, split across pages
+
+function title(text) {
+  return `<h2 class="pr-title">${escapeHtml(text)}</h2>`;
+}
+
+function chartBlock(text, labels, series) {
+  return { height: CHART_MM, html: `<div class="pr-chart">${title(text)}${chartSvg(labels, series)}</div>` };
+}
+
+function factsBlock(facts) {
+  const items = facts.map(([label, value]) => `<div><dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd></div>`);
+  return { height: FACTS_MM, html: `<dl class="pr-facts">${items.join("")}</dl>` };
+}
+
+function notesBlock() {
+  return { height: NOTES_MM, html: `<div class="pr-notes">${title("Observations")}${"<div></div>".repeat(4)}</div>` };
+}
+
+// columns: [{label, num?, width?}], rows: [[cell]], total: [cell] | null
+function tableBlock(text, columns, rows, total = null) {
+  return { table: { title: text, columns, rows, total } };
+}
+
+function tableHtml(columns, rows) {
+  const head = columns.map((c) => `<th${c.width ? ` style="width:${c.width}"` : ""}>${escapeHtml(c.label)}</th>`).join("");
+  const body = rows.map((row) => `
+    <tr${row.total ? ` class="pr-total"` : ""}>
+      ${row.cells.map((cell, i) => `<td${columns[i].num ? ` class="pr-num"` : ""}>${escapeHtml(cell)}</td>`).join("")}
+    </tr>`).join("");
+  return `<table class="pr-table"><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+}
+
+function paginate(blocks) {
+  const pages = [[]];
+  let used = 0;
+
+  const newPage = () => {
+    pages.push([]);
+    used = 0;
+  };
+  const place = (height, html) => {
+    if (used > 0 && used + height > BODY_MM) newPage();
+    pages[pages.length - 1].push(html);
+    used += height;
+  };
+
+  blocks.forEach((block) => {
+    if (!block.table) return place(block.height, block.html);
+
+    const { title: text, columns, rows, total } = block.table;
+    const all = rows.map((cells) => ({ cells }));
+    if (all.length === 0) all.push({ cells: ["No data", ...columns.slice(1).map(() => "")] });
+    if (total) all.push({ cells: total, total: true });
+
+    let start = 0;
+    while (start < all.length) {
+      const fits = () => Math.floor((BODY_MM - used - TITLE_MM - TABLE_HEAD_MM) / ROW_MM);
+      if (used > 0 && fits() < Math.min(MIN_ROWS, all.length - start)) newPage();
+
+      const chunk = all.slice(start, start + Math.max(fits(), 1));
+      const heading = start === 0 ? text : `${text} (continued)`;
+      place(TITLE_MM + TABLE_HEAD_MM + chunk.length * ROW_MM, title(heading) + tableHtml(columns, chunk));
+      start += chunk.length;
+    }
+  });
+
+  return pages;
+}
+
+// ---------- Templates ----------
+
+function flockWeekly(data) {
+  const { flock, weeks, daily } = data;
+  const last = weeks[weeks.length - 1];
+  const days = sum(weeks.map((w) => w.days));
+  const deaths = sum(weeks.map((w) => w.deaths));
+  const eggs = sum(weeks.map((w) => w.egg_pcs));
+  const feed = sum(weeks.map((w) => w.feed_kg));
+  const birdDays = sum(weeks.map((w) => (w.days * (w.birds_start + w.birds_end)) / 2));
+  const avgYield = days ? sum(weeks.map((w) => w.yield * w.days)) / days : 0;
+  const mortality = flock.quantity ? (deaths / flock.quantity) * 100 : 0;
+
+  return {
+    subject: flock.name,
+    blocks: [
+      factsBlock([
+        ["Flock", flock.name],
+        ["Breed", flock.breed || "-"],
+        ["Date of birth", formatDate(flock.date_of_birth)],
+        ["Status", flock.active ? "Active" : "Closed"],
+        ["Birds placed", num(flock.quantity)],
+        ["Birds now", num(last ? last.birds_end : flock.quantity)],
+        ["Age", last ? `${last.age_weeks} weeks` : "-"],
+        ["Days logged", num(days)],
+        ["Total deaths", num(deaths)],
+        ["Mortality", `${num(mortality, 2)} %`],
+        ["Eggs (pcs)", num(eggs)],
+        ["Feed used", `${num(feed, 1)} kg`]
+      ]),
+      chartBlock("Daily yield (%)", daily.map(([date]) => shortDate(date)), [
+        { label: "Yield %", kind: "line", values: daily.map(([, yieldPct]) => yieldPct) }
+      ]),
+      chartBlock("Weekly mortality (%)", weeks.map((w) => `W${w.age_weeks}`), [
+        { label: "Mortality %", kind: "bar", values: weeks.map((w) => w.mortality) }
+      ]),
+      tableBlock("Weekly summary", [
+        { label: "Week", width: "9%" }, { label: "Dates", width: "19%" }, { label: "Days", num: true, width: "7%" },
+        { label: "Birds", num: true }, { label: "Deaths", num: true }, { label: "Mort. %", num: true },
+        { label: "Eggs (pcs)", num: true }, { label: "Yield %", num: true }, { label: "Feed (kg)", num: true },
+        { label: "g/bird/day", num: true }
+      ], weeks.map((w) => [
+        `W${w.age_weeks}`, `${shortDate(w.from_date)} – ${shortDate(w.to_date)}`, num(w.days), num(w.birds_end),
+        num(w.deaths), num(w.mortality, 2), num(w.egg_pcs), num(w.yield, 1), num(w.feed_kg, 1), num(w.feed_per_bird_g, 1)
+      ]), weeks.length ? [
+        "Total", `${shortDate(weeks[0].from_date)} – ${shortDate(last.to_date)}`, num(days), num(last.birds_end),
+        num(deaths), num(mortality, 2), num(eggs), num(avgYield, 1), num(feed, 1),
+        num(birdDays ? (feed * 1000) / birdDays : 0, 1)
+      ] : null)
+    ]
+  };
+}
+
+function environmentDaily(data) {
+  const { date, sensors, running } = data;
+  const labels = running.map((_r, hour) => String(hour).padStart(2, "0"));
+  const mid = (stats) => (stats ? stats[1] : null);
+
+  return {
+    subject: formatDate(date),
+    blocks: [
+      ...sensors.map((s) => chartBlock(`${s.title} (${s.unit || "-"}) by hour`, labels, [
+        { label: "Average", kind: "line", values: s.hours.map(mid), band: s.hours.map((h) => (h ? [h[0], h[2]] : null)) }
+      ])),
+      chartBlock("Fans and pumps running (average)", labels, [
+        { label: "Fans", kind: "bar", values: running.map((r) => r.fans) },
+        { label: "Pumps", kind: "bar", values: running.map((r) => r.pumps) }
+      ]),
+      tableBlock("Hourly readings (min / avg / max)", [
+        { label: "Hour", width: "9%" },
+        ...sensors.map((s) => ({ label: `${s.title} (${s.unit || "-"})`, num: true })),
+        { label: "Fans", num: true, width: "10%" },
+        { label: "Pumps", num: true, width: "10%" }
+      ], running.map((r, hour) => [
+        `${labels[hour]}:00`,
+        ...sensors.map((s) => (s.hours[hour] ? s.hours[hour].map((v) => num(v, 1)).join(" / ") : "-")),
+        num(r.fans, 1),
+        num(r.pumps, 1)
+      ])),
+      notesBlock()
+    ]
+  };
+}
+
+function equipmentRuntime(data) {
+  const { from_date, to_date, dates, equipment } = data;
+  const windowSeconds = dates.length * 86400;
+  const busiest = equipment
+    .filter((e) => e.runtime_seconds > 0)
+    .sort((a, b) => b.runtime_seconds - a.runtime_seconds)
+    .slice(0, 24);
+
+  // Day columns in groups that fit the page width
+  const dayTables = [];
+  for (let i = 0; i < dates.length; i += 10) {
+    const group = dates.slice(i, i + 10);
+    dayTables.push(tableBlock(`Runtime by day (h), ${formatDate(group[0])} – ${formatDate(group[group.length - 1])}`, [
+      { label: "Equipment", width: "22%" },
+      ...group.map((d) => ({ label: shortDate(d), num: true }))
+    ], equipment.map((e) => [e.title, ...group.map((_d, j) => hours(e.daily[i + j]))])));
+  }
+
+  return {
+    subject: `${formatDate(from_date)} – ${formatDate(to_date)}`,
+    blocks: [
+      chartBlock("Runtime (h), busiest equipment", busiest.map((e) => e.title.slice(0, 10)), [
+        { label: "Auto", kind: "bar", values: busiest.map((e) => (e.runtime_seconds - e.manual_seconds) / 3600) },
+        { label: "Manual", kind: "bar", values: busiest.map((e) => e.manual_seconds / 3600) }
+      ]),
+      tableBlock("Runtime summary", [
+        { label: "Equipment", width: "24%" }, { label: "Type", width: "14%" }, { label: "Runtime (h)", num: true },
+        { label: "Manual (h)", num: true }, { label: "Duty %", num: true }, { label: "Starts", num: true },
+        { label: "Errors", num: true }
+      ], equipment.map((e) => [
+        e.title, e.type || "-", hours(e.runtime_seconds), hours(e.manual_seconds),
+        num((e.runtime_seconds / windowSeconds) * 100, 1), num(e.starts), num(e.errors)
+      ]), [
+        "Total", `${equipment.length} items`, hours(sum(equipment.map((e) => e.runtime_seconds))),
+        hours(sum(equipment.map((e) => e.manual_seconds))), "", num(sum(equipment.map((e) => e.starts))),
+        num(sum(equipment.map((e) => e.errors)))
+      ]),
+      ...dayTables
+    ]
+  };
+}
+
+const BUILDERS = {
+  flock_weekly: flockWeekly,
+  environment_daily: environmentDaily,
+  equipment_runtime: equipmentRuntime
+};
+
+const PrintReport = {
+  mounted() {
+    if (!document.getElementById("pou-print-style")) {
+      const style = document.createElement("style");
+      style.id = "pou-print-style";
+      style.textContent = PRINT_CSS;
+      document.head.appendChild(style);
+    }
+
+    const timeZone = this.el.dataset.timezone || "UTC";
+    this.flocks = JSON.parse(this.el.dataset.flocks || "[]");
+    const flock = this.flocks.find((f) => String(f.id) === this.el.dataset.flock) ||
+      this.flocks.find((f) => f.active) || this.flocks[0];
+
+    this.open = false;
+    this.loading = false;
+    this.error = null;
+    this.report = null;
+    this.template = TEMPLATES[this.el.dataset.template] ? this.el.dataset.template : null;
+    this.params = {
+      flock_id: flock ? String(flock.id) : "",
+      date: farmToday(timeZone),
+      days: "7"
+    };
+
+    this.onToggle = () => {
+      this.open = !this.open;
+      if (this.open && !this.template) this.template = this.defaultTemplate();
+      this.render();
+      if (this.open) this.load();
+    };
+    window.addEventListener("pou:print-report", this.onToggle);
+
+    this.el.addEventListener("click", (e) => this.onClick(e));
+    this.el.addEventListener("change", (e) => this.onChange(e));
+
+    if (this.template) this.onToggle();
+  },
+
+  destroyed() {
+    window.removeEventListener("pou:print-report", this.onToggle);
+  },
+
+  // The report that fits the tab being looked at
+  defaultTemplate() {
+    switch (this.el.dataset.view) {
+      case "environment": return "environment_daily";
+      case "efficiency":
+      case "events": return "equipment_runtime";
+      default: return "flock_weekly";
+    }
+  },
+
+  // ---------- Loading ----------
+
+  requestParams() {
+    switch (this.template) {
+      case "flock_weekly": return { flock_id: this.params.flock_id };
+      case "environment_daily": return { date: this.params.date };
+      default: return { days: this.params.days };
+    }
+  },
+
+  cacheKey() {
+    return `${this.template}:${JSON.stringify(this.requestParams())}`;
+  },
+
+  fromCache(reason) {
+    const cached = loadCache()[this.cacheKey()];
+    if (cached) {
+      this.report = { template: this.template, data: cached.data, fetchedAt: cached.fetchedAt, stale: true };
+      this.error = null;
+    } else {
+      this.report = null;
+      this.error = `${reason} This report has not been loaded on this device before.`;
+    }
+  },
+
+  load() {
+    const template = this.template;
+    const key = this.cacheKey();
+
+    if (!this.liveSocket.isConnected()) {
+      this.fromCache("Not connected to the controller.");
+      return this.render();
+    }
+
+    this.loading = true;
+    this.error = null;
+    this.render();
+
+    const timer = setTimeout(() => {
+      if (this.cacheKey() !== key) return;
+      this.loading = false;
+      this.fromCache("The controller did not answer.");
+      this.render();
+    }, REPLY_TIMEOUT_MS);
+
+    this.pushEvent("print:data", { template, ...this.requestParams() }, ({ ok, data, message }) => {
+      clearTimeout(timer);
+      if (this.cacheKey() !== key) return;
+      this.loading = false;
+
+      if (ok) {
+        const fetchedAt = Date.now();
+        this.report = { template, data, fetchedAt, stale: false };
+        const cache = loadCache();
+        cache[key] = { data, fetchedAt };
+        saveCache(cache);
+      } else {
+        this.report = null;
+        this.error = message;
+      }
+      this.render();
+    });
+  },
+
+  // ---------- Controls ----------
+
+  onChange(e) {
+    const field = e.target.dataset.printField;
+    if (!field) return;
+
+    if (field === "farm") {
+      localStorage.setItem(FARM_KEY, e.target.value.trim());
+      return this.render();
+    }
+
+    if (field === "template") {
+      this.template = e.target.value;
+    } else {
+      this.params[field] = e.target.value;
+    }
+    this.load();
+  },
+
+  onClick(e) {
+    const button = e.target.closest("[data-print-action]");
+    if (!button) return;
+
+    switch (button.dataset.printAction) {
+      case "print": return this.print();
+      case "reload": return this.load();
+      case "close":
+        this.open = false;
+        return this.render();
+    }
+  },
+
+  // ---------- Printing ----------
+
+  print() {
+    const pages = this.el.querySelector("[data-print-pages]");
+    if (!pages || !this.report) return;
+
+    const root = document.createElement("div");
+    root.id = "pou-print-root";
+    root.innerHTML = pages.innerHTML;
+    document.body.appendChild(root);
+    document.body.classList.add("pou-printing");
+
+    // Becomes the suggested file name for "Save as PDF"
+    const previousTitle = document.title;
+    document.title = `${TEMPLATES[this.report.template].title} ${this.subject}`;
+
+    const cleanup = () => {
+      window.removeEventListener("afterprint", cleanup);
+      document.title = previousTitle;
+      document.body.classList.remove("pou-printing");
+      root.remove();
+    };
+    window.addEventListener("afterprint", cleanup);
+    window.print();
+  },
+
+  // ---------- Drawing ----------
+
+  pagesHtml() {
+    const { template, data, fetchedAt, stale } = this.report;
+    const { subject, blocks } = BUILDERS[template](data);
+    const signatures = TEMPLATES[template].signatures.map((label) => `<div>${escapeHtml(label)}<br />Name, signature, date</div>`);
+    const pages = paginate([...blocks, { height: SIGNATURES_MM, html: `<div class="pr-signatures">${signatures.join("")}</div>` }]);
+
+    this.subject = subject;
+    const timeZone = this.el.dataset.timezone || "UTC";
+    const house = this.el.dataset.houseId || "";
+    const farm = localStorage.getItem(FARM_KEY) || (house ? `House ${house}` : "PouCon");
+    const dataNote = `${stale ? "Saved copy, data read" : "Data read"} ${formatStamp(fetchedAt, timeZone)} (${timeZone})`;
+
+    return pages.map((body, i) => `
+      <section class="pr-page">
+        <header class="pr-header">
+          <div>
+            <div class="pr-farm">${escapeHtml(farm)}</div>
+            <div class="pr-muted">${house ? `House ${escapeHtml(house)}` : ""}</div>
+          </div>
+          <div>
+            <div class="pr-report">${escapeHtml(TEMPLATES[template].title)}</div>
+            <div class="pr-muted" style="text-align: right">${escapeHtml(subject)}</div>
+          </div>
+        </header>
+        <div class="pr-body">${body.join("")}</div>
+        <footer class="pr-footer">
+          <span>${escapeHtml(dataNote)} · Printed ${formatStamp(Date.now(), timeZone)}</span>
+          <span>Page ${i + 1} of ${pages.length}</span>
+        </footer>
+      </section>`).join("");
+  },
+
+  paramControl() {
+    switch (this.template) {
+      case "flock_weekly":
+        return `
+          <select data-print-field="flock_id" class="select select-sm select-bordered">
+            ${this.flocks.map((f) => `<option value="${f.id}" ${String(f.id) === this.params.flock_id ? "selected" : ""}>
+              ${escapeHtml(f.name)}${f.active ? " (active)" : ""}</option>`).join("")}
+          </select>`;
+      case "environment_daily":
+        return `<input type="date" data-print-field="date" value="${escapeHtml(this.params.date)}" class="input input-sm input-bordered" />`;
+      default:
+        return `
+          <select data-print-field="days" class="select select-sm select-bordered">
+            ${[1, 7, 14, 31].map((d) => `<option value="${d}" ${String(d) === this.params.days ? "selected" : ""}>
+              ${d === 1 ? "Today" : `Last ${d} days`}</option>`).join("")}
+          </select>`;
+    }
+  },
+
+  render() {
+    if (!this.open) {
+      this.el.innerHTML = "";
+      return;
+    }
+
+    let preview;
+    if (this.loading) {
+      preview = `<p class="text-center text-base-content/70 py-12">Loading report data…</p>`;
+    } else if (this.error) {
+      preview = `<p class="text-center text-error py-12">${escapeHtml(this.error)}</p>`;
+    } else if (this.report && this.report.template === this.template) {
+      preview = `<div data-print-pages class="pr-preview">${this.pagesHtml()}</div>`;
+    } else {
+      preview = "";
+    }
+
+    const stale = this.report && this.report.stale && !this.loading && !this.error ? `
+      <span class="badge badge-warning badge-sm">Offline copy</span>` : "";
+
+    this.el.innerHTML = `
+      <div class="fixed inset-0 z-50 flex flex-col bg-base-300/95">
+        <div class="flex flex-wrap items-center gap-2 p-3 bg-base-100 border-b border-base-300 text-sm">
+          <h3 class="font-bold mr-2">Print Report</h3>
+          <select data-print-field="template" class="select select-sm select-bordered">
+            ${Object.entries(TEMPLATES).map(([name, t]) => `<option value="${name}" ${name === this.template ? "selected" : ""}>${t.title}</option>`).join("")}
+          </select>
+          ${this.paramControl()}
+          <input type="text" data-print-field="farm" value="${escapeHtml(localStorage.getItem(FARM_KEY) || "")}"
+            placeholder="Farm name on the header" class="input input-sm input-bordered w-52" />
+          ${stale}
+          <div class="ml-auto flex items-center gap-2">
+            <button type="button" data-print-action="reload" class="btn btn-sm btn-ghost">Reload</button>
+            <button type="button" data-print-action="print" class="btn btn-sm btn-primary" ${preview.includes("data-print-pages") ? "" : "disabled"}>Print / Save PDF</button>
+            <button type="button" data-print-action="close" class="btn btn-sm btn-ghost">✕</button>
+          </div>
+        </div>
+        <div class="flex-1 overflow-auto p-4">${preview}</div>
+      </div>`;
+  }
+};
+
+export default PrintReport;
@@ -0,0 +1,640 @@
+// ============================================
+// RegisterWatch Hook
+// ============================================
+// Watch panel on the Raw Data Viewer (PouConWeb.Live.Admin.RawViewer.Index).
+// Pinned addresses are polled with pushEvent "watch_read" {items}; the reply
+// {results: [{id, values} | {id, error}]} is kept here: the last values, a
+// sparkline history and a change log that can be downloaded as CSV. Pins and
+// the interval are remembered in this browser.
+//
+// Kinds follow the Read form: Modbus coil / input (bits), holding /
+// input_register (16-bit words); S7 inputs / outputs / markers / db (bytes).
+// Every pin shows decimal, hex and a bit grid, and int32 / float32 once it
+// spans two words, with an optional word swap for low-word-first devices.
+// Bits that changed in the last few seconds are highlighted.
+//
+// Writes go through "watch_write" {port, kind, slave_id, db, address, value}.
+// If the address belongs to a configured data point the server replies
+// {ok: false, mapped: [names]} and the write is only repeated with
+// confirmed: true after the user agrees.
+
+import { buildCsv } from "../xlsx";
+
+const STORAGE_KEY = "pou_con_raw_watch";
+const MAX_PINS = 8;
+const HISTORY = 60;
+const MAX_LOG = 500;
+const CHANGE_HIGHLIGHT_MS = 3000;
+const REPLY_TIMEOUT_MS = 15000;
+const INTERVALS = [500, 1000, 2000, 5000, 10000];
+
+const MODBUS_KINDS = [
+  ["coil", "Coils (FC01)"],
+  ["input", "Discrete inputs (FC02)"],
+  ["holding", "Holding registers (FC03)"],
+  ["input_register", "Input registers (FC04)"]
+];
+const S7_KINDS = [
+  ["inputs", "Inputs (%I)"],
+  ["outputs", "Outputs (%Q)"],
+  ["markers", "Markers (%M)"],
+  ["db", "Data block (DB)"]
+];
+const SHORT_KIND = {
+  coil: "Coil", input: "DI", holding: "HR", input_register: "IR",
+  inputs: "%I", outputs: "%Q", markers: "%M", db: "DB"
+};
+const BIT_KINDS = ["coil", "input"];
+const WRITABLE = ["coil", "holding", "outputs", "markers", "db"];
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function hex(value, digits) {
+  return "0x" + value.toString(16).toUpperCase().padStart(digits, "0");
+}
+
+function parseAddress(text) {
+  const value = String(text).trim();
+  const n = /^0x/i.test(value) ? parseInt(value.slice(2), 16) : parseInt(value, 10);
+  return Number.isInteger(n) && n >= 0 ? n : null;
+}
+
+function timestamp() {
+  const d = new Date();
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}-${pad(d.getHours())}${pad(d.getMinutes())}`;
+}
+
+function download(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ---------- Decoding ----------
+
+// 16-bit words from a reply: registers as they are, S7 bytes paired big-endian
+function toWords(pin, values) {
+  if (!values || BIT_KINDS.includes(pin.kind)) return [];
+  if (pin.protocol !== "s7") return values;
+
+  const words = [];
+  for (let i = 0; i + 1 < values.length; i += 2) words.push((values[i] << 8) | values[i + 1]);
+  return words;
+}
+
+function decode32(words, swap) {
+  if (words.length < 2) return null;
+  const [hi, lo] = swap ? [words[1], words[0]] : [words[0], words[1]];
+  const view = new DataView(new ArrayBuffer(4));
+  view.setUint16(0, hi);
+  view.setUint16(2, lo);
+  return { uint: view.getUint32(0), int: view.getInt32(0), float: view.getFloat32(0) };
+}
+
+// Flat bit list with labels, in the order they are drawn
+function toBits(pin, values) {
+  if (!values) return [];
+
+  if (BIT_KINDS.includes(pin.kind)) {
+    return values.map((bit, i) => ({ label: String(pin.address + i), value: bit }));
+  }
+
+  // Registers or S7 bytes, one row each, most significant bit first
+  const width = pin.protocol === "s7" ? 8 : 16;
+  return values.flatMap((unit, i) =>
+    Array.from({ length: width }, (_, k) => {
+      const bit = width - 1 - k;
+      return { label: `${pin.address + i}.${bit}`, value: (unit >> bit) & 1 };
+    }));
+}
+
+// One number per sample, for the sparkline and the change log
+function primaryValue(pin, values) {
+  if (!values) return null;
+  if (BIT_KINDS.includes(pin.kind)) return values.reduce((acc, bit, i) => acc + bit * 2 ** i, 0);
+
+  const words = toWords(pin, values);
+  const wide = decode32(words, pin.swap);
+  if (wide) return pin.format === "float" ? wide.float : wide.int;
+  if (words.length === 1) return words[0];
+  return values[0];
+}
+
+function formatValue(pin, value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "number" && !Number.isInteger(value)) return value.toPrecision(7);
+  return String(value);
+}
+
+const RegisterWatch = {
+  mounted() {
+    this.ports = JSON.parse(this.el.dataset.ports || "[]");
+    this.pins = [];
+    this.interval = 1000;
+    this.running = true;
+    this.log = [];
+    this.inFlight = null;
+    this.timer = null;
+    this.load();
+
+    this.el.addEventListener("click", (e) => this.onClick(e));
+    this.el.addEventListener("change", (e) => this.onChange(e));
+
+    this.render();
+    this.schedule();
+  },
+
+  destroyed() {
+    clearTimeout(this.timer);
+  },
+
+  reconnected() {
+    this.inFlight = null;
+    this.schedule();
+  },
+
+  // ---------- Persistence ----------
+
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+      this.interval = INTERVALS.includes(saved.interval) ? saved.interval : 1000;
+      this.pins = (saved.pins || [])
+        .filter((pin) => this.ports.some((port) => port.path === pin.port))
+        .slice(0, MAX_PINS)
+        .map((pin) => this.freshPin(pin));
+    } catch (_e) {
+      this.pins = [];
+    }
+  },
+
+  save() {
+    const pins = this.pins.map(({ id, port, protocol, kind, slave_id, db, address, count, swap, format }) =>
+      ({ id, port, protocol, kind, slave_id, db, address, count, swap, format }));
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ interval: this.interval, pins }));
+  },
+
+  freshPin(pin) {
+    return { swap: false, format: "int", ...pin, values: null, error: null, history: [], changedAt: [] };
+  },
+
+  label(pin) {
+    const where = pin.protocol === "s7"
+      ? `${SHORT_KIND[pin.kind]}${pin.kind === "db" ? `${pin.db}.DBB` : ""} ${pin.address}`
+      : `slave ${pin.slave_id} · ${SHORT_KIND[pin.kind]} ${pin.address}`;
+    return `${pin.port} · ${where}`;
+  },
+
+  // ---------- Polling ----------
+
+  schedule() {
+    clearTimeout(this.timer);
+    if (!this.running) return;
+    this.timer = setTimeout(() => this.poll(), this.interval);
+  },
+
+  poll() {
+    if (!this.running) return;
+    if (this.pins.length === 0 || (this.inFlight && Date.now() - this.inFlight < REPLY_TIMEOUT_MS)) {
+      return this.schedule();
+    }
+
+    this.inFlight = Date.now();
+    const items = this.pins.map(({ id, port, kind, slave_id, db, address, count }) =>
+      ({ id, port, kind, slave_id, db, address, count }));
+
+    this.pushEvent("watch_read", { items }, ({ results }) => {
+      this.inFlight = null;
+      results.forEach((result) => this.record(result));
+      this.renderData();
+      this.schedule();
+    });
+  },
+
+  record({ id, values, error }) {
+    const pin = this.pins.find((p) => p.id === id);
+    if (!pin) return;
+
+    pin.error = error || null;
+    if (!values) return;
+
+    const now = Date.now();
+    const before = toBits(pin, pin.values);
+    const after = toBits(pin, values);
+    const changed = [];
+
+    after.forEach((bit, i) => {
+      if (pin.values && before[i] && before[i].value !== bit.value) {
+        pin.changedAt[i] = now;
+        changed.push(bit);
+      }
+    });
+
+    const previous = primaryValue(pin, pin.values);
+    const current = primaryValue(pin, values);
+    if (pin.values && (changed.length > 0 || previous !== current)) {
+      this.log.unshift({
+        time: new Date(now),
+        pin: this.label(pin),
+        from: formatValue(pin, previous),
+        to: formatValue(pin, current),
+        bits: changed.map((bit) => `${bit.label}→${bit.value}`).join(" ")
+      });
+      this.log.length = Math.min(this.log.length, MAX_LOG);
+    }
+
+    pin.values = values;
+    pin.history.push(current);
+    if (pin.history.length > HISTORY) pin.history.shift();
+  },
+
+  // ---------- Drawing ----------
+
+  render() {
+    // Keep what the user is typing in the add form across redraws
+    const form = this.el.querySelector("[data-watch-form]");
+    const draft = form ? this.readForm(form) : null;
+
+    this.el.innerHTML = `
+      ${this.toolbarHtml()}
+      ${this.formHtml(draft)}
+      <div data-watch-pins></div>
+      <div data-watch-log></div>`;
+    this.renderData();
+  },
+
+  // Polls only redraw the pins and the log, never the add form being typed in
+  renderData() {
+    this.el.querySelector("[data-watch-pins]").innerHTML = this.pins.length === 0
+      ? `<p class="mt-3 text-sm text-base-content/60">Nothing pinned yet.</p>`
+      : `<div class="grid gap-3 mt-3 md:grid-cols-2">${this.pins.map((pin) => this.pinHtml(pin)).join("")}</div>`;
+    this.el.querySelector("[data-watch-log]").innerHTML = this.logHtml();
+  },
+
+  toolbarHtml() {
+    return `
+      <div class="flex flex-wrap items-center gap-2">
+        <button type="button" data-watch-action="toggle" class="btn btn-sm ${this.running ? "btn-warning" : "btn-success"}">
+          ${this.running ? "Pause" : "Resume"}
+        </button>
+        <label class="text-sm">Every</label>
+        <select data-watch-interval class="select select-sm select-bordered">
+          ${INTERVALS.map((ms) => `
+            <option value="${ms}" ${ms === this.interval ? "selected" : ""}>${ms < 1000 ? `${ms} ms` : `${ms / 1000} s`}</option>`).join("")}
+        </select>
+        <span class="text-sm text-base-content/60">${this.pins.length}/${MAX_PINS} pinned</span>
+      </div>`;
+  },
+
+  formHtml(draft) {
+    if (this.ports.length === 0) {
+      return `<p class="mt-3 text-sm text-base-content/60">No Modbus or S7 ports configured.</p>`;
+    }
+
+    const d = draft || { port: this.ports[0].path, slave_id: 1, db: 1, address: "0", count: "" };
+    const port = this.ports.find((p) => p.path === d.port) || this.ports[0];
+    const s7 = port.protocol === "s7";
+    const kinds = s7 ? S7_KINDS : MODBUS_KINDS;
+    const kind = kinds.some(([value]) => value === d.kind) ? d.kind : kinds[s7 ? 0 : 2][0];
+    const sizes = this.sizeOptions(s7, kind);
+    const count = sizes.some(([value]) => String(value) === String(d.count)) ? String(d.count) : String(sizes[0][0]);
+
+    return `
+      <div data-watch-form class="mt-3 flex flex-wrap items-end gap-2">
+        <label class="flex flex-col text-xs">Port
+          <select data-field="port" class="select select-sm select-bordered">
+            ${this.ports.map((p) => `
+              <option value="${escapeHtml(p.path)}" ${p.path === port.path ? "selected" : ""}>${escapeHtml(p.path)}</option>`).join("")}
+          </select>
+        </label>
+        <label class="flex flex-col text-xs">Area
+          <select data-field="kind" class="select select-sm select-bordered">
+            ${kinds.map(([value, text]) => `<option value="${value}" ${value === kind ? "selected" : ""}>${text}</option>`).join("")}
+          </select>
+        </label>
+        ${s7 ? "" : `
+          <label class="flex flex-col text-xs">Slave
+            <input data-field="slave_id" type="number" min="1" max="247" value="${escapeHtml(d.slave_id)}" class="input input-sm input-bordered w-20" />
+          </label>`}
+        ${s7 && kind === "db" ? `
+          <label class="flex flex-col text-xs">DB
+            <input data-field="db" type="number" min="1" value="${escapeHtml(d.db)}" class="input input-sm input-bordered w-20" />
+          </label>` : ""}
+        <label class="flex flex-col text-xs">Address
+          <input data-field="address" type="text" value="${escapeHtml(d.address)}" placeholder="40 or 0x28" class="input input-sm input-bordered w-28" />
+        </label>
+        <label class="flex flex-col text-xs">Size
+          <select data-field="count" class="select select-sm select-bordered">
+            ${sizes.map(([value, text]) => `<option value="${value}" ${String(value) === count ? "selected" : ""}>${text}</option>`).join("")}
+          </select>
+        </label>
+        <button type="button" data-watch-action="pin" class="btn btn-sm btn-primary" ${this.pins.length >= MAX_PINS ? "disabled" : ""}>Pin</button>
+        <span data-watch-form-error class="text-sm text-error"></span>
+      </div>`;
+  },
+
+  sizeOptions(s7, kind) {
+    if (BIT_KINDS.includes(kind)) return [[8, "8 bits"], [16, "16 bits"], [1, "1 bit"]];
+    if (s7) return [[1, "Byte"], [2, "Word"], [4, "Double word"]];
+    return [[1, "16-bit"], [2, "32-bit"]];
+  },
+
+  readForm(form) {
+    const value = (name) => {
+      const input = form.querySelector(`[data-field="${name}"]`);
+      return input ? input.value : undefined;
+    };
+    return {
+      port: value("port"),
+      kind: value("kind"),
+      slave_id: value("slave_id") ?? 1,
+      db: value("db") ?? 1,
+      address: value("address") ?? "0",
+      count: value("count")
+    };
+  },
+
+  pinHtml(pin) {
+    const words = toWords(pin, pin.values);
+    const wide = decode32(words, pin.swap);
+    const writable = WRITABLE.includes(pin.kind);
+
+    let body = `<p class="text-sm text-base-content/60">Waiting for the first read…</p>`;
+    if (pin.values) {
+      const units = BIT_KINDS.includes(pin.kind) ? [] : (pin.protocol === "s7" ? pin.values : words);
+      const digits = pin.protocol === "s7" ? 2 : 4;
+
+      body = `
+        ${units.length > 0 ? `
+          <table class="table table-xs w-full font-mono">
+            <tbody>
+              ${units.map((unit, i) => `
+                <tr>
+                  <td class="text-base-content/60">${pin.address + i}</td>
+                  <td>${unit}</td>
+                  <td>${unit > (digits === 2 ? 127 : 32767) ? unit - (digits === 2 ? 256 : 65536) : unit}</td>
+                  <td>${hex(unit, digits)}</td>
+                </tr>`).join("")}
+            </tbody>
+          </table>` : ""}
+        ${wide ? `
+          <div class="mt-1 flex flex-wrap items-center gap-x-4 gap-y-1 font-mono text-sm">
+            <span>int32 <strong>${wide.int}</strong></span>
+            <span>uint32 ${wide.uint}</span>
+            <span>float32 <strong>${Number.isFinite(wide.float) ? wide.float.toPrecision(7) : "NaN"}</strong></span>
+            <label class="flex items-center gap-1 font-sans text-xs">
+              <input type="checkbox" data-pin-swap="${pin.id}" class="checkbox checkbox-xs" ${pin.swap ? "checked" : ""} />
+              Word swap
+            </label>
+            <select data-pin-format="${pin.id}" class="select select-xs select-bordered font-sans">
+              <option value="int" ${pin.format === "int" ? "selected" : ""}>Plot int32</option>
+              <option value="float" ${pin.format === "float" ? "selected" : ""}>Plot float32</option>
+            </select>
+          </div>` : ""}
+        ${this.bitGridHtml(pin)}
+        ${this.sparklineHtml(pin)}`;
+    }
+
+    return `
+      <div class="rounded-lg border ${pin.error ? "border-error" : "border-base-300"} p-2">
+        <div class="flex items-center gap-2">
+          <span class="font-mono text-sm font-semibold truncate">${escapeHtml(this.label(pin))}</span>
+          <span class="ml-auto"></span>
+          ${writable ? `<button type="button" data-pin-write="${pin.id}" class="btn btn-xs btn-outline btn-warning">Write</button>` : ""}
+          <button type="button" data-pin-remove="${pin.id}" class="btn btn-xs btn-ghost" aria-label="Unpin">✕</button>
+        </div>
+        ${pin.error ? `<p class="text-sm text-error">${escapeHtml(pin.error)}</p>` : ""}
+        ${body}
+      </div>`;
+  },
+
+  bitGridHtml(pin) {
+    const bits = toBits(pin, pin.values);
+    const now = Date.now();
+    const tappable = pin.kind === "coil";
+
+    return `
+      <div class="mt-2 grid grid-cols-8 gap-0.5">
+        ${bits.map((bit, i) => {
+          const recent = pin.changedAt[i] && now - pin.changedAt[i] < CHANGE_HIGHLIGHT_MS;
+          const tag = tappable ? "button" : "div";
+          return `
+            <${tag} ${tappable ? `type="button" data-bit-write="${pin.id}" data-bit-index="${i}"` : ""}
+              title="${escapeHtml(bit.label)}"
+              class="flex flex-col items-center rounded px-0.5 py-0.5 font-mono text-[10px] leading-tight
+                ${bit.value ? "bg-success text-success-content" : "bg-base-300 text-base-content/70"}
+                ${recent ? "ring-2 ring-warning" : ""}">
+              <span>${escapeHtml(bit.label)}</span>
+              <span class="text-xs font-bold">${bit.value}</span>
+            </${tag}>`;
+        }).join("")}
+      </div>`;
+  },
+
+  sparklineHtml(pin) {
+    const points = pin.history.filter((v) => typeof v === "number" && Number.isFinite(v));
+    if (points.length < 2) return "";
+
+    const min = Math.min(...points);
+    const max = Math.max(...points);
+    const span = max - min || 1;
+    const step = 200 / (HISTORY - 1);
+    const offset = HISTORY - points.length;
+    const path = points
+      .map((v, i) => `${((offset + i) * step).toFixed(1)},${(28 - ((v - min) / span) * 24).toFixed(1)}`)
+      .join(" ");
+
+    return `
+      <div class="mt-2 flex items-center gap-2">
+        <svg viewBox="0 0 200 30" preserveAspectRatio="none" class="h-8 flex-1">
+          <polyline points="${path}" fill="none" class="stroke-primary" stroke-width="1.5" />
+        </svg>
+        <span class="font-mono text-xs text-base-content/60">${formatValue(pin, min)}…${formatValue(pin, max)}</span>
+      </div>`;
+  },
+
+  logHtml() {
+    return `
+      <div class="mt-4">
+        <div class="flex items-center gap-2">
+          <h4 class="font-semibold">Change log</h4>
+          <span class="text-sm text-base-content/60">${this.log.length} changes this session</span>
+          <button type="button" data-watch-action="export" class="btn btn-xs ml-auto" ${this.log.length === 0 ? "disabled" : ""}>Export CSV</button>
+          <button type="button" data-watch-action="clear-log" class="btn btn-xs btn-ghost" ${this.log.length === 0 ? "disabled" : ""}>Clear</button>
+        </div>
+        <div class="mt-1 max-h-60 overflow-y-auto">
+          <table class="table table-xs w-full font-mono">
+            <tbody>
+              ${this.log.slice(0, 100).map((entry) => `
+                <tr>
+                  <td class="whitespace-nowrap text-base-content/60">${entry.time.toLocaleTimeString()}</td>
+                  <td>${escapeHtml(entry.pin)}</td>
+                  <td class="whitespace-nowrap">${escapeHtml(entry.from)} → ${escapeHtml(entry.to)}</td>
+                  <td>${escapeHtml(entry.bits)}</td>
+                </tr>`).join("")}
+            </tbody>
+          </table>
+        </div>
+      </div>`;
+  },
+
+  // ---------- Actions ----------
+
+  onChange(e) {
+    if (e.target.matches("[data-watch-interval]")) {
+      this.interval = Number(e.target.value);
+      this.save();
+      this.schedule();
+      return;
+    }
+
+    const swap = e.target.closest("[data-pin-swap]");
+    if (swap) return this.updatePin(swap.dataset.pinSwap, { swap: swap.checked });
+
+    const format = e.target.closest("[data-pin-format]");
+    if (format) return this.updatePin(format.dataset.pinFormat, { format: format.value });
+
+    // Port or area changed: redraw the form for that protocol
+    if (e.target.closest("[data-watch-form]") && ["port", "kind"].includes(e.target.dataset.field)) {
+      this.render();
+    }
+  },
+
+  onClick(e) {
+    const action = e.target.closest("[data-watch-action]");
+    if (action) {
+      switch (action.dataset.watchAction) {
+        case "toggle":
+          this.running = !this.running;
+          this.render();
+          return this.schedule();
+        case "pin":
+          return this.addPin();
+        case "export":
+          return this.exportLog();
+        case "clear-log":
+          this.log = [];
+          return this.renderData();
+      }
+    }
+
+    const remove = e.target.closest("[data-pin-remove]");
+    if (remove) {
+      this.pins = this.pins.filter((pin) => pin.id !== remove.dataset.pinRemove);
+      this.save();
+      return this.render();
+    }
+
+    const write = e.target.closest("[data-pin-write]");
+    if (write) return this.promptWrite(this.pins.find((pin) => pin.id === write.dataset.pinWrite));
+
+    const bit = e.target.closest("[data-bit-write]");
+    if (bit) {
+      const pin = this.pins.find((p) => p.id === bit.dataset.bitWrite);
+      const index = Number(bit.dataset.bitIndex);
+      if (pin && pin.values) this.write(pin, pin.address + index, pin.values[index] ? 0 : 1);
+    }
+  },
+
+  updatePin(id, changes) {
+    const pin = this.pins.find((p) => p.id === id);
+    if (!pin) return;
+
+    Object.assign(pin, changes);
+    // The plotted number changed meaning - start the sparkline again
+    pin.history = [];
+    this.save();
+    this.renderData();
+  },
+
+  addPin() {
+    const form = this.el.querySelector("[data-watch-form]");
+    const draft = this.readForm(form);
+    const port = this.ports.find((p) => p.path === draft.port);
+    const address = parseAddress(draft.address);
+    const error = form.querySelector("[data-watch-form-error]");
+
+    if (!port || address === null) {
+      error.textContent = "Enter an address as a number or 0x hex";
+      return;
+    }
+    if (this.pins.length >= MAX_PINS) return;
+
+    this.pins.push(this.freshPin({
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+      port: port.path,
+      protocol: port.protocol,
+      kind: draft.kind,
+      slave_id: Number(draft.slave_id) || 1,
+      db: Number(draft.db) || 1,
+      address,
+      count: Number(draft.count) || 1
+    }));
+    this.save();
+    this.render();
+    this.poll();
+  },
+
+  promptWrite(pin) {
+    if (!pin) return;
+    const byte = pin.protocol === "s7";
+    const max = pin.kind === "coil" ? 1 : byte ? 255 : 65535;
+    const answer = prompt(`Value to write to ${this.label(pin)} (0-${max}, or 0x hex)`);
+    if (answer === null) return;
+
+    const value = parseAddress(answer);
+    if (value === null || value > max) {
+      pin.error = `Value must be 0-${max}`;
+      return this.renderData();
+    }
+    this.write(pin, pin.address, value);
+  },
+
+  write(pin, address, value, confirmed = false) {
+    const payload = {
+      port: pin.port, kind: pin.kind, slave_id: pin.slave_id, db: pin.db,
+      address, count: 1, value: String(value), confirmed
+    };
+
+    this.pushEvent("watch_write", payload, (reply) => {
+      if (reply.mapped) {
+        const ok = confirm(
+          `Address ${address} is used by data point(s): ${reply.mapped.join(", ")}.\n` +
+          "The running equipment may overwrite or react to this value. Write anyway?"
+        );
+        if (ok) this.write(pin, address, value, true);
+        return;
+      }
+
+      pin.error = reply.ok ? null : reply.message;
+      if (reply.ok) {
+        this.log.unshift({
+          time: new Date(), pin: this.label(pin), from: "write", to: String(value), bits: `@${address}`
+        });
+      }
+      this.renderData();
+      this.poll();
+    });
+  },
+
+  exportLog() {
+    const rows = [...this.log].reverse().map((entry) =>
+      [entry.time.toLocaleString(), entry.pin, entry.from, entry.to, entry.bits]);
+    const blob = buildCsv(["Time", "Address", "From", "To", "Changed bits"], rows);
+    download(blob, `register_watch_${timestamp()}.csv`);
+  }
+};
+
+export default RegisterWatch;
@@ -0,0 +1,474 @@
+// ============================================
+// ScenarioRecorder Hook
+// ============================================
+// Record-and-replay panel on the Simulation page (PouConWeb.SimulationLive).
+// While recording, every action the page applies arrives as
+// "scenario:action" {action} and is kept with its time since the start.
+// "Checkpoint" asks for a snapshot ("scenario_snapshot" {since}) and turns it
+// into expectations: the state of every equipment that changed since the
+// recording started, the active alarms and the new event log entries.
+//
+// A scenario is saved and loaded as JSON:
+//   {version, name, recorded_at, initial: {equipment},
+//    steps: [{at, action} | {at, checkpoint: {label, within, expect}}]}
+// and can be edited by hand, e.g. to drop expectations or raise `within`.
+//
+// Replay sends each action back with "scenario_run" {action}, waiting the
+// recorded gaps divided by the chosen speed. At a checkpoint it repeats
+// "scenario_check" {expect, since} once a second until it passes or `within`
+// seconds (real time, not scaled) have passed. Controllers keep their own
+// delays, so accelerated runs may need a longer `within`. The report shows
+// pass/fail per checkpoint and can be downloaded as CSV.
+
+import { buildCsv } from "../xlsx";
+
+const STORAGE_KEY = "pou_con_sim_scenario";
+const SPEEDS = [1, 2, 5, 10];
+const DEFAULT_WITHIN = 10;
+const CHECK_EVERY_MS = 1000;
+const REPLY_TIMEOUT_MS = 15000;
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function timestamp() {
+  const d = new Date();
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}-${pad(d.getHours())}${pad(d.getMinutes())}`;
+}
+
+function download(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function seconds(ms) {
+  return `${(ms / 1000).toFixed(1)} s`;
+}
+
+function describe(action) {
+  switch (action.type) {
+    case "toggle_input": return `${action.data_point} → ${action.value === 1 ? "ON" : "OFF"}`;
+    case "set_raw": return `${action.data_point} raw = ${action.value}`;
+    case "set_offline": return `${action.data_point} ${action.offline ? "offline" : "online"}`;
+    case "disconnect_port": return `Disconnect ${action.device_path}`;
+    case "reconnect_port": return `Reconnect ${action.device_path}`;
+    default: return JSON.stringify(action);
+  }
+}
+
+function eventKey(event) {
+  return `${event.equipment}|${event.type}|${event.value ?? ""}`;
+}
+
+function validScenario(data) {
+  return data && Array.isArray(data.steps) &&
+    data.steps.every((step) => Number.isFinite(step.at) && (step.action || step.checkpoint));
+}
+
+const ScenarioRecorder = {
+  mounted() {
+    this.mode = "idle";
+    this.scenario = null;
+    this.report = null;
+    this.speed = 1;
+    this.status = "";
+    this.load();
+
+    this.handleEvent("scenario:action", ({ action }) => this.recordAction(action));
+
+    this.el.addEventListener("click", (e) => this.onClick(e));
+    this.el.addEventListener("change", (e) => this.onChange(e));
+
+    this.render();
+  },
+
+  destroyed() {
+    this.aborted = true;
+  },
+
+  // ---------- Persistence ----------
+
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      this.scenario = validScenario(saved) ? saved : null;
+    } catch (_e) {
+      this.scenario = null;
+    }
+  },
+
+  save() {
+    if (this.scenario) {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.scenario));
+    } else {
+      localStorage.removeItem(STORAGE_KEY);
+    }
+  },
+
+  // pushEvent with a reply, as a promise that gives up after REPLY_TIMEOUT_MS
+  request(event, payload) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error("No reply from server")), REPLY_TIMEOUT_MS);
+      this.pushEvent(event, payload, (reply) => {
+        clearTimeout(timer);
+        resolve(reply);
+      });
+    });
+  },
+
+  // ---------- Recording ----------
+
+  startRecording() {
+    const name = this.el.querySelector("[data-scenario-name]")?.value.trim() || "Scenario";
+    this.report = null;
+    this.setStatus("Taking the starting snapshot…");
+
+    const since = new Date().toISOString();
+    this.request("scenario_snapshot", {}).then((snapshot) => {
+      this.scenario = {
+        version: 1,
+        name,
+        recorded_at: since,
+        initial: { equipment: snapshot.equipment },
+        steps: []
+      };
+      this.startedAt = Date.now();
+      this.since = since;
+      this.touched = new Set();
+      this.seenEvents = new Set();
+      this.mode = "recording";
+      this.status = "Recording - use the controls below, add checkpoints, then Stop.";
+      this.save();
+      this.render();
+    }).catch((error) => this.setStatus(error.message));
+  },
+
+  recordAction(action) {
+    if (this.mode !== "recording") return;
+    this.scenario.steps.push({ at: Date.now() - this.startedAt, action });
+    this.save();
+    this.renderBody();
+  },
+
+  addCheckpoint() {
+    const at = Date.now() - this.startedAt;
+    this.setStatus("Taking checkpoint snapshot…");
+
+    this.request("scenario_snapshot", { since: this.since }).then((snapshot) => {
+      const initial = this.scenario.initial.equipment;
+      Object.entries(snapshot.equipment).forEach(([name, state]) => {
+        if (initial[name] !== state) this.touched.add(name);
+      });
+
+      const equipment = {};
+      [...this.touched].sort().forEach((name) => { equipment[name] = snapshot.equipment[name] ?? "missing"; });
+
+      // Only events logged since the previous checkpoint, once each
+      const events = [];
+      snapshot.events.forEach((event) => {
+        const key = eventKey(event);
+        if (this.seenEvents.has(key)) return;
+        this.seenEvents.add(key);
+        events.push({ equipment: event.equipment, type: event.type, value: event.value });
+      });
+
+      const count = this.scenario.steps.filter((step) => step.checkpoint).length;
+      this.scenario.steps.push({
+        at,
+        checkpoint: {
+          label: `Checkpoint ${count + 1}`,
+          within: DEFAULT_WITHIN,
+          expect: { equipment, alarms: snapshot.alarms, events }
+        }
+      });
+      this.save();
+      this.setStatus(`Checkpoint ${count + 1} added.`);
+      this.renderBody();
+    }).catch((error) => this.setStatus(error.message));
+  },
+
+  stopRecording() {
+    this.mode = "idle";
+    this.status = `Recorded ${this.scenario.steps.length} steps.`;
+    this.save();
+    this.render();
+  },
+
+  // ---------- Replay ----------
+
+  async replay() {
+    this.mode = "replaying";
+    this.aborted = false;
+    this.report = { name: this.scenario.name, speed: this.speed, started_at: new Date(), checkpoints: [], failures: [] };
+    this.render();
+
+    const since = new Date().toISOString();
+
+    try {
+      if (this.scenario.initial) {
+        this.setStatus("Checking the starting state…");
+        const start = await this.request("scenario_check", { expect: this.scenario.initial, since });
+        this.report.checkpoints.push({ label: "Starting state", pass: start.pass, results: start.results, waited: 0 });
+        this.renderBody();
+      }
+
+      let previous = 0;
+      for (const [index, step] of this.scenario.steps.entries()) {
+        await this.sleep((step.at - previous) / this.speed);
+        previous = step.at;
+        if (this.aborted) break;
+
+        this.current = index;
+        if (step.action) {
+          this.setStatus(`Step ${index + 1}: ${describe(step.action)}`);
+          const reply = await this.request("scenario_run", { action: step.action });
+          if (!reply.ok) this.report.failures.push({ step: index + 1, action: describe(step.action), message: reply.message });
+        } else {
+          this.setStatus(`Step ${index + 1}: waiting for ${step.checkpoint.label}…`);
+          this.report.checkpoints.push(await this.runCheckpoint(step.checkpoint, since));
+        }
+        this.renderBody();
+      }
+    } catch (error) {
+      this.report.failures.push({ step: (this.current ?? -1) + 1, action: "", message: error.message });
+    }
+
+    const passed = this.report.checkpoints.filter((c) => c.pass).length;
+    const total = this.report.checkpoints.length;
+    const ok = passed === total && this.report.failures.length === 0;
+    this.mode = "idle";
+    this.current = null;
+    this.status = this.aborted
+      ? "Replay stopped."
+      : `${ok ? "PASS" : "FAIL"} - ${passed}/${total} checkpoints passed${this.report.failures.length ? `, ${this.report.failures.length} actions failed` : ""}.`;
+    this.render();
+  },
+
+  async runCheckpoint(checkpoint, since) {
+    const within = (Number(checkpoint.within) || 0) * 1000;
+    const started = Date.now();
+    let reply;
+
+    for (;;) {
+      reply = await this.request("scenario_check", { expect: checkpoint.expect || {}, since });
+      if (reply.pass || this.aborted || Date.now() - started >= within) break;
+      await this.sleep(CHECK_EVERY_MS);
+    }
+
+    return { label: checkpoint.label, pass: reply.pass, results: reply.results, waited: Date.now() - started };
+  },
+
+  // Waits in short slices so Stop takes effect quickly
+  async sleep(ms) {
+    const until = Date.now() + ms;
+    while (!this.aborted && Date.now() < until) {
+      await new Promise((resolve) => setTimeout(resolve, Math.min(250, until - Date.now())));
+    }
+  },
+
+  // ---------- Files ----------
+
+  saveFile() {
+    const blob = new Blob([JSON.stringify(this.scenario, null, 2)], { type: "application/json" });
+    const base = this.scenario.name.replace(/[^\w-]+/g, "_").toLowerCase() || "scenario";
+    download(blob, `${base}_${timestamp()}.json`);
+  },
+
+  loadFile(file) {
+    file.text().then((text) => {
+      const data = JSON.parse(text);
+      if (!validScenario(data)) throw new Error("Not a scenario file");
+      this.scenario = { name: file.name.replace(/\.json$/i, ""), ...data };
+      this.report = null;
+      this.status = `Loaded ${this.scenario.steps.length} steps.`;
+      this.save();
+      this.render();
+    }).catch((error) => this.setStatus(`Could not load: ${error.message}`));
+  },
+
+  exportReport() {
+    const rows = [];
+    this.report.checkpoints.forEach((checkpoint) => {
+      checkpoint.results.forEach((r) => {
+        rows.push([checkpoint.label, r.kind, r.name, r.expected, r.actual, r.pass ? "PASS" : "FAIL"]);
+      });
+    });
+    this.report.failures.forEach((f) => {
+      rows.push([`Step ${f.step}`, "action", f.action, "ok", f.message, "FAIL"]);
+    });
+
+    const blob = buildCsv(["Checkpoint", "Kind", "Name", "Expected", "Actual", "Result"], rows);
+    download(blob, `scenario_report_${timestamp()}.csv`);
+  },
+
+  // ---------- Events ----------
+
+  onClick(e) {
+    const button = e.target.closest("[data-scenario-action]");
+    if (!button) return;
+
+    switch (button.dataset.scenarioAction) {
+      case "record": return this.startRecording();
+      case "checkpoint": return this.addCheckpoint();
+      case "stop-recording": return this.stopRecording();
+      case "replay": return this.replay();
+      case "stop-replay":
+        this.aborted = true;
+        return this.setStatus("Stopping…");
+      case "save": return this.saveFile();
+      case "load": return this.el.querySelector("[data-scenario-file]").click();
+      case "report": return this.exportReport();
+      case "clear":
+        if (!confirm("Discard the current scenario?")) return;
+        this.scenario = null;
+        this.report = null;
+        this.status = "";
+        this.save();
+        return this.render();
+      case "remove-step":
+        this.scenario.steps.splice(Number(button.dataset.index), 1);
+        this.save();
+        return this.renderBody();
+    }
+  },
+
+  onChange(e) {
+    if (e.target.matches("[data-scenario-speed]")) this.speed = Number(e.target.value);
+    if (e.target.matches("[data-scenario-file]") && e.target.files[0]) {
+      this.loadFile(e.target.files[0]);
+      e.target.value = "";
+    }
+  },
+
+  setStatus(text) {
+    this.status = text;
+    const el = this.el.querySelector("[data-scenario-status]");
+    if (el) el.textContent = text;
+  },
+
+  // ---------- Drawing ----------
+
+  render() {
+    this.el.innerHTML = `
+      <div class="flex flex-wrap items-center gap-2">
+        <h2 class="text-lg font-bold text-white mr-2">Scenarios</h2>
+        ${this.toolbarHtml()}
+      </div>
+      <p data-scenario-status class="mt-2 text-sm text-gray-300">${escapeHtml(this.status)}</p>
+      <div data-scenario-body></div>`;
+    this.renderBody();
+  },
+
+  renderBody() {
+    this.el.querySelector("[data-scenario-body]").innerHTML = `${this.stepsHtml()}${this.reportHtml()}`;
+  },
+
+  toolbarHtml() {
+    const button = (action, text, color) =>
+      `<button type="button" data-scenario-action="${action}" class="px-3 py-1 text-xs font-bold ${color} text-white rounded">${text}</button>`;
+
+    if (this.mode === "recording") {
+      return `
+        <span class="px-2 py-1 text-xs font-bold bg-rose-600 text-white rounded animate-pulse">● REC ${escapeHtml(this.scenario.name)}</span>
+        ${button("checkpoint", "Checkpoint", "bg-sky-700 hover:bg-sky-600")}
+        ${button("stop-recording", "Stop", "bg-gray-600 hover:bg-gray-500")}`;
+    }
+
+    if (this.mode === "replaying") {
+      return `
+        <span class="px-2 py-1 text-xs font-bold bg-emerald-700 text-white rounded animate-pulse">▶ ${escapeHtml(this.scenario.name)} at ${this.speed}x</span>
+        ${button("stop-replay", "Stop", "bg-gray-600 hover:bg-gray-500")}`;
+    }
+
+    const loaded = this.scenario !== null;
+    return `
+      <input data-scenario-name type="text" placeholder="Scenario name" value="${escapeHtml(loaded ? this.scenario.name : "")}"
+        class="input input-xs input-bordered w-40 bg-gray-800 border-gray-600 text-white" />
+      ${button("record", "● Record", "bg-rose-700 hover:bg-rose-600")}
+      ${button("load", "Load JSON", "bg-gray-600 hover:bg-gray-500")}
+      <input data-scenario-file type="file" accept="application/json,.json" class="hidden" />
+      ${loaded ? `
+        <select data-scenario-speed class="select select-xs select-bordered bg-gray-800 border-gray-600 text-white">
+          ${SPEEDS.map((s) => `<option value="${s}" ${s === this.speed ? "selected" : ""}>${s}x</option>`).join("")}
+        </select>
+        ${button("replay", "▶ Replay", "bg-emerald-700 hover:bg-emerald-600")}
+        ${button("save", "Save JSON", "bg-gray-600 hover:bg-gray-500")}
+        ${button("clear", "Clear", "bg-gray-700 hover:bg-gray-600")}` : ""}
+      ${this.report ? button("report", "Report CSV", "bg-gray-600 hover:bg-gray-500") : ""}`;
+  },
+
+  stepsHtml() {
+    if (!this.scenario) {
+      return `<p class="mt-2 text-xs text-gray-500">Record the actions below, or load a scenario file.</p>`;
+    }
+    if (this.scenario.steps.length === 0) {
+      return `<p class="mt-2 text-xs text-gray-500">No steps yet.</p>`;
+    }
+
+    const editable = this.mode === "idle";
+    const rows = this.scenario.steps.map((step, i) => {
+      const text = step.action
+        ? escapeHtml(describe(step.action))
+        : `<span class="text-sky-400">✓ ${escapeHtml(step.checkpoint.label)}</span>
+           <span class="text-gray-500">(${this.expectSummary(step.checkpoint.expect)}, within ${escapeHtml(step.checkpoint.within)} s)</span>`;
+
+      return `
+        <li class="flex items-center gap-2 px-2 py-0.5 rounded ${i === this.current ? "bg-emerald-900/50" : ""}">
+          <span class="w-16 text-right font-mono text-gray-400">${seconds(step.at)}</span>
+          <span class="flex-1 truncate">${text}</span>
+          ${editable ? `<button type="button" data-scenario-action="remove-step" data-index="${i}" class="text-gray-500 hover:text-rose-400" title="Remove step">✕</button>` : ""}
+        </li>`;
+    }).join("");
+
+    return `<ol class="mt-2 max-h-48 overflow-y-auto text-xs text-white font-mono">${rows}</ol>`;
+  },
+
+  expectSummary(expect = {}) {
+    const equipment = Object.keys(expect.equipment || {}).length;
+    const alarms = (expect.alarms || []).length;
+    const events = (expect.events || []).length;
+    return `${equipment} equipment, ${alarms} alarms, ${events} events`;
+  },
+
+  reportHtml() {
+    if (!this.report) return "";
+
+    const failures = this.report.failures.map((f) => `
+      <li class="text-rose-400">Step ${f.step}: ${escapeHtml(f.action)} - ${escapeHtml(f.message)}</li>`).join("");
+
+    const checkpoints = this.report.checkpoints.map((checkpoint) => {
+      const shown = checkpoint.pass ? [] : checkpoint.results.filter((r) => !r.pass);
+      return `
+        <li class="mt-1">
+          <span class="px-1.5 rounded font-bold ${checkpoint.pass ? "bg-emerald-700" : "bg-rose-700"}">${checkpoint.pass ? "PASS" : "FAIL"}</span>
+          ${escapeHtml(checkpoint.label)}
+          <span class="text-gray-500">${checkpoint.results.length} checks, ${seconds(checkpoint.waited)}</span>
+          ${shown.length ? `
+            <ul class="ml-12 text-gray-300">
+              ${shown.map((r) => `
+                <li>${escapeHtml(r.kind)} <b>${escapeHtml(r.name)}</b>: expected ${escapeHtml(r.expected)}, got <span class="text-rose-400">${escapeHtml(r.actual)}</span></li>`).join("")}
+            </ul>` : ""}
+        </li>`;
+    }).join("");
+
+    return `
+      <div class="mt-3 pt-2 border-t border-gray-700 text-xs text-white">
+        <h3 class="font-bold">Report - ${escapeHtml(this.report.name)} at ${this.report.speed}x, ${this.report.started_at.toLocaleString()}</h3>
+        <ul>${failures}${checkpoints}</ul>
+      </div>`;
+  }
+};
+
+export default ScenarioRecorder;
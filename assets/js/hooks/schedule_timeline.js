@@ -0,0 +1,432 @@
+// ============================================
+// ScheduleTimeline Hook
+// ============================================
+// 24-hour timeline for the light, feeding and egg collection schedule pages
+// (PouConWeb.Components.ScheduleTimeline). Lanes and bars come from data
+// attributes and are redrawn whenever the server re-renders them.
+//
+// Touch editing, snapped to the selected step:
+//   drag across an empty part of a lane  -> "timeline:create" {lane, start, end}
+//   drag a bar, or one of its ends       -> "timeline:update" {id, start, end}
+//   tap a bar, then Delete               -> "timeline:delete" {id}
+//   tap a bar, then Edit details         -> "edit_schedule" {id} (the page's form)
+// Times are minutes after midnight. Edits show straight away and are undone if
+// the server replies {ok: false, message}.
+//
+// Enabled bars that overlap on the same lane (including a feed-in fill tail)
+// are drawn in red and listed under the timeline.
+
+const DAY = 24 * 60;
+const LAST_MINUTE = DAY - 1;
+const STEPS = [5, 15, 30, 60];
+const DRAG_THRESHOLD_PX = 4;
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function formatMinutes(minutes) {
+  const m = ((minutes % DAY) + DAY) % DAY;
+  return `${String(Math.floor(m / 60)).padStart(2, "0")}:${String(m % 60).padStart(2, "0")}`;
+}
+
+function parseJson(value, fallback) {
+  try {
+    return JSON.parse(value);
+  } catch (_e) {
+    return fallback;
+  }
+}
+
+const ScheduleTimeline = {
+  mounted() {
+    this.step = Number(this.el.dataset.step) || 15;
+    this.selectedId = null;
+    this.drag = null;
+    this.message = "";
+    this.readData();
+
+    this.el.addEventListener("pointerdown", (e) => this.onPointerDown(e));
+    this.el.addEventListener("pointermove", (e) => this.onPointerMove(e));
+    this.el.addEventListener("pointerup", (e) => this.onPointerUp(e));
+    this.el.addEventListener("pointercancel", () => this.cancelDrag());
+    this.el.addEventListener("click", (e) => this.onClick(e));
+
+    this.render();
+  },
+
+  // data-bars changed: the server saved something
+  updated() {
+    this.readData();
+    if (!this.bars.some((bar) => bar.id === this.selectedId)) this.selectedId = null;
+    if (!this.drag) this.render();
+  },
+
+  readData() {
+    this.lanes = parseJson(this.el.dataset.lanes, []);
+    this.bars = parseJson(this.el.dataset.bars, []);
+    this.wrap = this.el.dataset.wrap === "true";
+    this.overlapLabel = this.el.dataset.overlapLabel;
+  },
+
+  // ---------- Geometry ----------
+
+  track() {
+    return this.el.querySelector("[data-timeline-track]");
+  },
+
+  // Snapped minute under the pointer
+  minuteAt(e) {
+    const rect = this.track().getBoundingClientRect();
+    const fraction = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1);
+    return Math.min(this.snap(fraction * DAY), LAST_MINUTE);
+  },
+
+  wrapMinute(minutes) {
+    return ((minutes % DAY) + DAY) % DAY;
+  },
+
+  // [from, to) pieces of the day a bar occupies, split at midnight
+  intervals(bar) {
+    if (bar.start === null || bar.end === null) {
+      const t = bar.start ?? bar.end;
+      return [[t, t + 1]];
+    }
+
+    const end = bar.end + (bar.tail || 0);
+    if (bar.end < bar.start) return [[bar.start, DAY], [0, end]];
+    if (end > DAY) return [[bar.start, DAY], [0, end - DAY]];
+    return [[bar.start, Math.max(end, bar.start + 1)]];
+  },
+
+  // ---------- Conflicts ----------
+
+  conflicts(bars) {
+    const ids = new Set();
+    const pairs = [];
+    const enabled = bars.filter((bar) => bar.enabled);
+
+    enabled.forEach((a, i) => {
+      enabled.slice(i + 1).forEach((b) => {
+        if (a.lane !== b.lane) return;
+
+        const overlap = this.intervals(a).some(([as, ae]) =>
+          this.intervals(b).some(([bs, be]) => as < be && bs < ae));
+
+        if (overlap) {
+          ids.add(a.id);
+          ids.add(b.id);
+          pairs.push([a, b]);
+        }
+      });
+    });
+
+    return { ids, pairs };
+  },
+
+  laneLabel(laneId) {
+    const lane = this.lanes.find((l) => l.id === laneId);
+    return lane ? lane.label : "";
+  },
+
+  barText(bar) {
+    if (bar.start === null) return `→ ${formatMinutes(bar.end)}`;
+    if (bar.end === null) return `${formatMinutes(bar.start)} →`;
+    return `${formatMinutes(bar.start)}–${formatMinutes(bar.end)}`;
+  },
+
+  // ---------- Drawing ----------
+
+  render() {
+    const bars = this.drag && this.drag.preview
+      ? [...this.bars.filter((bar) => bar.id !== this.drag.preview.id), this.drag.preview]
+      : this.bars;
+    const { ids, pairs } = this.conflicts(bars);
+    const selected = this.bars.find((bar) => bar.id === this.selectedId);
+
+    this.el.innerHTML = `
+      <div class="flex flex-wrap items-center justify-between gap-2 mb-2 text-sm">
+        <span class="text-base-content/70">
+          Drag on a lane to add a schedule, drag a bar to move it, drag its ends to resize.
+        </span>
+        <div class="join">
+          ${STEPS.map((step) => `
+            <button type="button" data-timeline-step="${step}"
+              class="join-item btn btn-sm ${step === this.step ? "btn-primary" : ""}">${step}m</button>`).join("")}
+        </div>
+      </div>
+
+      <div class="flex">
+        <div class="w-24 md:w-32 shrink-0 pt-6">
+          ${this.lanes.map((lane) => `
+            <div class="h-12 flex items-center pr-2 text-sm font-medium truncate border-t border-base-300">
+              ${escapeHtml(lane.label)}
+            </div>`).join("")}
+        </div>
+        <div data-timeline-track class="relative flex-1 min-w-0">
+          ${this.rulerHtml()}
+          ${this.lanes.map((lane, index) => `
+            <div data-lane-index="${index}" class="relative h-12 border-t border-base-300 bg-base-200/50 touch-pan-y">
+              ${this.gridHtml()}
+              ${bars.filter((bar) => bar.lane === lane.id)
+                .map((bar) => this.barHtml(bar, ids.has(bar.id))).join("")}
+            </div>`).join("")}
+        </div>
+      </div>
+
+      ${selected ? this.selectedHtml(selected) : ""}
+
+      ${pairs.length > 0 ? `
+        <ul class="mt-2 space-y-1 text-sm text-error">
+          ${pairs.map(([a, b]) => `
+            <li>⚠ ${escapeHtml(this.overlapLabel)}: ${escapeHtml(this.laneLabel(a.lane))}
+              ${escapeHtml(this.barText(a))} and ${escapeHtml(this.barText(b))}</li>`).join("")}
+        </ul>` : ""}
+
+      <p class="mt-1 text-sm text-error">${escapeHtml(this.message)}</p>`;
+  },
+
+  rulerHtml() {
+    const labels = [];
+    for (let hour = 0; hour <= 24; hour += 3) {
+      const left = (hour / 24) * 100;
+      const shift = hour === 0 ? "" : hour === 24 ? "-translate-x-full" : "-translate-x-1/2";
+      labels.push(`
+        <span class="absolute top-0 text-xs text-base-content/60 ${shift}" style="left: ${left}%">
+          ${String(hour).padStart(2, "0")}
+        </span>`);
+    }
+    return `<div class="relative h-6">${labels.join("")}</div>`;
+  },
+
+  gridHtml() {
+    const lines = [];
+    for (let hour = 1; hour < 24; hour += 1) {
+      const strong = hour % 6 === 0 ? "bg-base-content/20" : "bg-base-content/5";
+      lines.push(`<div class="absolute inset-y-0 w-px ${strong}" style="left: ${(hour / 24) * 100}%"></div>`);
+    }
+    return lines.join("");
+  },
+
+  barHtml(bar, conflict) {
+    const colour = conflict && bar.enabled
+      ? "bg-error text-error-content"
+      : bar.enabled ? "bg-primary text-primary-content" : "bg-base-300 text-base-content/60";
+    const outline = bar.id === this.selectedId
+      ? "outline outline-2 outline-offset-1 outline-base-content"
+      : "";
+    const title = escapeHtml(this.barText(bar));
+
+    // Fires once: a marker at whichever time is set
+    if (bar.start === null || bar.end === null) {
+      const at = bar.start ?? bar.end;
+      return `
+        <div data-bar="${bar.id}" data-handle="marker" title="${title}"
+          class="absolute top-1 bottom-1 w-3 -ml-1.5 rounded cursor-grab ${colour} ${outline}"
+          style="left: ${(at / DAY) * 100}%"></div>`;
+    }
+
+    const segments = bar.end < bar.start
+      ? [[bar.start, DAY, "start"], [0, bar.end, "end"]]
+      : [[bar.start, bar.end, "both"]];
+
+    const tail = bar.tail ? this.tailHtml(bar) : "";
+
+    return segments.map(([from, to, handles]) => `
+      <div data-bar="${bar.id}" title="${title}"
+        class="absolute top-1 bottom-1 rounded flex items-center overflow-hidden cursor-grab ${colour} ${outline}"
+        style="left: ${(from / DAY) * 100}%; width: ${((to - from) / DAY) * 100}%; min-width: 6px">
+        ${handles !== "end" ? `<div data-handle="start" class="absolute inset-y-0 left-0 w-3 cursor-ew-resize bg-black/15"></div>` : ""}
+        <span class="px-3 text-xs font-semibold truncate pointer-events-none">${title}</span>
+        ${handles !== "start" ? `<div data-handle="end" class="absolute inset-y-0 right-0 w-3 cursor-ew-resize bg-black/15"></div>` : ""}
+      </div>`).join("") + tail;
+  },
+
+  // Fill window after the bar ends - drawn, not editable
+  tailHtml(bar) {
+    const from = bar.end;
+    const to = bar.end + bar.tail;
+    const pieces = to > DAY ? [[from, DAY], [0, to - DAY]] : [[from, to]];
+
+    return pieces.map(([a, b]) => `
+      <div class="absolute top-3 bottom-3 rounded-r bg-emerald-500/50 pointer-events-none"
+        style="left: ${(a / DAY) * 100}%; width: ${((b - a) / DAY) * 100}%"></div>`).join("");
+  },
+
+  selectedHtml(bar) {
+    return `
+      <div class="mt-2 flex flex-wrap items-center gap-2 text-sm">
+        <span class="font-semibold">${escapeHtml(this.laneLabel(bar.lane))}</span>
+        <span class="font-mono">${escapeHtml(this.barText(bar))}</span>
+        ${bar.enabled ? "" : `<span class="badge badge-ghost">disabled</span>`}
+        <button type="button" data-timeline-action="edit" class="btn btn-sm">Edit details</button>
+        <button type="button" data-timeline-action="delete" class="btn btn-sm btn-error">Delete</button>
+      </div>`;
+  },
+
+  // ---------- Pointer ----------
+
+  onPointerDown(e) {
+    if (this.drag || e.button > 0) return;
+    const laneEl = e.target.closest("[data-lane-index]");
+    if (!laneEl) return;
+
+    const barEl = e.target.closest("[data-bar]");
+    const handle = e.target.closest("[data-handle]");
+    const lane = this.lanes[Number(laneEl.dataset.laneIndex)];
+    const bar = barEl && this.bars.find((b) => String(b.id) === barEl.dataset.bar);
+
+    this.drag = {
+      pointerId: e.pointerId,
+      startX: e.clientX,
+      moved: false,
+      lane: lane.id,
+      bar,
+      mode: bar ? (handle ? handle.dataset.handle : "move") : "create",
+      anchor: this.minuteAt(e),
+      preview: null
+    };
+    this.el.setPointerCapture(e.pointerId);
+  },
+
+  onPointerMove(e) {
+    const drag = this.drag;
+    if (!drag || e.pointerId !== drag.pointerId) return;
+    if (!drag.moved && Math.abs(e.clientX - drag.startX) < DRAG_THRESHOLD_PX) return;
+
+    drag.moved = true;
+    const minute = this.minuteAt(e);
+    drag.preview = drag.mode === "create"
+      ? this.createPreview(drag, minute)
+      : this.editPreview(drag, minute);
+    this.render();
+  },
+
+  createPreview(drag, minute) {
+    let start = Math.min(drag.anchor, minute);
+    let end = Math.max(drag.anchor, minute);
+    if (end - start < this.step) end = Math.min(start + this.step, LAST_MINUTE);
+    if (end - start < this.step) start = end - this.step;
+
+    return { id: "new", lane: drag.lane, start, end, enabled: true };
+  },
+
+  // Moves keep the bar's length and land its start on the step grid
+  editPreview(drag, minute) {
+    const { bar, mode } = drag;
+    const delta = minute - drag.anchor;
+    let { start, end } = bar;
+
+    if (mode === "marker") {
+      if (start !== null) start = this.moveMinute(start, delta);
+      if (end !== null) end = this.moveMinute(end, delta);
+    } else if (mode === "move") {
+      const shift = this.snap(start + delta) - start;
+      if (this.wrap) {
+        start = this.wrapMinute(start + shift);
+        end = this.wrapMinute(end + shift);
+      } else {
+        const clamped = Math.min(Math.max(shift, -start), LAST_MINUTE - end);
+        start += clamped;
+        end += clamped;
+      }
+    } else if (mode === "start") {
+      start = this.wrap ? minute : Math.max(Math.min(minute, end - this.step), 0);
+    } else if (mode === "end") {
+      end = this.wrap ? minute : Math.min(Math.max(minute, start + this.step), LAST_MINUTE);
+    }
+
+    // A bar never shrinks to nothing
+    if (start !== null && start === end) return drag.preview || bar;
+    return { ...bar, start, end };
+  },
+
+  snap(minutes) {
+    return Math.round(minutes / this.step) * this.step;
+  },
+
+  moveMinute(minutes, delta) {
+    const moved = this.snap(minutes + delta);
+    return this.wrap ? this.wrapMinute(moved) : Math.min(Math.max(moved, 0), LAST_MINUTE);
+  },
+
+  onPointerUp(e) {
+    const drag = this.drag;
+    if (!drag || e.pointerId !== drag.pointerId) return;
+    this.drag = null;
+
+    if (!drag.moved) {
+      // Tap: select a bar, or clear the selection
+      this.selectedId = drag.bar && drag.bar.id !== this.selectedId ? drag.bar.id : null;
+      this.message = "";
+      this.render();
+      return;
+    }
+
+    const preview = drag.preview;
+    if (!preview) return this.render();
+
+    if (drag.mode === "create") {
+      this.save(
+        [...this.bars, preview],
+        "timeline:create",
+        { lane: preview.lane, start: preview.start, end: preview.end }
+      );
+    } else if (preview.start !== drag.bar.start || preview.end !== drag.bar.end) {
+      this.save(
+        this.bars.map((bar) => (bar.id === preview.id ? preview : bar)),
+        "timeline:update",
+        { id: preview.id, start: preview.start, end: preview.end }
+      );
+    } else {
+      this.render();
+    }
+  },
+
+  cancelDrag() {
+    this.drag = null;
+    this.render();
+  },
+
+  // ---------- Actions ----------
+
+  onClick(e) {
+    const stepButton = e.target.closest("[data-timeline-step]");
+    if (stepButton) {
+      this.step = Number(stepButton.dataset.timelineStep);
+      this.render();
+      return;
+    }
+
+    const action = e.target.closest("[data-timeline-action]");
+    if (!action || this.selectedId === null) return;
+
+    if (action.dataset.timelineAction === "edit") {
+      this.pushEvent("edit_schedule", { id: String(this.selectedId) });
+    } else if (action.dataset.timelineAction === "delete" && confirm("Delete this schedule?")) {
+      const id = this.selectedId;
+      this.selectedId = null;
+      this.save(this.bars.filter((bar) => bar.id !== id), "timeline:delete", { id });
+    }
+  },
+
+  save(bars, event, payload) {
+    const previous = this.bars;
+    this.bars = bars;
+    this.message = "";
+    this.render();
+
+    this.pushEvent(event, payload, (reply) => {
+      if (reply.ok) return;
+      this.bars = previous;
+      this.message = reply.message || "Could not save the schedule";
+      this.render();
+    });
+  }
+};
+
+export default ScheduleTimeline;
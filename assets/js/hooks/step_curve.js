@@ -0,0 +1,549 @@
+// ============================================
+// StepCurve Hook
+// ============================================
+// Environment control steps drawn as a staircase of running fans against
+// temperature (PouConWeb.Live.Environment.Control). Below step 1 only the
+// failsafe fans run; from each threshold up, failsafe + that step's extra fans.
+// Steps with pumps show a blue strip under their part of the curve.
+//
+// Editing:
+//   drag a threshold handle sideways     -> temperature, snapped to 0.5°C
+//   tap a cell in the fan grid           -> extra fans for that step
+//   tap a step's pump cell               -> pumps on/off
+//   Add / Remove                         -> next step, last step
+// Each edit pushes the whole curve once: "curve_change" {steps: [{temp,
+// extra_fans, pumps}]}. The page then re-renders data-steps and the step cards.
+//
+// The controller has no temperature deadband - a new step only takes over once
+// the temperature has stayed in its band for the step delay. The band the live
+// temperature is in is shaded, and a pending change counts down.
+//
+// The server pushes step_curve:live {temp, step, pending_step, seconds, boost}.
+// The same rules as the Config changeset (consecutive steps, rising temperatures,
+// fans never dropping) plus the failsafe fan count are checked on every change,
+// and Save Configuration is held back while any fail.
+
+const STEP_COUNT = 5;
+const TEMP_STEP = 0.5;
+const MAX_TEMP = 50;
+const VIEW_W = 1000;
+const VIEW_H = 320;
+const PAD = { left: 56, right: 24, top: 36, bottom: 44 };
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function parseJson(value, fallback) {
+  try {
+    return JSON.parse(value);
+  } catch (_e) {
+    return fallback;
+  }
+}
+
+function formatTemp(temp) {
+  return Number(temp).toFixed(1);
+}
+
+const StepCurve = {
+  mounted() {
+    this.live = null;
+    this.drag = null;
+    this.range = null;
+    this.showErrors = false;
+    this.readData();
+
+    this.handleEvent("step_curve:live", (live) => {
+      this.live = live;
+      if (!this.drag) this.render();
+    });
+
+    this.el.addEventListener("pointerdown", (e) => this.onPointerDown(e));
+    this.el.addEventListener("pointermove", (e) => this.onPointerMove(e));
+    this.el.addEventListener("pointerup", (e) => this.onPointerUp(e));
+    this.el.addEventListener("pointercancel", () => this.cancelDrag());
+    this.el.addEventListener("click", (e) => this.onClick(e));
+
+    // Capture phase runs before LiveView's own submit handling
+    this.form = this.el.closest("form");
+    this.onSubmit = (e) => {
+      if (this.errors().length === 0) return;
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      this.showErrors = true;
+      this.render();
+      this.el.scrollIntoView({ behavior: "smooth", block: "center" });
+    };
+    if (this.form) this.form.addEventListener("submit", this.onSubmit, true);
+
+    this.render();
+  },
+
+  // Step cards or the number editor changed the config
+  updated() {
+    this.readData();
+    if (!this.drag) this.render();
+  },
+
+  destroyed() {
+    if (this.form) this.form.removeEventListener("submit", this.onSubmit, true);
+  },
+
+  readData() {
+    const d = this.el.dataset;
+    this.steps = parseJson(d.steps, []).map((step) => ({
+      temp: Number(step.temp) || 0,
+      extra_fans: Number(step.extra_fans) || 0,
+      pumps: !!step.pumps
+    }));
+    this.failsafe = Number(d.failsafe) || 0;
+    this.fans = Number(d.fans) || 0;
+    this.pumpCount = Number(d.pumps) || 0;
+    this.delay = Number(d.delay) || 0;
+  },
+
+  // Step numbers (1-based) with a temperature, as the controller sees them
+  activeSteps() {
+    return this.steps
+      .map((step, i) => ({ ...step, n: i + 1 }))
+      .filter((step) => step.temp > 0);
+  },
+
+  // ---------- Validation ----------
+
+  errors() {
+    const errors = [];
+    const active = this.activeSteps();
+
+    active.forEach((step, i) => {
+      if (step.n !== i + 1) {
+        errors.push(i === 0
+          ? `Step ${step.n}: step 1 must be configured first (no skipping steps)`
+          : `Step ${step.n}: cannot skip step ${i + 1} - steps must be consecutive`);
+      }
+      if (step.temp > MAX_TEMP) {
+        errors.push(`Step ${step.n}: must be ${MAX_TEMP}°C or less`);
+      }
+    });
+
+    active.slice(1).forEach((step, i) => {
+      const lower = active[i];
+      if (step.temp <= lower.temp) {
+        errors.push(
+          `Step ${step.n}: must be greater than ${formatTemp(lower.temp)}°C (step ${lower.n})`
+        );
+      }
+    });
+
+    // Fans may never drop as the temperature rises
+    const byTemp = [...active].sort((a, b) => a.temp - b.temp);
+    byTemp.slice(1).forEach((step, i) => {
+      const lower = byTemp[i];
+      if (step.extra_fans < lower.extra_fans) {
+        errors.push(
+          `Step ${step.n}: needs at least ${lower.extra_fans} extra fans (same as step ${lower.n})`
+        );
+      }
+    });
+
+    if (this.failsafe < 1) {
+      errors.push("At least 1 failsafe fan is required");
+    }
+
+    const maxExtra = Math.max(0, ...active.map((step) => step.extra_fans));
+    if (this.fans > 0 && this.failsafe + maxExtra > this.fans) {
+      errors.push(
+        `${this.failsafe} failsafe + ${maxExtra} extra fans needs ${this.failsafe + maxExtra} ` +
+        `fans, but only ${this.fans} are installed`
+      );
+    }
+
+    return errors;
+  },
+
+  // ---------- Geometry ----------
+
+  // Temperature range, held still while a handle is dragged
+  tempRange() {
+    if (this.drag && this.range) return this.range;
+
+    const temps = this.activeSteps().map((step) => step.temp);
+    if (this.live && typeof this.live.temp === "number") temps.push(this.live.temp);
+    if (temps.length === 0) return { min: 20, max: 35 };
+
+    return {
+      min: Math.max(0, Math.floor(Math.min(...temps)) - 3),
+      max: Math.ceil(Math.max(...temps)) + 3
+    };
+  },
+
+  maxFans() {
+    const maxExtra = Math.max(0, ...this.steps.map((step) => step.extra_fans));
+    return Math.max(this.fans, this.failsafe + maxExtra, 1);
+  },
+
+  x(temp, range) {
+    const width = VIEW_W - PAD.left - PAD.right;
+    return PAD.left + ((temp - range.min) / (range.max - range.min)) * width;
+  },
+
+  y(fans) {
+    const height = VIEW_H - PAD.top - PAD.bottom;
+    return PAD.top + height - (fans / this.maxFans()) * height;
+  },
+
+  tempAt(e) {
+    const svg = this.el.querySelector("[data-curve-chart]");
+    const rect = svg.getBoundingClientRect();
+    const viewX = ((e.clientX - rect.left) / rect.width) * VIEW_W;
+    const width = VIEW_W - PAD.left - PAD.right;
+    const { min, max } = this.range;
+    const temp = min + ((viewX - PAD.left) / width) * (max - min);
+    const snapped = Math.round(temp / TEMP_STEP) * TEMP_STEP;
+
+    return Math.min(Math.max(snapped, TEMP_STEP), MAX_TEMP);
+  },
+
+  // ---------- Drawing ----------
+
+  render() {
+    const errors = this.errors();
+    const range = this.tempRange();
+
+    this.el.innerHTML = `
+      <div class="flex flex-wrap items-center gap-x-4 gap-y-1 px-1 text-sm">
+        <span class="font-semibold">Step curve</span>
+        <span class="text-base-content/60">Drag a step's handle to change its temperature; tap the grid to set fans and pumps.</span>
+        ${this.liveHtml()}
+      </div>
+      <svg data-curve-chart viewBox="0 0 ${VIEW_W} ${VIEW_H}" class="block w-full h-auto">
+        ${this.axesHtml(range)}
+        ${this.bandsHtml(range)}
+        ${this.curveHtml(range)}
+        ${this.liveMarkerHtml(range)}
+        ${this.handlesHtml(range)}
+      </svg>
+      ${this.gridHtml()}
+      ${errors.length > 0 ? `
+        <ul class="mt-2 rounded-lg border p-2 text-sm text-error ${this.showErrors ? "border-error bg-error/10" : "border-error/40"}">
+          ${errors.map((error) => `<li>⚠ ${escapeHtml(error)}</li>`).join("")}
+        </ul>` : ""}`;
+  },
+
+  liveHtml() {
+    const live = this.live;
+    if (!live || typeof live.temp !== "number") {
+      return `<span class="text-base-content/60">No live temperature</span>`;
+    }
+
+    let text = `Now ${formatTemp(live.temp)}°C`;
+    if (live.boost) {
+      text += " - delta boost";
+    } else if (live.step) {
+      text += ` - step ${live.step}`;
+    }
+    if (!live.boost && live.pending_step !== live.step && live.seconds > 0) {
+      text += `, step ${live.pending_step ?? "off"} in ${live.seconds} s`;
+    }
+
+    return `<span class="ml-auto font-mono font-semibold text-error">${escapeHtml(text)}</span>`;
+  },
+
+  axesHtml(range) {
+    const ticks = [];
+    const every = range.max - range.min > 20 ? 5 : range.max - range.min > 10 ? 2 : 1;
+    for (let t = Math.ceil(range.min / every) * every; t <= range.max; t += every) {
+      const x = this.x(t, range);
+      ticks.push(`
+        <line x1="${x}" x2="${x}" y1="${PAD.top}" y2="${VIEW_H - PAD.bottom}"
+          class="stroke-base-300" stroke-width="1" />
+        <text x="${x}" y="${VIEW_H - PAD.bottom + 18}" text-anchor="middle" font-size="13"
+          class="fill-base-content/70">${t}°</text>`);
+    }
+
+    const fanTicks = [];
+    const maxFans = this.maxFans();
+    const fanEvery = Math.max(1, Math.ceil(maxFans / 6));
+    for (let f = 0; f <= maxFans; f += fanEvery) {
+      const y = this.y(f);
+      fanTicks.push(`
+        <line x1="${PAD.left}" x2="${VIEW_W - PAD.right}" y1="${y}" y2="${y}"
+          class="stroke-base-300" stroke-width="1" stroke-dasharray="4 6" />
+        <text x="${PAD.left - 8}" y="${y}" text-anchor="end" dominant-baseline="central"
+          font-size="13" class="fill-base-content/70">${f}</text>`);
+    }
+
+    return `
+      ${ticks.join("")}
+      ${fanTicks.join("")}
+      <text x="${PAD.left - 8}" y="${PAD.top - 16}" text-anchor="end" font-size="12"
+        class="fill-base-content/60">Fans</text>
+      <text x="${VIEW_W - PAD.right}" y="${VIEW_H - 6}" text-anchor="end" font-size="12"
+        class="fill-base-content/60">°C</text>`;
+  },
+
+  // [from, to) temperature band for each active step, in temperature order
+  bands(range) {
+    const byTemp = [...this.activeSteps()].sort((a, b) => a.temp - b.temp);
+    return byTemp.map((step, i) => ({
+      step,
+      from: step.temp,
+      to: i + 1 < byTemp.length ? byTemp[i + 1].temp : range.max
+    }));
+  },
+
+  bandsHtml(range) {
+    const live = this.live || {};
+
+    return this.bands(range).map(({ step, from, to }) => {
+      const x1 = this.x(from, range);
+      const x2 = this.x(Math.max(from, to), range);
+      const current = live.step === step.n;
+      const pending = !live.boost && live.pending_step === step.n && live.step !== step.n;
+      if (!current && !pending) return "";
+
+      const fill = pending ? "fill-warning/20" : "fill-success/15";
+      const label = pending
+        ? `pending${live.seconds > 0 ? ` - ${live.seconds} s of ${this.delay} s` : ""}`
+        : "current";
+
+      return `
+        <rect x="${x1}" y="${PAD.top}" width="${x2 - x1}" height="${VIEW_H - PAD.top - PAD.bottom}"
+          class="${fill}" />
+        <text x="${(x1 + x2) / 2}" y="${VIEW_H - PAD.bottom - 8}" text-anchor="middle"
+          font-size="12" class="fill-base-content/60">${escapeHtml(label)}</text>`;
+    }).join("");
+  },
+
+  curveHtml(range) {
+    const bands = this.bands(range);
+    const baseY = this.y(this.failsafe);
+    const start = this.x(range.min, range);
+    const firstX = bands.length > 0 ? this.x(bands[0].from, range) : this.x(range.max, range);
+
+    const points = [[start, baseY], [firstX, baseY]];
+    const pumps = [];
+
+    bands.forEach(({ step, from, to }) => {
+      const x1 = this.x(from, range);
+      const x2 = this.x(Math.max(from, to), range);
+      const y = this.y(this.failsafe + step.extra_fans);
+      points.push([x1, y], [x2, y]);
+
+      if (step.pumps) {
+        pumps.push(`
+          <rect x="${x1}" y="${VIEW_H - PAD.bottom - 6}" width="${x2 - x1}" height="6"
+            class="fill-info" />`);
+      }
+    });
+
+    const path = points.map(([px, py], i) => `${i === 0 ? "M" : "L"}${px} ${py}`).join(" ");
+    const area = `${path} L${points[points.length - 1][0]} ${VIEW_H - PAD.bottom} L${start} ${VIEW_H - PAD.bottom} Z`;
+
+    return `
+      <path d="${area}" class="fill-primary/15" />
+      <path d="${path}" fill="none" class="stroke-primary" stroke-width="4" stroke-linejoin="round" />
+      ${pumps.join("")}`;
+  },
+
+  liveMarkerHtml(range) {
+    const live = this.live;
+    if (!live || typeof live.temp !== "number") return "";
+    if (live.temp < range.min || live.temp > range.max) return "";
+
+    const x = this.x(live.temp, range);
+    return `
+      <line x1="${x}" x2="${x}" y1="${PAD.top}" y2="${VIEW_H - PAD.bottom}"
+        class="stroke-error" stroke-width="3" />
+      <text x="${x}" y="${PAD.top - 6}" text-anchor="middle" font-size="13" font-weight="700"
+        class="fill-error">${formatTemp(live.temp)}°</text>`;
+  },
+
+  handlesHtml(range) {
+    return this.activeSteps().map((step) => {
+      if (step.temp < range.min || step.temp > range.max) return "";
+
+      const x = this.x(step.temp, range);
+      const y = this.y(this.failsafe + step.extra_fans);
+      const dragging = this.drag && this.drag.n === step.n;
+
+      return `
+        <g data-threshold="${step.n}" class="cursor-ew-resize touch-none">
+          <line x1="${x}" x2="${x}" y1="${y}" y2="${VIEW_H - PAD.bottom}"
+            class="stroke-primary" stroke-width="2" stroke-dasharray="6 4" />
+          <rect x="${x - 30}" y="${y - 34}" width="60" height="28" rx="8"
+            class="${dragging ? "fill-primary" : "fill-base-100"} stroke-primary" stroke-width="2" />
+          <text x="${x}" y="${y - 20}" text-anchor="middle" dominant-baseline="central"
+            font-size="13" font-weight="700" class="${dragging ? "fill-primary-content" : "fill-base-content"}">
+            ${step.n}: ${formatTemp(step.temp)}°
+          </text>
+          <rect x="${x - 30}" y="${y - 40}" width="60" height="${VIEW_H - PAD.bottom - y + 40}"
+            fill="transparent" />
+        </g>`;
+    }).join("");
+  },
+
+  // Fan levels top to bottom, one column per step
+  gridHtml() {
+    const active = this.activeSteps();
+    const lastActive = active.length > 0 ? active[active.length - 1].n : 0;
+    const levels = Math.max(this.fans - this.failsafe, ...this.steps.map((s) => s.extra_fans), 1);
+    const rows = [];
+
+    for (let level = levels; level >= 0; level--) {
+      rows.push(`
+        <tr>
+          <th class="pr-2 text-right font-mono text-xs text-base-content/60" title="${this.failsafe + level} fans in total">+${level}</th>
+          ${this.steps.map((step, i) => {
+            if (step.temp <= 0) return `<td></td>`;
+            const filled = level <= step.extra_fans;
+            const top = level === step.extra_fans;
+            return `
+              <td class="p-0.5">
+                <button type="button" data-cell-step="${i + 1}" data-cell-fans="${level}"
+                  class="w-full h-6 rounded ${filled ? "bg-primary" : "bg-base-300"} ${top ? "ring-2 ring-primary ring-offset-1" : ""}"
+                  aria-label="Step ${i + 1}: ${level} extra fans"></button>
+              </td>`;
+          }).join("")}
+        </tr>`);
+    }
+
+    const header = this.steps.map((step, i) => {
+      const n = i + 1;
+      if (step.temp > 0) {
+        return `
+          <th class="px-1 pb-1 text-center">
+            <span class="font-semibold">${n}</span>
+            <span class="font-mono text-xs">${formatTemp(step.temp)}°</span>
+            ${n === lastActive ? `<button type="button" data-curve-remove class="btn btn-xs btn-ghost text-error" aria-label="Remove step ${n}">✕</button>` : ""}
+          </th>`;
+      }
+      if (n === lastActive + 1) {
+        return `
+          <th class="px-1 pb-1 text-center">
+            <button type="button" data-curve-add class="btn btn-xs btn-outline btn-success">+ Step ${n}</button>
+          </th>`;
+      }
+      return `<th class="px-1 pb-1 text-center text-base-content/40">${n}</th>`;
+    }).join("");
+
+    const pumpRow = this.steps.map((step, i) => {
+      if (step.temp <= 0) return `<td></td>`;
+      return `
+        <td class="p-0.5">
+          <button type="button" data-cell-pumps="${i + 1}" ${this.pumpCount === 0 ? "disabled" : ""}
+            class="btn btn-xs w-full ${step.pumps ? "btn-info" : "btn-outline btn-info"}">
+            ${step.pumps ? "Pumps ON" : "Pumps OFF"}
+          </button>
+        </td>`;
+    }).join("");
+
+    return `
+      <table class="w-full mt-1 table-fixed text-sm">
+        <thead>
+          <tr><th class="w-24 pr-2 text-right text-xs text-base-content/60">Extra fans</th>${header}</tr>
+        </thead>
+        <tbody>
+          ${rows.join("")}
+          <tr><th class="pr-2 text-right text-xs text-base-content/60">Pumps</th>${pumpRow}</tr>
+        </tbody>
+      </table>`;
+  },
+
+  // ---------- Editing ----------
+
+  onPointerDown(e) {
+    if (this.drag || e.button > 0) return;
+    const handle = e.target.closest("[data-threshold]");
+    if (!handle) return;
+
+    e.preventDefault();
+    this.range = this.tempRange();
+    this.drag = { n: Number(handle.dataset.threshold), pointerId: e.pointerId, moved: false };
+    this.el.setPointerCapture(e.pointerId);
+  },
+
+  onPointerMove(e) {
+    const drag = this.drag;
+    if (!drag || e.pointerId !== drag.pointerId) return;
+
+    const temp = this.tempAt(e);
+    const step = this.steps[drag.n - 1];
+    if (temp === step.temp) return;
+
+    step.temp = temp;
+    drag.moved = true;
+    this.render();
+  },
+
+  onPointerUp(e) {
+    const drag = this.drag;
+    if (!drag || e.pointerId !== drag.pointerId) return;
+
+    this.drag = null;
+    this.render();
+    if (drag.moved) this.change();
+  },
+
+  cancelDrag() {
+    if (!this.drag) return;
+    this.drag = null;
+    this.readData();
+    this.render();
+  },
+
+  onClick(e) {
+    const cell = e.target.closest("[data-cell-fans]");
+    if (cell) {
+      this.steps[Number(cell.dataset.cellStep) - 1].extra_fans = Number(cell.dataset.cellFans);
+      return this.change();
+    }
+
+    const pumps = e.target.closest("[data-cell-pumps]");
+    if (pumps) {
+      const step = this.steps[Number(pumps.dataset.cellPumps) - 1];
+      step.pumps = !step.pumps;
+      return this.change();
+    }
+
+    if (e.target.closest("[data-curve-add]")) return this.addStep();
+
+    if (e.target.closest("[data-curve-remove]")) {
+      const active = this.activeSteps();
+      const last = active[active.length - 1];
+      this.steps[last.n - 1] = { temp: 0, extra_fans: 0, pumps: false };
+      return this.change();
+    }
+  },
+
+  // A new step starts 2°C above the last one with the same fans
+  addStep() {
+    const active = this.activeSteps();
+    const last = active[active.length - 1];
+    const n = last ? last.n + 1 : 1;
+    if (n > STEP_COUNT) return;
+
+    this.steps[n - 1] = {
+      temp: last ? Math.min(last.temp + 2, MAX_TEMP) : 25,
+      extra_fans: last ? last.extra_fans : 0,
+      pumps: false
+    };
+    this.change();
+  },
+
+  // Shows the edit at once; the server's data-steps follow
+  change() {
+    this.showErrors = false;
+    this.render();
+    this.pushEvent("curve_change", {
+      steps: this.steps.map(({ temp, extra_fans, pumps }) => ({ temp, extra_fans, pumps }))
+    });
+  }
+};
+
+export default StepCurve;
@@ -0,0 +1,344 @@
+// ============================================
+// Synoptic Hook
+// ============================================
+// House floor plan with live equipment overlays (PouConWeb.Live.FloorPlan.Index).
+// The server pushes:
+//   synoptic:layout  {equipment: [{name, title, type}], positions: {name: {x, y}}}
+//   synoptic:image   {image}  background plan data URL, or null for the outline
+//   synoptic:status  {items: [{name, state, color, value}]}  every refresh
+//   synoptic:mode    {editing}
+//
+// Positions are fractions of the plan, so the SVG is always VIEW_WIDTH wide and
+// as tall as the background's aspect ratio needs. Status only repaints the
+// icons (class, data-synoptic-state, reading) - the animations live in app.css.
+//
+// Tapping an icon pushes "select" to open its control card. In edit mode icons
+// are dragged instead (pointer events, so touch screens work): onto the plan
+// pushes "place", back onto the list pushes "remove".
+
+const VIEW_WIDTH = 1000;
+const DEFAULT_HEIGHT = 600;
+
+const SENSOR_TYPES = [
+  "temp_sensor", "humidity_sensor", "co2_sensor", "nh3_sensor",
+  "average_sensor", "water_meter", "power_meter"
+];
+const CONVEYOR_TYPES = ["feeding", "feed_in", "egg", "dung", "dung_horz", "dung_exit"];
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function kindOf(type) {
+  if (type === "fan") return "fan";
+  if (type === "pump") return "water";
+  if (type === "light") return "light";
+  if (SENSOR_TYPES.includes(type)) return "sensor";
+  if (CONVEYOR_TYPES.includes(type)) return "conveyor";
+  return "indicator";
+}
+
+// Icons are drawn around 0,0; .synoptic-shape is the outline that flashes on
+// error, the rest animate while running
+function iconBody(kind) {
+  const outline = `class="synoptic-shape fill-base-100" stroke="currentColor" stroke-width="3"`;
+
+  switch (kind) {
+    case "fan":
+      return `
+        <circle r="22" ${outline} />
+        <g class="synoptic-rotor" fill="currentColor">
+          <ellipse cy="-10" rx="5" ry="10" />
+          <ellipse cy="-10" rx="5" ry="10" transform="rotate(120)" />
+          <ellipse cy="-10" rx="5" ry="10" transform="rotate(240)" />
+        </g>`;
+    case "water":
+      return `
+        <circle r="28" fill="none" stroke="currentColor" stroke-width="2" class="synoptic-flow" />
+        <circle r="22" ${outline} />
+        <path d="M0 -13 C7 -3 9 3 0 12 C-9 3 -7 -3 0 -13 Z" fill="currentColor" />`;
+    case "conveyor":
+      return `
+        <rect x="-28" y="-15" width="56" height="30" rx="6" ${outline} />
+        <line x1="-18" x2="18" stroke="currentColor" stroke-width="5" class="synoptic-flow" />`;
+    case "light":
+      return `
+        <circle r="22" ${outline} />
+        <circle r="10" fill="currentColor" class="synoptic-glow" />`;
+    case "sensor":
+      return `
+        <rect x="-36" y="-16" width="72" height="32" rx="8" ${outline} />
+        <text data-value text-anchor="middle" dominant-baseline="central"
+          font-size="14" font-weight="700" fill="currentColor">--</text>`;
+    default:
+      return `
+        <circle r="22" ${outline} />
+        <rect x="-9" y="-9" width="18" height="18" rx="3" fill="currentColor" class="synoptic-glow" />`;
+  }
+}
+
+const Synoptic = {
+  mounted() {
+    this.equipment = [];
+    this.positions = {};
+    this.status = {};
+    this.image = null;
+    this.height = DEFAULT_HEIGHT;
+    this.editing = false;
+    this.loaded = false;
+    this.drag = null;
+
+    this.handleEvent("synoptic:layout", ({ equipment, positions }) => {
+      this.equipment = equipment;
+      this.positions = positions;
+      this.loaded = true;
+      this.render();
+    });
+
+    this.handleEvent("synoptic:image", ({ image }) => this.setImage(image));
+
+    this.handleEvent("synoptic:status", ({ items }) => {
+      this.status = Object.fromEntries(items.map((item) => [item.name, item]));
+      this.paintStatus();
+    });
+
+    this.handleEvent("synoptic:mode", ({ editing }) => {
+      this.editing = editing;
+      this.render();
+    });
+
+    this.el.addEventListener("click", (e) => this.onClick(e));
+    this.el.addEventListener("keydown", (e) => {
+      if (e.key === "Enter" || e.key === " ") this.onClick(e);
+    });
+    this.el.addEventListener("pointerdown", (e) => this.onPointerDown(e));
+    this.el.addEventListener("pointermove", (e) => this.onPointerMove(e));
+    this.el.addEventListener("pointerup", (e) => this.onPointerUp(e));
+    this.el.addEventListener("pointercancel", () => this.endDrag());
+
+    this.render();
+  },
+
+  // ---------- Drawing ----------
+
+  setImage(image) {
+    this.image = image;
+    if (!image) {
+      this.height = DEFAULT_HEIGHT;
+      this.render();
+      return;
+    }
+
+    // Follow the plan's aspect ratio (SVGs without a size keep the default)
+    const img = new Image();
+    img.onload = () => {
+      this.height = img.naturalWidth > 0 && img.naturalHeight > 0
+        ? Math.round(VIEW_WIDTH * img.naturalHeight / img.naturalWidth)
+        : DEFAULT_HEIGHT;
+      this.render();
+    };
+    img.onerror = () => this.render();
+    img.src = image;
+  },
+
+  render() {
+    // A server update mid-drag waits until the icon is dropped (endDrag)
+    if (this.drag) return;
+
+    if (!this.loaded) {
+      this.el.innerHTML = `<p class="p-6 text-center text-base-content/60">Loading floor plan…</p>`;
+      return;
+    }
+
+    const placed = this.equipment.filter((eq) => this.positions[eq.name]);
+    const unplaced = this.equipment.filter((eq) => !this.positions[eq.name]);
+
+    this.el.innerHTML = `
+      <div class="flex flex-col md:flex-row">
+        ${this.editing ? this.paletteHtml(unplaced) : ""}
+        <div class="flex-1 min-w-0">
+          <svg data-synoptic-plan viewBox="0 0 ${VIEW_WIDTH} ${this.height}"
+            class="block w-full h-auto ${this.editing ? "touch-none" : ""}">
+            ${this.backgroundHtml()}
+            ${placed.map((eq) => this.itemHtml(eq, this.positions[eq.name])).join("")}
+          </svg>
+          <p data-synoptic-message class="px-3 py-1 text-sm text-error"></p>
+        </div>
+      </div>
+      ${placed.length === 0 && !this.editing ? `
+        <p class="px-3 pb-3 text-sm text-base-content/60">
+          No equipment placed yet - an admin can arrange it with Edit layout.
+        </p>` : ""}`;
+
+    this.paintStatus();
+  },
+
+  backgroundHtml() {
+    if (this.image) {
+      return `<image href="${escapeHtml(this.image)}" width="${VIEW_WIDTH}" height="${this.height}"
+        preserveAspectRatio="none" />`;
+    }
+
+    // Default outline: house walls and the centre aisle
+    const h = this.height;
+    return `
+      <rect x="20" y="20" width="${VIEW_WIDTH - 40}" height="${h - 40}" rx="12"
+        class="fill-base-200 stroke-base-300" stroke-width="6" />
+      <line x1="60" y1="${h / 2}" x2="${VIEW_WIDTH - 60}" y2="${h / 2}"
+        class="stroke-base-300" stroke-width="3" stroke-dasharray="16 12" />`;
+  },
+
+  itemHtml(eq, { x, y }) {
+    return `
+      <g data-name="${escapeHtml(eq.name)}" tabindex="0" role="button"
+        aria-label="${escapeHtml(eq.title)}" class="synoptic-item text-gray-400"
+        transform="translate(${x * VIEW_WIDTH} ${y * this.height})">
+        <title>${escapeHtml(eq.title)}</title>
+        ${iconBody(kindOf(eq.type))}
+        <text y="40" text-anchor="middle" font-size="13" font-weight="600"
+          class="fill-base-content stroke-base-100" stroke-width="3" paint-order="stroke">
+          ${escapeHtml(eq.title)}
+        </text>
+      </g>`;
+  },
+
+  paletteHtml(unplaced) {
+    return `
+      <div data-synoptic-palette
+        class="md:w-52 max-h-40 md:max-h-[70vh] overflow-y-auto p-2 border-b md:border-b-0 md:border-r border-base-300 bg-base-200">
+        <h3 class="px-1 pb-1 text-xs font-semibold uppercase text-base-content/60">Not on the plan</h3>
+        <div class="flex flex-wrap md:flex-col gap-1">
+          ${unplaced.map((eq) => `
+            <div data-palette-name="${escapeHtml(eq.name)}"
+              class="px-2 py-1 rounded bg-base-100 border border-base-300 text-sm cursor-grab touch-none">
+              ${escapeHtml(eq.title)}
+            </div>`).join("")}
+        </div>
+        ${unplaced.length === 0 ? `
+          <p class="px-1 text-xs text-base-content/60">All equipment is placed.</p>` : ""}
+      </div>`;
+  },
+
+  paintStatus() {
+    this.el.querySelectorAll("[data-name]").forEach((g) => {
+      const status = this.status[g.dataset.name];
+      if (!status) return;
+
+      g.setAttribute("class", `synoptic-item ${status.color}`);
+      g.dataset.synopticState = status.state;
+
+      const value = g.querySelector("[data-value]");
+      if (value) value.textContent = status.value ?? "--";
+    });
+  },
+
+  setMessage(text) {
+    const message = this.el.querySelector("[data-synoptic-message]");
+    if (message) message.textContent = text || "";
+  },
+
+  // ---------- Viewing ----------
+
+  onClick(e) {
+    if (this.editing) return;
+    const item = e.target.closest("[data-name]");
+    if (!item) return;
+
+    e.preventDefault();
+    this.pushEvent("select", { name: item.dataset.name });
+  },
+
+  // ---------- Editing ----------
+
+  plan() {
+    return this.el.querySelector("[data-synoptic-plan]");
+  },
+
+  // Pointer position as plan fractions, or null when outside the plan
+  toPlan(e) {
+    const rect = this.plan().getBoundingClientRect();
+    const x = (e.clientX - rect.left) / rect.width;
+    const y = (e.clientY - rect.top) / rect.height;
+    if (x < 0 || x > 1 || y < 0 || y > 1) return null;
+
+    return { x: Math.round(x * 10000) / 10000, y: Math.round(y * 10000) / 10000 };
+  },
+
+  onPointerDown(e) {
+    if (!this.editing || this.drag) return;
+    const item = e.target.closest("[data-name], [data-palette-name]");
+    if (!item) return;
+
+    e.preventDefault();
+    this.el.setPointerCapture(e.pointerId);
+    this.drag = {
+      name: item.dataset.name || item.dataset.paletteName,
+      pointerId: e.pointerId,
+      placed: !!item.dataset.name
+    };
+    this.setMessage("");
+  },
+
+  onPointerMove(e) {
+    if (!this.drag || e.pointerId !== this.drag.pointerId) return;
+
+    const point = this.toPlan(e);
+    let g = this.plan().querySelector(`[data-name="${CSS.escape(this.drag.name)}"]`);
+
+    if (!g && point) {
+      const eq = this.equipment.find((item) => item.name === this.drag.name);
+      this.plan().insertAdjacentHTML("beforeend", this.itemHtml(eq, point));
+      this.paintStatus();
+      g = this.plan().lastElementChild;
+    }
+    if (!g) return;
+
+    g.style.display = point ? "" : "none";
+    if (point) {
+      g.setAttribute("transform", `translate(${point.x * VIEW_WIDTH} ${point.y * this.height})`);
+    }
+  },
+
+  onPointerUp(e) {
+    if (!this.drag || e.pointerId !== this.drag.pointerId) return;
+
+    const { name, placed } = this.drag;
+    const point = this.toPlan(e);
+    const target = document.elementFromPoint(e.clientX, e.clientY);
+    const onPalette = target && target.closest("[data-synoptic-palette]");
+
+    this.endDrag();
+
+    if (point) {
+      this.save({ ...this.positions, [name]: point }, "place", { name, ...point });
+    } else if (placed && onPalette) {
+      const { [name]: _removed, ...positions } = this.positions;
+      this.save(positions, "remove", { name });
+    }
+  },
+
+  endDrag() {
+    this.drag = null;
+    this.render();
+  },
+
+  // Shows the change straight away; the server's layout push confirms it
+  save(positions, event, payload) {
+    const previous = this.positions;
+    this.positions = positions;
+    this.render();
+
+    this.pushEvent(event, payload, (reply) => {
+      if (reply.ok) return;
+      this.positions = previous;
+      this.render();
+      this.setMessage(reply.message);
+    });
+  }
+};
+
+export default Synoptic;
@@ -0,0 +1,101 @@
+// ============================================
+// TableExport Hook
+// ============================================
+// CSV / Excel download for report tables, generated entirely in the browser
+// (see assets/js/xlsx.js) so nothing is written on the server and no online
+// service is needed. Rendered by PouConWeb.Components.Export.export_buttons.
+//
+// On click the hook requests rows page by page with pushEvent "export"
+// {page}; the LiveView replies {columns, rows, done} with the active filters
+// already applied and timestamps in local time. Pages are collected until
+// `done`, then the file is built and downloaded as
+// <data-filename>_<YYYYMMDD-HHMM>.csv|xlsx.
+
+import { buildCsv, buildXlsx } from "../xlsx";
+
+const MAX_PAGES = 200;          // 100k rows at 500 per page - stop a runaway export
+const PAGE_TIMEOUT_MS = 30000;  // no reply if the socket drops mid-export
+
+function timestamp() {
+  const d = new Date();
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}-${pad(d.getHours())}${pad(d.getMinutes())}`;
+}
+
+function download(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+const TableExport = {
+  mounted() {
+    this.busy = false;
+
+    this.el.addEventListener("click", (e) => {
+      const btn = e.target.closest("[data-export]");
+      if (btn && !this.busy) this.export(btn.dataset.export);
+    });
+  },
+
+  setStatus(text) {
+    const status = this.el.querySelector("[data-export-status]");
+    if (status) status.textContent = text;
+  },
+
+  setBusy(busy) {
+    this.busy = busy;
+    this.el.querySelectorAll("[data-export]").forEach((btn) => {
+      btn.disabled = busy;
+    });
+  },
+
+  fetchPage(page) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error("timeout")), PAGE_TIMEOUT_MS);
+      this.pushEvent("export", { page }, (reply) => {
+        clearTimeout(timer);
+        resolve(reply);
+      });
+    });
+  },
+
+  async export(format) {
+    if (!this.liveSocket.isConnected()) {
+      this.setStatus("Offline - reconnect to export");
+      return;
+    }
+
+    this.setBusy(true);
+    let columns = [];
+    const rows = [];
+
+    try {
+      for (let page = 0; page < MAX_PAGES; page++) {
+        this.setStatus(rows.length > 0 ? `${rows.length} rows…` : "Preparing…");
+        const reply = await this.fetchPage(page);
+        columns = reply.columns;
+        rows.push(...reply.rows);
+        if (reply.done) break;
+      }
+
+      const base = this.el.dataset.filename || "export";
+      const filename = `${base}_${timestamp()}.${format}`;
+      const blob = format === "xlsx" ? buildXlsx(base, columns, rows) : buildCsv(columns, rows);
+
+      download(blob, filename);
+      this.setStatus(`${rows.length} rows exported`);
+    } catch (_e) {
+      this.setStatus("Export failed");
+    } finally {
+      this.setBusy(false);
+    }
+  }
+};
+
+export default TableExport;
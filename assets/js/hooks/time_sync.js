@@ -0,0 +1,265 @@
+// ============================================
+// TimeSync Hook
+// ============================================
+// Measures how far this browser's clock is from the controller's, NTP-style:
+// a few "time:ping" events are timed over the LiveSocket, each reply carrying
+// the controller's clock (server_ms). For a round trip t0 → t1,
+//   offset = server_ms + rtt / 2 - t1
+// and the sample with the shortest round trip is kept, since it has the least
+// room for asymmetric delay. The result is re-measured every few minutes and
+// after a reconnect, and kept across LiveView navigations.
+//
+// The header clock (root layout) shows controller time once the offset is
+// published as a "pou:clock-offset" window event. The #clock-drift badge next
+// to it shows the drift and opens a panel with:
+//   - a warning once schedules would start at a different minute
+//   - a warning when this device's timezone differs from the farm's
+//   - for admins, "Sync controller to this device" - pushes "time:sync"
+//     {epoch_ms}, the device time plus the one-way delay, so the controller
+//     lands on the device's clock the moment the message arrives
+
+const SAMPLES = 5;
+const SAMPLE_GAP_MS = 200;
+const REMEASURE_MS = 5 * 60 * 1000;
+const REPLY_TIMEOUT_MS = 5000;
+const CAUTION_MS = 5000;
+// Schedules fire on the controller's minute, so a full minute off moves them
+const SCHEDULE_MS = 60000;
+
+// Survives LiveView navigation, which remounts the hook
+let last = null;
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function formatDrift(ms) {
+  const abs = Math.abs(ms);
+  const sign = ms < 0 ? "−" : "+";
+  if (abs < 60000) return `${sign}${(abs / 1000).toFixed(1)} s`;
+
+  const minutes = Math.floor(abs / 60000);
+  if (minutes < 60) return `${sign}${minutes} min ${Math.round((abs % 60000) / 1000)} s`;
+  return `${sign}${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
+function durationText(ms) {
+  return formatDrift(Math.abs(ms)).slice(1);
+}
+
+// Minutes east of UTC for a timezone at a given instant
+function utcOffsetMinutes(timeZone, date) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone, hourCycle: "h23", year: "numeric", month: "2-digit", day: "2-digit",
+    hour: "2-digit", minute: "2-digit", second: "2-digit"
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  const asUtc = Date.UTC(get("year"), get("month") - 1, get("day"), get("hour"), get("minute"), get("second"));
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+function utcLabel(minutes) {
+  const sign = minutes < 0 ? "−" : "+";
+  const abs = Math.abs(minutes);
+  return `UTC${sign}${Math.floor(abs / 60)}${abs % 60 ? `:${String(abs % 60).padStart(2, "0")}` : ""}`;
+}
+
+const TimeSync = {
+  mounted() {
+    this.open = false;
+    this.busy = false;
+    this.message = null;
+    this.badge = document.getElementById("clock-drift");
+    this.onBadgeClick = () => {
+      this.open = !this.open;
+      this.render();
+    };
+    if (this.badge) this.badge.addEventListener("click", this.onBadgeClick);
+
+    this.el.addEventListener("click", (e) => this.onClick(e));
+
+    if (last) this.publish();
+    if (!last || Date.now() - last.measuredAt > REMEASURE_MS) this.measure();
+    this.timer = setInterval(() => this.measure(), REMEASURE_MS);
+  },
+
+  destroyed() {
+    clearInterval(this.timer);
+    if (this.badge) this.badge.removeEventListener("click", this.onBadgeClick);
+  },
+
+  reconnected() {
+    this.measure();
+  },
+
+  // ---------- Measuring ----------
+
+  ping() {
+    return new Promise((resolve) => {
+      const t0 = Date.now();
+      const timer = setTimeout(() => resolve(null), REPLY_TIMEOUT_MS);
+
+      this.pushEvent("time:ping", {}, ({ server_ms }) => {
+        clearTimeout(timer);
+        const t1 = Date.now();
+        const rtt = t1 - t0;
+        resolve({ rtt, offset: server_ms + rtt / 2 - t1 });
+      });
+    });
+  },
+
+  async measure() {
+    if (this.measuring) return;
+    this.measuring = true;
+
+    const samples = [];
+    for (let i = 0; i < SAMPLES; i++) {
+      const sample = await this.ping();
+      if (sample) samples.push(sample);
+      await new Promise((resolve) => setTimeout(resolve, SAMPLE_GAP_MS));
+    }
+    this.measuring = false;
+    if (samples.length === 0) return;
+
+    const best = samples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+    last = { offset: Math.round(best.offset), rtt: best.rtt, samples: samples.length, measuredAt: Date.now() };
+    this.publish();
+  },
+
+  publish() {
+    window.dispatchEvent(new CustomEvent("pou:clock-offset", { detail: { offset: last.offset } }));
+    this.render();
+  },
+
+  // ---------- Sync ----------
+
+  sync() {
+    if (!last || this.busy) return;
+    if (!confirm(`Set the controller clock to this device's time (${new Date().toLocaleString()})?`)) return;
+
+    this.busy = true;
+    this.message = null;
+    this.render();
+
+    // Lands on the device's clock when the message reaches the controller
+    const epoch_ms = Math.round(Date.now() + last.rtt / 2);
+    this.pushEvent("time:sync", { epoch_ms }, ({ ok, message }) => {
+      this.busy = false;
+      this.message = { ok, text: message };
+      this.render();
+      if (ok) this.measure();
+    });
+  },
+
+  onClick(e) {
+    const button = e.target.closest("[data-time-action]");
+    if (!button) return;
+
+    switch (button.dataset.timeAction) {
+      case "sync": return this.sync();
+      case "measure": return this.measure();
+      case "close":
+        this.open = false;
+        return this.render();
+    }
+  },
+
+  // ---------- Drawing ----------
+
+  // Farm and device zones whose current UTC offsets differ
+  zoneMismatch() {
+    const farm = this.el.dataset.timezone || "UTC";
+    const device = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    if (!device || device === farm) return null;
+
+    try {
+      const now = new Date();
+      const farmOffset = utcOffsetMinutes(farm, now);
+      const deviceOffset = utcOffsetMinutes(device, now);
+      return farmOffset === deviceOffset ? null : { farm, device, farmOffset, deviceOffset };
+    } catch (_e) {
+      return null;
+    }
+  },
+
+  level() {
+    const abs = Math.abs(last.offset);
+    if (abs >= SCHEDULE_MS) return "bad";
+    if (abs >= CAUTION_MS || this.zoneMismatch()) return "caution";
+    return "ok";
+  },
+
+  render() {
+    if (!last) return;
+    const level = this.level();
+
+    if (this.badge) {
+      this.badge.className = [
+        "ml-2 px-1.5 rounded text-xs font-mono cursor-pointer",
+        level === "ok" && "text-success",
+        level === "caution" && "bg-warning text-warning-content",
+        level === "bad" && "bg-error text-error-content animate-pulse"
+      ].filter(Boolean).join(" ");
+      this.badge.textContent = `Δ ${formatDrift(last.offset)}`;
+      this.badge.title = "Controller clock minus this device's clock - tap for details";
+    }
+
+    this.el.innerHTML = this.open ? this.panelHtml(level) : "";
+  },
+
+  panelHtml(level) {
+    const { offset, rtt, samples } = last;
+    const abs = Math.abs(offset);
+    const zones = this.zoneMismatch();
+    const admin = this.el.dataset.role === "admin";
+
+    const drift = abs < 1000
+      ? "The controller and this device agree to within a second."
+      : `The controller clock is <b>${durationText(offset)} ${offset > 0 ? "ahead of" : "behind"}</b> this device.`;
+
+    const schedules = abs >= SCHEDULE_MS ? `
+      <p class="mt-2 p-2 rounded bg-error/15 border border-error/40">
+        Light, feeding and egg collection schedules will start about
+        <b>${Math.round(abs / 60000)} min ${offset > 0 ? "early" : "late"}</b> by this device's clock.
+      </p>` : "";
+
+    const zoneNote = zones ? `
+      <p class="mt-2 p-2 rounded bg-warning/15 border border-warning/40">
+        This device is set to <b>${escapeHtml(zones.device)}</b> (${utcLabel(zones.deviceOffset)}) but the farm runs on
+        <b>${escapeHtml(zones.farm)}</b> (${utcLabel(zones.farmOffset)}). Times in PouCon, including the header clock
+        and schedules, are farm time. Syncing the controller uses UTC and is not affected.
+      </p>` : "";
+
+    const message = this.message ? `
+      <p class="mt-2 ${this.message.ok ? "text-success" : "text-error"}">${escapeHtml(this.message.text)}</p>` : "";
+
+    const syncButton = admin
+      ? `<button type="button" data-time-action="sync" class="btn btn-sm ${level === "ok" ? "btn-outline" : "btn-primary"}" ${this.busy ? "disabled" : ""}>
+           ${this.busy ? "Syncing…" : "Sync controller to this device"}
+         </button>`
+      : `<span class="text-xs text-base-content/60">Log in as admin to sync the controller clock.</span>`;
+
+    return `
+      <div class="fixed top-24 left-1/2 -translate-x-1/2 z-50 w-[min(30rem,95vw)] p-4 rounded-xl shadow-xl bg-base-100 border border-base-300 text-sm">
+        <div class="flex items-center justify-between">
+          <h3 class="font-bold">Clock drift ${formatDrift(offset)}</h3>
+          <button type="button" data-time-action="close" class="btn btn-ghost btn-xs">✕</button>
+        </div>
+        <p class="mt-1">${drift}</p>
+        <p class="text-xs text-base-content/60">Best of ${samples} pings, round trip ${rtt} ms, so accurate to about ±${Math.ceil(rtt / 2)} ms.</p>
+        ${schedules}
+        ${zoneNote}
+        ${message}
+        <div class="mt-3 flex flex-wrap items-center gap-2">
+          ${syncButton}
+          <button type="button" data-time-action="measure" class="btn btn-sm btn-ghost">Measure again</button>
+        </div>
+      </div>`;
+  }
+};
+
+export default TimeSync;
@@ -0,0 +1,600 @@
+// ============================================
+// TrendChart Hook
+// ============================================
+// Canvas time-series chart for the Reports trend views. Drawn by hand so the
+// kiosks (no internet access) need no charting library or CDN.
+//
+// The LiveView drives it with two events, both addressed by `chart` id
+// (the container's data-chart attribute):
+//   "trend:load"  - {chart, title, unit, from, to, series, thresholds}
+//                   series: [{key, label, points: [[ms, v]], band: [[ms, lo, hi]] | null}]
+//   "trend:point" - {chart, t, values: {key: v}, bands: {key: [lo, hi]}}
+//
+// Gestures: drag to pan, mouse wheel or pinch to zoom, double-tap to reset,
+// tap/hover to read values. Tapping a legend entry hides/shows that series.
+
+const PALETTE = ["#2563eb", "#16a34a", "#d97706", "#db2777", "#7c3aed", "#0891b2", "#dc2626", "#65a30d"];
+const AVG_COLOR = "#111827";
+const THRESHOLD_COLOR = "#e11d48";
+const MIN_SPAN_MS = 5 * 60 * 1000;
+const PAD = { top: 12, right: 16, bottom: 28, left: 52 };
+const TIME_STEPS = [
+  60e3, 5 * 60e3, 15 * 60e3, 30 * 60e3,
+  3600e3, 3 * 3600e3, 6 * 3600e3, 12 * 3600e3, 24 * 3600e3
+];
+
+const TrendChart = {
+  mounted() {
+    this.chartId = this.el.dataset.chart;
+    this.timezone = this.el.dataset.timezone || undefined;
+    this.series = [];
+    this.thresholds = [];
+    this.hidden = new Set();
+    this.full = null;      // {from, to} of the loaded window
+    this.view = null;      // {from, to} currently visible
+    this.follow = true;    // slide with live points while not panned away
+    this.cursorX = null;
+    this.pointers = new Map();
+    this.gesture = null;
+
+    this.buildDom();
+
+    this.handleEvent("trend:load", payload => {
+      if (payload.chart === this.chartId) this.load(payload);
+    });
+    this.handleEvent("trend:point", payload => {
+      if (payload.chart === this.chartId) this.addPoint(payload);
+    });
+
+    this.resizeObserver = new ResizeObserver(() => this.resize());
+    this.resizeObserver.observe(this.canvasBox);
+  },
+
+  destroyed() {
+    if (this.resizeObserver) this.resizeObserver.disconnect();
+    if (this.frame) cancelAnimationFrame(this.frame);
+  },
+
+  // ---------- DOM ----------
+
+  buildDom() {
+    this.el.classList.add("flex", "flex-col", "gap-1");
+    this.el.innerHTML = `
+      <div class="flex items-center gap-2 text-sm">
+        <span data-trend="title" class="font-semibold"></span>
+        <span data-trend="live" class="hidden px-1.5 rounded bg-rose-600 text-white text-xs">LIVE</span>
+        <span class="flex-1"></span>
+        <button type="button" data-trend="reset" class="px-2 py-0.5 rounded bg-gray-700 text-white text-xs">Reset zoom</button>
+      </div>
+      <div data-trend="box" class="relative flex-1 min-h-0">
+        <canvas class="absolute inset-0 w-full h-full" style="touch-action: pan-y;"></canvas>
+      </div>
+      <div data-trend="legend" class="flex flex-wrap gap-2 text-xs"></div>
+    `;
+    this.titleEl = this.el.querySelector('[data-trend="title"]');
+    this.liveEl = this.el.querySelector('[data-trend="live"]');
+    this.legendEl = this.el.querySelector('[data-trend="legend"]');
+    this.canvasBox = this.el.querySelector('[data-trend="box"]');
+    this.canvas = this.canvasBox.querySelector("canvas");
+    this.ctx = this.canvas.getContext("2d");
+    this.titleEl.textContent = this.el.dataset.title || "";
+
+    this.el.querySelector('[data-trend="reset"]').addEventListener("click", () => this.resetView());
+
+    this.legendEl.addEventListener("click", e => {
+      const item = e.target.closest("[data-series]");
+      if (!item) return;
+      const key = item.dataset.series;
+      if (this.hidden.has(key)) this.hidden.delete(key); else this.hidden.add(key);
+      item.classList.toggle("opacity-40", this.hidden.has(key));
+      this.requestDraw();
+    });
+
+    this.canvas.addEventListener("pointerdown", e => this.onPointerDown(e));
+    this.canvas.addEventListener("pointermove", e => this.onPointerMove(e));
+    this.canvas.addEventListener("pointerup", e => this.onPointerUp(e));
+    this.canvas.addEventListener("pointercancel", e => this.onPointerUp(e));
+    this.canvas.addEventListener("pointerleave", e => {
+      if (e.pointerType === "mouse" && !this.gesture) { this.cursorX = null; this.requestDraw(); }
+    });
+    this.canvas.addEventListener("wheel", e => this.onWheel(e), { passive: false });
+    this.canvas.addEventListener("dblclick", () => this.resetView());
+  },
+
+  renderLegend() {
+    this.legendEl.innerHTML = "";
+    this.series.forEach(s => {
+      const item = document.createElement("button");
+      item.type = "button";
+      item.dataset.series = s.key;
+      item.className = "flex items-center gap-1 px-1.5 py-0.5 rounded bg-gray-200 text-gray-900";
+      if (this.hidden.has(s.key)) item.classList.add("opacity-40");
+      const swatch = document.createElement("span");
+      swatch.className = "inline-block w-3 h-3 rounded-sm";
+      swatch.style.background = s.color;
+      item.append(swatch, document.createTextNode(s.label));
+      this.legendEl.appendChild(item);
+    });
+    this.thresholds.forEach(t => {
+      const item = document.createElement("span");
+      item.className = "flex items-center gap-1 px-1.5 py-0.5 text-rose-700";
+      item.textContent = `┄ ${t.label}: ${this.formatValue(t.value)}`;
+      this.legendEl.appendChild(item);
+    });
+  },
+
+  // ---------- Data ----------
+
+  load(payload) {
+    let colorIndex = 0;
+    this.unit = payload.unit || "";
+    this.titleEl.textContent = payload.title + (this.unit ? ` (${this.unit})` : "");
+    this.series = (payload.series || []).map(s => ({
+      key: s.key,
+      label: s.label,
+      points: s.points || [],
+      band: s.band || null,
+      color: s.key === "avg" ? AVG_COLOR : PALETTE[colorIndex++ % PALETTE.length]
+    }));
+    this.thresholds = payload.thresholds || [];
+    this.full = { from: payload.from, to: payload.to };
+    this.span = payload.to - payload.from;
+    this.hidden = new Set([...this.hidden].filter(k => this.series.some(s => s.key === k)));
+    this.resetView();
+    this.renderLegend();
+  },
+
+  addPoint({ t, values, bands }) {
+    if (!this.full) return;
+    const wasAtEnd = this.follow && this.view.to >= this.full.to - 1000;
+
+    this.series.forEach(s => {
+      const v = values[s.key];
+      if (v == null) return;
+      const last = s.points[s.points.length - 1];
+      if (last && last[0] >= t) return;
+      s.points.push([t, v]);
+      if (bands && bands[s.key]) {
+        if (!s.band) s.band = [];
+        s.band.push([t, bands[s.key][0], bands[s.key][1]]);
+      }
+    });
+
+    // Keep the loaded window length; drop history that slid off the left
+    this.full = { from: t - this.span, to: t };
+    this.series.forEach(s => {
+      s.points = dropBefore(s.points, this.full.from);
+      if (s.band) s.band = dropBefore(s.band, this.full.from);
+    });
+
+    if (wasAtEnd) {
+      const width = this.view.to - this.view.from;
+      this.view = { from: t - width, to: t };
+    }
+
+    this.liveEl.classList.remove("hidden");
+    this.requestDraw();
+  },
+
+  resetView() {
+    if (!this.full) return;
+    this.view = { ...this.full };
+    this.follow = true;
+    this.cursorX = null;
+    this.requestDraw();
+  },
+
+  // ---------- Interaction ----------
+
+  onPointerDown(e) {
+    this.canvas.setPointerCapture(e.pointerId);
+    this.pointers.set(e.pointerId, { x: e.offsetX, y: e.offsetY, startX: e.offsetX });
+
+    if (!this.view) return;
+    if (this.pointers.size === 1) {
+      this.gesture = { type: "pan", x: e.offsetX, view: { ...this.view }, moved: false };
+    } else if (this.pointers.size === 2) {
+      const [a, b] = [...this.pointers.values()];
+      this.gesture = {
+        type: "pinch",
+        dist: Math.abs(a.x - b.x) || 1,
+        center: this.xToTime((a.x + b.x) / 2),
+        view: { ...this.view }
+      };
+    }
+  },
+
+  onPointerMove(e) {
+    const p = this.pointers.get(e.pointerId);
+    if (p) { p.x = e.offsetX; p.y = e.offsetY; }
+
+    if (!this.gesture) {
+      if (e.pointerType === "mouse") { this.cursorX = e.offsetX; this.requestDraw(); }
+      return;
+    }
+
+    if (this.gesture.type === "pan") {
+      const dx = e.offsetX - this.gesture.x;
+      if (Math.abs(dx) > 4) this.gesture.moved = true;
+      if (!this.gesture.moved) return;
+      const span = this.gesture.view.to - this.gesture.view.from;
+      const shift = -dx / this.plotWidth() * span;
+      this.setView(this.gesture.view.from + shift, this.gesture.view.to + shift);
+    } else if (this.gesture.type === "pinch" && this.pointers.size === 2) {
+      const [a, b] = [...this.pointers.values()];
+      const factor = this.gesture.dist / (Math.abs(a.x - b.x) || 1);
+      this.zoomAround(this.gesture.center, factor, this.gesture.view);
+    }
+  },
+
+  onPointerUp(e) {
+    const p = this.pointers.get(e.pointerId);
+    this.pointers.delete(e.pointerId);
+
+    // A tap without movement places the read-out cursor
+    if (p && this.gesture && this.gesture.type === "pan" && !this.gesture.moved) {
+      this.cursorX = p.x;
+      this.requestDraw();
+    }
+    this.gesture = null;
+
+    // Lifting one finger of a pinch continues as a pan with the other
+    if (this.pointers.size === 1 && this.view) {
+      const [rest] = [...this.pointers.values()];
+      this.gesture = { type: "pan", x: rest.x, view: { ...this.view }, moved: true };
+    }
+  },
+
+  onWheel(e) {
+    if (!this.view) return;
+    e.preventDefault();
+    const factor = e.deltaY > 0 ? 1.2 : 1 / 1.2;
+    this.zoomAround(this.xToTime(e.offsetX), factor, this.view);
+  },
+
+  zoomAround(center, factor, base) {
+    const from = center - (center - base.from) * factor;
+    const to = center + (base.to - center) * factor;
+    this.setView(from, to);
+  },
+
+  setView(from, to) {
+    const fullSpan = this.full.to - this.full.from;
+    let span = Math.min(Math.max(to - from, MIN_SPAN_MS), fullSpan);
+    const mid = (from + to) / 2;
+    from = mid - span / 2;
+    to = mid + span / 2;
+    if (from < this.full.from) { from = this.full.from; to = from + span; }
+    if (to > this.full.to) { to = this.full.to; from = to - span; }
+    this.view = { from, to };
+    this.follow = to >= this.full.to - 1000;
+    this.requestDraw();
+  },
+
+  // ---------- Drawing ----------
+
+  resize() {
+    const dpr = window.devicePixelRatio || 1;
+    const rect = this.canvasBox.getBoundingClientRect();
+    this.width = rect.width;
+    this.height = rect.height;
+    this.canvas.width = Math.round(rect.width * dpr);
+    this.canvas.height = Math.round(rect.height * dpr);
+    this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    this.draw();
+  },
+
+  requestDraw() {
+    if (this.frame) return;
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.draw();
+    });
+  },
+
+  plotWidth() {
+    return Math.max(this.width - PAD.left - PAD.right, 1);
+  },
+
+  plotHeight() {
+    return Math.max(this.height - PAD.top - PAD.bottom, 1);
+  },
+
+  xToTime(x) {
+    return this.view.from + (x - PAD.left) / this.plotWidth() * (this.view.to - this.view.from);
+  },
+
+  timeToX(t) {
+    return PAD.left + (t - this.view.from) / (this.view.to - this.view.from) * this.plotWidth();
+  },
+
+  valueToY(v) {
+    return PAD.top + (1 - (v - this.yMin) / (this.yMax - this.yMin)) * this.plotHeight();
+  },
+
+  draw() {
+    const ctx = this.ctx;
+    if (!ctx || !this.width) return;
+    ctx.clearRect(0, 0, this.width, this.height);
+
+    const textColor = getComputedStyle(this.el).color || "#111827";
+    ctx.font = "11px sans-serif";
+    ctx.fillStyle = textColor;
+
+    const visible = this.series.filter(s => !this.hidden.has(s.key));
+    if (!this.view || !this.computeYRange(visible)) {
+      ctx.textAlign = "center";
+      ctx.fillText("No data for this period", this.width / 2, this.height / 2);
+      return;
+    }
+
+    this.drawGrid(textColor);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(PAD.left, PAD.top, this.plotWidth(), this.plotHeight());
+    ctx.clip();
+    visible.forEach(s => { if (s.band) this.drawBand(s); });
+    visible.forEach(s => this.drawLine(s));
+    this.drawThresholds();
+    ctx.restore();
+
+    if (this.cursorX != null && this.cursorX >= PAD.left && this.cursorX <= PAD.left + this.plotWidth()) {
+      this.drawCursor(visible);
+    }
+  },
+
+  computeYRange(visible) {
+    let min = Infinity, max = -Infinity;
+    const { from, to } = this.view;
+    visible.forEach(s => {
+      s.points.forEach(([t, v]) => {
+        if (t < from || t > to) return;
+        if (v < min) min = v;
+        if (v > max) max = v;
+      });
+      (s.band || []).forEach(([t, lo, hi]) => {
+        if (t < from || t > to) return;
+        if (lo < min) min = lo;
+        if (hi > max) max = hi;
+      });
+    });
+    if (min === Infinity) return false;
+
+    // Thresholds close to the data stay in view; far-away ones would flatten it
+    const span = Math.max(max - min, 1);
+    this.thresholds.forEach(({ value }) => {
+      if (value >= min - span && value <= max + span) {
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+      }
+    });
+
+    const pad = (max - min) * 0.08 || 1;
+    this.yMin = min - pad;
+    this.yMax = max + pad;
+    return true;
+  },
+
+  drawGrid(textColor) {
+    const ctx = this.ctx;
+    const plotW = this.plotWidth();
+    const plotH = this.plotHeight();
+
+    ctx.strokeStyle = "rgba(128, 128, 128, 0.25)";
+    ctx.lineWidth = 1;
+
+    // Y axis
+    ctx.textAlign = "right";
+    ctx.textBaseline = "middle";
+    niceTicks(this.yMin, this.yMax, Math.max(Math.floor(plotH / 40), 2)).forEach(v => {
+      const y = Math.round(this.valueToY(v)) + 0.5;
+      ctx.beginPath();
+      ctx.moveTo(PAD.left, y);
+      ctx.lineTo(PAD.left + plotW, y);
+      ctx.stroke();
+      ctx.fillText(this.formatValue(v), PAD.left - 6, y);
+    });
+
+    // X axis
+    const span = this.view.to - this.view.from;
+    const maxTicks = Math.max(Math.floor(plotW / 90), 2);
+    const step = TIME_STEPS.find(s => span / s <= maxTicks) || TIME_STEPS[TIME_STEPS.length - 1];
+    const offset = this.tzOffset(this.view.from);
+    ctx.textAlign = "center";
+    ctx.textBaseline = "top";
+    for (let t = Math.ceil((this.view.from + offset) / step) * step - offset; t <= this.view.to; t += step) {
+      const x = Math.round(this.timeToX(t)) + 0.5;
+      ctx.beginPath();
+      ctx.moveTo(x, PAD.top);
+      ctx.lineTo(x, PAD.top + plotH);
+      ctx.stroke();
+      ctx.fillText(this.formatTime(t, step >= 24 * 3600e3 || span > 24 * 3600e3), x, PAD.top + plotH + 6);
+    }
+
+    ctx.fillStyle = textColor;
+  },
+
+  drawLine(s) {
+    const ctx = this.ctx;
+    const gap = gapThreshold(s.points);
+    ctx.strokeStyle = s.color;
+    ctx.lineWidth = s.key === "avg" ? 2.5 : 1.5;
+    ctx.beginPath();
+    let prevT = null;
+    s.points.forEach(([t, v]) => {
+      const x = this.timeToX(t);
+      const y = this.valueToY(v);
+      if (prevT == null || t - prevT > gap) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+      prevT = t;
+    });
+    ctx.stroke();
+  },
+
+  drawBand(s) {
+    const ctx = this.ctx;
+    const band = s.band;
+    if (band.length < 2) return;
+    ctx.fillStyle = hexToRgba(s.color, 0.15);
+    ctx.beginPath();
+    band.forEach(([t, , hi], i) => {
+      const x = this.timeToX(t);
+      if (i === 0) ctx.moveTo(x, this.valueToY(hi)); else ctx.lineTo(x, this.valueToY(hi));
+    });
+    for (let i = band.length - 1; i >= 0; i--) {
+      ctx.lineTo(this.timeToX(band[i][0]), this.valueToY(band[i][1]));
+    }
+    ctx.closePath();
+    ctx.fill();
+  },
+
+  drawThresholds() {
+    const ctx = this.ctx;
+    ctx.strokeStyle = THRESHOLD_COLOR;
+    ctx.fillStyle = THRESHOLD_COLOR;
+    ctx.lineWidth = 1.5;
+    ctx.setLineDash([6, 4]);
+    ctx.textAlign = "left";
+    ctx.textBaseline = "bottom";
+    this.thresholds.forEach(({ value, label }) => {
+      if (value < this.yMin || value > this.yMax) return;
+      const y = Math.round(this.valueToY(value)) + 0.5;
+      ctx.beginPath();
+      ctx.moveTo(PAD.left, y);
+      ctx.lineTo(PAD.left + this.plotWidth(), y);
+      ctx.stroke();
+      ctx.fillText(label, PAD.left + 4, y - 2);
+    });
+    ctx.setLineDash([]);
+  },
+
+  drawCursor(visible) {
+    const ctx = this.ctx;
+    const t = this.xToTime(this.cursorX);
+    const x = Math.round(this.cursorX) + 0.5;
+
+    ctx.strokeStyle = "rgba(128, 128, 128, 0.8)";
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(x, PAD.top);
+    ctx.lineTo(x, PAD.top + this.plotHeight());
+    ctx.stroke();
+
+    const rows = [this.formatTime(t, true, true)];
+    const colors = [null];
+    visible.forEach(s => {
+      const p = nearest(s.points, t);
+      if (!p) return;
+      rows.push(`${s.label}: ${this.formatValue(p[1])}${this.unit}`);
+      colors.push(s.color);
+      ctx.fillStyle = s.color;
+      ctx.beginPath();
+      ctx.arc(this.timeToX(p[0]), this.valueToY(p[1]), 3, 0, Math.PI * 2);
+      ctx.fill();
+    });
+
+    const lineH = 15;
+    const boxW = Math.max(...rows.map(r => ctx.measureText(r).width)) + 24;
+    const boxH = rows.length * lineH + 8;
+    let boxX = this.cursorX + 10;
+    if (boxX + boxW > this.width) boxX = this.cursorX - 10 - boxW;
+    const boxY = PAD.top + 4;
+
+    ctx.fillStyle = "rgba(17, 24, 39, 0.85)";
+    ctx.fillRect(boxX, boxY, boxW, boxH);
+    ctx.textAlign = "left";
+    ctx.textBaseline = "top";
+    rows.forEach((row, i) => {
+      const y = boxY + 4 + i * lineH;
+      if (colors[i]) {
+        ctx.fillStyle = colors[i];
+        ctx.fillRect(boxX + 6, y + 3, 8, 8);
+      }
+      ctx.fillStyle = "#f9fafb";
+      ctx.fillText(row, boxX + (colors[i] ? 18 : 6), y);
+    });
+  },
+
+  // ---------- Formatting ----------
+
+  formatValue(v) {
+    const abs = Math.abs(v);
+    if (abs >= 1000) return v.toFixed(0);
+    if (abs >= 100) return v.toFixed(1);
+    return v.toFixed(abs >= 10 ? 1 : 2);
+  },
+
+  formatTime(t, withDate, withSeconds = false) {
+    const opts = { timeZone: this.timezone, hour: "2-digit", minute: "2-digit", hour12: false };
+    if (withSeconds) opts.second = "2-digit";
+    if (withDate) { opts.day = "2-digit"; opts.month = "2-digit"; }
+    try {
+      return new Intl.DateTimeFormat("en-GB", opts).format(new Date(t));
+    } catch (_e) {
+      // Unknown timezone name on this browser - fall back to browser local time
+      delete opts.timeZone;
+      return new Intl.DateTimeFormat("en-GB", opts).format(new Date(t));
+    }
+  },
+
+  // Offset (ms) of the farm timezone from UTC, so time ticks land on local
+  // hour/day boundaries rather than UTC ones
+  tzOffset(t) {
+    if (!this.timezone) return -new Date(t).getTimezoneOffset() * 60e3;
+    try {
+      const parts = new Intl.DateTimeFormat("en-US", {
+        timeZone: this.timezone, hourCycle: "h23",
+        year: "numeric", month: "2-digit", day: "2-digit",
+        hour: "2-digit", minute: "2-digit", second: "2-digit"
+      }).formatToParts(new Date(t));
+      const get = type => parseInt(parts.find(p => p.type === type).value, 10);
+      const asUtc = Date.UTC(get("year"), get("month") - 1, get("day"), get("hour"), get("minute"), get("second"));
+      return asUtc - Math.floor(t / 1000) * 1000;
+    } catch (_e) {
+      return -new Date(t).getTimezoneOffset() * 60e3;
+    }
+  }
+};
+
+// ---------- Helpers ----------
+
+function dropBefore(points, from) {
+  let i = 0;
+  while (i < points.length && points[i][0] < from) i++;
+  return i === 0 ? points : points.slice(i);
+}
+
+// Break the line where samples are missing (controller off, logging disabled)
+function gapThreshold(points) {
+  if (points.length < 3) return Infinity;
+  const deltas = [];
+  for (let i = 1; i < points.length; i++) deltas.push(points[i][0] - points[i - 1][0]);
+  deltas.sort((a, b) => a - b);
+  return deltas[Math.floor(deltas.length / 2)] * 3;
+}
+
+function nearest(points, t) {
+  if (points.length === 0) return null;
+  let lo = 0, hi = points.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (points[mid][0] < t) lo = mid; else hi = mid;
+  }
+  return Math.abs(points[lo][0] - t) <= Math.abs(points[hi][0] - t) ? points[lo] : points[hi];
+}
+
+function niceTicks(min, max, count) {
+  const raw = (max - min) / count;
+  const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+  const step = [1, 2, 2.5, 5, 10].map(m => m * mag).find(s => raw <= s) || raw;
+  const ticks = [];
+  for (let v = Math.ceil(min / step) * step; v <= max; v += step) ticks.push(Math.round(v / step) * step);
+  return ticks;
+}
+
+function hexToRgba(hex, alpha) {
+  const n = parseInt(hex.slice(1), 16);
+  return `rgba(${(n >> 16) & 255}, ${(n >> 8) & 255}, ${n & 255}, ${alpha})`;
+}
+
+export default TrendChart;
@@ -0,0 +1,99 @@
+// On-screen keyboard layouts for the SimpleKeyboard hook.
+//
+// Each language supplies simple-keyboard layout pages (default/shift, plus any
+// extra pages it switches to) and optional pinyin-style candidates. The shared
+// "symbols" page is added to every language. Special buttons handled by the
+// hook: {lang} cycles languages, {symbols}/{abc} switch to and from the
+// symbols page, {accents} opens the accented letters page.
+
+import PINYIN from "./pinyin";
+
+const BOTTOM_ROW = "{symbols} {lang} {arrowleft} {arrowup} {space} {arrowdown} {arrowright}";
+
+const QWERTY = {
+  default: [
+    "` 1 2 3 4 5 6 7 8 9 0 - = {bksp}",
+    "{tab} q w e r t y u i o p [ ] \\",
+    "a s d f g h j k l ; ' {enter}",
+    "{shift} z x c v b n m , . / {shift}",
+    BOTTOM_ROW
+  ],
+  shift: [
+    "~ ! @ # $ % ^ & * ( ) _ + {bksp}",
+    "{tab} Q W E R T Y U I O P { } |",
+    'A S D F G H J K L : " {enter}',
+    "{shift} Z X C V B N M < > ? {shift}",
+    BOTTOM_ROW
+  ]
+};
+
+const SYMBOLS = [
+  "1 2 3 4 5 6 7 8 9 0 {bksp}",
+  "@ # $ % & * ( ) - + {enter}",
+  "! ? , . : ; ' \" / _ =",
+  "° ℃ ± × ÷ ~ [ ] < > |",
+  "{abc} {lang} {arrowleft} {space} {arrowright}"
+];
+
+export const LANGUAGES = {
+  en: {
+    label: "EN",
+    layout: QWERTY
+  },
+  ms: {
+    label: "BM",
+    layout: {
+      default: [...QWERTY.default.slice(0, 4), `{accents} ${BOTTOM_ROW}`],
+      shift: [...QWERTY.shift.slice(0, 4), `{accents} ${BOTTOM_ROW}`],
+      accents: [
+        "á à â ä é è ê ë í ì î ï {bksp}",
+        "ó ò ô ö ú ù û ü ñ ç {enter}",
+        "Á À Â É È Ê Í Ó Ô Ú Ñ Ç",
+        "{abc} {lang} {arrowleft} {space} {arrowright}"
+      ]
+    }
+  },
+  zh: {
+    label: "中",
+    layout: QWERTY,
+    candidates: PINYIN
+  }
+};
+
+export const LANGUAGE_ORDER = ["en", "ms", "zh"];
+
+export const DISPLAY = {
+  "{bksp}": "⌫ Bksp",
+  "{shift}": "⇧ Shift",
+  "{tab}": "Tab ⇥",
+  "{enter}": "Enter ↵",
+  "{space}": " ",
+  "{arrowleft}": "←",
+  "{arrowup}": "↑",
+  "{arrowdown}": "↓",
+  "{arrowright}": "→",
+  "{symbols}": "?123",
+  "{abc}": "ABC",
+  "{accents}": "é"
+};
+
+// Full layout object (language pages + shared symbols page) for simple-keyboard
+export function layoutFor(lang) {
+  const language = LANGUAGES[lang] || LANGUAGES.en;
+  return { ...language.layout, symbols: SYMBOLS };
+}
+
+export function displayFor(lang) {
+  const language = LANGUAGES[lang] || LANGUAGES.en;
+  return { ...DISPLAY, "{lang}": `🌐 ${language.label}` };
+}
+
+export function candidatesFor(lang) {
+  const language = LANGUAGES[lang] || LANGUAGES.en;
+  return language.candidates || null;
+}
+
+export function nextLanguage(lang) {
+  const index = LANGUAGE_ORDER.indexOf(lang);
+  return LANGUAGE_ORDER[(index + 1) % LANGUAGE_ORDER.length];
+}
@@ -0,0 +1,288 @@
+// Pinyin -> hanzi candidates for the Chinese on-screen keyboard.
+//
+// Kept small on purpose: the most common syllables plus the characters farm
+// staff use in task notes and flock remarks (鸡 蛋 饲料 死 病 水 温度 ...).
+// Each value is a space-separated candidate list, most likely first, in the
+// format simple-keyboard's `layoutCandidates` option expects. Whole words are
+// listed under their joined pinyin (e.g. "siliao") so they come up in one tap.
+
+const PINYIN = {
+  a: "啊 阿",
+  ai: "爱 矮 挨 哎 碍",
+  an: "安 按 暗 岸 案",
+  ba: "把 八 吧 爸 拔 霸",
+  bai: "白 百 摆 败 拜",
+  ban: "半 办 班 般 板 版 搬",
+  bang: "帮 棒 绑 磅",
+  bao: "包 报 保 饱 宝 抱",
+  bei: "被 北 备 背 杯 倍",
+  ben: "本 奔 笨",
+  bi: "比 必 笔 闭 鼻 壁",
+  bian: "边 变 便 遍 编",
+  biao: "表 标",
+  bie: "别",
+  bing: "病 并 冰 兵",
+  bu: "不 部 步 布 补",
+  ca: "擦",
+  cai: "才 菜 采 材 彩",
+  can: "参 残 餐",
+  cao: "草 操",
+  ce: "测 策 侧 厕",
+  ceng: "层",
+  cha: "查 差 茶 插",
+  chan: "产 蝉",
+  chang: "长 场 常 厂 唱",
+  chao: "超 吵 潮",
+  che: "车 彻",
+  chen: "沉 称 晨",
+  cheng: "成 称 城 程 乘",
+  chi: "吃 持 迟 尺",
+  chong: "虫 冲 重 充",
+  chu: "出 处 初 除 厨",
+  chuan: "穿 传 船",
+  chuang: "窗 床 创",
+  chun: "春 纯",
+  ci: "次 此 词 刺",
+  cong: "从 聪",
+  cu: "粗 促",
+  cuo: "错",
+  da: "大 打 达 答",
+  dai: "带 代 待 袋 戴",
+  dan: "蛋 但 单 担 淡",
+  dang: "当 党 挡",
+  dao: "到 道 倒 刀 导",
+  de: "的 得 地 德",
+  deng: "等 灯 登",
+  di: "地 第 低 底 滴 敌",
+  dian: "电 点 店 垫",
+  diao: "掉 调 吊",
+  ding: "定 顶 订",
+  dong: "动 东 冬 懂 洞",
+  dou: "都 斗 豆",
+  du: "度 读 毒 堵 肚",
+  duan: "断 短 段",
+  dui: "对 队 堆",
+  dun: "吨 顿",
+  duo: "多 朵 躲",
+  e: "饿 额 恶",
+  er: "二 而 儿 耳",
+  fa: "发 法 罚",
+  fan: "反 饭 翻 范 烦",
+  fang: "放 方 房 防",
+  fei: "费 飞 肥 非",
+  fen: "分 份 粉 粪",
+  feng: "风 封 丰",
+  fu: "服 复 父 负 付 副",
+  gai: "该 改 盖",
+  gan: "干 感 赶 敢 肝",
+  gang: "刚 钢",
+  gao: "高 告 搞",
+  ge: "个 各 格 哥 割",
+  gei: "给",
+  gen: "跟 根",
+  geng: "更 耕",
+  gong: "工 公 共 供 功",
+  gou: "够 狗 购",
+  gu: "故 古 鼓 骨 谷",
+  gua: "挂 刮",
+  guan: "关 管 观 馆",
+  guang: "光 广",
+  gui: "贵 规 归",
+  guo: "过 国 果 锅",
+  hai: "还 海 害 孩",
+  han: "汉 寒 喊",
+  hao: "好 号 毫",
+  he: "和 喝 河 合 何",
+  hei: "黑",
+  hen: "很 恨",
+  hong: "红 洪",
+  hou: "后 候 厚",
+  hu: "湖 护 呼 户",
+  hua: "话 花 化 画",
+  huai: "坏",
+  huan: "换 还 环",
+  huang: "黄 慌",
+  hui: "会 回 灰 汇",
+  huo: "或 活 火 货",
+  ji: "鸡 几 机 己 记 计 急 级 及",
+  jia: "家 加 价 假 甲",
+  jian: "见 间 检 件 减 建 剪",
+  jiang: "将 讲 降 江",
+  jiao: "叫 教 交 角 脚",
+  jie: "接 节 结 姐 解 借",
+  jin: "进 今 金 近 紧 斤",
+  jing: "经 精 静 井",
+  jiu: "就 九 久 旧 酒",
+  ju: "据 局 举 具",
+  jue: "觉 决",
+  kai: "开 凯",
+  kan: "看 砍",
+  kao: "考 靠",
+  ke: "可 课 客 克 颗",
+  kong: "空 控 孔",
+  kou: "口 扣",
+  ku: "苦 库 哭",
+  kuai: "快 块",
+  kuang: "况 矿",
+  la: "拉 啦",
+  lai: "来",
+  lan: "蓝 烂 栏",
+  lao: "老 劳",
+  le: "了 乐",
+  leng: "冷",
+  li: "里 理 力 立 利 离",
+  lian: "连 脸 练",
+  liang: "两 量 亮 粮 凉",
+  liao: "料 了",
+  lin: "林 临",
+  ling: "零 领 另",
+  liu: "六 流 留",
+  long: "笼 龙",
+  lou: "楼 漏",
+  lu: "路 录 露",
+  luan: "卵 乱",
+  ma: "吗 妈 马 码",
+  mai: "买 卖 麦",
+  man: "满 慢",
+  mang: "忙",
+  mao: "毛 猫 帽",
+  mei: "没 每 美 煤",
+  men: "们 门",
+  mi: "米 密",
+  mian: "面 免",
+  min: "民",
+  ming: "明 名 命",
+  mu: "母 目 木",
+  na: "那 拿 哪",
+  nan: "难 南 男",
+  nao: "脑",
+  ne: "呢",
+  nei: "内",
+  neng: "能",
+  ni: "你 泥",
+  nian: "年 念",
+  niao: "尿 鸟",
+  niu: "牛",
+  nong: "农 浓",
+  nuan: "暖",
+  pa: "怕 爬",
+  pai: "排 派",
+  pan: "盘 判",
+  pao: "跑 泡",
+  pei: "配 陪",
+  peng: "棚 碰",
+  pi: "皮 批 匹",
+  pian: "片 偏",
+  ping: "平 瓶",
+  qi: "气 起 七 其 期 器",
+  qian: "前 钱 千 欠",
+  qiang: "墙 强",
+  qing: "请 清 情 轻",
+  qiu: "球 求",
+  qu: "去 取 区",
+  quan: "全 圈",
+  que: "缺 确",
+  ran: "然 染",
+  re: "热",
+  ren: "人 认",
+  ri: "日",
+  rou: "肉",
+  ru: "如 入",
+  san: "三 散",
+  sha: "杀 沙",
+  shang: "上 伤 商",
+  shao: "少 烧",
+  she: "设 蛇",
+  shen: "什 身 深",
+  sheng: "生 声 剩",
+  shi: "是 时 事 十 使 食 湿 室",
+  shou: "手 收 受",
+  shu: "数 书 树 输",
+  shui: "水 谁 睡",
+  shuo: "说",
+  si: "死 四 饲 思 丝",
+  song: "送 松",
+  suan: "算 酸",
+  sui: "岁 随",
+  ta: "他 她 它",
+  tai: "太 台",
+  tian: "天 填 甜",
+  tiao: "条 调 跳",
+  ting: "停 听",
+  tong: "通 同 桶",
+  tou: "头 投",
+  tu: "土 图",
+  tui: "推 腿",
+  wai: "外",
+  wan: "晚 完 万",
+  wang: "网 忘",
+  wei: "为 位 喂 维 未",
+  wen: "温 问 文",
+  wo: "我",
+  wu: "五 无 午 物",
+  xi: "洗 西 系 细 息",
+  xia: "下 夏",
+  xian: "先 现 线",
+  xiang: "想 向 相",
+  xiao: "小 消 效",
+  xie: "写 些 谢",
+  xin: "新 心",
+  xing: "行 星 型",
+  xiu: "修 休",
+  xu: "需 续",
+  xue: "血 学 雪",
+  ya: "压 呀",
+  yan: "眼 研 盐",
+  yang: "样 养 羊",
+  yao: "要 药",
+  ye: "也 夜 叶",
+  yi: "一 已 以 意 医 疫",
+  yin: "因 音 饮",
+  ying: "应 影 营",
+  yong: "用",
+  you: "有 又 由 油",
+  yu: "雨 鱼 与",
+  yuan: "原 员 远",
+  yue: "月",
+  zai: "在 再",
+  zao: "早 造",
+  ze: "则",
+  zen: "怎",
+  zeng: "增",
+  zhan: "站 占",
+  zhang: "长 张",
+  zhao: "找 照",
+  zhe: "这 着",
+  zhen: "真 针",
+  zheng: "正 整",
+  zhi: "只 知 之 直 值",
+  zhong: "中 种 重",
+  zhu: "主 住 注",
+  zhuan: "转",
+  zhun: "准",
+  zi: "自 子 字",
+  zong: "总",
+  zou: "走",
+  zui: "最",
+  zuo: "做 作 昨 左",
+  // Farm words
+  jidan: "鸡蛋",
+  siliao: "饲料",
+  siwang: "死亡",
+  wendu: "温度",
+  shidu: "湿度",
+  fengshan: "风扇",
+  shuibeng: "水泵",
+  jishe: "鸡舍",
+  jiqun: "鸡群",
+  chandan: "产蛋",
+  yimiao: "疫苗",
+  xiaodu: "消毒",
+  qingli: "清理",
+  jiancha: "检查",
+  weixiu: "维修",
+  zhengchang: "正常",
+  jinri: "今日"
+};
+
+export default PINYIN;
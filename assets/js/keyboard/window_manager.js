@@ -0,0 +1,238 @@
+// On-screen keyboard window manager.
+//
+// The keyboard lives in #keyboard-window (root.html.heex): a title bar with
+// dock/opacity buttons and a resize grip above the .simple-keyboard element.
+// The operator can drag it anywhere (floating), dock it left, right or bottom,
+// resize its width and make it semi-transparent. Geometry is saved per screen
+// size, so the 7" and 10" panels each keep their own arrangement.
+//
+// Only the bottom dock pads document.body. Whatever the placement, the
+// focused input is kept clear of the keyboard: first by scrolling, and when
+// the input cannot scroll (fixed modals) by moving the keyboard out of the way
+// until it is hidden again.
+
+const STORAGE_PREFIX = "pou_con_keyboard_geometry";
+const SNAP_PX = 40;
+const MIN_WIDTH = 320;
+const OPACITY_STEPS = [1, 0.8, 0.55];
+const GAP = 12;
+
+const DEFAULT_GEOMETRY = { dock: "bottom", width: null, x: 0, y: 0, opacity: 1 };
+
+let frame = null;
+let geometry = null;
+let avoiding = null; // temporary "top" | "bottom" placement while an input is covered
+
+function storageKey() {
+  return `${STORAGE_PREFIX}:${window.screen.width}x${window.screen.height}`;
+}
+
+function loadGeometry() {
+  try {
+    return { ...DEFAULT_GEOMETRY, ...JSON.parse(localStorage.getItem(storageKey())) };
+  } catch (_e) {
+    return { ...DEFAULT_GEOMETRY };
+  }
+}
+
+function saveGeometry() {
+  localStorage.setItem(storageKey(), JSON.stringify(geometry));
+}
+
+function defaultWidth() {
+  return geometry.dock === "bottom" ? window.innerWidth * 0.7 : window.innerWidth * 0.5;
+}
+
+function clampWidth(width) {
+  return Math.min(Math.max(width, Math.min(MIN_WIDTH, window.innerWidth)), window.innerWidth);
+}
+
+function isVisible() {
+  return frame && frame.style.display !== "none";
+}
+
+// ---------- Placement ----------
+
+function applyGeometry() {
+  if (!frame) return;
+
+  const width = clampWidth(geometry.width || defaultWidth());
+  const style = frame.style;
+  style.width = `${width}px`;
+  style.opacity = geometry.opacity;
+  style.left = style.right = style.top = style.bottom = "auto";
+  style.transform = "none";
+  frame.dataset.dock = geometry.dock;
+
+  const atTop = avoiding === "top";
+
+  switch (geometry.dock) {
+    case "left":
+      style.left = "0px";
+      atTop ? (style.top = "0px") : (style.bottom = "0px");
+      break;
+    case "right":
+      style.right = "0px";
+      atTop ? (style.top = "0px") : (style.bottom = "0px");
+      break;
+    case "float": {
+      const height = frame.offsetHeight;
+      const x = Math.min(Math.max(geometry.x, 0), window.innerWidth - width);
+      const maxY = window.innerHeight - height;
+      const y = avoiding ? (atTop ? 0 : maxY) : Math.min(Math.max(geometry.y, 0), maxY);
+      style.left = `${x}px`;
+      style.top = `${y}px`;
+      break;
+    }
+    default:
+      style.left = "50%";
+      style.transform = "translateX(-50%)";
+      atTop ? (style.top = "0px") : (style.bottom = "0px");
+  }
+
+  // Only a bottom dock reserves page space; other placements float over it
+  const pad = isVisible() && geometry.dock === "bottom" && !atTop ? frame.offsetHeight : 0;
+  document.body.style.paddingBottom = `${pad}px`;
+}
+
+function dock(side) {
+  geometry.dock = side;
+  geometry.width = null;
+  avoiding = null;
+  saveGeometry();
+  applyGeometry();
+}
+
+function cycleOpacity() {
+  const index = OPACITY_STEPS.indexOf(geometry.opacity);
+  geometry.opacity = OPACITY_STEPS[(index + 1) % OPACITY_STEPS.length];
+  saveGeometry();
+  applyGeometry();
+}
+
+// ---------- Drag and resize ----------
+
+function startDrag(e) {
+  const rect = frame.getBoundingClientRect();
+  const offsetX = e.clientX - rect.left;
+  const offsetY = e.clientY - rect.top;
+
+  geometry.dock = "float";
+  geometry.width = rect.width;
+  avoiding = null;
+
+  trackPointer(e, (ev) => {
+    geometry.x = ev.clientX - offsetX;
+    geometry.y = ev.clientY - offsetY;
+    applyGeometry();
+  }, (ev) => {
+    // Dropping near an edge snaps into that dock
+    if (ev.clientX < SNAP_PX) geometry.dock = "left";
+    else if (ev.clientX > window.innerWidth - SNAP_PX) geometry.dock = "right";
+    else if (ev.clientY > window.innerHeight - SNAP_PX) geometry.dock = "bottom";
+    saveGeometry();
+    applyGeometry();
+  });
+}
+
+function startResize(e) {
+  const startX = e.clientX;
+  const startWidth = frame.getBoundingClientRect().width;
+  // Growing towards the screen centre: right dock grows leftwards, bottom dock both ways
+  const factor = geometry.dock === "right" ? -1 : geometry.dock === "bottom" ? 2 : 1;
+
+  trackPointer(e, (ev) => {
+    geometry.width = clampWidth(startWidth + (ev.clientX - startX) * factor);
+    applyGeometry();
+  }, () => saveGeometry());
+}
+
+function trackPointer(e, onMove, onEnd) {
+  e.preventDefault();
+  const target = e.target;
+  target.setPointerCapture(e.pointerId);
+
+  const move = (ev) => onMove(ev);
+  const end = (ev) => {
+    target.removeEventListener("pointermove", move);
+    target.removeEventListener("pointerup", end);
+    target.removeEventListener("pointercancel", end);
+    onEnd(ev);
+  };
+
+  target.addEventListener("pointermove", move);
+  target.addEventListener("pointerup", end);
+  target.addEventListener("pointercancel", end);
+}
+
+// ---------- Public API ----------
+
+export function initKeyboardWindow() {
+  if (frame) return frame;
+
+  frame = document.getElementById("keyboard-window");
+  if (!frame) return null;
+
+  geometry = loadGeometry();
+
+  // Never take focus away from the input being typed into
+  frame.addEventListener("pointerdown", (e) => {
+    if (!e.target.closest(".simple-keyboard")) e.preventDefault();
+
+    const dockBtn = e.target.closest("[data-keyboard-dock]");
+    if (dockBtn) return dock(dockBtn.dataset.keyboardDock);
+    if (e.target.closest("[data-keyboard-opacity]")) return cycleOpacity();
+    if (e.target.closest("[data-keyboard-resize]")) return startResize(e);
+    if (e.target.closest("[data-keyboard-drag]")) return startDrag(e);
+  });
+
+  window.addEventListener("resize", () => {
+    if (isVisible()) applyGeometry();
+  });
+
+  return frame;
+}
+
+export function showKeyboard(keyboardContainer) {
+  if (!initKeyboardWindow()) return;
+
+  keyboardContainer.style.display = "block";
+  frame.style.display = "block";
+  applyGeometry();
+}
+
+export function hideKeyboard(keyboardContainer) {
+  keyboardContainer.style.display = "none";
+  if (frame) frame.style.display = "none";
+  avoiding = null;
+  document.body.style.paddingBottom = "0px";
+}
+
+// Make sure the focused input is not hidden behind the keyboard
+export function keepInputVisible(input) {
+  if (!isVisible() || !input) return;
+
+  avoiding = null;
+  applyGeometry();
+
+  const overlaps = () => {
+    const kb = frame.getBoundingClientRect();
+    const box = input.getBoundingClientRect();
+    return box.bottom + GAP > kb.top && box.top - GAP < kb.bottom &&
+      box.right > kb.left && box.left < kb.right;
+  };
+
+  if (!overlaps()) return;
+
+  // Scroll the page first (no effect inside fixed modals)
+  const kb = frame.getBoundingClientRect();
+  const box = input.getBoundingClientRect();
+  if (kb.top > box.top) window.scrollBy({ top: box.bottom + GAP - kb.top });
+
+  // Still covered: move the keyboard to the other half of the screen
+  if (overlaps()) {
+    const inputInLowerHalf = input.getBoundingClientRect().top > window.innerHeight / 2;
+    avoiding = inputInLowerHalf ? "top" : "bottom";
+    applyGeometry();
+  }
+}
@@ -0,0 +1,169 @@
+// ============================================
+// Desktop Notifications
+// ============================================
+// OS notifications for managers who keep PouCon open behind other windows,
+// where neither the alert banners nor the alarm overlay are seen. Raised only
+// while the tab is hidden or unfocused, for categories this browser opted
+// into (NotificationSettings hook in the sidebar):
+//   alarms     "alarm:status"     a new unacknowledged AlarmController alarm
+//   alerts     "alerts:status"    a newly registered ScreenAlert
+//   equipment  "equipment:error"  an equipment controller entered an error
+//
+// Notifications go through the service worker registration where there is
+// one (so they survive the tab being discarded), otherwise the page's own
+// Notification. Each carries its alert id as the tag, so a repeat replaces
+// rather than stacks, and the same id is not raised again within REPEAT_MS.
+// Past BURST_LIMIT per minute the rest collapse into one "more alerts"
+// notification. Clicking focuses the tab and navigates to the alert's link.
+//
+// The Notifications API needs a secure context (the kiosk on localhost, or
+// HTTPS); elsewhere the settings explain why it is unavailable.
+
+const PREFS_KEY = "pou_con_notifications";
+const REPEAT_MS = 5 * 60 * 1000;
+const BURST_WINDOW_MS = 60 * 1000;
+const BURST_LIMIT = 4;
+const ICON = "/images/logo.svg";
+
+const DEFAULT_PREFS = { alarms: false, alerts: false, equipment: false };
+
+export const CATEGORIES = {
+  alarms: "Alarms",
+  alerts: "System alerts",
+  equipment: "Equipment errors"
+};
+
+const state = {
+  alarmIds: null,       // null until the first status, which only seeds
+  alertIds: null,
+  lastShown: new Map(), // tag -> ms
+  recent: [],
+  suppressed: 0
+};
+
+// ---------- Preferences ----------
+
+export function isSupported() {
+  return "Notification" in window && window.isSecureContext;
+}
+
+export function getPrefs() {
+  try {
+    return { ...DEFAULT_PREFS, ...JSON.parse(localStorage.getItem(PREFS_KEY)) };
+  } catch (_e) {
+    return { ...DEFAULT_PREFS };
+  }
+}
+
+export function setPref(category, enabled) {
+  const prefs = { ...getPrefs(), [category]: enabled };
+  localStorage.setItem(PREFS_KEY, JSON.stringify(prefs));
+  return prefs;
+}
+
+// ---------- Showing ----------
+
+function inBackground() {
+  return document.visibilityState === "hidden" || !document.hasFocus();
+}
+
+function navigate(url) {
+  if (window.liveSocket) {
+    window.liveSocket.js().navigate(url);
+  } else {
+    window.location.assign(url);
+  }
+}
+
+async function show(tag, title, { body, link = "/", urgent = false }) {
+  const options = { tag, body, icon: ICON, data: { url: link }, requireInteraction: urgent };
+  const registration = navigator.serviceWorker && await navigator.serviceWorker.getRegistration();
+
+  if (registration) {
+    await registration.showNotification(title, options);
+  } else {
+    const notification = new Notification(title, options);
+    notification.onclick = () => {
+      window.focus();
+      navigate(link);
+      notification.close();
+    };
+  }
+}
+
+function allowed(tag) {
+  const now = Date.now();
+  if (now - (state.lastShown.get(tag) || 0) < REPEAT_MS) return false;
+
+  state.recent = state.recent.filter((t) => now - t < BURST_WINDOW_MS);
+  if (state.recent.length === 0) state.suppressed = 0;
+
+  if (state.recent.length >= BURST_LIMIT) {
+    state.suppressed += 1;
+    show("pou_con:more", `${state.suppressed} more PouCon alerts`, {
+      body: "Open PouCon to see them all"
+    }).catch(() => {});
+    return false;
+  }
+
+  state.recent.push(now);
+  state.lastShown.set(tag, now);
+  return true;
+}
+
+function notify(category, tag, title, options) {
+  if (!isSupported() || Notification.permission !== "granted") return;
+  if (!getPrefs()[category] || !inBackground() || !allowed(tag)) return;
+
+  show(tag, title, options).catch(() => {});
+}
+
+// Ids present now but not in `previous` (everything is new after a seed)
+function added(previous, items) {
+  return previous === null ? [] : items.filter((item) => !previous.has(item.id));
+}
+
+// ---------- Server events ----------
+
+function onAlarmStatus({ alarms = [] }) {
+  const active = alarms.filter((a) => !a.acknowledged);
+
+  added(state.alarmIds, active).forEach((alarm) => {
+    notify("alarms", `alarm:${alarm.id}`, `Alarm: ${alarm.name}`, {
+      body: `${alarm.severity || "critical"} alarm is active`,
+      link: "/sirens",
+      urgent: alarm.severity === "critical"
+    });
+  });
+
+  state.alarmIds = new Set(active.map((a) => a.id));
+}
+
+function onAlertsStatus({ alerts = [] }) {
+  added(state.alertIds, alerts).forEach((alert) => {
+    notify("alerts", `alert:${alert.id}`, alert.title || "System alert", {
+      body: alert.message || "",
+      link: alert.link || "/",
+      urgent: true
+    });
+  });
+
+  state.alertIds = new Set(alerts.map((a) => a.id));
+}
+
+function onEquipmentError({ id, title, error, link }) {
+  notify("equipment", `equipment:${id}`, `${title}: error`, { body: error, link });
+}
+
+export function initNotifications() {
+  window.addEventListener("phx:alarm:status", (e) => onAlarmStatus(e.detail));
+  window.addEventListener("phx:alerts:status", (e) => onAlertsStatus(e.detail));
+  window.addEventListener("phx:equipment:error", (e) => onEquipmentError(e.detail));
+
+  // Clicks on service worker notifications arrive here (service_worker.js)
+  if (navigator.serviceWorker) {
+    navigator.serviceWorker.addEventListener("message", (e) => {
+      if (e.data && e.data.type === "navigate") navigate(e.data.url);
+    });
+  }
+}
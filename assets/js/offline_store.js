@@ -0,0 +1,81 @@
+// ============================================
+// Offline Entry Store
+// ============================================
+// IndexedDB queue of data entry made while the LiveSocket was down. The
+// OfflineForm hook adds entries; the OfflineQueue hook replays them and keeps
+// conflicts for review. Entries survive reloading the offline page and
+// restarting the browser.
+//
+// An entry is {id, kind, label, details, params, path, queued_at, status,
+// message}: status is "pending" or "conflict", details are the [label, value]
+// pairs the operator typed. Every change fires "pou_con:offline-queue" on
+// window so the review panel re-renders.
+
+const DB_NAME = "pou_con";
+const DB_VERSION = 1;
+const STORE = "offline_queue";
+export const CHANGED_EVENT = "pou_con:offline-queue";
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: "id", autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+async function run(mode, action) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = action(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+function changed() {
+  window.dispatchEvent(new CustomEvent(CHANGED_EVENT));
+}
+
+export async function addEntry(kind, label, details, params) {
+  const entry = {
+    kind,
+    label,
+    details,
+    params,
+    path: location.pathname,
+    queued_at: new Date().toISOString(),
+    status: "pending",
+    message: null
+  };
+  entry.id = await run("readwrite", (store) => store.add(entry));
+  changed();
+  return entry;
+}
+
+export async function listEntries() {
+  const entries = await run("readonly", (store) => store.getAll());
+  return entries.sort((a, b) => a.id - b.id);
+}
+
+export async function updateEntry(entry) {
+  await run("readwrite", (store) => store.put(entry));
+  changed();
+}
+
+export async function removeEntry(id) {
+  await run("readwrite", (store) => store.delete(id));
+  changed();
+}
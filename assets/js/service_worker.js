@@ -0,0 +1,125 @@
+// ============================================
+// Service Worker
+// ============================================
+// Bundled by esbuild next to app.js and served from /sw.js by
+// PouConWeb.PwaController so its scope is the whole site. It keeps the UI
+// shell usable when the farm network drops:
+//   - page loads and static files (/assets, /fonts, /images) go to the
+//     network first and fall back to the last cached copy after
+//     NETWORK_TIMEOUT_MS, so a release is picked up as soon as it is reachable
+//   - only public pages and the offline entry pages (OFFLINE_PAGES) are
+//     stored; admin and other signed-in pages are fetched but never cached,
+//     so a shared kiosk cannot replay them to the next person offline
+//   - app.js / app.css and the icons are cached on install; the page also
+//     posts its own (digested) asset URLs with {type: "precache", urls}
+//   - the LiveView socket, the API and non-GET requests are never touched
+//   - clicking a desktop notification (notifications.js) focuses an open
+//     PouCon tab and navigates it to the alert's link, or opens a new one
+//
+// Service workers only run in a secure context: the kiosk (localhost) or
+// HTTPS. Office browsers on plain-http LAN addresses simply run without one;
+// the offline entry queue (offline_store.js) does not depend on it.
+
+// Bumped when the caching rules change so activate drops the old cache
+const CACHE = "pou_con-v2";
+const NETWORK_TIMEOUT_MS = 3000;
+const PRECACHE = [
+  "/", "/assets/js/app.js", "/assets/css/app.css", "/images/logo.svg", "/favicon.ico"
+];
+const STATIC_PREFIXES = ["/assets/", "/fonts/", "/images/", "/favicon.ico"];
+const SKIP_PREFIXES = ["/live/", "/api/", "/phoenix/", "/sw.js"];
+// Pages behind a login (see router.ex); OFFLINE_PAGES are the exceptions
+// whose forms queue entries through the OfflineForm hook
+const PRIVATE_PREFIXES = ["/admin", "/flock/", "/operations/"];
+const OFFLINE_PAGES = [/^\/flock\/[^/]+\/logs$/, /^\/operations\/tasks$/];
+
+function cacheablePage(pathname) {
+  if (OFFLINE_PAGES.some((pattern) => pattern.test(pathname))) return true;
+  return !PRIVATE_PREFIXES.some((prefix) => pathname.startsWith(prefix));
+}
+
+async function cacheUrls(urls) {
+  const cache = await caches.open(CACHE);
+  // Individually, so one missing file does not fail the whole install
+  await Promise.all(urls.map((url) => cache.add(url).catch(() => {})));
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(cacheUrls(PRECACHE).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => keys.filter((key) => key !== CACHE))
+      .then((old) => Promise.all(old.map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "precache" && Array.isArray(event.data.urls)) {
+    event.waitUntil(cacheUrls(event.data.urls));
+  }
+});
+
+function fetchWithTimeout(request) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error("timeout")), NETWORK_TIMEOUT_MS);
+    fetch(request).then(
+      (response) => {
+        clearTimeout(timer);
+        resolve(response);
+      },
+      (error) => {
+        clearTimeout(timer);
+        reject(error);
+      }
+    );
+  });
+}
+
+async function networkFirst(request, fallbackUrl, store = true) {
+  const cache = await caches.open(CACHE);
+
+  try {
+    const response = await fetchWithTimeout(request);
+    // Redirects (e.g. to /login) are not the page that was asked for
+    if (store && response.ok && !response.redirected) cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = (store && await cache.match(request)) ||
+      (fallbackUrl && await cache.match(fallbackUrl));
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+  if (SKIP_PREFIXES.some((prefix) => url.pathname.startsWith(prefix))) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(networkFirst(request, "/", cacheablePage(url.pathname)));
+  } else if (STATIC_PREFIXES.some((prefix) => url.pathname.startsWith(prefix))) {
+    event.respondWith(networkFirst(request, null));
+  }
+});
+
+self.addEventListener("notificationclick", (event) => {
+  const url = (event.notification.data && event.notification.data.url) || "/";
+  event.notification.close();
+
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then((windows) => {
+      const client = windows.find((w) => w.focused) || windows[0];
+      if (!client) return self.clients.openWindow(url);
+
+      // The page navigates itself so LiveView keeps its socket
+      return client.focus().then((focused) => focused.postMessage({ type: "navigate", url }));
+    })
+  );
+});
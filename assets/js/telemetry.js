@@ -0,0 +1,290 @@
+// ============================================
+// Client Telemetry
+// ============================================
+// Kiosks have no devtools, so this collects what would otherwise only reach
+// the console and queues it for the server's system log (ClientTelemetry hook
+// sends it as "telemetry:batch"; PouConWeb.ClientTelemetry writes it):
+//   - uncaught errors and unhandled promise rejections
+//   - hook lifecycle failures (mounted/updated/... of every registered hook)
+//   - socket reconnects, with how long the socket was down
+//   - phx-click → server ack latency: clicks slower than SLOW_CLICK_MS are
+//     reported one by one, the rest as a summary every SUMMARY_EVERY_MS
+//
+// The queue is kept in localStorage so errors raised while the socket is down,
+// or just before a reload, still arrive. The same message within
+// REPEAT_WINDOW_MS only bumps a count. The admin diagnostics panel reads the
+// session figures through getDiagnostics().
+
+const QUEUE_KEY = "pou_con_telemetry";
+const DEVICE_KEY = "pou_con_device_name";
+const MAX_QUEUE = 200;
+const MAX_RECENT = 20;
+const MAX_SAMPLES = 200;
+const REPEAT_WINDOW_MS = 60000;
+const SLOW_CLICK_MS = 2000;
+const NO_ACK_MS = 30000;
+const SUMMARY_EVERY_MS = 5 * 60 * 1000;
+const HOOK_CALLBACKS = ["mounted", "beforeUpdate", "updated", "destroyed", "disconnected", "reconnected"];
+
+const state = {
+  queue: loadQueue(),
+  recent: [],           // errors this session, newest first, for the panel
+  samples: [],          // {ms, event, page} click latencies this session
+  unsummarised: [],
+  lastSummaryAt: Date.now(),
+  reconnects: 0,
+  connected: false,
+  everConnected: false,
+  downSince: null,
+  listeners: new Set()
+};
+
+// ---------- Queue ----------
+
+function loadQueue() {
+  try {
+    return JSON.parse(localStorage.getItem(QUEUE_KEY)) || [];
+  } catch (_e) {
+    return [];
+  }
+}
+
+function saveQueue() {
+  try {
+    localStorage.setItem(QUEUE_KEY, JSON.stringify(state.queue));
+  } catch (_e) {
+    // Storage full or disabled - the queue still lives for this page
+  }
+}
+
+function notify() {
+  state.listeners.forEach((listener) => listener());
+}
+
+export function record(kind, level, message) {
+  const now = Date.now();
+  const page = location.pathname;
+  const text = String(message).slice(0, 1000);
+
+  const repeat = state.queue.find((e) => e.kind === kind && e.message === text && e.page === page && now - e.at < REPEAT_WINDOW_MS);
+  if (repeat) {
+    repeat.count += 1;
+  } else {
+    state.queue.push({ kind, level, page, message: text, count: 1, at: now });
+    if (state.queue.length > MAX_QUEUE) state.queue.splice(0, state.queue.length - MAX_QUEUE);
+  }
+  saveQueue();
+
+  if (level !== "info") {
+    state.recent.unshift({ at: now, kind, level, page, message: text });
+    state.recent.length = Math.min(state.recent.length, MAX_RECENT);
+  }
+  notify();
+}
+
+// Oldest entries first, with their age instead of a client timestamp so a
+// wrong browser clock does not matter
+export function takeBatch(max) {
+  addSummary();
+  const now = Date.now();
+  return state.queue.slice(0, max).map((entry) => ({ ...entry, age_ms: now - entry.at }));
+}
+
+export function confirmBatch(count) {
+  state.queue.splice(0, count);
+  saveQueue();
+  notify();
+}
+
+export function hasUrgent() {
+  return state.queue.some((entry) => entry.level === "error");
+}
+
+// ---------- Device ----------
+
+export function getDeviceName() {
+  let name = localStorage.getItem(DEVICE_KEY);
+  if (!name) {
+    name = `browser-${Math.random().toString(16).slice(2, 6)}`;
+    localStorage.setItem(DEVICE_KEY, name);
+  }
+  return name;
+}
+
+export function setDeviceName(name) {
+  const clean = String(name).trim().slice(0, 60);
+  if (clean) localStorage.setItem(DEVICE_KEY, clean);
+}
+
+// ---------- Errors ----------
+
+function describeError(error) {
+  if (!error) return "Unknown error";
+  if (error instanceof Error) {
+    const where = (error.stack || "").split("\n").find((line) => /\.js/.test(line));
+    return `${error.name}: ${error.message}${where ? ` ${where.trim()}` : ""}`;
+  }
+  return typeof error === "string" ? error : JSON.stringify(error);
+}
+
+function onError(e) {
+  if (e.error && e.error.__pouReported) return;
+  const where = e.filename ? ` (${e.filename.split("/").pop()}:${e.lineno})` : "";
+  record("error", "error", e.error ? describeError(e.error) : `${e.message}${where}`);
+}
+
+function onRejection(e) {
+  if (e.reason && e.reason.__pouReported) return;
+  record("error", "error", `Unhandled rejection: ${describeError(e.reason)}`);
+}
+
+// Wraps every hook callback so a failure is reported with the hook's name,
+// then rethrown so LiveView and the console still see it
+export function instrumentHooks(hooks) {
+  Object.entries(hooks).forEach(([name, hook]) => {
+    HOOK_CALLBACKS.forEach((callback) => {
+      const original = hook[callback];
+      if (typeof original !== "function") return;
+
+      const report = (error) => {
+        if (error && typeof error === "object") error.__pouReported = true;
+        record("hook", "error", `${name}.${callback} failed: ${describeError(error)}`);
+      };
+
+      hook[callback] = function (...args) {
+        try {
+          const result = original.apply(this, args);
+          if (result && typeof result.catch === "function") {
+            result.catch((error) => report(error));
+          }
+          return result;
+        } catch (error) {
+          report(error);
+          throw error;
+        }
+      };
+    });
+  });
+  return hooks;
+}
+
+// ---------- Click latency ----------
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+}
+
+export function latencyStats(samples = state.samples) {
+  const sorted = samples.map((s) => s.ms).sort((a, b) => a - b);
+  const slowest = samples.reduce((a, b) => (!a || b.ms > a.ms ? b : a), null);
+  return {
+    count: sorted.length,
+    p50: percentile(sorted, 50),
+    p95: percentile(sorted, 95),
+    max: sorted.length ? sorted[sorted.length - 1] : null,
+    slowest
+  };
+}
+
+function clickName(el) {
+  const event = el.getAttribute("phx-click") || "";
+  return event.startsWith("[") ? "JS command" : event;
+}
+
+// LiveView puts phx-click-loading on the element until the server acks
+function onClick(e) {
+  const el = e.target.closest && e.target.closest("[phx-click]");
+  if (!el || !state.connected) return;
+
+  const started = performance.now();
+  const event = clickName(el);
+  const page = location.pathname;
+
+  setTimeout(() => {
+    if (!el.classList.contains("phx-click-loading")) return;
+
+    const observer = new MutationObserver(() => {
+      if (el.classList.contains("phx-click-loading")) return;
+      finish();
+      addSample(Math.round(performance.now() - started), event, page);
+    });
+    const timer = setTimeout(() => {
+      finish();
+      if (el.isConnected) record("latency", "warning", `No reply to "${event}" after ${NO_ACK_MS / 1000} s`);
+    }, NO_ACK_MS);
+    const finish = () => {
+      observer.disconnect();
+      clearTimeout(timer);
+    };
+
+    observer.observe(el, { attributes: true, attributeFilter: ["class"] });
+  }, 0);
+}
+
+function addSample(ms, event, page) {
+  const sample = { ms, event, page };
+  state.samples.push(sample);
+  if (state.samples.length > MAX_SAMPLES) state.samples.shift();
+  state.unsummarised.push(sample);
+
+  if (ms >= SLOW_CLICK_MS) record("latency", "warning", `Slow click "${event}": ${ms} ms to ack`);
+  notify();
+}
+
+function addSummary() {
+  if (state.unsummarised.length === 0) return;
+  if (Date.now() - state.lastSummaryAt < SUMMARY_EVERY_MS) return;
+
+  const stats = latencyStats(state.unsummarised);
+  record("latency", "info",
+    `Click → ack over ${stats.count} clicks: p50 ${stats.p50} ms, p95 ${stats.p95} ms, max ${stats.max} ms ("${stats.slowest.event}" on ${stats.slowest.page})`);
+  state.unsummarised = [];
+  state.lastSummaryAt = Date.now();
+}
+
+// ---------- Diagnostics ----------
+
+export function getDiagnostics() {
+  return {
+    device: getDeviceName(),
+    connected: state.connected,
+    reconnects: state.reconnects,
+    queued: state.queue.length,
+    recent: state.recent,
+    latency: latencyStats()
+  };
+}
+
+export function subscribe(listener) {
+  state.listeners.add(listener);
+  return () => state.listeners.delete(listener);
+}
+
+export function initTelemetry(liveSocket) {
+  const socket = liveSocket.getSocket();
+
+  socket.onOpen(() => {
+    if (state.everConnected) {
+      state.reconnects += 1;
+      const down = state.downSince ? ` after ${((Date.now() - state.downSince) / 1000).toFixed(1)} s` : "";
+      record("socket", "warning", `Socket reconnected${down} (reconnect ${state.reconnects} this session)`);
+    }
+    state.connected = true;
+    state.everConnected = true;
+    state.downSince = null;
+    notify();
+  });
+
+  const goDown = () => {
+    if (state.connected) state.downSince = Date.now();
+    state.connected = false;
+    notify();
+  };
+  socket.onClose(goDown);
+  socket.onError(goDown);
+
+  window.addEventListener("error", onError);
+  window.addEventListener("unhandledrejection", onRejection);
+  document.addEventListener("click", onClick, true);
+}
@@ -0,0 +1,59 @@
+// ============================================
+// UI State Store
+// ============================================
+// Small client-side store for UI state that LiveView does not own (the
+// sidebar, for now). State is mirrored onto <html> data attributes, which sit
+// outside every LiveView container, so server patches can never reset it and
+// CSS does the rendering. Persisted keys survive reloads and live_session
+// changes via localStorage.
+
+const PERSISTED = {
+  sidebar: "pou_con_sidebar_open"
+};
+
+const ATTRIBUTES = {
+  sidebar: "data-sidebar",
+  sidebarDragging: "data-sidebar-dragging"
+};
+
+const DEFAULTS = {
+  sidebar: "closed",
+  sidebarDragging: null
+};
+
+const state = { ...DEFAULTS };
+
+function load() {
+  // Stored as "true"/"false", the format used before this store existed
+  const sidebar = localStorage.getItem(PERSISTED.sidebar);
+  if (sidebar !== null) state.sidebar = sidebar === "true" ? "open" : "closed";
+}
+
+function render(key) {
+  const attr = ATTRIBUTES[key];
+  if (!attr) return;
+
+  const value = state[key];
+  if (value === null || value === undefined) {
+    document.documentElement.removeAttribute(attr);
+  } else {
+    document.documentElement.setAttribute(attr, value);
+  }
+}
+
+export function getState(key) {
+  return state[key];
+}
+
+export function setState(key, value) {
+  if (state[key] === value) return;
+  state[key] = value;
+
+  if (key === "sidebar") localStorage.setItem(PERSISTED.sidebar, String(value === "open"));
+  render(key);
+}
+
+export function initUiStore() {
+  load();
+  Object.keys(ATTRIBUTES).forEach(render);
+}
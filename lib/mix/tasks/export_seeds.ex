@@ -292,7 +292,8 @@ defmodule Mix.Tasks.ExportSeeds do
           logic: a.logic,
           auto_clear: a.auto_clear,
           enabled: a.enabled,
-          max_mute_minutes: a.max_mute_minutes
+          max_mute_minutes: a.max_mute_minutes,
+          severity: a.severity
         }
       )
       |> Repo.all()
@@ -104,6 +104,46 @@ defmodule PouCon.Auth do
     end
   end
 
+  @default_idle_logout_timeout 900
+
+  @doc """
+  Gets how long (in seconds) an admin browser session may sit idle before
+  it is logged out and returned to the dashboard. 0 disables auto-logout.
+
+  Managed on the admin Display Settings page alongside the screen timeout.
+  """
+  def get_idle_logout_timeout do
+    case Repo.get_by(AppConfig, key: "idle_logout_timeout") do
+      %{value: value} when is_binary(value) ->
+        case Integer.parse(value) do
+          {seconds, ""} when seconds >= 0 -> seconds
+          _ -> @default_idle_logout_timeout
+        end
+
+      _ ->
+        @default_idle_logout_timeout
+    end
+  end
+
+  @doc """
+  Sets the admin idle auto-logout timeout in seconds (0 disables it).
+  """
+  def set_idle_logout_timeout(seconds) when is_integer(seconds) and seconds >= 0 do
+    value = Integer.to_string(seconds)
+
+    case Repo.get_by(AppConfig, key: "idle_logout_timeout") do
+      nil ->
+        %AppConfig{}
+        |> AppConfig.changeset(%{key: "idle_logout_timeout", value: value})
+        |> Repo.insert()
+
+      config ->
+        config
+        |> AppConfig.changeset(%{value: value})
+        |> Repo.update()
+    end
+  end
+
   def get_timezone do
     case Repo.get_by(AppConfig, key: "timezone") do
       nil -> get_system_timezone()
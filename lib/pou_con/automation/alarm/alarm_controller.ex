@@ -8,6 +8,8 @@ defmodule PouCon.Automation.Alarm.AlarmController do
   - Triggers sirens when alarm conditions are met
   - Auto-clears alarms when conditions return to normal (if configured)
   - Tracks acknowledged alarms for manual-clear rules
+  - Broadcasts `{:alarm_status_changed, alarms}` on `"alarm_status"` whenever
+    the set of active, acknowledged or muted alarms changes (see `subscribe/0`)
   """
 
   use GenServer
@@ -21,6 +23,7 @@ defmodule PouCon.Automation.Alarm.AlarmController do
   @data_point_manager Application.compile_env(:pou_con, :data_point_manager)
 
   @default_poll_interval 2000
+  @pubsub_topic "alarm_status"
 
   defmodule State do
     defstruct [
@@ -48,6 +51,24 @@ defmodule PouCon.Automation.Alarm.AlarmController do
     GenServer.call(__MODULE__, :status)
   end
 
+  @doc """
+  List active alarms with display info for the browser alarm overlay.
+
+  Each entry is `%{id, name, severity, acknowledged, muted_until}` where
+  `muted_until` is nil or the mute expiry DateTime.
+  """
+  def active_alarms do
+    GenServer.call(__MODULE__, :active_alarms)
+  end
+
+  @doc """
+  Subscribe to `{:alarm_status_changed, alarms}` messages, where `alarms`
+  has the same shape as `active_alarms/0`.
+  """
+  def subscribe do
+    Phoenix.PubSub.subscribe(PouCon.PubSub, @pubsub_topic)
+  end
+
   @doc """
   Acknowledge an alarm (for manual-clear alarms).
   This turns off the siren but keeps tracking the rule.
@@ -68,7 +89,14 @@ defmodule PouCon.Automation.Alarm.AlarmController do
   Sirens are turned off but alarm state is still tracked.
   """
   def mute(rule_id) do
-    GenServer.cast(__MODULE__, {:mute, rule_id})
+    GenServer.cast(__MODULE__, {:mute, rule_id, nil})
+  end
+
+  @doc """
+  Mute an alarm for `minutes`, capped at the rule's max_mute_minutes.
+  """
+  def mute(rule_id, minutes) when is_integer(minutes) and minutes > 0 do
+    GenServer.cast(__MODULE__, {:mute, rule_id, minutes})
   end
 
   @doc """
@@ -116,13 +144,13 @@ defmodule PouCon.Automation.Alarm.AlarmController do
   end
 
   @impl GenServer
-  def handle_info(:poll, state) do
+  def handle_info(:poll, old_state) do
     # First, check for expired mutes and handle them
-    state = handle_expired_mutes(state)
+    state = handle_expired_mutes(old_state)
     # Then evaluate all rules
     new_state = evaluate_all_rules(state)
     schedule_poll(state.poll_interval_ms)
-    {:noreply, new_state}
+    {:noreply, broadcast_if_changed(old_state, new_state)}
   end
 
   # Handle rule changes via PubSub
@@ -163,18 +191,19 @@ defmodule PouCon.Automation.Alarm.AlarmController do
 
       # Mark as acknowledged
       new_acknowledged = Map.put(state.acknowledged, rule_id, true)
-      {:noreply, %{state | acknowledged: new_acknowledged}}
+      {:noreply, broadcast_if_changed(state, %{state | acknowledged: new_acknowledged})}
     else
       {:noreply, state}
     end
   end
 
-  def handle_cast({:mute, rule_id}, state) do
+  def handle_cast({:mute, rule_id, minutes}, state) do
     rule = Enum.find(state.rules, &(&1.id == rule_id))
 
     if rule && Map.get(state.active_alarms, rule_id) do
-      # Calculate expiry time
-      expiry = DateTime.add(DateTime.utc_now(), rule.max_mute_minutes * 60, :second)
+      # Calculate expiry time (never longer than the rule allows)
+      minutes = min(minutes || rule.max_mute_minutes, rule.max_mute_minutes)
+      expiry = DateTime.add(DateTime.utc_now(), minutes * 60, :second)
 
       Logger.info("[AlarmController] Muting alarm: #{rule.name} until #{expiry}")
 
@@ -183,7 +212,7 @@ defmodule PouCon.Automation.Alarm.AlarmController do
 
       # Track mute with expiry
       new_muted = Map.put(state.muted, rule_id, expiry)
-      {:noreply, %{state | muted: new_muted}}
+      {:noreply, broadcast_if_changed(state, %{state | muted: new_muted})}
     else
       {:noreply, state}
     end
@@ -203,7 +232,7 @@ defmodule PouCon.Automation.Alarm.AlarmController do
         turn_sirens_on(rule.siren_names, rule.name, rule.conditions || [])
       end
 
-      {:noreply, %{state | muted: new_muted}}
+      {:noreply, broadcast_if_changed(state, %{state | muted: new_muted})}
     else
       {:noreply, state}
     end
@@ -235,6 +264,10 @@ defmodule PouCon.Automation.Alarm.AlarmController do
     {:reply, Map.get(state.muted, rule_id), state}
   end
 
+  def handle_call(:active_alarms, _from, state) do
+    {:reply, list_active_alarms(state), state}
+  end
+
   # ——————————————————————————————————————————————————————————————
   # Private Functions
   # ——————————————————————————————————————————————————————————————
@@ -243,6 +276,55 @@ defmodule PouCon.Automation.Alarm.AlarmController do
     Process.send_after(self(), :poll, interval)
   end
 
+  defp list_active_alarms(state) do
+    state.active_alarms
+    |> Map.keys()
+    |> Enum.flat_map(fn rule_id ->
+      case Enum.find(state.rules, &(&1.id == rule_id)) do
+        nil ->
+          []
+
+        rule ->
+          [
+            %{
+              id: rule_id,
+              name: rule.name,
+              severity: rule.severity || "critical",
+              acknowledged: Map.has_key?(state.acknowledged, rule_id),
+              muted_until: Map.get(state.muted, rule_id)
+            }
+          ]
+      end
+    end)
+    |> Enum.sort_by(& &1.name)
+  end
+
+  # Only broadcast on alarm set changes, not on every poll
+  defp broadcast_if_changed(old_state, new_state) do
+    if alarm_snapshot(old_state) != alarm_snapshot(new_state) do
+      broadcast_alarms(new_state)
+    end
+
+    new_state
+  end
+
+  defp alarm_snapshot(state) do
+    {Map.keys(state.active_alarms), Map.keys(state.acknowledged), state.muted}
+  end
+
+  defp broadcast_alarms(state) do
+    # PubSub may not be running in isolated tests
+    try do
+      Phoenix.PubSub.broadcast(
+        PouCon.PubSub,
+        @pubsub_topic,
+        {:alarm_status_changed, list_active_alarms(state)}
+      )
+    rescue
+      ArgumentError -> :ok
+    end
+  end
+
   defp handle_expired_mutes(state) do
     now = DateTime.utc_now()
 
@@ -11,6 +11,7 @@ defmodule PouCon.Automation.Alarm.Schemas.AlarmRule do
     field :auto_clear, :boolean, default: true
     field :enabled, :boolean, default: true
     field :max_mute_minutes, :integer, default: 30
+    field :severity, :string, default: "critical"
 
     has_many :conditions, AlarmCondition, on_replace: :delete
 
@@ -18,13 +19,25 @@ defmodule PouCon.Automation.Alarm.Schemas.AlarmRule do
   end
 
   @valid_logic ["any", "all"]
+  @valid_severities ["critical", "warning", "info"]
+
+  def valid_severities, do: @valid_severities
 
   def changeset(rule, attrs) do
     rule
-    |> cast(attrs, [:name, :siren_names, :logic, :auto_clear, :enabled, :max_mute_minutes])
+    |> cast(attrs, [
+      :name,
+      :siren_names,
+      :logic,
+      :auto_clear,
+      :enabled,
+      :max_mute_minutes,
+      :severity
+    ])
     |> validate_required([:name, :logic])
     |> validate_siren_names()
     |> validate_inclusion(:logic, @valid_logic, message: "must be 'any' or 'all'")
+    |> validate_inclusion(:severity, @valid_severities)
     |> validate_number(:max_mute_minutes, greater_than: 0, less_than_or_equal_to: 120)
     |> cast_assoc(:conditions, with: &AlarmCondition.changeset/2)
   end
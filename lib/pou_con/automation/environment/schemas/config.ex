@@ -246,6 +246,40 @@ defmodule PouCon.Automation.Environment.Schemas.Config do
     |> Enum.sort_by(& &1.temp)
   end
 
+  @doc """
+  Step fields for a whole curve, as edited on the Environment step-curve chart.
+
+  Takes one map per step in step order (`"temp"`, `"extra_fans"`, `"pumps"`
+  as a boolean); steps not given are cleared. A step switched to pumps keeps
+  the pump names it already has, or gets `all_pumps` when it had none.
+
+  Returns atom-keyed fields ready to merge into the config and cast.
+  """
+  def step_params(config, steps, all_pumps) when is_list(steps) do
+    1..5
+    |> Enum.flat_map(fn n ->
+      step = Enum.at(steps, n - 1) || %{}
+      current_pumps = Map.get(config, String.to_atom("step_#{n}_pumps")) || ""
+
+      pumps =
+        cond do
+          step["pumps"] != true -> ""
+          current_pumps != "" -> current_pumps
+          true -> all_pumps
+        end
+
+      [
+        {String.to_atom("step_#{n}_temp"), curve_number(step["temp"]) / 1},
+        {String.to_atom("step_#{n}_extra_fans"), trunc(curve_number(step["extra_fans"]))},
+        {String.to_atom("step_#{n}_pumps"), pumps}
+      ]
+    end)
+    |> Map.new()
+  end
+
+  defp curve_number(value) when is_number(value), do: value
+  defp curve_number(_), do: 0
+
   @doc """
   Find the appropriate step for a given temperature.
   Returns the highest step whose temp threshold is <= current_temp.
@@ -18,18 +18,6 @@ defmodule PouCon.Automation.Lighting.Schemas.Schedule do
     schedule
     |> cast(attrs, [:equipment_id, :name, :on_time, :off_time, :enabled])
     |> validate_required([:equipment_id, :on_time, :off_time])
-    |> validate_times()
     |> foreign_key_constraint(:equipment_id)
   end
-
-  defp validate_times(changeset) do
-    on_time = get_field(changeset, :on_time)
-    off_time = get_field(changeset, :off_time)
-
-    if on_time && off_time && Time.compare(on_time, off_time) == :gt do
-      add_error(changeset, :off_time, "must be after on_time")
-    else
-      changeset
-    end
-  end
 end
@@ -152,6 +152,57 @@ defmodule PouCon.Equipment.DataPoints do
     end
   end
 
+  @doc """
+  Names of the data points that read or write `address` on a port, so a raw
+  write from the Raw Viewer can warn before it fights the running equipment.
+
+  `kind` is the address space being written:
+
+    * `:coil` - Modbus coil, matched against DO points (`register * 8 + channel - 1`)
+    * `:register` - Modbus holding register, matched against the registers an
+      analog point spans (two for 32-bit values, four for 64-bit)
+    * `:s7_output` - S7 output byte (`%QB`), `slave_id` is ignored
+  """
+  def mapped_at(port_path, slave_id, kind, address) when is_integer(address) do
+    DataPoint
+    |> where([d], d.port_path == ^port_path)
+    |> Repo.all()
+    |> Enum.filter(&maps_address?(&1, slave_id, kind, address))
+    |> Enum.map(& &1.name)
+    |> Enum.sort()
+  end
+
+  @discrete_types ~w(DI DO VDI VDO)
+
+  @doc false
+  def maps_address?(%DataPoint{register: register}, _slave_id, _kind, _address)
+      when not is_integer(register),
+      do: false
+
+  def maps_address?(%DataPoint{} = dp, slave_id, :coil, address) do
+    coil = if dp.channel, do: dp.register * 8 + (dp.channel - 1), else: dp.register
+    dp.slave_id == slave_id and dp.type == "DO" and coil == address
+  end
+
+  def maps_address?(%DataPoint{} = dp, slave_id, :register, address) do
+    dp.slave_id == slave_id and dp.type not in @discrete_types and
+      address in dp.register..(dp.register + register_count(dp.value_type) - 1)
+  end
+
+  def maps_address?(%DataPoint{type: type} = dp, _slave_id, :s7_output, address)
+      when type in @discrete_types,
+      do: dp.register == address
+
+  def maps_address?(%DataPoint{} = dp, _slave_id, :s7_output, address) do
+    address in dp.register..(dp.register + 2 * register_count(dp.value_type) - 1)
+  end
+
+  def maps_address?(_dp, _slave_id, _kind, _address), do: false
+
+  defp register_count(value_type) when value_type in ~w(uint32 int32 float32), do: 2
+  defp register_count("uint64"), do: 4
+  defp register_count(_), do: 1
+
   @doc """
   Validates that all data points in a list have matching color_zones.
   Returns {:ok, color_zones} if all match, or {:error, reason} if they don't.
@@ -0,0 +1,142 @@
+defmodule PouCon.Equipment.FloorPlan do
+  @moduledoc """
+  Where each piece of equipment sits on the house floor plan (the synoptic
+  view at /floor_plan), and the optional background plan drawn behind it.
+
+  Positions are fractions (0.0 - 1.0) of the plan's width and height, keyed by
+  equipment name, so they stay put when the background is replaced by one of a
+  different size. Both are kept in app_config - "floor_plan_positions" as JSON
+  and "floor_plan_image" as a data URL - so they travel with backups.
+
+  Every change is broadcast on "floor_plan" as `{:floor_plan_changed, what}`,
+  where what is `:positions` or `:image`, so open floor plan pages redraw -
+  the image is only re-sent when it actually changed.
+  """
+
+  alias PouCon.Auth.AppConfig
+  alias PouCon.Repo
+
+  @topic "floor_plan"
+  @positions_key "floor_plan_positions"
+  @image_key "floor_plan_image"
+
+  @image_types ~w(image/png image/jpeg image/webp image/svg+xml)
+
+  @doc "Subscribes the caller to `{:floor_plan_changed, what}` messages."
+  def subscribe do
+    Phoenix.PubSub.subscribe(PouCon.PubSub, @topic)
+  end
+
+  # ——————————————————————————————————————————————
+  # Positions
+  # ——————————————————————————————————————————————
+
+  @doc """
+  Returns placed equipment as `%{name => %{"x" => x, "y" => y}}`.
+  """
+  def get_positions do
+    with value when is_binary(value) <- get_value(@positions_key),
+         {:ok, %{} = positions} <- Jason.decode(value) do
+      positions
+    else
+      _ -> %{}
+    end
+  end
+
+  @doc """
+  Places (or moves) equipment at fractional coordinates x, y in 0.0 - 1.0.
+  """
+  def put_position(name, x, y)
+      when is_binary(name) and name != "" and is_number(x) and is_number(y) and
+             x >= 0 and x <= 1 and y >= 0 and y <= 1 do
+    get_positions()
+    |> Map.put(name, %{"x" => x / 1, "y" => y / 1})
+    |> save_positions()
+  end
+
+  def put_position(_name, _x, _y), do: {:error, :invalid_position}
+
+  @doc """
+  Takes equipment off the plan.
+  """
+  def delete_position(name) when is_binary(name) do
+    get_positions()
+    |> Map.delete(name)
+    |> save_positions()
+  end
+
+  defp save_positions(positions) do
+    with {:ok, _} <- put_value(@positions_key, Jason.encode!(positions)) do
+      broadcast(:positions)
+      {:ok, positions}
+    end
+  end
+
+  # ——————————————————————————————————————————————
+  # Background Plan
+  # ——————————————————————————————————————————————
+
+  @doc """
+  Returns the background plan as a data URL, or nil when none is set.
+  """
+  def get_image do
+    case get_value(@image_key) do
+      "data:" <> _ = data_url -> data_url
+      _ -> nil
+    end
+  end
+
+  @doc """
+  Stores an uploaded background plan. Returns `{:ok, data_url}` or
+  `{:error, :unsupported_type}`.
+  """
+  def put_image(mime, binary) when mime in @image_types and is_binary(binary) do
+    data_url = "data:#{mime};base64," <> Base.encode64(binary)
+
+    with {:ok, _} <- put_value(@image_key, data_url) do
+      broadcast(:image)
+      {:ok, data_url}
+    end
+  end
+
+  def put_image(_mime, _binary), do: {:error, :unsupported_type}
+
+  @doc """
+  Removes the background plan; the default house outline is drawn instead.
+  """
+  def delete_image do
+    with {:ok, _} <- put_value(@image_key, nil) do
+      broadcast(:image)
+      :ok
+    end
+  end
+
+  # ——————————————————————————————————————————————
+  # Helpers
+  # ——————————————————————————————————————————————
+
+  defp get_value(key) do
+    case Repo.get_by(AppConfig, key: key) do
+      %{value: value} -> value
+      nil -> nil
+    end
+  end
+
+  defp put_value(key, value) do
+    case Repo.get_by(AppConfig, key: key) do
+      nil ->
+        %AppConfig{}
+        |> AppConfig.changeset(%{key: key, value: value})
+        |> Repo.insert()
+
+      config ->
+        config
+        |> AppConfig.changeset(%{value: value})
+        |> Repo.update()
+    end
+  end
+
+  defp broadcast(what) do
+    Phoenix.PubSub.broadcast(PouCon.PubSub, @topic, {:floor_plan_changed, what})
+  end
+end
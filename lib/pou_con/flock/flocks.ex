@@ -47,6 +47,11 @@ defmodule PouCon.Flock.Flocks do
   """
   def get_flock!(id), do: Repo.get!(Flock, id)
 
+  @doc """
+  Gets a single flock, or nil if it does not exist.
+  """
+  def get_flock(id), do: Repo.get(Flock, id)
+
   @doc """
   Gets the currently active flock.
 
@@ -166,6 +171,11 @@ defmodule PouCon.Flock.Flocks do
   """
   def get_flock_log!(id), do: Repo.get!(FlockLog, id)
 
+  @doc """
+  Gets a single flock log, or nil if it does not exist.
+  """
+  def get_flock_log(id), do: Repo.get(FlockLog, id)
+
   @doc """
   Returns the count of flock logs for a given flock.
   """
@@ -406,4 +416,50 @@ defmodule PouCon.Flock.Flocks do
 
     {limited_yields, total_count}
   end
+
+  @doc """
+  Returns daily yields rolled up by flock age in weeks, oldest week first.
+
+  Each row covers the logged days of one age week: first and last date,
+  birds at its start and end, deaths and mortality %, eggs (pcs), average
+  daily yield %, feed used and feed per bird per day in grams.
+  """
+  def list_weekly_yields(flock_id) do
+    {yields, _total} = list_daily_yields(flock_id)
+
+    yields
+    |> Enum.reverse()
+    |> Enum.chunk_by(& &1.age_weeks)
+    |> Enum.map(&weekly_yield/1)
+  end
+
+  defp weekly_yield([first | _] = days) do
+    last = List.last(days)
+    birds_start = first.current_quantity + first.deaths
+    deaths = days |> Enum.map(& &1.deaths) |> Enum.sum()
+    bird_days = days |> Enum.map(& &1.current_quantity) |> Enum.sum()
+    feed_kg = Enum.reduce(days, Decimal.new(0), &Decimal.add(&2, to_decimal(&1.feed_usage_kg)))
+
+    %{
+      age_weeks: first.age_weeks,
+      from_date: first.log_date,
+      to_date: last.log_date,
+      days: length(days),
+      birds_start: birds_start,
+      birds_end: last.current_quantity,
+      deaths: deaths,
+      mortality: if(birds_start > 0, do: deaths / birds_start * 100, else: 0.0),
+      egg_pcs: days |> Enum.map(& &1.egg_pcs) |> Enum.sum(),
+      yield: (days |> Enum.map(& &1.yield) |> Enum.sum()) / length(days),
+      feed_usage_kg: feed_kg,
+      feed_per_bird_g:
+        if(bird_days > 0, do: Decimal.to_float(feed_kg) * 1000 / bird_days, else: 0.0)
+    }
+  end
+
+  # SQLite sums of a decimal column can come back as floats
+  defp to_decimal(%Decimal{} = value), do: value
+  defp to_decimal(value) when is_float(value), do: Decimal.from_float(value)
+  defp to_decimal(value) when is_integer(value), do: Decimal.new(value)
+  defp to_decimal(_value), do: Decimal.new(0)
 end
@@ -369,6 +369,8 @@ defmodule PouCon.Logging.DataPointLogger do
 
   @doc """
   Query logs with filters.
+
+  Pass `:limit` and `:offset` to page through large ranges (CSV/XLSX export).
   """
   def query_logs(opts \\ []) do
     query = from(l in DataPointLog)
@@ -395,10 +397,13 @@ defmodule PouCon.Logging.DataPointLogger do
       end
 
     limit_val = opts[:limit] || 500
+    offset_val = opts[:offset] || 0
 
+    # id breaks inserted_at ties so pages never overlap
     query
-    |> order_by([l], desc: l.inserted_at)
+    |> order_by([l], desc: l.inserted_at, desc: l.id)
     |> limit(^limit_val)
+    |> offset(^offset_val)
     |> Repo.all()
   end
 
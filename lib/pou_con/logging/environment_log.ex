@@ -10,6 +10,9 @@ defmodule PouCon.Logging.EnvironmentLog do
   reverse map built from each equipment's `data_point_tree`. Fan and pump
   cells list only equipment whose `running` flag is true at that slot,
   tagged with the current mode (`[A]` / `[M]`) and any error.
+
+  `daily_sheet/2` summarises one day hour by hour for the printable
+  environment daily sheet.
   """
 
   import Ecto.Query
@@ -17,6 +20,7 @@ defmodule PouCon.Logging.EnvironmentLog do
   alias PouCon.Repo
   alias PouCon.Equipment.Schemas.Equipment
   alias PouCon.Logging.Schemas.{DataPointLog, EquipmentStateLog}
+  alias PouCon.Logging.TrendSeries
   alias PouCon.Hardware.DataPointTreeParser
 
   @sensor_types ~w(temp_sensor humidity_sensor co2_sensor nh3_sensor)
@@ -38,7 +42,7 @@ defmodule PouCon.Logging.EnvironmentLog do
 
     cutoff = DateTime.utc_now() |> DateTime.add(-hours * 3600, :second)
 
-    {sensor_index, sensor_equipment} = load_sensor_index()
+    {sensor_index, sensor_equipment} = sensor_index()
     fan_pump_titles = load_fan_pump_titles()
 
     sensor_logs = load_sensor_logs(cutoff, Map.keys(sensor_index))
@@ -63,9 +67,97 @@ defmodule PouCon.Logging.EnvironmentLog do
     end)
   end
 
+  @doc """
+  Hour-by-hour summary of one farm-local day, for the printable environment
+  daily sheet.
+
+  Returns `%{sensors: sensors, running: running}`. `sensors` has one entry
+  per unit (°C, %RH, ...) with `hours`: for each hour 0..23, `[min, avg, max]`
+  across every sensor in that unit, or nil when nothing was logged.
+  `running` gives, for each hour, the average number of fans and pumps
+  running (`%{fans: 2.5, pumps: 0.0}`).
+  """
+  def daily_sheet(%Date{} = date, timezone) do
+    starts_at = local_midnight(date, timezone)
+    ends_at = local_midnight(Date.add(date, 1), timezone)
+    {sensor_index, _equipment} = sensor_index()
+    titles = load_fan_pump_titles()
+
+    hour_of = fn row -> DateTime.shift_zone!(row.inserted_at, timezone).hour end
+
+    # Bounded in SQL: a day from weeks ago must not load every row since
+    sensors =
+      starts_at
+      |> load_sensor_logs(Map.keys(sensor_index), ends_at)
+      |> Enum.filter(&is_number(&1.value))
+      |> Enum.group_by(& &1.unit)
+      |> Enum.sort_by(fn {unit, _} -> unit || "" end)
+      |> Enum.map(fn {unit, rows} ->
+        by_hour = Enum.group_by(rows, hour_of, & &1.value)
+
+        %{
+          unit: unit,
+          title: TrendSeries.unit_title(unit),
+          hours: Enum.map(0..23, &hour_stats(by_hour[&1]))
+        }
+      end)
+
+    states_by_hour =
+      starts_at
+      |> load_state_logs(ends_at)
+      |> Enum.group_by(hour_of)
+
+    %{
+      sensors: sensors,
+      running: Enum.map(0..23, &running_average(states_by_hour[&1] || [], titles))
+    }
+  end
+
+  defp hour_stats(nil), do: nil
+
+  defp hour_stats(values) do
+    avg = Enum.sum(values) / length(values)
+    Enum.map([Enum.min(values), avg, Enum.max(values)], &Float.round(&1 / 1, 1))
+  end
+
+  # Each equipment contributes the share of its samples that were running
+  defp running_average(states, titles) do
+    shares =
+      states
+      |> Enum.group_by(& &1.equipment_name)
+      |> Enum.map(fn {name, rows} ->
+        type = get_in(titles, [name, :type])
+        {type, Enum.count(rows, &(&1.running == true)) / length(rows)}
+      end)
+
+    total = fn type ->
+      shares |> Enum.filter(&(elem(&1, 0) == type)) |> Enum.map(&elem(&1, 1)) |> Enum.sum()
+    end
+
+    %{fans: Float.round(total.("fan") / 1, 1), pumps: Float.round(total.("pump") / 1, 1)}
+  end
+
+  defp local_midnight(date, timezone) do
+    local =
+      case DateTime.new(date, ~T[00:00:00], timezone) do
+        {:ok, dt} -> dt
+        {:ambiguous, first, _second} -> first
+        {:gap, _before, just_after} -> just_after
+      end
+
+    DateTime.shift_zone!(local, "Etc/UTC")
+  end
+
   # ===== Sensor side =====
 
-  defp load_sensor_index do
+  @doc """
+  Map every data point used by an active sensor equipment to its owner.
+
+  Returns `{index, equipment}` where `index` is
+  `%{data_point_name => %{equipment: name, role: key}}` and `equipment` is the
+  sorted list of sensor equipment (`name`, `title`, `type`, `tree`).
+  """
+  def sensor_index do
     equipment =
       from(e in Equipment,
         where: e.type in ^@sensor_types and e.active == true,
@@ -113,9 +205,11 @@ defmodule PouCon.Logging.EnvironmentLog do
     end
   end
 
-  defp load_sensor_logs(_cutoff, []), do: []
+  # `until` (exclusive) bounds the window; nil runs up to now
+  defp load_sensor_logs(cutoff, data_point_names, until \\ nil)
+  defp load_sensor_logs(_cutoff, [], _until), do: []
 
-  defp load_sensor_logs(cutoff, data_point_names) do
+  defp load_sensor_logs(cutoff, data_point_names, until) do
     from(l in DataPointLog,
       where:
         l.inserted_at >= ^cutoff and
@@ -128,9 +222,13 @@ defmodule PouCon.Logging.EnvironmentLog do
         inserted_at: l.inserted_at
       }
     )
+    |> before(until)
     |> Repo.all()
   end
 
+  defp before(query, nil), do: query
+  defp before(query, until), do: where(query, [l], l.inserted_at < ^until)
+
   defp build_sensor_cells(sensor_equipment, sensor_index, sensors_at) do
     by_equipment =
       Enum.reduce(sensors_at, %{}, fn log, acc ->
@@ -186,7 +284,7 @@ defmodule PouCon.Logging.EnvironmentLog do
     |> Map.new()
   end
 
-  defp load_state_logs(cutoff) do
+  defp load_state_logs(cutoff, until \\ nil) do
     from(s in EquipmentStateLog,
       where: s.inserted_at >= ^cutoff and s.triggered_by == "interval",
       select: %{
@@ -197,6 +295,7 @@ defmodule PouCon.Logging.EnvironmentLog do
         inserted_at: s.inserted_at
       }
     )
+    |> before(until)
     |> Repo.all()
   end
 
@@ -6,6 +6,7 @@ defmodule PouCon.Logging.EquipmentLogger do
 
   import Ecto.Query
 
+  alias PouCon.Equipment.Devices
   alias PouCon.Logging.Schemas.EquipmentEvent
   alias PouCon.Repo
 
@@ -14,6 +15,8 @@ defmodule PouCon.Logging.EquipmentLogger do
   # Capture Mix.env at compile time since Mix is not available in releases
   @env Mix.env()
 
+  @errors_topic "equipment_errors"
+
   @doc """
   Log equipment start event.
 
@@ -51,8 +54,16 @@ defmodule PouCon.Logging.EquipmentLogger do
 
   @doc """
   Log equipment error event.
+
+  Also broadcasts `{:equipment_error, %{equipment: name, error: error_type,
+  title: title, type: type}}` to `subscribe_errors/0` subscribers, even when
+  the event cannot be stored (invalid system time), so the UI can raise a
+  notification. Title and type are looked up here once rather than by every
+  subscriber; both fall back (to the name and nil) for unknown equipment.
   """
   def log_error(equipment_name, mode, error_type, from_value \\ "running") do
+    broadcast_error(equipment_name, error_type)
+
     log_event(%{
       equipment_name: equipment_name,
       event_type: "error",
@@ -161,6 +172,39 @@ defmodule PouCon.Logging.EquipmentLogger do
     end
   end
 
+  @doc """
+  Subscribe to equipment errors as they are logged.
+  """
+  def subscribe_errors do
+    Phoenix.PubSub.subscribe(PouCon.PubSub, @errors_topic)
+  end
+
+  defp broadcast_error(equipment_name, error_type) do
+    equipment = find_equipment(equipment_name)
+
+    Phoenix.PubSub.broadcast(
+      PouCon.PubSub,
+      @errors_topic,
+      {:equipment_error,
+       %{
+         equipment: equipment_name,
+         error: to_string(error_type),
+         title: (equipment && equipment.title) || equipment_name,
+         type: equipment && equipment.type
+       }}
+    )
+  rescue
+    # PubSub not started yet during early boot
+    ArgumentError -> :ok
+  end
+
+  defp find_equipment(name) do
+    Devices.get_equipment_by_name(name)
+  rescue
+    # Repo not started yet during early boot
+    _ -> nil
+  end
+
   # Helper to encode metadata as JSON
   defp encode_metadata(nil), do: nil
   defp encode_metadata(metadata) when is_map(metadata), do: Jason.encode!(metadata)
@@ -217,6 +261,8 @@ defmodule PouCon.Logging.EquipmentLogger do
 
   @doc """
   Get events by date range and optional filters.
+
+  Pass `:limit` and `:offset` to page through large ranges (CSV/XLSX export).
   """
   def query_events(opts \\ []) do
     query = from(e in EquipmentEvent)
@@ -257,10 +303,13 @@ defmodule PouCon.Logging.EquipmentLogger do
       end
 
     limit_val = opts[:limit] || 100
+    offset_val = opts[:offset] || 0
 
+    # id breaks inserted_at ties so pages never overlap
     query
-    |> order_by([e], desc: e.inserted_at)
+    |> order_by([e], desc: e.inserted_at, desc: e.id)
     |> limit(^limit_val)
+    |> offset(^offset_val)
     |> Repo.all()
   end
 end
@@ -0,0 +1,154 @@
+defmodule PouCon.Logging.RuntimeSummary do
+  @moduledoc """
+  Read model for the printable equipment runtime summary.
+
+  Walks each equipment's `equipment_state_logs` rows (interval and change)
+  in time order and adds up the time from one row to the next while the
+  row says `running`. The gap after a row counts for at most
+  `:max_gap_seconds` (default: two logging intervals), so time the logger
+  was stopped or the controller was off is not counted as runtime.
+
+  Runtime is split by farm-local day on the row that starts each gap; a gap
+  crossing midnight stays with the earlier day, which is off by at most one
+  logging interval.
+  """
+
+  import Ecto.Query
+
+  alias PouCon.Repo
+  alias PouCon.Logging.Schemas.EquipmentStateLog
+
+  @default_interval_seconds 300
+
+  @doc """
+  Runtime per equipment for the farm-local days `from_date` to `to_date`
+  (inclusive). Today counts up to now.
+
+  Returns the same list as `summarize/2`.
+  """
+  def get_summary(%Date{} = from_date, %Date{} = to_date, timezone) do
+    starts_at = local_midnight(from_date, timezone)
+    next_day = local_midnight(Date.add(to_date, 1), timezone)
+    ends_at = Enum.min([next_day, DateTime.utc_now()], DateTime)
+
+    rows =
+      from(s in EquipmentStateLog,
+        where: s.inserted_at >= ^starts_at and s.inserted_at < ^ends_at,
+        order_by: [asc: s.inserted_at, asc: s.id],
+        select: %{
+          equipment_name: s.equipment_name,
+          running: s.running,
+          mode: s.mode,
+          error: s.error,
+          inserted_at: s.inserted_at
+        }
+      )
+      |> Repo.all()
+
+    summarize(rows, to: ends_at, timezone: timezone, max_gap_seconds: 2 * get_global_interval())
+  end
+
+  @doc """
+  Summarises state rows (sorted oldest first) per equipment, by name:
+
+      %{equipment_name: "fan_1", runtime_seconds: 5400, manual_seconds: 600,
+        starts: 3, errors: 1, daily: %{~D[2026-01-07] => 5400}}
+
+  `starts` counts stopped → running transitions (running at the first row
+  is not a start), `errors` counts rows where a new error appears.
+
+  ## Options
+
+  - `:to` — end of the window, which ends the last row's gap (required)
+  - `:timezone` — for splitting runtime by day (default "Etc/UTC")
+  - `:max_gap_seconds` — longest gap counted after a row (default 600)
+  """
+  def summarize(rows, opts) do
+    to = Keyword.fetch!(opts, :to)
+    timezone = Keyword.get(opts, :timezone, "Etc/UTC")
+    max_gap = Keyword.get(opts, :max_gap_seconds, 2 * @default_interval_seconds)
+
+    rows
+    |> Enum.group_by(& &1.equipment_name)
+    |> Enum.map(fn {name, equipment_rows} ->
+      summarize_equipment(name, equipment_rows, to, timezone, max_gap)
+    end)
+    |> Enum.sort_by(& &1.equipment_name)
+  end
+
+  defp summarize_equipment(name, rows, to, timezone, max_gap) do
+    initial = %{
+      equipment_name: name,
+      runtime_seconds: 0,
+      manual_seconds: 0,
+      starts: 0,
+      errors: 0,
+      daily: %{}
+    }
+
+    rows
+    |> Enum.zip(Enum.drop(rows, 1) ++ [nil])
+    |> Enum.reduce({initial, nil}, fn {row, next}, {acc, previous} ->
+      acc =
+        acc
+        |> count_transitions(row, previous)
+        |> add_runtime(row, next, to, timezone, max_gap)
+
+      {acc, row}
+    end)
+    |> elem(0)
+  end
+
+  defp count_transitions(acc, row, previous) do
+    started = previous != nil and previous.running != true and row.running == true
+    new_error = row.error not in [nil, ""] and (previous == nil or previous.error != row.error)
+
+    acc
+    |> bump(:starts, started)
+    |> bump(:errors, new_error)
+  end
+
+  defp bump(acc, key, true), do: Map.update!(acc, key, &(&1 + 1))
+  defp bump(acc, _key, false), do: acc
+
+  defp add_runtime(acc, %{running: true} = row, next, to, timezone, max_gap) do
+    until = if next, do: next.inserted_at, else: to
+    seconds = until |> DateTime.diff(row.inserted_at) |> max(0) |> min(max_gap)
+    day = row.inserted_at |> DateTime.shift_zone!(timezone) |> DateTime.to_date()
+
+    %{
+      acc
+      | runtime_seconds: acc.runtime_seconds + seconds,
+        manual_seconds: acc.manual_seconds + if(row.mode == "manual", do: seconds, else: 0),
+        daily: Map.update(acc.daily, day, seconds, &(&1 + seconds))
+    }
+  end
+
+  defp add_runtime(acc, _row, _next, _to, _timezone, _max_gap), do: acc
+
+  defp local_midnight(date, timezone) do
+    local =
+      case DateTime.new(date, ~T[00:00:00], timezone) do
+        {:ok, dt} -> dt
+        {:ambiguous, first, _second} -> first
+        {:gap, _before, just_after} -> just_after
+      end
+
+    DateTime.shift_zone!(local, "Etc/UTC")
+  end
+
+  defp get_global_interval do
+    case Repo.query("SELECT value FROM app_config WHERE key = ?", [
+           "data_point_log_interval_seconds"
+         ]) do
+      {:ok, %{rows: [[v]]}} when is_binary(v) ->
+        case Integer.parse(v) do
+          {n, _} when n > 0 -> n
+          _ -> @default_interval_seconds
+        end
+
+      _ ->
+        @default_interval_seconds
+    end
+  end
+end
@@ -0,0 +1,315 @@
+defmodule PouCon.Logging.TrendSeries do
+  @moduledoc """
+  Read model for the Reports trend charts.
+
+  Turns `data_point_logs` rows into chart payloads for the `TrendChart`
+  client hook. Payloads are plain maps/lists so they can be sent with
+  `push_event/3` as-is:
+
+      %{
+        chart: "c",
+        title: "Temperature",
+        unit: "°C",
+        from: 1_760_000_000_000,
+        to: 1_760_086_400_000,
+        series: [
+          %{key: "TT01", label: "Front Temp", points: [[ms, value], ...], band: nil},
+          %{key: "avg", label: "Average", points: [[ms, value], ...], band: [[ms, min, max], ...]}
+        ],
+        thresholds: [%{value: 35.0, label: "High Temp (above)"}]
+      }
+
+  Timestamps are Unix milliseconds (UTC); the client formats them in the
+  farm timezone.
+
+  ## Downsampling
+
+  Long windows are bucketed to at most `@max_points` points per series. Each
+  bucket is plotted at its average and, when it held more than one sample,
+  contributes a min/max band point so spikes are not averaged away.
+  """
+
+  import Ecto.Query
+
+  alias PouCon.Repo
+  alias PouCon.Logging.EnvironmentLog
+  alias PouCon.Logging.Schemas.DataPointLog
+  alias PouCon.Automation.Alarm.Schemas.{AlarmRule, AlarmCondition}
+  alias PouCon.Hardware.DataPointManager
+
+  @max_points 400
+  @max_rows 20_000
+
+  @unit_titles %{
+    "°C" => "Temperature",
+    "%RH" => "Humidity",
+    "%" => "Humidity",
+    "ppm" => "Gas Concentration"
+  }
+
+  @doc """
+  Build one chart per unit for all active environment sensors
+  (temperature, humidity, CO2, NH3) over the last `:hours` (default 24).
+
+  Every chart gets one series per data point; charts with more than one
+  data point also get an `"avg"` series with a min/max band across sensors.
+  """
+  def environment_charts(opts \\ []) do
+    hours = Keyword.get(opts, :hours, 24)
+    {from, to} = window(hours)
+    {sensor_index, sensor_equipment} = EnvironmentLog.sensor_index()
+    titles = Map.new(sensor_equipment, &{&1.name, &1.title || &1.name})
+
+    sensor_index
+    |> Map.keys()
+    |> load_points(from)
+    |> Enum.group_by(& &1.unit)
+    |> Enum.sort_by(fn {unit, _} -> unit || "" end)
+    |> Enum.with_index()
+    |> Enum.map(fn {{unit, rows}, index} ->
+      by_dp = Enum.group_by(rows, & &1.data_point_name, &{&1.ms, &1.value})
+
+      series =
+        by_dp
+        |> Enum.sort_by(fn {name, _} -> name end)
+        |> Enum.map(fn {name, points} ->
+          %{equipment: eq_name, role: role} = Map.fetch!(sensor_index, name)
+          build_series(name, "#{titles[eq_name]} #{humanize(role)}", points)
+        end)
+
+      series =
+        if map_size(by_dp) > 1 do
+          series ++ [average_series(rows)]
+        else
+          series
+        end
+
+      %{
+        chart: chart_id(unit, index),
+        title: unit_title(unit),
+        unit: unit,
+        from: from,
+        to: to,
+        series: series,
+        thresholds: thresholds(Map.keys(by_dp))
+      }
+    end)
+  end
+
+  @doc """
+  Chart title for a sensor unit, e.g. "Temperature" for "°C".
+  """
+  def unit_title(unit), do: Map.get(@unit_titles, unit, unit || "Value")
+
+  @doc """
+  Build a single-series chart for one data point over the last `:hours`
+  (default 24). Returns `nil` when the data point has no logged values.
+  """
+  def data_point_chart(data_point_name, opts \\ []) do
+    hours = Keyword.get(opts, :hours, 24)
+    {from, to} = window(hours)
+
+    case load_points([data_point_name], from, false) do
+      [] ->
+        nil
+
+      rows ->
+        unit = rows |> List.last() |> Map.get(:unit)
+
+        %{
+          chart: "data-point",
+          title: data_point_name,
+          unit: unit,
+          from: from,
+          to: to,
+          series: [
+            build_series(data_point_name, data_point_name, Enum.map(rows, &{&1.ms, &1.value}))
+          ],
+          thresholds: thresholds([data_point_name])
+        }
+    end
+  end
+
+  @doc """
+  Build a live sample for an already-loaded chart from the data point cache.
+
+  Returns `nil` when none of the chart's data points currently has a value,
+  so callers can skip the push.
+  """
+  def live_point(%{chart: chart, series: series}) do
+    names = for %{key: key} <- series, key != "avg", do: key
+
+    values =
+      Enum.reduce(names, %{}, fn name, acc ->
+        case DataPointManager.get_cached_data(name) do
+          {:ok, %{value: v}} when is_number(v) -> Map.put(acc, name, v / 1)
+          _ -> acc
+        end
+      end)
+
+    cond do
+      values == %{} ->
+        nil
+
+      Enum.any?(series, &(&1.key == "avg")) ->
+        nums = Map.values(values)
+
+        %{
+          chart: chart,
+          t: System.system_time(:millisecond),
+          values: Map.put(values, "avg", Enum.sum(nums) / length(nums)),
+          bands: %{"avg" => [Enum.min(nums), Enum.max(nums)]}
+        }
+
+      true ->
+        %{chart: chart, t: System.system_time(:millisecond), values: values, bands: %{}}
+    end
+  end
+
+  @doc """
+  Reduce `[{ms, value}]` (ascending) to at most `max_points` buckets.
+
+  Returns `{points, band}` where `points` is `[[ms, avg]]` and `band` is
+  `[[ms, min, max]]`, or `nil` when no bucket held more than one sample.
+  """
+  def downsample(points, max_points \\ @max_points)
+  def downsample([], _max_points), do: {[], nil}
+
+  def downsample(points, max_points) when length(points) <= max_points do
+    {Enum.map(points, fn {ms, v} -> [ms, v] end), nil}
+  end
+
+  def downsample([{first_ms, _} | _] = points, max_points) do
+    {last_ms, _} = List.last(points)
+    bucket_ms = max(div(last_ms - first_ms, max_points) + 1, 1)
+
+    buckets =
+      points
+      |> Enum.chunk_by(fn {ms, _} -> div(ms - first_ms, bucket_ms) end)
+      |> Enum.map(fn chunk ->
+        values = Enum.map(chunk, &elem(&1, 1))
+        {ms, _} = hd(chunk)
+        {ms, Enum.sum(values) / length(values), Enum.min(values), Enum.max(values),
+         length(values)}
+      end)
+
+    band =
+      if Enum.any?(buckets, fn {_, _, _, _, n} -> n > 1 end) do
+        Enum.map(buckets, fn {ms, _, lo, hi, _} -> [ms, lo, hi] end)
+      end
+
+    {Enum.map(buckets, fn {ms, avg, _, _, _} -> [ms, avg] end), band}
+  end
+
+  # ===== Series =====
+
+  defp build_series(key, label, points) do
+    {line, band} = downsample(points)
+    %{key: key, label: String.trim(label), points: line, band: band}
+  end
+
+  # Average across sensors per timestamp, with the sensor spread as the band
+  defp average_series(rows) do
+    buckets =
+      rows
+      |> Enum.group_by(& &1.ms, & &1.value)
+      |> Enum.sort_by(fn {ms, _} -> ms end)
+
+    {line, _} =
+      buckets
+      |> Enum.map(fn {ms, vs} -> {ms, Enum.sum(vs) / length(vs)} end)
+      |> downsample()
+
+    spread = Enum.map(buckets, fn {ms, vs} -> {ms, Enum.min(vs), Enum.max(vs)} end)
+
+    %{key: "avg", label: "Average", points: line, band: band_for(spread)}
+  end
+
+  defp band_for(spread) when length(spread) <= @max_points do
+    Enum.map(spread, fn {ms, lo, hi} -> [ms, lo, hi] end)
+  end
+
+  defp band_for([{first_ms, _, _} | _] = spread) do
+    {last_ms, _, _} = List.last(spread)
+    bucket_ms = div(last_ms - first_ms, @max_points) + 1
+
+    spread
+    |> Enum.chunk_by(fn {ms, _, _} -> div(ms - first_ms, bucket_ms) end)
+    |> Enum.map(fn [{ms, _, _} | _] = chunk ->
+      lows = Enum.map(chunk, &elem(&1, 1))
+      highs = Enum.map(chunk, &elem(&1, 2))
+      [ms, Enum.min(lows), Enum.max(highs)]
+    end)
+  end
+
+  # ===== Queries =====
+
+  # Environment charts only use interval rows so every sensor shares the same
+  # timestamps; a single data point chart also takes change rows. Past
+  # @max_rows the newest rows win so the chart still reaches "now".
+  defp load_points(names, from_ms, interval_only \\ true)
+  defp load_points([], _from_ms, _interval_only), do: []
+
+  defp load_points(names, from_ms, interval_only) do
+    cutoff = DateTime.from_unix!(from_ms, :millisecond)
+
+    query =
+      from(l in DataPointLog,
+        where: l.inserted_at >= ^cutoff and l.data_point_name in ^names and not is_nil(l.value),
+        order_by: [desc: l.inserted_at],
+        limit: @max_rows,
+        select: %{
+          data_point_name: l.data_point_name,
+          value: l.value,
+          unit: l.unit,
+          inserted_at: l.inserted_at
+        }
+      )
+
+    query = if interval_only, do: where(query, [l], l.triggered_by == "interval"), else: query
+
+    query
+    |> Repo.all()
+    |> Enum.reverse()
+    |> Enum.map(fn row ->
+      # Truncate to the second so sensors sampled in the same sweep line up
+      ms = DateTime.to_unix(row.inserted_at, :second) * 1000
+      Map.put(row, :ms, ms)
+    end)
+  end
+
+  # Above/below thresholds from enabled alarm conditions on these data points
+  defp thresholds(names) do
+    from(c in AlarmCondition,
+      join: r in AlarmRule,
+      on: r.id == c.alarm_rule_id,
+      where:
+        c.source_type == "sensor" and c.source_name in ^names and c.enabled == true and
+          r.enabled == true and c.condition in ["above", "below"] and not is_nil(c.threshold),
+      select: %{value: c.threshold, label: fragment("? || ' (' || ? || ')'", r.name, c.condition)}
+    )
+    |> Repo.all()
+    |> Enum.uniq_by(& &1.value)
+    |> Enum.sort_by(& &1.value)
+  end
+
+  # ===== Helpers =====
+
+  defp window(hours) do
+    to = System.system_time(:millisecond)
+    {to - hours * 3_600_000, to}
+  end
+
+  defp humanize(role), do: role |> to_string() |> String.replace("_", " ")
+
+  # Chart ids become DOM ids, so units that slug to nothing ("%", nil) fall
+  # back to their position to stay unique within the view
+  defp chart_id(nil, index), do: "unit-#{index}"
+
+  defp chart_id(unit, index) do
+    case unit |> String.downcase() |> String.replace(~r/[^a-z0-9]/u, "") do
+      "" -> "unit-#{index}"
+      id -> id
+    end
+  end
+end
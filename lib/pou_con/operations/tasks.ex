@@ -102,6 +102,15 @@ defmodule PouCon.Operations.Tasks do
     |> Repo.get!(id)
   end
 
+  @doc """
+  Gets a single template, or nil if it does not exist.
+  """
+  def get_template(id) do
+    TaskTemplate
+    |> preload([:category])
+    |> Repo.get(id)
+  end
+
   @doc """
   Creates a task template.
   """
@@ -146,14 +155,16 @@ defmodule PouCon.Operations.Tasks do
   # ============================================================================
 
   @doc """
-  Records a task completion.
+  Records a task completion. `"completed_at"` defaults to now; entries replayed
+  from the offline queue pass the time they were made.
   """
   def complete_task(task_template_id, attrs \\ %{}) do
     attrs =
-      Map.merge(attrs, %{
+      attrs
+      |> Map.put_new("completed_at", DateTime.utc_now())
+      |> Map.merge(%{
         "house_id" => get_house_id(),
-        "task_template_id" => task_template_id,
-        "completed_at" => DateTime.utc_now()
+        "task_template_id" => task_template_id
       })
 
     %TaskCompletion{}
@@ -0,0 +1,49 @@
+defmodule PouCon.SystemTime do
+  @moduledoc """
+  Sets the controller's system clock and copies it to the hardware clock (RTC).
+
+  Both use `sudo date` and `sudo hwclock`, which need the passwordless sudo
+  rules installed by `scripts/setup_sudo.sh`. Errors are returned as the
+  command output so the caller can tell a missing sudo rule from a bad value.
+  """
+
+  require Logger
+
+  @doc """
+  Sets the clock from a date ("YYYY-MM-DD") and time ("HH:MM:SS") as typed on
+  the System Time page. They are read in the operating system's timezone.
+  """
+  def set_local(date, time), do: set(["-s", "#{date} #{time}"])
+
+  @doc """
+  Sets the clock to a UTC instant, to the millisecond. Used by the header's
+  time sync, so neither the browser's nor the OS timezone matters.
+  """
+  def set_utc(%DateTime{} = datetime) do
+    previous = DateTime.utc_now()
+    seconds = DateTime.to_unix(datetime, :millisecond) / 1000
+
+    with :ok <- set(["-u", "-s", "@#{:erlang.float_to_binary(seconds, decimals: 3)}"]) do
+      from = DateTime.to_iso8601(previous)
+      Logger.warning("System time set from #{from} to #{DateTime.to_iso8601(datetime)}")
+
+      :ok
+    end
+  end
+
+  defp set(date_args) do
+    case System.cmd("sudo", ["date" | date_args], stderr_to_stdout: true) do
+      {_output, 0} ->
+        # Also sync hardware clock
+        case System.cmd("sudo", ["hwclock", "--systohc"], stderr_to_stdout: true) do
+          {_output, 0} -> :ok
+          {error, _} -> {:error, "Failed to sync hardware clock: #{error}"}
+        end
+
+      {error, _} ->
+        {:error, "Failed to set system time: #{error}"}
+    end
+  rescue
+    e -> {:error, Exception.message(e)}
+  end
+end
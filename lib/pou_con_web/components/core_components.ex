@@ -86,10 +86,26 @@ defmodule PouConWeb.CoreComponents do
       <.button>Send!</.button>
       <.button phx-click="go" variant="primary">Send!</.button>
       <.button navigate={~p"/"}>Home</.button>
+
+  Buttons that stop or switch over equipment can require a deliberate
+  gesture before `phx-click` fires (handled by the HoldToConfirm hook, so an
+  `id` is required):
+
+      <.button id="stop-fans" phx-click="stop_all" confirm="hold">Stop All</.button>
+      <.button id="to-manual" phx-click="manual" confirm="slide" hold_ms={2000}>
+        Manual
+      </.button>
   """
   attr :rest, :global, include: ~w(href navigate patch method download name value disabled type)
   attr :class, :string
   attr :variant, :string, values: ~w(primary)
+
+  attr :confirm, :string,
+    values: [nil, "hold", "slide"],
+    default: nil,
+    doc: "require press-and-hold or slide-to-confirm before phx-click fires"
+
+  attr :hold_ms, :integer, default: nil, doc: "hold duration for confirm=\"hold\""
   slot :inner_block, required: true
 
   def button(%{rest: rest} = assigns) do
@@ -108,7 +124,13 @@ defmodule PouConWeb.CoreComponents do
       """
     else
       ~H"""
-      <button class={@class} {@rest}>
+      <button
+        class={@class}
+        phx-hook={@confirm && "HoldToConfirm"}
+        data-confirm-mode={@confirm}
+        data-hold-ms={@hold_ms}
+        {@rest}
+      >
         {render_slot(@inner_block)}
       </button>
       """
@@ -247,13 +269,21 @@ defmodule PouConWeb.CoreComponents do
   end
 
   # All other inputs text, datetime-local, url, password, etc. are handled here...
+  # Number inputs (or any input with data-keypad) get the GloveNumberPad keypad.
   def input(assigns) do
+    keyboard_hook =
+      if assigns.type == "number" or assigns.rest[:"data-keypad"],
+        do: "GloveNumberPad",
+        else: "SimpleKeyboard"
+
+    assigns = assign(assigns, :keyboard_hook, keyboard_hook)
+
     ~H"""
     <div class="fieldset mb-2">
       <label>
         <span :if={@label} class="label mb-1">{@label}</span>
         <input
-          phx-hook="SimpleKeyboard"
+          phx-hook={@keyboard_hook}
           type={@type}
           name={@name}
           id={@id}
@@ -116,7 +116,11 @@ defmodule PouConWeb.Components.Equipment.FeedInComponent do
           <Shared.blocked_button />
         <% true -> %>
           <button
+            id={"feed-in-power-#{@myself}"}
             phx-click={if @commanded_on, do: "turn_off", else: "turn_on"}
+            phx-hook="HoldToConfirm"
+            data-confirm-mode={if @commanded_on, do: "hold", else: "none"}
+            data-command
             phx-target={@myself}
             class={[
               "w-full py-4 px-2 rounded flex items-center justify-center text-lg font-bold uppercase transition-all border shadow-sm active:scale-95 touch-manipulation",
@@ -25,7 +25,7 @@ defmodule PouConWeb.Components.Equipment.Shared do
 
   def equipment_card(assigns) do
     ~H"""
-    <div class={[
+    <div data-live class={[
       "bg-base-100 shadow-sm rounded-xl border border-base-300 overflow-hidden w-80 transition-colors duration-300",
       @is_error && "border-red-300 ring-1 ring-red-100"
     ]}>
@@ -144,6 +144,9 @@ defmodule PouConWeb.Components.Equipment.Shared do
   @doc """
   Renders the Auto/Manual mode toggle buttons (for equipment with software-controlled mode).
 
+  Switching to manual takes equipment away from automation, so it needs a
+  slide-to-confirm gesture.
+
   ## Examples
 
       <.mode_toggle mode={@display.mode} is_offline={@display.is_offline} myself={@myself} />
@@ -157,6 +160,7 @@ defmodule PouConWeb.Components.Equipment.Shared do
     <div class="flex bg-base-300 rounded p-1 flex-shrink-0 ml-2">
       <button
         phx-click="set_mode"
+        data-command
         phx-value-mode="auto"
         phx-target={@myself}
         disabled={@is_offline}
@@ -169,7 +173,12 @@ defmodule PouConWeb.Components.Equipment.Shared do
         Auto
       </button>
       <button
+        id={"mode-manual-#{@myself}"}
         phx-click="set_mode"
+        phx-hook="HoldToConfirm"
+        data-confirm-mode={if @mode == :manual, do: "none", else: "slide"}
+        data-confirm-label="Slide for manual"
+        data-command
         phx-value-mode="manual"
         phx-target={@myself}
         disabled={@is_offline}
@@ -278,6 +287,9 @@ defmodule PouConWeb.Components.Equipment.Shared do
   @doc """
   Renders a power toggle button (START/STOP/RESET).
 
+  STOP and RESET must be held (HoldToConfirm hook) so a stray gloved tap
+  cannot stop running equipment; START fires on a normal tap.
+
   ## Examples
 
       <.power_button
@@ -296,7 +308,11 @@ defmodule PouConWeb.Components.Equipment.Shared do
   def power_button(assigns) do
     ~H"""
     <button
+      id={"power-#{@myself}"}
       phx-click="toggle_power"
+      phx-hook="HoldToConfirm"
+      data-confirm-mode={if @is_running or @is_error, do: "hold", else: "none"}
+      data-command
       phx-target={@myself}
       class={[
         "w-full py-4 px-2 rounded font-bold text-lg shadow-sm transition-all text-white flex items-center justify-center gap-1 active:scale-95",
@@ -0,0 +1,128 @@
+defmodule PouConWeb.Components.Export do
+  @moduledoc """
+  CSV/XLSX export of report tables, built in the browser by the `TableExport` hook.
+
+  Nothing is written on the server. The hook asks the LiveView for rows one page
+  at a time with an `"export"` event (`%{"page" => n}`, starting at 0) and the
+  LiveView replies with `reply/3`: column headers, rows of plain cells and a
+  `done` flag. Views whose rows are already in assigns answer page 0 with
+  `done: true`; large log tables use `paged/2` to stream `page_size/0` rows per
+  request with the active filters applied.
+
+  Timestamps should be converted to local time by the LiveView before they are
+  handed to `cell/1`, and units belong in the column headers or their own column.
+  """
+
+  use Phoenix.Component
+
+  @page_size 500
+
+  @doc "Rows per export page."
+  def page_size, do: @page_size
+
+  @doc """
+  Renders the CSV / XLSX buttons. `filename` is the base name; the hook appends
+  the local date and time and the extension.
+  """
+  attr :id, :string, required: true
+  attr :filename, :string, required: true
+  attr :class, :string, default: nil
+
+  def export_buttons(assigns) do
+    ~H"""
+    <div
+      id={@id}
+      phx-hook="TableExport"
+      data-filename={@filename}
+      class={["flex items-center gap-2", @class]}
+    >
+      <span data-export-status class="text-xs text-base-content/60"></span>
+      <button
+        type="button"
+        data-export="csv"
+        class="px-3 py-1.5 rounded bg-base-300 hover:bg-base-200 text-sm font-medium"
+      >
+        <.export_icon /> CSV
+      </button>
+      <button
+        type="button"
+        data-export="xlsx"
+        class="px-3 py-1.5 rounded bg-emerald-600 hover:bg-emerald-700 text-white text-sm font-medium"
+      >
+        <.export_icon /> Excel
+      </button>
+    </div>
+    """
+  end
+
+  defp export_icon(assigns) do
+    ~H"""
+    <span class="hero-arrow-down-tray size-4 align-text-bottom"></span>
+    """
+  end
+
+  @doc """
+  Builds the reply for one export page.
+  """
+  def reply(columns, rows, done?) do
+    %{columns: columns, rows: Enum.map(rows, fn row -> Enum.map(row, &cell/1) end), done: done?}
+  end
+
+  @doc """
+  Fetches one page with `fetch.(limit, offset)` and maps each record to a row.
+  The export is done when a page comes back short.
+  """
+  def paged(page, fetch) when is_integer(page) and page >= 0 do
+    records = fetch.(@page_size, page * @page_size)
+    {records, length(records) < @page_size}
+  end
+
+  @doc """
+  Converts a value into a cell the hook can write: numbers stay numbers (so
+  spreadsheets can sum them), everything else becomes a string.
+
+  ## Examples
+
+      iex> cell(Decimal.new("12.50"))
+      12.5
+
+      iex> cell(~D[2026-10-19])
+      "2026-10-19"
+
+      iex> cell(nil)
+      ""
+  """
+  def cell(nil), do: ""
+  def cell(value) when is_number(value), do: value
+  def cell(%Decimal{} = value), do: Decimal.to_float(value)
+  def cell(%Date{} = date), do: Date.to_iso8601(date)
+
+  def cell(%DateTime{} = datetime), do: Calendar.strftime(datetime, "%Y-%m-%d %H:%M:%S")
+
+  def cell(%NaiveDateTime{} = datetime),
+    do: Calendar.strftime(datetime, "%Y-%m-%d %H:%M:%S")
+
+  def cell(value) when is_binary(value), do: value
+  def cell(value) when is_atom(value), do: Atom.to_string(value)
+  def cell(value), do: inspect(value)
+
+  @doc """
+  Joins filter values into a file name, skipping the "all" defaults.
+
+  ## Examples
+
+      iex> filename(["events", "24h", "all", "Fan 1"])
+      "events_24h_fan-1"
+  """
+  def filename(parts) do
+    parts
+    |> Enum.reject(&(&1 in [nil, "", "all"]))
+    |> Enum.map_join("_", fn part ->
+      part
+      |> to_string()
+      |> String.downcase()
+      |> String.replace(~r/[^a-z0-9]+/u, "-")
+      |> String.trim("-")
+    end)
+  end
+end
@@ -56,17 +56,18 @@ defmodule PouConWeb.Layouts do
       <.icon name="hero-bars-3" class="w-6 h-6 text-base-content/80" />
     </button>
 
-    <%!-- Sidebar Overlay (does not close sidebar - only X button closes it) --%>
+    <%!-- Sidebar Overlay (taps do not close the sidebar - use X or swipe it shut) --%>
+    <%!-- Open/closed state is client-side (assets/js/ui_store.js), rendered by app.css --%>
     <div
       id="sidebar-overlay"
-      class="hidden fixed inset-0 bg-black/30 z-40 transition-opacity pointer-events-none"
+      class="fixed inset-0 bg-black/30 z-40 transition-opacity pointer-events-none"
     >
     </div>
 
     <%!-- Sidebar --%>
     <div
       id="sidebar"
-      class="fixed top-0 left-0 h-full w-72 bg-base-100 shadow-xl z-50 transform -translate-x-full transition-transform duration-300 ease-in-out overflow-y-auto"
+      class="fixed top-0 left-0 h-full w-72 bg-base-100 shadow-xl z-50 overflow-y-auto"
     >
       <div class="px-4 py-2 border-b border-base-300 bg-base-200 flex justify-between items-center">
         <h2 class="text-lg font-semibold text-base-content">Menu</h2>
@@ -81,6 +82,12 @@ defmodule PouConWeb.Layouts do
 
       <nav class="p-2">
         <.sidebar_link icon="hero-home-solid" title="Dashboard" color="gray" href="/" />
+        <.sidebar_link
+          icon="hero-map-solid"
+          title="Floor Plan"
+          color="green"
+          href="/floor_plan"
+        />
 
         <%!-- Control & Schedules (Admin only) --%>
         <%= if @current_role == :admin do %>
@@ -187,6 +194,12 @@ defmodule PouConWeb.Layouts do
               href="/admin/backup"
             />
             <.sidebar_link icon="hero-chart-bar-solid" title="Reports" color="yellow" href="/reports" />
+            <.sidebar_link
+              icon="hero-building-office-2-solid"
+              title="All Houses"
+              color="blue"
+              href="/admin/houses"
+            />
             <.sidebar_link
               icon="hero-server-solid"
               title="System Management"
@@ -205,10 +218,30 @@ defmodule PouConWeb.Layouts do
               color="violet"
               href="/admin/screensaver"
             />
+            <%!-- Opens the ClientTelemetry hook's panel for this browser --%>
+            <button
+              type="button"
+              phx-click={JS.dispatch("pou:diagnostics")}
+              class="flex items-center gap-3 w-full px-3 py-2 rounded-lg hover:bg-base-200 transition-colors"
+            >
+              <div class="p-2 rounded-lg bg-red-500/20 border border-red-500/30">
+                <.icon name="hero-bug-ant-solid" class="w-5 h-5 text-red-500" />
+              </div>
+              <span class="text-base-content font-medium">Diagnostics</span>
+            </button>
           </div>
           <.sidebar_link icon="hero-book-open-solid" title="User Guide" color="blue" href="/help" />
         <% end %>
 
+        <%!-- Per-browser opt-in, rendered client-side (NotificationSettings hook) --%>
+        <div
+          id="notification-settings"
+          phx-hook="NotificationSettings"
+          phx-update="ignore"
+          class="mt-4"
+        >
+        </div>
+
         <%!-- Auth --%>
         <div class="border-t pt-4 mt-4">
           <%= if @current_role == :admin do %>
@@ -236,6 +269,41 @@ defmodule PouConWeb.Layouts do
     </main>
 
     <.flash_group flash={@flash} />
+
+    <!-- Browser alarm tones and acknowledge overlay (AlarmAudio hook) -->
+    <div id="alarm-audio" phx-hook="AlarmAudio" phx-update="ignore"></div>
+
+    <!-- Browser dim screen and admin auto-logout (IdleLock hook) -->
+    <div
+      id="idle-lock"
+      phx-hook="IdleLock"
+      data-role={@current_role}
+      data-keep-awake={to_string(@critical_alerts != [])}
+    >
+    </div>
+
+    <!-- Data entry queued while offline: replay and conflict review (OfflineQueue hook) -->
+    <div id="offline-queue" phx-hook="OfflineQueue" phx-update="ignore" data-role={@current_role}>
+    </div>
+
+    <!-- Clock drift badge and one-tap sync beside the header clock (TimeSync hook) -->
+    <div
+      id="time-sync"
+      phx-hook="TimeSync"
+      phx-update="ignore"
+      data-role={@current_role}
+      data-timezone={PouCon.Auth.get_timezone()}
+    >
+    </div>
+
+    <!-- Browser telemetry to the system log and admin diagnostics (ClientTelemetry hook) -->
+    <div
+      id="client-telemetry"
+      phx-hook="ClientTelemetry"
+      phx-update="ignore"
+      data-role={@current_role}
+    >
+    </div>
     """
   end
 
@@ -305,18 +373,7 @@ defmodule PouConWeb.Layouts do
       <.flash kind={:info} flash={@flash} />
       <.flash kind={:error} flash={@flash} />
 
-      <.flash
-        id="client-error"
-        kind={:error}
-        title="We can't find the internet"
-        phx-disconnected={show(".phx-client-error #client-error") |> JS.remove_attribute("hidden")}
-        phx-connected={hide("#client-error") |> JS.set_attribute({"hidden", ""})}
-        hidden
-      >
-        Attempting to reconnect
-        <.icon name="hero-arrow-path" class="ml-1 size-3 motion-safe:animate-spin" />
-      </.flash>
-
+      <%!-- Socket drops are reported by the connection health banner in app.js --%>
       <.flash
         id="server-error"
         kind={:error}
@@ -0,0 +1,107 @@
+defmodule PouConWeb.Components.ScheduleTimeline do
+  @moduledoc """
+  24-hour timeline of schedules, edited by touch with the `ScheduleTimeline` hook.
+
+  Each lane is one piece of equipment (or the whole feeding system) and each bar
+  one schedule, from `start` to `end` in minutes after midnight. Either end may
+  be nil for schedules that only fire once (feeding "To Back" / "To Front" only);
+  the hook draws those as markers. `tail` extends a bar without being editable
+  (the feed-in fill window after "To Front").
+
+  Bars are created by dragging across an empty part of a lane, moved by dragging
+  and resized by their edge handles, all snapped to the chosen step. The hook
+  flags bars that overlap on the same lane. Edits arrive as structured events
+  that the LiveView maps onto its schedule context and answers with `reply/1`:
+
+      "timeline:create" %{"lane" => lane, "start" => min, "end" => min}
+      "timeline:update" %{"id" => id, "start" => min | nil, "end" => min | nil}
+      "timeline:delete" %{"id" => id}
+
+  Bars and lanes are passed as data attributes, so re-assigning the schedules
+  redraws the timeline.
+  """
+
+  use Phoenix.Component
+
+  alias PouConWeb.CoreComponents
+
+  @doc """
+  Renders the timeline.
+
+    * `lanes` - `[%{id: id, label: label}]`
+    * `bars` - `[%{id: id, lane: lane_id, start: min, end: min, enabled: bool}]`,
+      optionally with `tail: minutes`
+    * `wrap` - bars may run past midnight (end before start)
+    * `overlap_label` - how the hook describes an overlap
+  """
+  attr :id, :string, required: true
+  attr :lanes, :list, required: true
+  attr :bars, :list, required: true
+  attr :step, :integer, default: 15
+  attr :wrap, :boolean, default: false
+  attr :overlap_label, :string, default: "Overlapping schedules"
+  attr :class, :string, default: nil
+
+  def timeline(assigns) do
+    ~H"""
+    <div
+      id={@id}
+      phx-hook="ScheduleTimeline"
+      phx-update="ignore"
+      data-lanes={Jason.encode!(@lanes)}
+      data-bars={Jason.encode!(@bars)}
+      data-step={@step}
+      data-wrap={to_string(@wrap)}
+      data-overlap-label={@overlap_label}
+      class={["rounded-lg border border-base-300 bg-base-100 p-2 select-none", @class]}
+    >
+    </div>
+    """
+  end
+
+  @doc """
+  Minutes after midnight for a `Time`, or nil.
+
+      iex> to_minutes(~T[06:30:00])
+      390
+
+      iex> to_minutes(nil)
+      nil
+  """
+  def to_minutes(%Time{hour: hour, minute: minute}), do: hour * 60 + minute
+  def to_minutes(nil), do: nil
+
+  @doc """
+  `Time` for minutes after midnight sent by the hook, or nil. Out of range or
+  non-integer values give nil so the changeset rejects them.
+
+      iex> from_minutes(390)
+      ~T[06:30:00]
+
+      iex> from_minutes(1440)
+      nil
+  """
+  def from_minutes(minutes) when is_integer(minutes) and minutes >= 0 and minutes < 1440,
+    do: Time.new!(div(minutes, 60), rem(minutes, 60), 0)
+
+  def from_minutes(_), do: nil
+
+  @doc """
+  Builds the hook's reply from a context result; changeset errors become one
+  readable message.
+  """
+  def reply({:ok, _}), do: %{ok: true}
+
+  def reply({:error, %Ecto.Changeset{} = changeset}) do
+    message =
+      changeset.errors
+      |> Enum.map(fn {field, error} ->
+        "#{Phoenix.Naming.humanize(field)} #{CoreComponents.translate_error(error)}"
+      end)
+      |> Enum.join(", ")
+
+    %{ok: false, message: message}
+  end
+
+  def reply({:error, _}), do: %{ok: false, message: "Could not save the schedule"}
+end
@@ -50,7 +50,7 @@ defmodule PouConWeb.Components.Summaries.AverageSensorSummaryComponent do
       <div class={[Shared.text_color(@sensor.main_color), "text-sm"]}>{@sensor.title}</div>
       <div class="flex items-center gap-1">
         <.avg_icon color={@sensor.main_color} />
-        <div class="flex flex-col">
+        <div data-reading={@sensor.title} class="flex flex-col">
           <div class="flex items-baseline gap-1">
             <span class={[Shared.text_color(@sensor.temp_color), "text-sm font-mono font-bold"]}>
               {@sensor.temp}
@@ -49,7 +49,10 @@ defmodule PouConWeb.Components.Summaries.HumSummaryComponent do
       <div class={[Shared.text_color(@sensor.color), "text-sm"]}>{@sensor.title}</div>
       <div class="flex items-center gap-1">
         <.hum_icon color={@sensor.color} />
-        <span class={[Shared.text_color(@sensor.color), "text-sm font-mono font-bold"]}>
+        <span
+          data-reading={@sensor.title}
+          class={[Shared.text_color(@sensor.color), "text-sm font-mono font-bold"]}
+        >
           {@sensor.display}
         </span>
       </div>
@@ -49,7 +49,7 @@ defmodule PouConWeb.Components.Summaries.Nh3SummaryComponent do
       <div class={[Shared.text_color(@eq.main_color), "text-sm"]}>{@eq.title}</div>
       <div class="flex items-center gap-1">
         <Nh3Component.nh3_icon class={"w-9 h-9 #{Shared.text_color(@eq.main_color)}"} />
-        <div class="flex flex-col space-y-0.5">
+        <div data-reading={@eq.title} class="flex flex-col space-y-0.5">
           <%= for {_label, value, color, _bold} <- @eq.rows do %>
             <div class="flex items-baseline gap-1">
               <span class={[Shared.text_color(color), "text-xs font-mono font-bold"]}>{value}</span>
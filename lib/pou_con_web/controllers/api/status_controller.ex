@@ -2,13 +2,15 @@ defmodule PouConWeb.API.StatusController do
   @moduledoc """
   API endpoint for real-time equipment status.
 
-  Used by the central monitoring system to poll current state of all equipment.
+  Used by the central monitoring system to poll current state of all equipment,
+  and by the multi-house overview (`/admin/houses`) that any office browser can run.
   """
 
   use PouConWeb, :controller
 
   import Ecto.Query
 
+  alias PouCon.Automation.Alarm.AlarmController
   alias PouCon.Equipment.Devices
   alias PouCon.Equipment.EquipmentCommands
   alias PouCon.Equipment.Schemas.DataPoint
@@ -36,7 +38,8 @@ defmodule PouConWeb.API.StatusController do
       water_meters: get_water_meter_readings(),
       flock: get_active_flock_summary(),
       tasks: get_task_summary(),
-      alerts: get_active_alerts()
+      alerts: get_active_alerts(),
+      alarms: get_active_alarms()
     })
   end
 
@@ -189,6 +192,14 @@ defmodule PouConWeb.API.StatusController do
     end)
   end
 
+  # Alarm rules currently raised, as on the controller's own alarm overlay
+  defp get_active_alarms do
+    AlarmController.active_alarms()
+    |> Enum.map(&Map.take(&1, [:name, :severity, :acknowledged]))
+  catch
+    :exit, _ -> []
+  end
+
   defp format_error(:timeout), do: "Communication timeout"
   defp format_error(:command_failed), do: "Command execution failed"
   defp format_error(:on_but_not_running), do: "Commanded ON but not running"
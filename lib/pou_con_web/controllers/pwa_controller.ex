@@ -0,0 +1,47 @@
+defmodule PouConWeb.PwaController do
+  @moduledoc """
+  Serves the service worker and web app manifest that make the UI installable.
+
+  The service worker is bundled by esbuild into
+  `priv/static/assets/js/service_worker.js` but has to be served from the root
+  so its scope covers every page, and must never be cached by the browser or a
+  new release would not reach kiosks.
+  """
+
+  use PouConWeb, :controller
+
+  def service_worker(conn, _params) do
+    path = Application.app_dir(:pou_con, "priv/static/assets/js/service_worker.js")
+
+    if File.exists?(path) do
+      conn
+      |> put_resp_content_type("text/javascript")
+      |> put_resp_header("cache-control", "no-cache")
+      |> put_resp_header("service-worker-allowed", "/")
+      |> send_file(200, path)
+    else
+      send_resp(conn, 404, "")
+    end
+  end
+
+  def manifest(conn, _params) do
+    house_id = PouCon.Auth.get_house_id()
+
+    manifest = %{
+      name: if(house_id, do: "PouCon #{house_id}", else: "PouCon"),
+      short_name: house_id || "PouCon",
+      start_url: "/",
+      scope: "/",
+      display: "standalone",
+      background_color: "#1d232a",
+      theme_color: "#1d232a",
+      icons: [
+        %{src: ~p"/images/logo.svg", sizes: "any", type: "image/svg+xml", purpose: "any"}
+      ]
+    }
+
+    conn
+    |> put_resp_content_type("application/manifest+json")
+    |> send_resp(200, Jason.encode!(manifest))
+  end
+end
@@ -12,8 +12,8 @@ defmodule PouConWeb.Endpoint do
   ]
 
   socket "/live", Phoenix.LiveView.Socket,
-    websocket: [connect_info: [:uri, session: @session_options]],
-    longpoll: [connect_info: [:uri, session: @session_options]]
+    websocket: [connect_info: [:uri, :peer_data, session: @session_options]],
+    longpoll: [connect_info: [:uri, :peer_data, session: @session_options]]
 
   # Serve at "/" the static files from "priv/static" directory.
   #
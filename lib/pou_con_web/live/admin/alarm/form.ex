@@ -284,7 +284,7 @@ defmodule PouConWeb.Live.Admin.Alarm.Form do
           <% end %>
         </div>
 
-        <div class="grid grid-cols-4 gap-4">
+        <div class="grid grid-cols-5 gap-4">
           <div>
             <.input
               field={@form[:logic]}
@@ -319,6 +319,18 @@ defmodule PouConWeb.Live.Admin.Alarm.Form do
               ]}
             />
           </div>
+          <div>
+            <.input
+              field={@form[:severity]}
+              type="select"
+              label="Browser Alarm Tone"
+              options={[
+                {"Critical - siren", "critical"},
+                {"Warning - double beep", "warning"},
+                {"Info - soft chime", "info"}
+              ]}
+            />
+          </div>
           <div>
             <.input
               field={@form[:enabled]}
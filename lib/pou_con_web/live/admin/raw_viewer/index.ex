@@ -2,12 +2,31 @@ defmodule PouConWeb.Live.Admin.RawViewer.Index do
   @moduledoc """
   Admin page for reading raw register/memory data from Modbus and S7 devices.
   Useful for commissioning, troubleshooting, and verifying device configuration.
+
+  The watch panel (`RegisterWatch` hook) pins addresses and polls them with
+  `watch_read`; values, history and the change log live in the browser.
+  `watch_write` writes one coil, register or byte, and first answers with the
+  data points mapped to that address so the hook can ask for confirmation.
   """
 
   use PouConWeb, :live_view
 
+  require Logger
+
+  alias PouCon.Equipment.DataPoints
   alias PouCon.Hardware.DataPointManager
 
+  @modbus_protocols ["modbus_rtu", "modbus_tcp", "rtu_over_tcp"]
+
+  # Watch kinds and the read function code / S7 area behind each
+  @watch_fc %{
+    "coil" => "fc01",
+    "input" => "fc02",
+    "holding" => "fc03",
+    "input_register" => "fc04"
+  }
+  @watch_s7_areas ["inputs", "outputs", "markers", "db"]
+
   @modbus_fc_options [
     {"FC01 - Read Coils", "fc01"},
     {"FC02 - Read Discrete Inputs", "fc02"},
@@ -43,11 +62,17 @@ defmodule PouConWeb.Live.Admin.RawViewer.Index do
     port_map =
       Map.new(port_statuses, fn p -> {p.device_path, p} end)
 
+    watch_ports =
+      port_statuses
+      |> Enum.reject(&(&1.protocol == "virtual"))
+      |> Enum.map(&%{path: &1.device_path, protocol: &1.protocol})
+
     {:ok,
      socket
      |> assign(:page_title, "Raw Data Viewer")
      |> assign(:port_options, port_options)
      |> assign(:port_map, port_map)
+     |> assign(:watch_ports, watch_ports)
      |> assign(:selected_port, nil)
      |> assign(:selected_protocol, nil)
      # Modbus fields
@@ -132,7 +157,7 @@ defmodule PouConWeb.Live.Admin.RawViewer.Index do
                     min="1"
                     max="247"
                     class="input input-bordered w-full"
-                    phx-hook="SimpleKeyboard"
+                    phx-hook="GloveNumberPad"
                     id="slave_id_input"
                   />
                 </div>
@@ -147,26 +172,28 @@ defmodule PouConWeb.Live.Admin.RawViewer.Index do
                 <div>
                   <label class="block text-sm font-medium mb-1">Start Address</label>
                   <input
-                    type="number"
+                    type="text"
                     name="start_address"
                     value={@start_address}
                     min="0"
                     max="65535"
                     class="input input-bordered w-full"
-                    phx-hook="SimpleKeyboard"
+                    phx-hook="GloveNumberPad"
+                    data-keypad="hex"
                     id="start_address_input"
                   />
                 </div>
                 <div>
                   <label class="block text-sm font-medium mb-1">End Address</label>
                   <input
-                    type="number"
+                    type="text"
                     name="end_address"
                     value={@end_address}
                     min="0"
                     max="65535"
                     class="input input-bordered w-full"
-                    phx-hook="SimpleKeyboard"
+                    phx-hook="GloveNumberPad"
+                    data-keypad="hex"
                     id="end_address_input"
                   />
                 </div>
@@ -195,7 +222,7 @@ defmodule PouConWeb.Live.Admin.RawViewer.Index do
                       value={@db_number}
                       min="1"
                       class="input input-bordered w-full"
-                      phx-hook="SimpleKeyboard"
+                      phx-hook="GloveNumberPad"
                       id="db_number_input"
                     />
                   </div>
@@ -203,12 +230,13 @@ defmodule PouConWeb.Live.Admin.RawViewer.Index do
                 <div>
                   <label class="block text-sm font-medium mb-1">Start Byte</label>
                   <input
-                    type="number"
+                    type="text"
                     name="start_byte"
                     value={@start_byte}
                     min="0"
                     class="input input-bordered w-full"
-                    phx-hook="SimpleKeyboard"
+                    phx-hook="GloveNumberPad"
+                    data-keypad="hex"
                     id="start_byte_input"
                   />
                 </div>
@@ -221,7 +249,7 @@ defmodule PouConWeb.Live.Admin.RawViewer.Index do
                     min="1"
                     max="200"
                     class="input input-bordered w-full"
-                    phx-hook="SimpleKeyboard"
+                    phx-hook="GloveNumberPad"
                     id="byte_count_input"
                   />
                 </div>
@@ -297,6 +325,22 @@ defmodule PouConWeb.Live.Admin.RawViewer.Index do
             <% end %>
           </div>
         <% end %>
+
+        <%!-- Watch Panel --%>
+        <div class="p-4 bg-base-100 border border-base-300 rounded-lg">
+          <h3 class="text-lg font-semibold">Watch</h3>
+          <p class="text-sm text-base-content/60 mb-3">
+            Pin addresses to poll them continuously. Values and the change log stay in this
+            browser.
+          </p>
+          <div
+            id="register-watch"
+            phx-hook="RegisterWatch"
+            phx-update="ignore"
+            data-ports={Jason.encode!(@watch_ports)}
+          >
+          </div>
+        </div>
       </div>
     </Layouts.app>
     """
@@ -505,6 +549,145 @@ defmodule PouConWeb.Live.Admin.RawViewer.Index do
     end
   end
 
+  def handle_event("watch_read", %{"items" => items}, socket) when is_list(items) do
+    results = Enum.map(items, &watch_read(&1, socket.assigns.port_map))
+    {:reply, %{results: results}, socket}
+  end
+
+  def handle_event("watch_write", %{"value" => value} = params, socket) do
+    item = parse_watch_item(params, socket.assigns.port_map)
+
+    mapped =
+      if params["confirmed"] == true, do: [], else: watch_mapped(item)
+
+    cond do
+      item == :error ->
+        {:reply, %{ok: false, message: "Invalid address"}, socket}
+
+      mapped != [] ->
+        {:reply, %{ok: false, mapped: mapped}, socket}
+
+      true ->
+        case watch_write(item, parse_int(value, -1)) do
+          :ok ->
+            Logger.warning("[RawViewer] Raw write #{inspect(item)} = #{inspect(value)}")
+            {:reply, %{ok: true}, socket}
+
+          {:error, reason} ->
+            {:reply, %{ok: false, message: reason}, socket}
+        end
+    end
+  end
+
+  # ------------------------------------------------------------------ #
+  # Watch Logic
+  # ------------------------------------------------------------------ #
+
+  defp watch_read(params, port_map) do
+    id = params["id"]
+
+    result =
+      case parse_watch_item(params, port_map) do
+        :error ->
+          {:error, "Invalid address"}
+
+        %{protocol: protocol, kind: kind} = item when protocol in @modbus_protocols ->
+          fc = Map.fetch!(@watch_fc, kind)
+          do_modbus_read(item.port, item.slave_id, fc, item.address, item.count, protocol)
+
+        %{protocol: "s7"} = item ->
+          do_s7_read(item.port, item.kind, item.db, item.address, item.count)
+      end
+
+    case result do
+      {:ok, values} -> %{id: id, values: values}
+      {:error, reason} -> %{id: id, error: reason}
+    end
+  end
+
+  defp parse_watch_item(params, port_map) do
+    port = params["port"]
+    protocol = get_in(port_map, [port, :protocol])
+    kind = params["kind"]
+    address = parse_int(params["address"], -1)
+    count = parse_int(params["count"], 1)
+
+    valid_kind =
+      (protocol in @modbus_protocols and Map.has_key?(@watch_fc, kind)) or
+        (protocol == "s7" and kind in @watch_s7_areas)
+
+    if valid_kind and address >= 0 and count in 1..16 do
+      %{
+        port: port,
+        protocol: protocol,
+        kind: kind,
+        slave_id: parse_int(params["slave_id"], 1),
+        db: parse_int(params["db"], 1),
+        address: address,
+        count: count
+      }
+    else
+      :error
+    end
+  end
+
+  defp watch_mapped(:error), do: []
+  defp watch_mapped(%{kind: "coil"} = item), do: mapped_at(item, :coil)
+  defp watch_mapped(%{kind: "holding"} = item), do: mapped_at(item, :register)
+  defp watch_mapped(%{kind: "outputs"} = item), do: mapped_at(item, :s7_output)
+  defp watch_mapped(_item), do: []
+
+  defp mapped_at(item, kind),
+    do: DataPoints.mapped_at(item.port, item.slave_id, kind, item.address)
+
+  defp watch_write(%{kind: "coil"} = item, value) when value in [0, 1] do
+    modbus_write(item, {:fc, item.slave_id, item.address, value})
+  end
+
+  defp watch_write(%{kind: "holding"} = item, value) when value in 0..65_535 do
+    modbus_write(item, {:phr, item.slave_id, item.address, value})
+  end
+
+  defp watch_write(%{kind: kind} = item, value)
+       when kind in ["outputs", "markers", "db"] and value in 0..255 do
+    with {:ok, pid} <- get_connection_pid(item.port) do
+      adapter = Application.get_env(:pou_con, :s7_adapter, PouCon.Hardware.S7.Adapter)
+
+      result =
+        case kind do
+          "outputs" -> adapter.write_outputs(pid, item.address, <<value>>)
+          "markers" -> adapter.write_markers(pid, item.address, <<value>>)
+          "db" -> adapter.write_db(pid, item.db, item.address, <<value>>)
+        end
+
+      case result do
+        :ok -> :ok
+        {:error, reason} -> {:error, "S7 error: #{inspect(reason)}"}
+      end
+    end
+  end
+
+  defp watch_write(%{kind: kind}, _value) when kind in ["coil", "holding"],
+    do: {:error, "Value out of range"}
+
+  defp watch_write(%{kind: kind}, _value) when kind in ["outputs", "markers", "db"],
+    do: {:error, "Value must be a byte (0-255)"}
+
+  defp watch_write(_item, _value), do: {:error, "This address is read-only"}
+
+  defp modbus_write(item, cmd) do
+    with {:ok, pid} <- get_connection_pid(item.port) do
+      protocol_atom = String.to_existing_atom(item.protocol)
+      task = Task.async(fn -> PouCon.Utils.Modbus.request(pid, cmd, protocol_atom) end)
+
+      case Task.yield(task, 5_000) || Task.shutdown(task) do
+        {:ok, :ok} -> :ok
+        {:ok, {:error, reason}} -> {:error, "Modbus error: #{inspect(reason)}"}
+        nil -> {:error, "Timeout: device did not respond within 5 seconds"}
+      end
+    end
+  end
+
   # ------------------------------------------------------------------ #
   # Read Logic
   # ------------------------------------------------------------------ #
@@ -649,6 +832,10 @@ defmodule PouConWeb.Live.Admin.RawViewer.Index do
   defp parse_int(nil, default), do: default
   defp parse_int("", default), do: default
 
+  # Register fields accept hex ("0x1A") from the GloveNumberPad hex keypad
+  defp parse_int("0x" <> hex, default), do: parse_hex(hex, default)
+  defp parse_int("0X" <> hex, default), do: parse_hex(hex, default)
+
   defp parse_int(str, default) when is_binary(str) do
     case Integer.parse(str) do
       {n, _} -> n
@@ -658,6 +845,13 @@ defmodule PouConWeb.Live.Admin.RawViewer.Index do
 
   defp parse_int(n, _default) when is_integer(n), do: n
 
+  defp parse_hex(hex, default) do
+    case Integer.parse(hex, 16) do
+      {n, ""} -> n
+      _ -> default
+    end
+  end
+
   defp to_signed_16(value) when value > 32767, do: value - 65536
   defp to_signed_16(value), do: value
 
@@ -5,6 +5,7 @@ defmodule PouConWeb.Live.Admin.Screensaver.Index do
 
   use PouConWeb, :live_view
 
+  alias PouCon.Auth
   alias PouCon.Hardware.Screensaver
 
   @preset_options [
@@ -17,6 +18,14 @@ defmodule PouConWeb.Live.Admin.Screensaver.Index do
     {0, "Never (always on)"}
   ]
 
+  @logout_options [
+    {300, "5 minutes"},
+    {900, "15 minutes"},
+    {1800, "30 minutes"},
+    {3600, "1 hour"},
+    {0, "Never"}
+  ]
+
   @impl true
   def render(assigns) do
     ~H"""
@@ -150,12 +159,48 @@ defmodule PouConWeb.Live.Admin.Screensaver.Index do
           </div>
         </div>
 
+        <%!-- Browser Auto-Logout --%>
+        <div class="p-4 border rounded-lg bg-purple-500/10 border-purple-500/30">
+          <h3 class="text-lg font-semibold mb-3">Admin Auto-Logout</h3>
+          <p class="text-sm text-base-content/70 mb-4">
+            Log idle admin sessions out and return to the dashboard, on the kiosk and on
+            office or tablet browsers.
+          </p>
+
+          <div class="grid grid-cols-2 md:grid-cols-5 gap-3">
+            <%= for {seconds, label} <- @logout_options do %>
+              <% is_selected = @logout_timeout == seconds %>
+              <button
+                type="button"
+                phx-click="set_logout_timeout"
+                phx-value-seconds={seconds}
+                class={[
+                  "p-3 rounded-lg border-2 text-center font-medium transition-colors",
+                  if(is_selected,
+                    do: "border-green-500 bg-green-500/20 ring-2 ring-green-500/50",
+                    else: "border-base-300 bg-base-100 hover:border-purple-300"
+                  )
+                ]}
+              >
+                <div class={if(is_selected, do: "text-green-700")}>{label}</div>
+                <%= if is_selected do %>
+                  <div class="text-xs text-green-600 font-semibold mt-1">✓ Active</div>
+                <% end %>
+              </button>
+            <% end %>
+          </div>
+        </div>
+
         <%!-- Info --%>
         <div class="p-4 bg-base-100 border border-base-300 rounded-lg text-sm">
           <h3 class="font-semibold mb-2">About Display Settings</h3>
           <ul class="list-disc list-inside space-y-1 text-base-content/70">
             <li>Screen blanking turns off the display after a period of inactivity</li>
             <li>Touch the screen to wake it up</li>
+            <li>
+              Other browsers show a dimmed clock and readings after the same timeout,
+              except while a critical alert is active
+            </li>
             <li>Settings persist across reboots</li>
           </ul>
         </div>
@@ -172,7 +217,9 @@ defmodule PouConWeb.Live.Admin.Screensaver.Index do
      socket
      |> assign(:page_title, "Display Settings")
      |> assign(:settings, settings)
-     |> assign(:preset_options, @preset_options)}
+     |> assign(:preset_options, @preset_options)
+     |> assign(:logout_options, @logout_options)
+     |> assign(:logout_timeout, Auth.get_idle_logout_timeout())}
   end
 
   @impl true
@@ -197,6 +244,26 @@ defmodule PouConWeb.Live.Admin.Screensaver.Index do
     end
   end
 
+  def handle_event("set_logout_timeout", %{"seconds" => seconds}, socket) do
+    seconds = String.to_integer(seconds)
+
+    case Auth.set_idle_logout_timeout(seconds) do
+      {:ok, _config} ->
+        message =
+          if seconds == 0,
+            do: "Admin auto-logout disabled",
+            else: "Admin auto-logout set to #{format_timeout(seconds)}"
+
+        {:noreply,
+         socket
+         |> assign(:logout_timeout, seconds)
+         |> put_flash(:info, message)}
+
+      {:error, _changeset} ->
+        {:noreply, put_flash(socket, :error, "Failed to save auto-logout timeout")}
+    end
+  end
+
   defp fetch_settings do
     {:ok, settings} = Screensaver.get_settings()
     settings
@@ -1,6 +1,7 @@
 defmodule PouConWeb.Live.Admin.SystemTime.Index do
   use PouConWeb, :live_view
 
+  alias PouCon.SystemTime
   alias PouCon.SystemTimeValidator
 
   @impl true
@@ -82,9 +83,15 @@ defmodule PouConWeb.Live.Admin.SystemTime.Index do
                 class="text-sm text-blue-600 hover:underline"
                 phx-hook="FillCurrentTime"
                 id="fill-current-time"
+                data-timezone={@system_timezone}
               >
                 ↻ Use My Device's Current Time
               </button>
+              <p class="text-xs text-base-content/70 mt-1">
+                Date and time are in the controller's timezone ({@system_timezone}). To copy
+                this device's clock in one step, tap the Δ drift badge next to the header clock
+                and choose "Sync controller to this device".
+              </p>
             </div>
 
             <div class="mt-4 p-3 bg-base-100 border border-base-300 rounded text-sm">
@@ -177,6 +184,7 @@ defmodule PouConWeb.Live.Admin.SystemTime.Index do
      |> assign(:page_title, "System Time")
      |> assign(:validation_state, validation_state)
      |> assign(:current_time, DateTime.utc_now())
+     |> assign(:system_timezone, PouCon.Auth.get_system_timezone())
      |> assign(:ntp_status, nil)
      |> assign(:form, to_form(%{"date" => "", "time" => ""}))}
   end
@@ -188,7 +196,7 @@ defmodule PouConWeb.Live.Admin.SystemTime.Index do
 
   @impl true
   def handle_event("update_time", %{"date" => date, "time" => time}, socket) do
-    case update_system_time(date, time) do
+    case SystemTime.set_local(date, time) do
       :ok ->
         {:noreply,
          socket
@@ -263,25 +271,6 @@ defmodule PouConWeb.Live.Admin.SystemTime.Index do
     Calendar.strftime(dt, "%Y-%m-%d %H:%M:%S %Z")
   end
 
-  defp update_system_time(date, time) do
-    datetime_str = "#{date} #{time}"
-
-    # Try to update system time using sudo date command
-    case System.cmd("sudo", ["date", "-s", datetime_str], stderr_to_stdout: true) do
-      {_output, 0} ->
-        # Also sync hardware clock
-        case System.cmd("sudo", ["hwclock", "--systohc"], stderr_to_stdout: true) do
-          {_output, 0} -> :ok
-          {error, _} -> {:error, "Failed to sync hardware clock: #{error}"}
-        end
-
-      {error, _} ->
-        {:error, "Failed to set system time: #{error}"}
-    end
-  rescue
-    e -> {:error, Exception.message(e)}
-  end
-
   defp get_ntp_status do
     case System.cmd("timedatectl", ["status"], stderr_to_stdout: true) do
       {output, 0} -> output
@@ -2,11 +2,45 @@ defmodule PouConWeb.AuthHooks do
   import Phoenix.LiveView
   import Phoenix.Component
 
+  alias PouCon.Auth
+  alias PouCon.Automation.Alarm.AlarmController
   alias PouCon.Hardware.ScreenAlert
+  alias PouCon.Hardware.Screensaver
+  alias PouCon.Logging.EquipmentLogger
+  alias PouCon.SystemTime
+  alias PouCon.SystemTimeValidator
+  alias PouConWeb.ClientTelemetry
+  alias PouConWeb.OfflineQueue
 
   # Capture Mix.env at compile time since Mix is not available in releases
   @env Mix.env()
 
+  # Equipment group page for each type, where the failed item is shown
+  @equipment_pages %{
+    "fan" => "/fans",
+    "pump" => "/pumps",
+    "light" => "/lighting",
+    "siren" => "/sirens",
+    "egg" => "/egg_collection",
+    "feeding" => "/feed",
+    "feed_in" => "/feed",
+    "dung" => "/dung",
+    "dung_horz" => "/dung",
+    "dung_exit" => "/dung",
+    "temp_sensor" => "/temp",
+    "humidity_sensor" => "/hum",
+    "co2_sensor" => "/co2",
+    "nh3_sensor" => "/nh3",
+    "average_sensor" => "/averages",
+    "water_meter" => "/water_meters",
+    "power_meter" => "/power_meters",
+    "power_indicator" => "/power_indicators"
+  }
+
+  # Largest step a browser may move a clock that is believed right; a bigger
+  # fix is for the System Time page or a clock flagged invalid
+  @max_clock_step_seconds 24 * 3600
+
   def on_mount(:default, _params, session, socket) do
     current_role = session["current_role"]
 
@@ -69,9 +103,79 @@ defmodule PouConWeb.AuthHooks do
     socket =
       socket
       |> assign(:critical_alerts, critical_alerts)
+      |> push_alerts_status(critical_alerts)
       |> attach_hook(:critical_alerts_hook, :handle_info, fn
         {:critical_alerts_changed, alerts}, socket ->
-          {:halt, assign(socket, :critical_alerts, alerts)}
+          {:halt, socket |> assign(:critical_alerts, alerts) |> push_alerts_status(alerts)}
+
+        _msg, socket ->
+          {:cont, socket}
+      end)
+
+    {:cont, socket}
+  end
+
+  def on_mount(:alarm_audio, _params, _session, socket) do
+    # Mirror active alarms to the browser so the AlarmAudio hook can sound
+    # them and let the operator acknowledge or mute from the kiosk
+    if Phoenix.LiveView.connected?(socket) do
+      AlarmController.subscribe()
+    end
+
+    socket =
+      socket
+      |> push_alarm_status(get_active_alarms())
+      |> attach_hook(:alarm_audio_info, :handle_info, fn
+        {:alarm_status_changed, alarms}, socket ->
+          {:halt, push_alarm_status(socket, alarms)}
+
+        _msg, socket ->
+          {:cont, socket}
+      end)
+      |> attach_hook(:alarm_audio_event, :handle_event, fn
+        "alarm_ack", %{"id" => id}, socket ->
+          with {:ok, id} <- parse_integer(id), do: AlarmController.acknowledge(id)
+          {:halt, socket}
+
+        "alarm_mute", %{"id" => id} = params, socket ->
+          with {:ok, id} <- parse_integer(id),
+               {:ok, minutes} <- parse_integer(Map.get(params, "minutes", 10)) do
+            AlarmController.mute(id, max(minutes, 1))
+          end
+
+          {:halt, socket}
+
+        _event, _params, socket ->
+          {:cont, socket}
+      end)
+
+    {:cont, socket}
+  end
+
+  def on_mount(:idle_lock, _params, _session, socket) do
+    # Hand the Display Settings timeouts to the IdleLock hook, which dims
+    # office/tablet browsers and logs idle admin sessions out
+    socket =
+      if Phoenix.LiveView.connected?(socket) do
+        push_event(socket, "idle:settings", get_idle_settings())
+      else
+        socket
+      end
+
+    {:cont, socket}
+  end
+
+  def on_mount(:notifications, _params, _session, socket) do
+    # Equipment errors for the browser's desktop notifications (notifications.js);
+    # alarms and critical alerts reach it through "alarm:status" / "alerts:status"
+    if Phoenix.LiveView.connected?(socket) do
+      EquipmentLogger.subscribe_errors()
+    end
+
+    socket =
+      attach_hook(socket, :notifications_info, :handle_info, fn
+        {:equipment_error, error}, socket ->
+          {:halt, push_event(socket, "equipment:error", equipment_error_payload(error))}
 
         _msg, socket ->
           {:cont, socket}
@@ -80,6 +184,67 @@ defmodule PouConWeb.AuthHooks do
     {:cont, socket}
   end
 
+  def on_mount(:offline_queue, _params, _session, socket) do
+    # Entries the browser queued while the socket was down are sent back from
+    # whatever page is open when it reconnects (see PouConWeb.OfflineQueue)
+    socket =
+      attach_hook(socket, :offline_queue_event, :handle_event, fn
+        "offline:replay", entry, socket ->
+          {:halt, OfflineQueue.reply(socket.assigns[:current_role], entry), socket}
+
+        _event, _params, socket ->
+          {:cont, socket}
+      end)
+
+    {:cont, socket}
+  end
+
+  def on_mount(:time_sync, _params, _session, socket) do
+    # The TimeSync hook times "time:ping" round trips to find how far this
+    # browser's clock is from the controller's; admins can then set the
+    # controller clock to the browser's with "time:sync"
+    socket =
+      attach_hook(socket, :time_sync_event, :handle_event, fn
+        "time:ping", _params, socket ->
+          {:halt, %{server_ms: System.os_time(:millisecond)}, socket}
+
+        "time:sync", %{"epoch_ms" => epoch_ms}, socket when is_integer(epoch_ms) ->
+          {:halt, time_sync_reply(socket.assigns[:current_role], epoch_ms), socket}
+
+        _event, _params, socket ->
+          {:cont, socket}
+      end)
+
+    {:cont, socket}
+  end
+
+  def on_mount(:client_telemetry, _params, _session, socket) do
+    # Browser errors, reconnects and click latency batched by the
+    # ClientTelemetry hook, written to the system log (PouConWeb.ClientTelemetry)
+    ip = peer_ip(socket)
+
+    socket =
+      attach_hook(socket, :client_telemetry_event, :handle_event, fn
+        "telemetry:batch", batch, socket ->
+          sent = socket.private[:telemetry_sent] || []
+          now = System.monotonic_time(:millisecond)
+
+          case ClientTelemetry.allow_batch(sent, socket.assigns[:current_role], now) do
+            {:ok, sent} ->
+              logged = ClientTelemetry.log_batch(batch, ip)
+              {:halt, %{logged: logged}, put_private(socket, :telemetry_sent, sent)}
+
+            :limited ->
+              {:halt, %{logged: 0, limited: true}, socket}
+          end
+
+        _event, _params, socket ->
+          {:cont, socket}
+      end)
+
+    {:cont, socket}
+  end
+
   # Helper to get current path for return_to redirect
   defp get_return_to(socket) do
     case get_connect_info(socket, :uri) do
@@ -89,6 +254,14 @@ defmodule PouConWeb.AuthHooks do
     end
   end
 
+  # Only known while mounting, so callers capture it up front
+  defp peer_ip(socket) do
+    case get_connect_info(socket, :peer_data) do
+      %{address: address} -> address |> :inet.ntoa() |> to_string()
+      _ -> nil
+    end
+  end
+
   # Helper to get critical alerts safely
   defp get_critical_alerts do
     # Skip check in test environment
@@ -105,4 +278,105 @@ defmodule PouConWeb.AuthHooks do
       end
     end
   end
+
+  # Browsers dim after the same timeout the kiosk backlight uses
+  defp get_idle_settings do
+    dim_after =
+      case Screensaver.get_current_timeout() do
+        {:ok, seconds} -> seconds
+        {:error, _} -> 0
+      end
+
+    %{dim_after: dim_after, logout_after: Auth.get_idle_logout_timeout()}
+  end
+
+  defp push_alerts_status(socket, alerts) do
+    if Phoenix.LiveView.connected?(socket) do
+      alerts = Enum.map(alerts, &Map.take(&1, [:id, :title, :message, :link]))
+      push_event(socket, "alerts:status", %{alerts: alerts})
+    else
+      socket
+    end
+  end
+
+  # Title and type were resolved once by EquipmentLogger when broadcasting
+  defp equipment_error_payload(%{equipment: name, error: error} = broadcast) do
+    %{
+      id: "#{name}:#{error}",
+      title: broadcast[:title] || name,
+      error: String.replace(error, "_", " "),
+      link: equipment_link(broadcast[:type])
+    }
+  end
+
+  defp equipment_link(type), do: Map.get(@equipment_pages, type, "/")
+
+  defp time_sync_reply(:admin, epoch_ms) do
+    with {:ok, datetime} <- DateTime.from_unix(epoch_ms, :millisecond),
+         :ok <- plausible_time(datetime),
+         :ok <- SystemTime.set_utc(datetime) do
+      # A clock that was set right is the usual fix for paused logging
+      unless SystemTimeValidator.time_valid?(), do: SystemTimeValidator.mark_time_corrected()
+      %{ok: true, message: "Controller clock set"}
+    else
+      {:error, reason} when is_binary(reason) -> %{ok: false, message: reason}
+      {:error, _reason} -> %{ok: false, message: "Not a valid time"}
+    end
+  end
+
+  defp time_sync_reply(_role, _epoch_ms) do
+    %{ok: false, message: "Log in as admin to set the controller clock"}
+  end
+
+  # Never before what is already logged; more than a small step only while
+  # the clock is flagged invalid (logging paused after a dead RTC battery)
+  defp plausible_time(datetime) do
+    %{time_valid?: valid?, last_event_time: last_event} = SystemTimeValidator.get_state()
+    step = abs(DateTime.diff(datetime, DateTime.utc_now()))
+
+    cond do
+      last_event && DateTime.compare(datetime, last_event) == :lt ->
+        {:error, "That time is before the last logged event - check this device's clock"}
+
+      valid? and step > @max_clock_step_seconds ->
+        {:error, "That is more than a day from the controller clock - use System Time"}
+
+      true ->
+        :ok
+    end
+  end
+
+  defp push_alarm_status(socket, alarms) do
+    if Phoenix.LiveView.connected?(socket) do
+      push_event(socket, "alarm:status", %{alarms: alarms})
+    else
+      socket
+    end
+  end
+
+  # Event params come from the browser (public pages included): anything that
+  # is not a whole number is ignored rather than crashing the LiveView
+  defp parse_integer(value) when is_integer(value), do: {:ok, value}
+
+  defp parse_integer(value) when is_binary(value) do
+    case Integer.parse(value) do
+      {n, ""} -> {:ok, n}
+      _ -> :error
+    end
+  end
+
+  defp parse_integer(_value), do: :error
+
+  # Helper to get active alarms safely
+  defp get_active_alarms do
+    if @env == :test do
+      []
+    else
+      try do
+        AlarmController.active_alarms()
+      catch
+        :exit, _ -> []
+      end
+    end
+  end
 end
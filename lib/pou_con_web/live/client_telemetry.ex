@@ -0,0 +1,107 @@
+defmodule PouConWeb.ClientTelemetry do
+  @moduledoc """
+  Writes browser telemetry to the system log, so problems on kiosks without
+  devtools show up in Reports → System Logs next to the server's own entries.
+
+  The `ClientTelemetry` hook batches what `assets/js/telemetry.js` captures -
+  uncaught errors and promise rejections, hook lifecycle failures, socket
+  reconnects, slow `phx-click` acknowledgements and a periodic latency summary
+  - and sends it with a `"telemetry:batch"` event from whatever page is open
+  (see `PouConWeb.AuthHooks`):
+
+      %{"device" => name, "entries" => [%{"kind" => "error" | "hook" | "socket" | "latency",
+        "level" => "error" | "warning" | "info", "page" => path,
+        "message" => text, "count" => repeats, "age_ms" => ms since it happened}]}
+
+  Each entry becomes one log line tagged `[client <device>@<ip> <page>]`.
+  Batches and messages are capped, and each socket may only send so many
+  batches a minute (`allow_batch/3`, fewer on public pages without a login),
+  so a broken page or a LAN client cannot flood the ring buffer.
+  """
+
+  require Logger
+
+  @max_entries 50
+  @max_message 1000
+  @max_tag 60
+  @rate_window_ms 60_000
+
+  @doc "Tag every client line starts with, for filtering the system log."
+  def prefix, do: "[client "
+
+  @doc """
+  Logs a batch from the browser at `ip` (a string or nil). Returns the number
+  of lines written.
+  """
+  def log_batch(batch, ip) do
+    lines = lines(batch, ip)
+    Enum.each(lines, fn {level, message} -> Logger.log(level, message, source: :client) end)
+    length(lines)
+  end
+
+  @doc """
+  Per-socket rate limit. `sent` holds the times (ms) of the socket's earlier
+  batches; returns `{:ok, sent}` with this batch added, or `:limited` once
+  the socket has sent its share for the last minute.
+  """
+  def allow_batch(sent, role, now_ms) do
+    recent = Enum.filter(sent, &(now_ms - &1 < @rate_window_ms))
+
+    if length(recent) < batches_per_minute(role) do
+      {:ok, [now_ms | recent]}
+    else
+      :limited
+    end
+  end
+
+  # The hook sends every 30 s, sooner after an error
+  defp batches_per_minute(role) when role in [:admin, :user], do: 12
+  defp batches_per_minute(_role), do: 4
+
+  @doc """
+  The `{level, message}` log lines for a batch, without writing them.
+  """
+  def lines(%{"entries" => entries} = batch, ip) when is_list(entries) do
+    device = tag(batch["device"], "unknown")
+    origin = if ip, do: "#{device}@#{ip}", else: device
+
+    entries
+    |> Enum.filter(&is_map/1)
+    |> Enum.take(@max_entries)
+    |> Enum.map(&line(&1, origin))
+  end
+
+  def lines(_batch, _ip), do: []
+
+  defp line(entry, origin) do
+    page = tag(entry["page"], "-")
+    kind = tag(entry["kind"], "client")
+    message = entry["message"] |> to_string() |> String.slice(0, @max_message)
+
+    text =
+      "#{prefix()}#{origin} #{page}] #{kind}: #{message}" <>
+        repeats(entry["count"]) <> age(entry["age_ms"])
+
+    {level(entry["level"]), text}
+  end
+
+  defp level("error"), do: :error
+  defp level("warning"), do: :warning
+  defp level(_), do: :info
+
+  defp repeats(count) when is_integer(count) and count > 1, do: " (×#{count})"
+  defp repeats(_count), do: ""
+
+  # Entries queued while the socket was down arrive late
+  defp age(ms) when is_integer(ms) and ms >= 60_000, do: " (#{div(ms, 1000)} s ago)"
+  defp age(_ms), do: ""
+
+  defp tag(value, default) when is_binary(value) do
+    case value |> String.replace(~r/\s+/, " ") |> String.trim() do
+      "" -> default
+      text -> String.slice(text, 0, @max_tag)
+    end
+  end
+
+  defp tag(_value, default), do: default
+end
@@ -162,7 +162,10 @@ defmodule PouConWeb.Live.Dashboard.Index do
       current_role={@current_role}
       critical_alerts={assigns[:critical_alerts] || []}
     >
-      <div class="flex flex-wrap items-center gap-1 mb-1 justify-center items-center">
+      <div
+        data-live-group
+        class="flex flex-wrap items-center gap-1 mb-1 justify-center items-center"
+      >
         <%!-- Flock Summary --%>
 
         <.live_component
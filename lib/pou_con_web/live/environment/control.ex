@@ -3,14 +3,17 @@ defmodule PouConWeb.Live.Environment.Control do
 
   alias PouCon.Automation.Environment.Configs
   alias PouCon.Automation.Environment.Schemas.Config
+  alias PouCon.Automation.Environment.EnvironmentController
   alias PouCon.Automation.Environment.FailsafeValidator
 
   @failsafe_topic "failsafe_status"
+  @live_refresh_interval 2000
 
   @impl true
   def mount(_params, _session, socket) do
     if connected?(socket) do
       Phoenix.PubSub.subscribe(PouCon.PubSub, @failsafe_topic)
+      schedule_live_refresh()
     end
 
     config =
@@ -38,6 +41,38 @@ defmodule PouConWeb.Live.Environment.Control do
     {:noreply, assign(socket, :failsafe_status, status)}
   end
 
+  # Live temperature and step for the step-curve chart
+  def handle_info(:refresh_live, socket) do
+    schedule_live_refresh()
+    {:noreply, push_event(socket, "step_curve:live", get_live_status())}
+  end
+
+  defp schedule_live_refresh do
+    Process.send_after(self(), :refresh_live, @live_refresh_interval)
+  end
+
+  defp get_live_status do
+    try do
+      status = EnvironmentController.status()
+
+      %{
+        temp: status.avg_temp,
+        step: status.current_step,
+        pending_step: status.pending_step,
+        seconds: status.seconds_until_step_change,
+        boost: status.delta_boost_active
+      }
+    rescue
+      _ -> default_live_status()
+    catch
+      :exit, _ -> default_live_status()
+    end
+  end
+
+  defp default_live_status do
+    %{temp: nil, step: nil, pending_step: nil, seconds: 0, boost: false}
+  end
+
   defp get_failsafe_status do
     try do
       FailsafeValidator.status()
@@ -150,24 +185,18 @@ defmodule PouConWeb.Live.Environment.Control do
       end
 
     raw = if dir == "up", do: current + step, else: max(0, current - step)
-    new_value = if trunc(raw) == raw, do: trunc(raw), else: raw
-
-    updated_config = Map.put(socket.assigns.config, field_atom, new_value)
 
-    config_params =
-      updated_config
-      |> Map.take(Config.__schema__(:fields))
-      |> Map.new(fn {k, v} -> {Atom.to_string(k), v} end)
+    {:noreply, put_config_value(socket, field_atom, raw)}
+  end
 
-    changeset =
-      updated_config
-      |> Config.changeset(config_params)
-      |> Map.put(:action, :validate)
+  # Typed entry from the GloveNumberPad in the editor popup
+  def handle_event("set_value", %{"field" => field, "value" => value_str}, socket) do
+    field_atom = String.to_existing_atom(field)
 
-    {:noreply,
-     socket
-     |> assign(:config, updated_config)
-     |> assign(:form, to_form(changeset, as: :config))}
+    case Float.parse(value_str) do
+      {value, ""} when value >= 0 -> {:noreply, put_config_value(socket, field_atom, value)}
+      _ -> {:noreply, socket}
+    end
   end
 
   def handle_event("toggle_pumps", %{"step" => step_str}, socket) do
@@ -197,6 +226,60 @@ defmodule PouConWeb.Live.Environment.Control do
      |> assign(:form, to_form(changeset, as: :config))}
   end
 
+  # The whole curve from the StepCurve chart, sent once per drag or tap
+  def handle_event("curve_change", %{"steps" => steps}, socket) when is_list(steps) do
+    all_pumps = Enum.map_join(socket.assigns.pumps, ", ", & &1.name)
+    changes = Config.step_params(socket.assigns.config, steps, all_pumps)
+
+    {:noreply, put_config_values(socket, changes)}
+  end
+
+  defp put_config_value(socket, field_atom, raw) do
+    new_value = if trunc(raw) == raw, do: trunc(raw), else: raw
+    put_config_values(socket, %{field_atom => new_value})
+  end
+
+  defp put_config_values(socket, changes) do
+    updated_config = Map.merge(socket.assigns.config, changes)
+
+    config_params =
+      updated_config
+      |> Map.take(Config.__schema__(:fields))
+      |> Map.new(fn {k, v} -> {Atom.to_string(k), v} end)
+
+    changeset =
+      updated_config
+      |> Config.changeset(config_params)
+      |> Map.put(:action, :validate)
+
+    socket
+    |> assign(:config, updated_config)
+    |> assign(:form, to_form(changeset, as: :config))
+  end
+
+  defp curve_steps(config) do
+    Enum.map(1..5, fn n ->
+      pumps = Map.get(config, String.to_atom("step_#{n}_pumps")) || ""
+
+      %{
+        temp: to_number(Map.get(config, String.to_atom("step_#{n}_temp"))),
+        extra_fans: trunc(to_number(Map.get(config, String.to_atom("step_#{n}_extra_fans")))),
+        pumps: String.trim(pumps) != ""
+      }
+    end)
+  end
+
+  defp to_number(value) when is_number(value), do: value
+
+  defp to_number(value) when is_binary(value) do
+    case Float.parse(value) do
+      {num, _} -> num
+      :error -> 0
+    end
+  end
+
+  defp to_number(_), do: 0
+
   defp list_equipment(type) do
     PouCon.Equipment.Devices.list_equipment()
     |> Enum.filter(&(&1.type == type))
@@ -363,6 +446,19 @@ defmodule PouConWeb.Live.Environment.Control do
             </div>
           </div>
 
+          <div
+            id="step-curve"
+            phx-hook="StepCurve"
+            phx-update="ignore"
+            data-steps={Jason.encode!(curve_steps(@config))}
+            data-failsafe={trunc(to_number(@config.failsafe_fans_count))}
+            data-fans={length(@fans)}
+            data-pumps={length(@pumps)}
+            data-delay={trunc(to_number(@config.delay_between_step_seconds))}
+            class="bg-base-200 rounded-lg p-2 mt-1 select-none"
+          >
+          </div>
+
     <!-- All 5 Steps -->
           <div class="grid grid-cols-3 gap-2 mt-1">
             <%= for n <- 1..6 do %>
@@ -502,9 +598,19 @@ defmodule PouConWeb.Live.Environment.Control do
               >
                 −
               </button>
-              <div class="text-5xl font-mono font-bold min-w-[120px] text-center">
-                {current_display}
-              </div>
+              <form phx-change="set_value" phx-submit="close_editor">
+                <input type="hidden" name="field" value={@editing_field.field} />
+                <input
+                  id={"editor-value-#{@editing_field.field}"}
+                  type="number"
+                  name="value"
+                  value={current_display}
+                  min="0"
+                  step={@editing_field.step}
+                  phx-hook="GloveNumberPad"
+                  class="w-40 bg-transparent text-5xl font-mono font-bold text-center rounded-lg focus:bg-base-100 focus:outline-none"
+                />
+              </form>
               <button
                 type="button"
                 phx-click="step_value"
@@ -3,6 +3,7 @@ defmodule PouConWeb.Live.Feeding.Schedules do
 
   alias PouCon.Automation.Feeding.FeedingSchedules
   alias PouCon.Automation.Feeding.Schemas.Schedule
+  alias PouConWeb.Components.ScheduleTimeline
 
   @impl true
   def mount(_params, _session, socket) do
@@ -113,8 +114,51 @@ defmodule PouConWeb.Live.Feeding.Schedules do
     {:noreply, assign(socket, schedules: schedules)}
   end
 
+  # ———————————————————— Timeline ————————————————————
+  # The whole feeding system is one lane: a bar runs from "To Back" to "To Front"
+  def handle_event("timeline:create", %{"start" => start, "end" => stop}, socket) do
+    FeedingSchedules.create_schedule(%{
+      move_to_back_limit_time: ScheduleTimeline.from_minutes(start),
+      move_to_front_limit_time: ScheduleTimeline.from_minutes(stop)
+    })
+    |> timeline_reply(socket)
+  end
+
+  def handle_event("timeline:update", %{"id" => id, "start" => start, "end" => stop}, socket) do
+    FeedingSchedules.get_schedule!(id)
+    |> FeedingSchedules.update_schedule(%{
+      move_to_back_limit_time: ScheduleTimeline.from_minutes(start),
+      move_to_front_limit_time: ScheduleTimeline.from_minutes(stop)
+    })
+    |> timeline_reply(socket)
+  end
+
+  def handle_event("timeline:delete", %{"id" => id}, socket) do
+    FeedingSchedules.get_schedule!(id)
+    |> FeedingSchedules.delete_schedule()
+    |> timeline_reply(socket)
+  end
+
   # Private Functions
 
+  defp timeline_reply(result, socket) do
+    schedules = FeedingSchedules.list_schedules()
+    {:reply, ScheduleTimeline.reply(result), assign(socket, schedules: schedules)}
+  end
+
+  defp timeline_bars(schedules) do
+    Enum.map(schedules, fn schedule ->
+      %{
+        id: schedule.id,
+        lane: "feeding",
+        start: ScheduleTimeline.to_minutes(schedule.move_to_back_limit_time),
+        end: ScheduleTimeline.to_minutes(schedule.move_to_front_limit_time),
+        enabled: schedule.enabled,
+        tail: if(schedule.trigger_fill, do: schedule.max_fill_minutes)
+      }
+    end)
+  end
+
   defp create_schedule(socket, params) do
     case FeedingSchedules.create_schedule(params) do
       {:ok, _schedule} ->
@@ -176,6 +220,15 @@ defmodule PouConWeb.Live.Feeding.Schedules do
       critical_alerts={assigns[:critical_alerts] || []}
     >
       <div class="p-2">
+        <ScheduleTimeline.timeline
+          id="feeding-timeline"
+          class="mb-2"
+          lanes={[%{id: "feeding", label: "Feeding"}]}
+          bars={timeline_bars(@schedules)}
+          step={5}
+          wrap={true}
+          overlap_label="Overlapping feeder runs"
+        />
 
     <!-- Schedule Management -->
         <div class="grid grid-cols-2 gap-2">
@@ -366,6 +419,7 @@ defmodule PouConWeb.Live.Feeding.Schedules do
             <li>• Create multiple schedules to move buckets back and front several times per day</li>
             <li>• At least one time (Back or Front) must be configured for each schedule</li>
             <li>• Toggle the checkmark to enable/disable a schedule</li>
+            <li>• Drag on the timeline to add a schedule; drag a bar or its ends to change it</li>
           </ul>
         </div>
       </div>
@@ -2,7 +2,7 @@ defmodule PouConWeb.Live.Flock.DailyYields do
   use PouConWeb, :live_view
 
   alias PouCon.Flock.Flocks
-  alias PouConWeb.Components.Formatters
+  alias PouConWeb.Components.{Export, Formatters}
 
   @initial_limit 30
   @load_more_count 50
@@ -34,6 +34,31 @@ defmodule PouConWeb.Live.Flock.DailyYields do
      assign(socket, yields: yields, yields_limit: new_limit, total_yields: total_yields)}
   end
 
+  # All yields in one page - a flock has at most a few hundred days
+  def handle_event("export", %{"page" => _page}, socket) do
+    {yields, _total} = Flocks.list_daily_yields(socket.assigns.flock.id)
+
+    reply =
+      Export.reply(
+        ["Date", "Age (wks)", "Current Qty", "Deaths", "Trays", "Pcs", "Feed (kg)", "Yield %"],
+        Enum.map(yields, fn y ->
+          [
+            y.log_date,
+            y.age_weeks,
+            y.current_quantity,
+            y.deaths,
+            y.egg_trays,
+            y.egg_pcs,
+            y.feed_usage_kg,
+            Float.round(y.yield / 1, 2)
+          ]
+        end),
+        true
+      )
+
+    {:reply, reply, socket}
+  end
+
   @impl true
   def render(assigns) do
     ~H"""
@@ -46,7 +71,18 @@ defmodule PouConWeb.Live.Flock.DailyYields do
       <.header>
         Daily Yields: {@flock.name}
         <:actions>
-          <.btn_link to={~p"/flock/#{@flock.id}/logs"} label="Back to Logs" />
+          <div class="flex items-center gap-2">
+            <Export.export_buttons
+              id="export-daily-yields"
+              filename={Export.filename(["daily_yields", @flock.name])}
+            />
+            <.btn_link
+              to={~p"/reports?print=flock_weekly&flock=#{@flock.id}"}
+              label="Print"
+              color="gray"
+            />
+            <.btn_link to={~p"/flock/#{@flock.id}/logs"} label="Back to Logs" />
+          </div>
         </:actions>
       </.header>
       
@@ -3,7 +3,7 @@ defmodule PouConWeb.Live.Flock.Logs do
 
   alias PouCon.Flock.Flocks
   alias PouCon.Flock.Schemas.FlockLog
-  alias PouConWeb.Components.Formatters
+  alias PouConWeb.Components.{Export, Formatters}
 
   @initial_limit 30
   @load_more_count 50
@@ -88,6 +88,22 @@ defmodule PouConWeb.Live.Flock.Logs do
     {:noreply, assign(socket, logs: logs, logs_limit: new_limit)}
   end
 
+  # All logs in one page - one or two entries per day for the flock's life
+  def handle_event("export", %{"page" => _page}, socket) do
+    logs = Flocks.list_flock_logs(socket.assigns.flock.id, sort_order: :asc)
+
+    reply =
+      Export.reply(
+        ["Date", "Deaths", "Egg Trays", "Egg Pcs", "Feed (kg)", "Notes"],
+        Enum.map(logs, fn log ->
+          [log.log_date, log.deaths, log.egg_trays, log.egg_pcs, log.feed_usage_kg, log.notes]
+        end),
+        true
+      )
+
+    {:reply, reply, socket}
+  end
+
   # Private Functions
 
   defp create_log(socket, params) do
@@ -158,7 +174,22 @@ defmodule PouConWeb.Live.Flock.Logs do
     >
       <.header>
         <:actions>
-          <.btn_link to={~p"/flock/#{@flock.id}/daily-yields"} label="Daily Yields" color="amber" />
+          <div class="flex items-center gap-2">
+            <Export.export_buttons
+              id="export-flock-logs"
+              filename={Export.filename(["flock_logs", @flock.name])}
+            />
+            <.btn_link
+              to={~p"/reports?print=flock_weekly&flock=#{@flock.id}"}
+              label="Print"
+              color="gray"
+            />
+            <.btn_link
+              to={~p"/flock/#{@flock.id}/daily-yields"}
+              label="Daily Yields"
+              color="amber"
+            />
+          </div>
         </:actions>
       </.header>
       
@@ -257,8 +288,20 @@ defmodule PouConWeb.Live.Flock.Logs do
             {if @editing_log, do: "Edit Log", else: "Add Daily Log"}
           </h2>
 
-          <.form for={@form} phx-change="validate_log" phx-submit="save_log">
+          <.form
+            for={@form}
+            id="flock-log-form"
+            phx-change="validate_log"
+            phx-submit="save_log"
+            phx-hook="OfflineForm"
+            data-offline-kind="flock_log"
+            data-offline-label={"Daily log - #{@flock.name}"}
+          >
             <input type="hidden" name="flock_log[flock_id]" value={@flock.id} />
+            <!-- Lets an edit queued offline detect changes made meanwhile -->
+            <%= if @editing_log do %>
+              <PouConWeb.OfflineQueue.log_version_inputs log={@editing_log} />
+            <% end %>
             <div class="grid grid-cols-2 gap-2">
               <!-- Date -->
               <div class="col-span-2">
@@ -304,6 +347,7 @@ defmodule PouConWeb.Live.Flock.Logs do
                     Cancel
                   </.button>
                 <% end %>
+                <span data-offline-status class="text-sm text-amber-500"></span>
               </div>
             </div>
           </.form>
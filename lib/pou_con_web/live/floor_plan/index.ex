@@ -0,0 +1,411 @@
+defmodule PouConWeb.Live.FloorPlan.Index do
+  @moduledoc """
+  House floor plan (synoptic) view.
+
+  Equipment is drawn where it physically sits, coloured and animated from the
+  live status refreshed on every `:data_refreshed`. The SVG itself is owned by
+  the Synoptic hook (assets/js/hooks/synoptic.js); this LiveView pushes it:
+  - "synoptic:layout" - equipment list and saved positions
+  - "synoptic:image"  - the background plan (data URL or nil)
+  - "synoptic:status" - per-equipment state, colour and reading
+  - "synoptic:mode"   - whether the admin is editing the layout
+
+  Tapping an icon opens that equipment's control card. Admins can switch to
+  edit mode to upload a background plan and drag equipment onto it; positions
+  are saved through `PouCon.Equipment.FloorPlan`.
+  """
+
+  use PouConWeb, :live_view
+
+  alias PouCon.Equipment.Devices
+  alias PouCon.Equipment.EquipmentCommands
+  alias PouCon.Equipment.FloorPlan
+  alias PouConWeb.Components.Equipment
+
+  @pubsub_topic "data_point_data"
+
+  @max_image_bytes 2_000_000
+
+  # Control card for each equipment type (power indicators have no card)
+  @cards %{
+    "fan" => Equipment.FanComponent,
+    "pump" => Equipment.PumpComponent,
+    "light" => Equipment.LightComponent,
+    "siren" => Equipment.SirenComponent,
+    "egg" => Equipment.EggComponent,
+    "feeding" => Equipment.FeedingComponent,
+    "feed_in" => Equipment.FeedInComponent,
+    "dung" => Equipment.DungComponent,
+    "dung_horz" => Equipment.DungHorComponent,
+    "dung_exit" => Equipment.DungExitComponent,
+    "temp_sensor" => Equipment.TempComponent,
+    "humidity_sensor" => Equipment.HumComponent,
+    "co2_sensor" => Equipment.Co2Component,
+    "nh3_sensor" => Equipment.Nh3Component,
+    "average_sensor" => Equipment.AverageSensorComponent,
+    "water_meter" => Equipment.WaterMeterComponent,
+    "power_meter" => Equipment.PowerMeterComponent
+  }
+
+  @sensor_types ~w(temp_sensor humidity_sensor co2_sensor nh3_sensor average_sensor
+                   water_meter power_meter)
+
+  @offline_errors [:not_running, :timeout, :unresponsive, :invalid_data]
+
+  @impl true
+  def mount(_params, _session, socket) do
+    socket =
+      socket
+      |> assign(equipment: Devices.list_equipment(), selected: nil, editing: false)
+      |> allow_upload(:plan,
+        accept: ~w(.png .jpg .jpeg .webp .svg),
+        max_entries: 1,
+        max_file_size: @max_image_bytes
+      )
+      |> fetch_all_status()
+
+    socket =
+      if connected?(socket) do
+        Phoenix.PubSub.subscribe(PouCon.PubSub, @pubsub_topic)
+        FloorPlan.subscribe()
+
+        socket
+        |> push_layout()
+        |> push_image()
+        |> push_status()
+      else
+        socket
+      end
+
+    {:ok, socket}
+  end
+
+  @impl true
+  def handle_info(:data_refreshed, socket) do
+    {:noreply, socket |> fetch_all_status() |> push_status()}
+  end
+
+  def handle_info({:floor_plan_changed, :positions}, socket) do
+    {:noreply, push_layout(socket)}
+  end
+
+  def handle_info({:floor_plan_changed, :image}, socket) do
+    {:noreply, push_image(socket)}
+  end
+
+  # ———————————————————— Control Card ————————————————————
+  @impl true
+  def handle_event("select", %{"name" => name}, socket) do
+    {:noreply, assign(socket, :selected, name)}
+  end
+
+  def handle_event("close_card", _params, socket) do
+    {:noreply, assign(socket, :selected, nil)}
+  end
+
+  # ———————————————————— Layout Editing (admin) ————————————————————
+  def handle_event("toggle_edit", _params, socket) do
+    if admin?(socket) do
+      editing = !socket.assigns.editing
+
+      {:noreply,
+       socket
+       |> assign(editing: editing, selected: nil)
+       |> push_event("synoptic:mode", %{editing: editing})}
+    else
+      {:noreply, socket}
+    end
+  end
+
+  def handle_event("place", %{"name" => name, "x" => x, "y" => y}, socket) do
+    reply_admin(socket, fn -> FloorPlan.put_position(name, x, y) end)
+  end
+
+  def handle_event("remove", %{"name" => name}, socket) do
+    reply_admin(socket, fn -> FloorPlan.delete_position(name) end)
+  end
+
+  def handle_event("validate_plan", _params, socket) do
+    {:noreply, socket}
+  end
+
+  def handle_event("cancel_upload", %{"ref" => ref}, socket) do
+    {:noreply, cancel_upload(socket, :plan, ref)}
+  end
+
+  def handle_event("upload_plan", _params, socket) do
+    if admin?(socket) do
+      results =
+        consume_uploaded_entries(socket, :plan, fn %{path: path}, entry ->
+          {:ok, FloorPlan.put_image(MIME.from_path(entry.client_name), File.read!(path))}
+        end)
+
+      case results do
+        [{:ok, _}] ->
+          {:noreply, put_flash(socket, :info, "Floor plan updated")}
+
+        [{:error, _}] ->
+          {:noreply, put_flash(socket, :error, "Use a PNG, JPEG, WebP or SVG image")}
+
+        [] ->
+          {:noreply, socket}
+      end
+    else
+      {:noreply, socket}
+    end
+  end
+
+  def handle_event("remove_plan", _params, socket) do
+    if admin?(socket), do: FloorPlan.delete_image()
+    {:noreply, socket}
+  end
+
+  defp admin?(socket), do: socket.assigns[:current_role] == :admin
+
+  defp reply_admin(socket, fun) do
+    if admin?(socket) do
+      case fun.() do
+        {:ok, _} -> {:reply, %{ok: true}, socket}
+        {:error, _} -> {:reply, %{ok: false, message: "Could not save position"}, socket}
+      end
+    else
+      {:reply, %{ok: false, message: "Admin login required"}, socket}
+    end
+  end
+
+  # ———————————————————— Pushes to the Synoptic hook ————————————————————
+  defp push_layout(socket) do
+    equipment =
+      Enum.map(socket.assigns.equipment, fn eq ->
+        %{name: eq.name, title: eq.title || eq.name, type: eq.type}
+      end)
+
+    push_event(socket, "synoptic:layout", %{
+      equipment: equipment,
+      positions: FloorPlan.get_positions()
+    })
+  end
+
+  defp push_image(socket) do
+    push_event(socket, "synoptic:image", %{image: FloorPlan.get_image()})
+  end
+
+  defp push_status(socket) do
+    push_event(socket, "synoptic:status", %{
+      items: Enum.map(socket.assigns.equipment, &overlay/1)
+    })
+  end
+
+  # State the hook draws: running / stopped / interlocked / error / offline
+  # for controlled equipment, reading / error / offline for sensors
+  defp overlay(%{name: name, type: type, status: status}) do
+    {state, color} = overlay_state(type, status)
+
+    %{
+      name: name,
+      state: state,
+      color: Equipment.Shared.text_color(color),
+      value: if(state == "reading", do: reading(type, status))
+    }
+  end
+
+  defp overlay_state(_type, %{error: error}) when error in @offline_errors,
+    do: {"offline", "gray-400"}
+
+  defp overlay_state(type, status) when type in @sensor_types do
+    if status[:error], do: {"error", "rose"}, else: {"reading", sensor_color(type, status)}
+  end
+
+  defp overlay_state(_type, status) do
+    cond do
+      status[:error] -> {"error", "rose"}
+      status[:interlocked] -> {"interlocked", "amber"}
+      status[:is_running] -> {"running", "green"}
+      true -> {"stopped", "violet"}
+    end
+  end
+
+  # Same colour zones as the sensor's card
+  defp sensor_color(type, status) do
+    @cards[type].calculate_display_data(status).main_color
+  end
+
+  defp reading("temp_sensor", status),
+    do: Equipment.TempComponent.calculate_display_data(status).temp
+
+  defp reading("humidity_sensor", status),
+    do: Equipment.HumComponent.calculate_display_data(status).hum
+
+  defp reading("average_sensor", status),
+    do: Equipment.AverageSensorComponent.calculate_display_data(status).temp
+
+  defp reading(type, status) do
+    case @cards[type].calculate_display_data(status) do
+      %{rows: [{_label, formatted, _color, _bold} | _]} -> formatted
+      _ -> nil
+    end
+  end
+
+  defp fetch_all_status(socket) do
+    equipment_with_status =
+      socket.assigns.equipment
+      |> Task.async_stream(
+        fn eq ->
+          status =
+            case EquipmentCommands.get_status(eq.name) do
+              %{} = status_map ->
+                status_map
+
+              {:error, :not_found} ->
+                %{
+                  error: :not_running,
+                  error_message: "Controller not running",
+                  is_running: false,
+                  title: eq.title
+                }
+
+              {:error, :timeout} ->
+                %{
+                  error: :timeout,
+                  error_message: "Controller timeout",
+                  is_running: false,
+                  title: eq.title
+                }
+
+              _ ->
+                %{
+                  error: :unresponsive,
+                  error_message: "No response",
+                  is_running: false,
+                  title: eq.title
+                }
+            end
+
+          Map.put(eq, :status, status)
+        end,
+        timeout: 1000,
+        max_concurrency: 30
+      )
+      |> Enum.map(fn
+        {:ok, eq} -> eq
+        {:exit, _} -> nil
+        _ -> nil
+      end)
+      |> Enum.reject(&is_nil/1)
+
+    assign(socket, equipment: equipment_with_status)
+  end
+
+  # ———————————————————— Render ————————————————————
+  @impl true
+  def render(assigns) do
+    ~H"""
+    <Layouts.app
+      flash={@flash}
+      current_role={@current_role}
+      critical_alerts={assigns[:critical_alerts] || []}
+    >
+      <div class="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <h1 class="text-xl font-bold text-base-content">Floor Plan</h1>
+        <button
+          :if={@current_role == :admin}
+          phx-click="toggle_edit"
+          class={["btn btn-sm", if(@editing, do: "btn-primary", else: "btn-outline")]}
+        >
+          <.icon name={if @editing, do: "hero-check", else: "hero-pencil-square"} class="size-4" />
+          {if @editing, do: "Done", else: "Edit layout"}
+        </button>
+      </div>
+
+      <.plan_editor :if={@editing} uploads={@uploads} />
+
+      <div
+        id="floor-plan"
+        phx-hook="Synoptic"
+        phx-update="ignore"
+        class="w-full rounded-xl border border-base-300 bg-base-100 overflow-hidden select-none"
+      >
+      </div>
+
+      <.control_card
+        :if={@selected}
+        equipment={Enum.find(@equipment, &(&1.name == @selected))}
+      />
+    </Layouts.app>
+    """
+  end
+
+  attr :uploads, :map, required: true
+
+  defp plan_editor(assigns) do
+    ~H"""
+    <div class="mb-2 p-3 rounded-xl border border-base-300 bg-base-200 text-sm">
+      <p class="mb-2 text-base-content/70">
+        Drag equipment from the list onto the plan, or drag placed icons to move them.
+        Drop an icon back on the list to take it off the plan.
+      </p>
+      <form
+        id="floor-plan-upload"
+        phx-change="validate_plan"
+        phx-submit="upload_plan"
+        class="flex flex-wrap items-center gap-2"
+      >
+        <span class="font-medium">Background plan:</span>
+        <.live_file_input upload={@uploads.plan} class="file-input file-input-sm" />
+        <button :if={@uploads.plan.entries != []} type="submit" class="btn btn-sm btn-primary">
+          Upload
+        </button>
+        <button type="button" phx-click="remove_plan" class="btn btn-sm btn-ghost text-error">
+          Remove plan
+        </button>
+        <span class="text-xs text-base-content/60">PNG, JPEG, WebP or SVG, max 2MB</span>
+      </form>
+      <%= for entry <- @uploads.plan.entries, err <- upload_errors(@uploads.plan, entry) do %>
+        <p class="mt-1 text-error">{upload_error(err)}</p>
+      <% end %>
+    </div>
+    """
+  end
+
+  defp upload_error(:too_large), do: "Image is too large (max 2MB)"
+  defp upload_error(:not_accepted), do: "Use a PNG, JPEG, WebP or SVG image"
+  defp upload_error(err), do: inspect(err)
+
+  attr :equipment, :map, default: nil
+
+  defp control_card(assigns) do
+    assigns = assign(assigns, :card, assigns.equipment && @cards[assigns.equipment.type])
+
+    ~H"""
+    <div
+      id="floor-plan-card"
+      class="fixed inset-0 bg-black/50 flex items-center justify-center z-50"
+    >
+      <div phx-click-away="close_card" class="relative">
+        <button
+          phx-click="close_card"
+          class="absolute -top-3 -right-3 z-10 btn btn-circle btn-sm"
+          aria-label="Close"
+        >
+          <.icon name="hero-x-mark" class="size-4" />
+        </button>
+        <%= cond do %>
+          <% @card -> %>
+            <.live_component module={@card} id={@equipment.name} equipment={@equipment} />
+          <% @equipment -> %>
+            <div class="bg-base-100 rounded-xl p-6 shadow-xl border border-base-300 w-64">
+              <h3 class="text-lg font-bold mb-2">{@equipment.title || @equipment.name}</h3>
+              <.link navigate={~p"/power_indicators"} class="link link-primary">
+                Open power indicators
+              </.link>
+            </div>
+          <% true -> %>
+            <div class="bg-base-100 rounded-xl p-6 shadow-xl border border-base-300 w-64">
+              Equipment no longer exists.
+            </div>
+        <% end %>
+      </div>
+    </div>
+    """
+  end
+end
@@ -0,0 +1,39 @@
+defmodule PouConWeb.Live.Houses.Index do
+  @moduledoc """
+  Overview of several houses, each running its own PouCon controller.
+
+  The page is drawn and kept up to date by the `MultiHouse` hook
+  (assets/js/hooks/multi_house.js), entirely in the browser:
+  - the list of controller URLs and their API keys is kept in this browser's
+    localStorage, so any office browser can be set up as the central screen
+  - each controller's `/api/status` is polled directly (CORS, see
+    `PouConWeb.Plugs.ApiCors`), `/api/info` now and then, backing off while
+    a controller does not answer
+  - a card per house shows temperature, humidity, alarms, online/offline and
+    flock day; tapping it opens that controller
+
+  The controller serving the page knows nothing about the others. The keys
+  give full API access to every house, so the page is admin only and the
+  hook never writes a saved key back into the page.
+  """
+
+  use PouConWeb, :live_view
+
+  @impl true
+  def mount(_params, _session, socket) do
+    {:ok, socket}
+  end
+
+  @impl true
+  def render(assigns) do
+    ~H"""
+    <Layouts.app
+      flash={@flash}
+      current_role={@current_role}
+      critical_alerts={assigns[:critical_alerts] || []}
+    >
+      <div id="multi-house" phx-hook="MultiHouse" phx-update="ignore"></div>
+    </Layouts.app>
+    """
+  end
+end
@@ -4,6 +4,7 @@ defmodule PouConWeb.Live.Lighting.Schedules do
   alias PouCon.Automation.Lighting.LightSchedules
   alias PouCon.Automation.Lighting.Schemas.Schedule
   alias PouCon.Equipment.Devices
+  alias PouConWeb.Components.ScheduleTimeline
 
   @impl true
   def mount(_params, _session, socket) do
@@ -80,8 +81,58 @@ defmodule PouConWeb.Live.Lighting.Schedules do
     {:noreply, assign(socket, schedules: schedules)}
   end
 
+  # ———————————————————— Timeline ————————————————————
+  def handle_event(
+        "timeline:create",
+        %{"lane" => lane, "start" => start, "end" => stop},
+        socket
+      ) do
+    LightSchedules.create_schedule(%{
+      equipment_id: lane,
+      on_time: ScheduleTimeline.from_minutes(start),
+      off_time: ScheduleTimeline.from_minutes(stop)
+    })
+    |> timeline_reply(socket)
+  end
+
+  def handle_event("timeline:update", %{"id" => id, "start" => start, "end" => stop}, socket) do
+    LightSchedules.get_schedule!(id)
+    |> LightSchedules.update_schedule(%{
+      on_time: ScheduleTimeline.from_minutes(start),
+      off_time: ScheduleTimeline.from_minutes(stop)
+    })
+    |> timeline_reply(socket)
+  end
+
+  def handle_event("timeline:delete", %{"id" => id}, socket) do
+    LightSchedules.get_schedule!(id)
+    |> LightSchedules.delete_schedule()
+    |> timeline_reply(socket)
+  end
+
   # Private Functions
 
+  defp timeline_reply(result, socket) do
+    schedules = LightSchedules.list_schedules()
+    {:reply, ScheduleTimeline.reply(result), assign(socket, schedules: schedules)}
+  end
+
+  defp timeline_lanes(equipment) do
+    Enum.map(equipment, &%{id: &1.id, label: &1.title || &1.name})
+  end
+
+  defp timeline_bars(schedules) do
+    Enum.map(schedules, fn schedule ->
+      %{
+        id: schedule.id,
+        lane: schedule.equipment_id,
+        start: ScheduleTimeline.to_minutes(schedule.on_time),
+        end: ScheduleTimeline.to_minutes(schedule.off_time),
+        enabled: schedule.enabled
+      }
+    end)
+  end
+
   defp create_schedule(socket, params) do
     case LightSchedules.create_schedule(params) do
       {:ok, _schedule} ->
@@ -133,6 +184,15 @@ defmodule PouConWeb.Live.Lighting.Schedules do
       critical_alerts={assigns[:critical_alerts] || []}
     >
       <div class="p-2">
+        <ScheduleTimeline.timeline
+          id="light-timeline"
+          class="mb-2"
+          lanes={timeline_lanes(@light_equipment)}
+          bars={timeline_bars(@schedules)}
+          wrap={true}
+          overlap_label="Conflicting light periods"
+        />
+
         <!-- Schedule Management -->
         <div class="grid grid-cols-2 gap-2">
           <!-- Schedule Form -->
@@ -280,6 +340,7 @@ defmodule PouConWeb.Live.Lighting.Schedules do
             <li>• If a light is in MANUAL mode, schedules will be skipped</li>
             <li>• Schedules are checked every minute</li>
             <li>• Toggle the checkmark to enable/disable a schedule</li>
+            <li>• Drag on the timeline to add a schedule; drag a bar or its ends to change it</li>
           </ul>
         </div>
       </div>
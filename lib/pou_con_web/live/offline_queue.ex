@@ -0,0 +1,218 @@
+defmodule PouConWeb.OfflineQueue do
+  @moduledoc """
+  Replays data entry that the browser queued while the LiveSocket was down.
+
+  The `OfflineForm` hook saves a form submission to IndexedDB when the socket
+  is disconnected. Once it reconnects, the `OfflineQueue` hook in the app
+  layout sends each entry back with an `"offline:replay"` event, from whatever
+  page the operator is on (see `PouConWeb.AuthHooks`). An entry is
+
+      %{"kind" => "flock_log" | "task_completion", "params" => form params,
+        "queued_at" => ISO 8601 time it was made, "force" => boolean}
+
+  and `reply/2` answers with a status for the browser:
+
+    * `"saved"` - written; the entry is removed from the queue
+    * `"conflict"` - not written; the entry stays queued for the operator to
+      review and either save anyway (`"force" => true`) or discard
+    * `"pending"` - not tried (nobody logged in); the entry stays queued
+
+  A conflict is anything the operator could not have seen while offline: the
+  flock was closed, the log being edited changed or was deleted, another log
+  for the same day or another completion of the same task arrived in the
+  meantime, or the entry no longer validates. Nothing is dropped on the server
+  side - only the operator can discard an entry.
+  """
+
+  use Phoenix.Component
+
+  alias PouCon.Flock.Flocks
+  alias PouCon.Flock.Schemas.FlockLog
+  alias PouCon.Operations.Tasks
+  alias PouConWeb.CoreComponents
+
+  @doc """
+  Replays `entry` for a logged-in role and builds the reply map.
+  """
+  def reply(role, entry) when role in [:admin, :user] do
+    case replay(entry) do
+      {:ok, message} -> %{status: "saved", message: message}
+      {:conflict, message} -> %{status: "conflict", message: message}
+    end
+  end
+
+  def reply(_role, _entry) do
+    %{status: "pending", message: "Log in to send queued entries"}
+  end
+
+  @doc """
+  Applies one queued entry. Returns `{:ok, message}` or `{:conflict, message}`.
+  """
+  def replay(%{"kind" => kind, "params" => params, "queued_at" => queued_at} = entry)
+      when is_map(params) do
+    case DateTime.from_iso8601(to_string(queued_at)) do
+      {:ok, queued_at, _offset} ->
+        apply_entry(kind, params, DateTime.truncate(queued_at, :second), entry["force"] == true)
+
+      {:error, _} ->
+        {:conflict, "Entry has no valid time"}
+    end
+  end
+
+  def replay(_entry), do: {:conflict, "Unrecognised entry"}
+
+  @doc """
+  Hidden fields for a form editing `log`, so an edit queued offline can tell
+  whether the log changed in the meantime.
+  """
+  attr :log, FlockLog, required: true
+
+  def log_version_inputs(assigns) do
+    ~H"""
+    <input type="hidden" name="offline[log_id]" value={@log.id} />
+    <input type="hidden" name="offline[version]" value={log_version(@log)} />
+    """
+  end
+
+  # The form and the replay must agree on one format: HEEx renders a
+  # NaiveDateTime with a "T", to_string/1 with a space
+  defp log_version(log), do: NaiveDateTime.to_iso8601(log.updated_at)
+
+  # ———————————————————— Entry kinds ————————————————————
+
+  defp apply_entry("flock_log", %{"flock_log" => attrs} = params, queued_at, force?) do
+    case get_by_id(attrs["flock_id"], &Flocks.get_flock/1) do
+      nil ->
+        {:conflict, "Flock no longer exists"}
+
+      %{active: false} = flock ->
+        {:conflict, "Flock #{flock.name} was closed - log not added"}
+
+      flock ->
+        attrs = Map.put(attrs, "flock_id", flock.id)
+
+        case get_in(params, ["offline", "log_id"]) do
+          id when id in [nil, ""] -> create_log(attrs, queued_at, force?)
+          id -> update_log(id, get_in(params, ["offline", "version"]), attrs, force?)
+        end
+    end
+  end
+
+  defp apply_entry("task_completion", %{"task_id" => id} = params, queued_at, force?) do
+    notes = params |> Map.get("notes", "") |> to_string() |> String.trim()
+
+    case get_by_id(id, &Tasks.get_template/1) do
+      nil ->
+        {:conflict, "Task no longer exists"}
+
+      task ->
+        last = Tasks.get_last_completion(task.id)
+
+        cond do
+          task.requires_notes and notes == "" ->
+            {:conflict, "Notes are required for #{task.name}"}
+
+          not force? and last != nil and same_day?(last.completed_at, queued_at) ->
+            {:conflict,
+             "#{task.name} was already marked done on #{DateTime.to_date(last.completed_at)}"}
+
+          true ->
+            attrs = %{"notes" => notes, "completed_by" => "user", "completed_at" => queued_at}
+
+            with {:ok, _completion} <- changeset_result(Tasks.complete_task(task.id, attrs)) do
+              {:ok, "Task completed: #{task.name}"}
+            end
+        end
+    end
+  end
+
+  defp apply_entry(_kind, _params, _queued_at, _force?), do: {:conflict, "Unrecognised entry"}
+
+  # ———————————————————— Flock logs ————————————————————
+
+  defp create_log(attrs, queued_at, force?) do
+    with :ok <- check_day(attrs, queued_at, force?),
+         {:ok, log} <- changeset_result(Flocks.create_flock_log(attrs)) do
+      {:ok, "Log for #{log.log_date} saved"}
+    end
+  end
+
+  defp update_log(id, version, attrs, force?) do
+    case get_by_id(id, &Flocks.get_flock_log/1) do
+      nil ->
+        {:conflict, "The log being edited was deleted"}
+
+      log ->
+        if not force? and log_version(log) != version do
+          {:conflict, "Log for #{log.log_date} was changed on another screen"}
+        else
+          with {:ok, log} <- changeset_result(Flocks.update_flock_log(log, attrs)) do
+            {:ok, "Log for #{log.log_date} updated"}
+          end
+        end
+    end
+  end
+
+  # Another log for the day that is identical (already sent) or newer than the
+  # entry (entered elsewhere while this one waited) needs a human decision
+  defp check_day(_attrs, _queued_at, true), do: :ok
+
+  defp check_day(attrs, queued_at, false) do
+    with {:ok, date} <- Date.from_iso8601(to_string(attrs["log_date"])) do
+      logs = Flocks.list_flock_logs_by_date(attrs["flock_id"], date)
+      queued_at = DateTime.to_naive(queued_at)
+
+      cond do
+        Enum.any?(logs, &same_values?(&1, attrs)) ->
+          {:conflict, "An identical log for #{date} is already saved"}
+
+        Enum.any?(logs, &(NaiveDateTime.compare(&1.inserted_at, queued_at) != :lt)) ->
+          {:conflict, "Another log for #{date} was entered while this one was waiting"}
+
+        true ->
+          :ok
+      end
+    else
+      # Left to the changeset to report
+      {:error, _} -> :ok
+    end
+  end
+
+  defp same_values?(log, attrs) do
+    entry = %FlockLog{} |> Flocks.change_flock_log(attrs) |> Ecto.Changeset.apply_changes()
+
+    log.deaths == entry.deaths and log.egg_trays == entry.egg_trays and
+      Decimal.equal?(log.feed_usage_kg || 0, entry.feed_usage_kg || 0)
+  end
+
+  # ———————————————————— Helpers ————————————————————
+
+  defp same_day?(completed_at, queued_at) do
+    DateTime.to_date(completed_at) == DateTime.to_date(queued_at)
+  end
+
+  # Form values arrive as strings; a blank or garbled id finds nothing
+  defp get_by_id(id, getter) when is_integer(id), do: getter.(id)
+
+  defp get_by_id(id, getter) when is_binary(id) do
+    case Integer.parse(id) do
+      {id, ""} -> getter.(id)
+      _ -> nil
+    end
+  end
+
+  defp get_by_id(_id, _getter), do: nil
+
+  defp changeset_result({:ok, record}), do: {:ok, record}
+
+  defp changeset_result({:error, %Ecto.Changeset{} = changeset}) do
+    errors =
+      changeset
+      |> Ecto.Changeset.traverse_errors(&CoreComponents.translate_error/1)
+      |> Enum.map_join("; ", fn {field, messages} ->
+        "#{field} #{Enum.join(messages, ", ")}"
+      end)
+
+    {:conflict, "Not saved - #{errors}"}
+  end
+end
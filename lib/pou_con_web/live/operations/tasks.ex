@@ -242,8 +242,8 @@ defmodule PouConWeb.Live.Operations.Tasks do
     <!-- Completion Modal -->
       <div
         :if={@completing_task}
+        id="complete-task-modal"
         class="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
-        phx-click="cancel_complete"
       >
         <div
           class="bg-base-100 rounded-xl p-6 w-full max-w-md mx-4 shadow-xl border border-base-300"
@@ -252,35 +252,46 @@ defmodule PouConWeb.Live.Operations.Tasks do
           <h3 class="text-xl font-bold mb-4 text-base-content">Complete Task</h3>
           <p class="text-base-content/70 mb-4">{@completing_task.name}</p>
 
-          <div class="mb-4">
-            <label class="block text-sm font-medium mb-1 text-base-content">
-              Notes {if @completing_task.requires_notes, do: "*", else: "(optional)"}
-            </label>
-            <textarea
-              phx-hook="SimpleKeyboard"
-              id="completion-notes"
-              rows="3"
-              class="w-full border border-base-300 rounded-lg p-2 bg-base-100 text-base-content"
-              phx-change="update_notes"
-              name="notes"
-              value={@completion_notes}
-            ><%= @completion_notes %></textarea>
-          </div>
+          <form
+            id="complete-task-form"
+            phx-submit="confirm_complete"
+            phx-hook="OfflineForm"
+            data-offline-kind="task_completion"
+            data-offline-label={"Task done - #{@completing_task.name}"}
+            data-offline-hide="#complete-task-modal"
+          >
+            <input type="hidden" name="task_id" value={@completing_task.id} />
+            <div class="mb-4">
+              <label class="block text-sm font-medium mb-1 text-base-content">
+                Notes {if @completing_task.requires_notes, do: "*", else: "(optional)"}
+              </label>
+              <textarea
+                phx-hook="SimpleKeyboard"
+                id="completion-notes"
+                rows="3"
+                class="w-full border border-base-300 rounded-lg p-2 bg-base-100 text-base-content"
+                phx-change="update_notes"
+                name="notes"
+                value={@completion_notes}
+              ><%= @completion_notes %></textarea>
+            </div>
 
-          <div class="flex gap-3">
-            <button
-              phx-click="cancel_complete"
-              class="flex-1 py-3 bg-base-300 hover:bg-base-200 text-base-content rounded-lg font-medium"
-            >
-              Cancel
-            </button>
-            <button
-              phx-click="confirm_complete"
-              class="flex-1 py-3 bg-green-600 hover:bg-green-700 text-white rounded-lg font-medium"
-            >
-              Confirm Done
-            </button>
-          </div>
+            <div class="flex gap-3">
+              <button
+                type="button"
+                phx-click="cancel_complete"
+                class="flex-1 py-3 bg-base-300 hover:bg-base-200 text-base-content rounded-lg font-medium"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                class="flex-1 py-3 bg-green-600 hover:bg-green-700 text-white rounded-lg font-medium"
+              >
+                Confirm Done
+              </button>
+            </div>
+          </form>
         </div>
       </div>
     </Layouts.app>
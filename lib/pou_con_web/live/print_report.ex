@@ -0,0 +1,137 @@
+defmodule PouConWeb.PrintReport do
+  @moduledoc """
+  Data for the printable reports built by the `PrintReport` client hook.
+
+  The hook lays out, paginates and charts each report in the browser and
+  hands it to the browser's print dialog (paper or "Save as PDF"); the
+  server only answers `"print:data"` from the Reports page with numbers.
+  Templates and their parameters:
+
+    * `"flock_weekly"` (`"flock_id"`) - the flock, its weekly roll-up from
+      `PouCon.Flock.Flocks.list_weekly_yields/1` and the daily yields for
+      the chart
+    * `"environment_daily"` (`"date"`, YYYY-MM-DD) - hourly min/avg/max per
+      sensor unit and fans/pumps running, from
+      `PouCon.Logging.EnvironmentLog.daily_sheet/2`
+    * `"equipment_runtime"` (`"days"`, 1-31 up to today) - runtime, starts
+      and errors per equipment, by day, from `PouCon.Logging.RuntimeSummary`
+
+  Dates are ISO 8601 strings and decimals are floats, so the hook can keep
+  the last payload of each template and print it again while the
+  controller is unreachable.
+  """
+
+  alias PouCon.Equipment.Devices
+  alias PouCon.Flock.Flocks
+  alias PouCon.Logging.{EnvironmentLog, RuntimeSummary}
+
+  @templates ~w(flock_weekly environment_daily equipment_runtime)
+  @max_days 31
+
+  @doc "Template names the hook can ask for."
+  def templates, do: @templates
+
+  @doc """
+  Builds the payload for `template`. Returns `{:ok, data}` or
+  `{:error, message}`.
+  """
+  def data("flock_weekly", params, _timezone) do
+    with {id, ""} <- Integer.parse(to_string(params["flock_id"])),
+         %{} = flock <- Flocks.get_flock(id) do
+      {daily, _total} = Flocks.list_daily_yields(flock.id)
+
+      {:ok,
+       %{
+         flock: %{
+           name: flock.name,
+           breed: flock.breed,
+           date_of_birth: Date.to_iso8601(flock.date_of_birth),
+           quantity: flock.quantity,
+           active: flock.active
+         },
+         weeks: Enum.map(Flocks.list_weekly_yields(flock.id), &week/1),
+         daily:
+           daily
+           |> Enum.reverse()
+           |> Enum.map(&[Date.to_iso8601(&1.log_date), round1(&1.yield), &1.deaths])
+       }}
+    else
+      _ -> {:error, "Choose a flock"}
+    end
+  end
+
+  def data("environment_daily", params, timezone) do
+    case Date.from_iso8601(to_string(params["date"])) do
+      {:ok, date} ->
+        sheet = EnvironmentLog.daily_sheet(date, timezone)
+        {:ok, Map.put(sheet, :date, Date.to_iso8601(date))}
+
+      {:error, _} ->
+        {:error, "Choose a date"}
+    end
+  end
+
+  def data("equipment_runtime", params, timezone) do
+    days =
+      case Integer.parse(to_string(params["days"])) do
+        {n, _} -> n |> max(1) |> min(@max_days)
+        :error -> 7
+      end
+
+    to_date = timezone |> DateTime.now!() |> DateTime.to_date()
+    from_date = Date.add(to_date, 1 - days)
+    dates = Enum.to_list(Date.range(from_date, to_date))
+    equipment = Map.new(Devices.list_equipment(), &{&1.name, &1})
+
+    rows =
+      from_date
+      |> RuntimeSummary.get_summary(to_date, timezone)
+      |> Enum.map(fn summary ->
+        eq = Map.get(equipment, summary.equipment_name, %{})
+
+        summary
+        |> Map.take([:equipment_name, :runtime_seconds, :manual_seconds, :starts, :errors])
+        |> Map.merge(%{
+          title: Map.get(eq, :title) || summary.equipment_name,
+          type: Map.get(eq, :type),
+          daily: Enum.map(dates, &Map.get(summary.daily, &1, 0))
+        })
+      end)
+
+    {:ok,
+     %{
+       from_date: Date.to_iso8601(from_date),
+       to_date: Date.to_iso8601(to_date),
+       dates: Enum.map(dates, &Date.to_iso8601/1),
+       equipment: rows
+     }}
+  end
+
+  def data(_template, _params, _timezone), do: {:error, "Unknown report"}
+
+  @doc "Flocks for the flock picker, youngest first."
+  def flock_options do
+    Flocks.list_flocks()
+    |> Enum.map(&%{id: &1.id, name: &1.name, active: &1.active})
+  end
+
+  defp week(week) do
+    %{
+      age_weeks: week.age_weeks,
+      from_date: Date.to_iso8601(week.from_date),
+      to_date: Date.to_iso8601(week.to_date),
+      days: week.days,
+      birds_start: week.birds_start,
+      birds_end: week.birds_end,
+      deaths: week.deaths,
+      mortality: Float.round(week.mortality / 1, 3),
+      egg_pcs: week.egg_pcs,
+      yield: round1(week.yield),
+      feed_kg: week.feed_usage_kg |> Decimal.to_float() |> Float.round(1),
+      feed_per_bird_g: round1(week.feed_per_bird_g)
+    }
+  end
+
+  defp round1(value) when is_number(value), do: Float.round(value / 1, 1)
+  defp round1(_value), do: 0.0
+end
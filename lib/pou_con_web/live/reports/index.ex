@@ -8,16 +8,48 @@ defmodule PouConWeb.Live.Reports.Index do
   - **Data Point Logs**: Value snapshots from data points (global interval + change events)
   - **Errors**: Filtered view of error events only
   - **Efficiency**: Hourly analysis of temp, humidity, fan/pump usage for tuning environment control
+  - **System Logs**: The in-memory RingLogger buffer, including browser errors and latency
+    sent by `PouConWeb.ClientTelemetry` (`?view=system_logs&source=client` opens them directly)
+
+  ## Printable Reports
+
+  "Print" opens the `PrintReport` client hook, which lays out a flock weekly
+  summary, environment daily sheet or equipment runtime summary as A4 pages
+  and prints them with the browser. It asks for data with `"print:data"`
+  (`PouConWeb.PrintReport`); `?print=flock_weekly&flock=<id>` opens it
+  straight away, as the Flock pages do.
+
+  ## Trend Charts
+
+  The Data Point Logs (single data point selected) and Environment tabs draw
+  pan/zoomable charts above their tables via the `TrendChart` client hook.
+  History is sent once per load with `"trend:load"`; while a chart is shown,
+  every `:data_refreshed` broadcast streams the cached value as `"trend:point"`.
+
+  ## Export
+
+  Every tab has CSV / Excel buttons (`PouConWeb.Components.Export`). The
+  `"export"` event replies with the current tab's rows using the active
+  filters and local-time timestamps; events and data point logs are paged
+  straight from the database, the other tabs send the rows already loaded.
   """
 
   use PouConWeb, :live_view
 
-  alias PouCon.Logging.{EquipmentLogger, DataPointLogger, EnvironmentLog}
+  alias PouCon.Logging.{EquipmentLogger, DataPointLogger, EnvironmentLog, TrendSeries}
   alias PouCon.Equipment.{Devices, DataPoints}
+  alias PouConWeb.{ClientTelemetry, PrintReport}
+  alias PouConWeb.Components.Export
 
+  @pubsub_topic "data_point_data"
+
+  @views ~w(events data_points errors efficiency system_logs environment)
+  @log_sources ~w(server client)
 
   @impl true
-  def mount(_params, _session, socket) do
+  def mount(params, _session, socket) do
+    if connected?(socket), do: Phoenix.PubSub.subscribe(PouCon.PubSub, @pubsub_topic)
+
     equipment_list = Devices.list_equipment()
     equipment_names = Enum.map(equipment_list, & &1.name) |> Enum.sort()
 
@@ -27,9 +59,18 @@ defmodule PouConWeb.Live.Reports.Index do
       |> Enum.map(& &1.name)
       |> Enum.sort()
 
+    house_id =
+      case PouCon.Auth.get_house_id() do
+        "NOT SET" -> nil
+        id -> id
+      end
+
+    # Flock data is behind login everywhere else
+    flock_options = if logged_in?(socket), do: PrintReport.flock_options(), else: []
+
     socket =
       socket
-      |> assign(:view_mode, "events")
+      |> assign(:view_mode, if(params["view"] in @views, do: params["view"], else: "events"))
       |> assign(:equipment_list, equipment_list)
       |> assign(:equipment_names, equipment_names)
       |> assign(:data_point_names, data_point_names)
@@ -42,6 +83,12 @@ defmodule PouConWeb.Live.Reports.Index do
       |> assign(:log_level, "all")
       |> assign(:log_search, "")
       |> assign(:log_count, "200")
+      |> assign(:log_source, if(params["source"] in @log_sources, do: params["source"]) || "all")
+      |> assign(:timezone, PouCon.Auth.get_timezone())
+      |> assign(:house_id, house_id)
+      |> assign(:flock_options, flock_options)
+      |> assign(:print_template, if(params["print"] in PrintReport.templates(), do: params["print"]))
+      |> assign(:print_flock, params["flock"])
       |> load_data()
 
     {:ok, socket}
@@ -96,12 +143,60 @@ defmodule PouConWeb.Live.Reports.Index do
       |> assign(:log_level, params["level"] || "all")
       |> assign(:log_search, params["search"] || "")
       |> assign(:log_count, params["count"] || "200")
+      |> assign(:log_source, params["source"] || "all")
       |> load_data()
 
     {:noreply, socket}
   end
 
+  def handle_event("export", %{"page" => page}, socket) when is_integer(page) do
+    # Every page of one export reads the time window fixed at page 0, so rows
+    # logged while it runs cannot shift the offsets between pages
+    socket =
+      if page == 0 or is_nil(socket.assigns[:export_window]) do
+        assign(socket, :export_window, %{
+          until: DateTime.utc_now(),
+          timezone: PouCon.Auth.get_timezone()
+        })
+      else
+        socket
+      end
+
+    {:reply, export_page(socket.assigns.view_mode, page, socket), socket}
+  end
+
+  def handle_event("print:data", %{"template" => template} = params, socket) do
+    reply =
+      if template == "flock_weekly" and not logged_in?(socket) do
+        %{ok: false, message: "Log in to print flock reports."}
+      else
+        case PrintReport.data(template, params, socket.assigns.timezone) do
+          {:ok, data} -> %{ok: true, data: data}
+          {:error, message} -> %{ok: false, message: message}
+        end
+      end
+
+    {:reply, reply, socket}
+  end
+
+  @impl true
+  def handle_info(:data_refreshed, socket) do
+    socket =
+      Enum.reduce(socket.assigns.trend_charts, socket, fn chart, acc ->
+        case TrendSeries.live_point(chart) do
+          nil -> acc
+          point -> push_event(acc, "trend:point", point)
+        end
+      end)
+
+    {:noreply, socket}
+  end
+
+  defp logged_in?(socket), do: socket.assigns[:current_role] in [:admin, :user]
+
   defp load_data(socket) do
+    socket = assign(socket, :trend_charts, [])
+
     case socket.assigns.view_mode do
       "events" -> load_events(socket)
       "data_points" -> load_data_point_logs(socket)
@@ -116,16 +211,38 @@ defmodule PouConWeb.Live.Reports.Index do
   defp load_environment(socket) do
     hours = String.to_integer(socket.assigns.filter_hours)
     rows = EnvironmentLog.get_rows(hours: hours)
-    assign(socket, :environment_rows, rows)
+
+    socket
+    |> assign(:environment_rows, rows)
+    |> load_trend_charts(TrendSeries.environment_charts(hours: hours))
+  end
+
+  # Push full chart payloads to the TrendChart hooks, keep only what the
+  # live stream needs (chart id, title and series keys) in assigns.
+  defp load_trend_charts(socket, charts) do
+    socket =
+      Enum.reduce(charts, socket, fn chart, acc -> push_event(acc, "trend:load", chart) end)
+
+    meta =
+      Enum.map(charts, fn chart ->
+        %{
+          chart: chart.chart,
+          title: chart.title,
+          series: Enum.map(chart.series, &Map.take(&1, [:key]))
+        }
+      end)
+
+    assign(socket, :trend_charts, meta)
   end
 
   defp load_events(socket) do
-    hours = String.to_integer(socket.assigns.filter_hours)
+    events = EquipmentLogger.query_events([limit: 200] ++ event_filters(socket))
+    assign(socket, :events, events)
+  end
 
-    opts = [
-      from_date: DateTime.utc_now() |> DateTime.add(-hours * 3600, :second),
-      limit: 200
-    ]
+  defp event_filters(socket, until \\ DateTime.utc_now()) do
+    hours = String.to_integer(socket.assigns.filter_hours)
+    opts = [from_date: DateTime.add(until, -hours * 3600, :second)]
 
     opts =
       if socket.assigns.filter_equipment != "all" do
@@ -141,34 +258,37 @@ defmodule PouConWeb.Live.Reports.Index do
         opts
       end
 
-    opts =
-      if socket.assigns.filter_mode != "all" do
-        Keyword.put(opts, :mode, socket.assigns.filter_mode)
-      else
-        opts
-      end
-
-    events = EquipmentLogger.query_events(opts)
-    assign(socket, :events, events)
+    if socket.assigns.filter_mode != "all" do
+      Keyword.put(opts, :mode, socket.assigns.filter_mode)
+    else
+      opts
+    end
   end
 
   defp load_data_point_logs(socket) do
     hours = String.to_integer(socket.assigns.filter_hours)
+    logs = DataPointLogger.query_logs([limit: 500] ++ data_point_filters(socket))
 
-    opts = [
-      from_date: DateTime.utc_now() |> DateTime.add(-hours * 3600, :second),
-      limit: 500
-    ]
-
-    opts =
-      if socket.assigns.filter_data_point != "all" do
-        Keyword.put(opts, :data_point_name, socket.assigns.filter_data_point)
-      else
-        opts
+    charts =
+      case socket.assigns.filter_data_point do
+        "all" -> []
+        name -> List.wrap(TrendSeries.data_point_chart(name, hours: hours))
       end
 
-    logs = DataPointLogger.query_logs(opts)
-    assign(socket, :data_point_logs, logs)
+    socket
+    |> assign(:data_point_logs, logs)
+    |> load_trend_charts(charts)
+  end
+
+  defp data_point_filters(socket, until \\ DateTime.utc_now()) do
+    hours = String.to_integer(socket.assigns.filter_hours)
+    opts = [from_date: DateTime.add(until, -hours * 3600, :second)]
+
+    if socket.assigns.filter_data_point != "all" do
+      Keyword.put(opts, :data_point_name, socket.assigns.filter_data_point)
+    else
+      opts
+    end
   end
 
   defp load_errors(socket) do
@@ -181,12 +301,14 @@ defmodule PouConWeb.Live.Reports.Index do
     count = String.to_integer(socket.assigns.log_count)
     level = socket.assigns.log_level
     search = socket.assigns.log_search
+    source = socket.assigns.log_source
 
     logs =
       safe_ring_logger_get()
       |> Enum.filter(fn entry ->
         level == "all" or normalize_level(entry.level) == level
       end)
+      |> Enum.filter(&(source == "all" or log_source(&1.message) == source))
       |> Enum.map(fn entry ->
         %{
           level: normalize_level(entry.level),
@@ -208,6 +330,13 @@ defmodule PouConWeb.Live.Reports.Index do
     assign(socket, :system_logs, logs)
   end
 
+  # Browser entries are written by PouConWeb.ClientTelemetry with a fixed prefix
+  defp log_source(message) do
+    if String.starts_with?(IO.chardata_to_string(message), ClientTelemetry.prefix()),
+      do: "client",
+      else: "server"
+  end
+
   defp safe_ring_logger_get do
     try do
       RingLogger.get(0)
@@ -230,6 +359,149 @@ defmodule PouConWeb.Live.Reports.Index do
     assign(socket, :efficiency_data, efficiency_data)
   end
 
+  # ———————————————————— Export ————————————————————
+
+  defp export_page("events", page, socket) do
+    %{until: until, timezone: timezone} = socket.assigns.export_window
+
+    {events, done?} =
+      Export.paged(page, fn limit, offset ->
+        EquipmentLogger.query_events(
+          [limit: limit, offset: offset, to_date: until] ++ event_filters(socket, until)
+        )
+      end)
+
+    Export.reply(
+      ["Time", "Equipment", "Event", "From", "To", "Mode", "Triggered By", "Details"],
+      Enum.map(events, fn e ->
+        [
+          to_local(e.inserted_at, timezone),
+          e.equipment_name,
+          e.event_type,
+          e.from_value,
+          e.to_value,
+          e.mode,
+          e.triggered_by,
+          e.metadata
+        ]
+      end),
+      done?
+    )
+  end
+
+  defp export_page("data_points", page, socket) do
+    %{until: until, timezone: timezone} = socket.assigns.export_window
+
+    {logs, done?} =
+      Export.paged(page, fn limit, offset ->
+        DataPointLogger.query_logs(
+          [limit: limit, offset: offset, to_date: until] ++ data_point_filters(socket, until)
+        )
+      end)
+
+    Export.reply(
+      ["Time", "Data Point", "Value", "Unit", "Raw Value", "Triggered By"],
+      Enum.map(logs, fn l ->
+        [
+          to_local(l.inserted_at, timezone),
+          l.data_point_name,
+          l.value,
+          l.unit,
+          l.raw_value,
+          l.triggered_by || "self"
+        ]
+      end),
+      done?
+    )
+  end
+
+  defp export_page("errors", _page, socket) do
+    timezone = socket.assigns.export_window.timezone
+
+    Export.reply(
+      ["Time", "Equipment", "From State", "Mode", "Error Details"],
+      Enum.map(socket.assigns.errors, fn e ->
+        [to_local(e.inserted_at, timezone), e.equipment_name, e.from_value, e.mode, e.metadata]
+      end),
+      true
+    )
+  end
+
+  defp export_page("efficiency", _page, socket) do
+    Export.reply(
+      [
+        "Time",
+        "Avg Temp (°C)",
+        "Temp Delta (°C)",
+        "Humidity (%)",
+        "Fans Running",
+        "Pumps Running",
+        "Samples"
+      ],
+      Enum.map(socket.assigns.efficiency_data, fn row ->
+        [
+          row.time_slot,
+          row.avg_temp,
+          row.temp_delta,
+          row.avg_humidity,
+          row.avg_fans_running,
+          row.avg_pumps_running,
+          row.sample_count
+        ]
+      end),
+      true
+    )
+  end
+
+  defp export_page("system_logs", _page, socket) do
+    Export.reply(
+      ["Time", "Level", "Message"],
+      Enum.map(socket.assigns.system_logs, &[&1.timestamp, &1.level, &1.message]),
+      true
+    )
+  end
+
+  defp export_page("environment", _page, socket) do
+    timezone = socket.assigns.export_window.timezone
+
+    Export.reply(
+      ["Time", "Sensors", "Fans Running", "Pumps Running"],
+      Enum.map(socket.assigns.environment_rows, fn row ->
+        [
+          to_local(row.datetime, timezone),
+          Enum.map_join(row.sensors, "; ", &"#{&1.title}: #{&1.readings}"),
+          running_cell(row.fans_running),
+          running_cell(row.pumps_running)
+        ]
+      end),
+      true
+    )
+  end
+
+  defp export_page(_view, _page, _socket), do: Export.reply([], [], true)
+
+  defp running_cell(equipment) do
+    Enum.map_join(equipment, ", ", &String.trim("#{&1.title} #{mode_marker(&1.mode)}"))
+  end
+
+  defp export_filename(assigns) do
+    filters =
+      case assigns.view_mode do
+        "events" -> [assigns.filter_equipment, assigns.filter_event_type, assigns.filter_mode]
+        "data_points" -> [assigns.filter_data_point]
+        "efficiency" -> ["#{assigns.efficiency_days}d"]
+        "system_logs" -> [assigns.log_source, assigns.log_level, assigns.log_search]
+        _ -> []
+      end
+
+    hours =
+      if assigns.view_mode in ["efficiency", "system_logs"],
+        do: [],
+        else: ["#{assigns.filter_hours}h"]
+
+    Export.filename([assigns.view_mode | hours ++ filters])
+  end
+
   @impl true
   def render(assigns) do
     ~H"""
@@ -281,6 +553,32 @@ defmodule PouConWeb.Live.Reports.Index do
         >
           Environment
         </button>
+        <Export.export_buttons
+          id={"export-#{@view_mode}"}
+          filename={export_filename(assigns)}
+          class="ml-auto"
+        />
+        <button
+          type="button"
+          phx-click={JS.dispatch("pou:print-report")}
+          class="px-4 py-2 rounded bg-gray-700 text-gray-300"
+        >
+          <.icon name="hero-printer" class="w-4 h-4" /> Print
+        </button>
+      </div>
+
+      <%!-- Print report builder, see PouConWeb.PrintReport --%>
+      <div
+        id="print-report"
+        phx-hook="PrintReport"
+        phx-update="ignore"
+        data-view={@view_mode}
+        data-timezone={@timezone}
+        data-house-id={@house_id}
+        data-flocks={Jason.encode!(@flock_options)}
+        data-template={@print_template}
+        data-flock={@print_flock}
+      >
       </div>
 
       <%!-- Equipment Events View --%>
@@ -352,7 +650,10 @@ defmodule PouConWeb.Live.Reports.Index do
               <%= for event <- @events do %>
                 <tr class="border-t border-gray-700 hover:bg-gray-500">
                   <td class="p-2">
-                    {Calendar.strftime(to_local(event.inserted_at), "%d-%m-%Y %H:%M:%S")}
+                    {Calendar.strftime(
+                      to_local(event.inserted_at, @timezone),
+                      "%d-%m-%Y %H:%M:%S"
+                    )}
                   </td>
                   <td class="p-2 font-medium">{event.equipment_name}</td>
                   <td class="p-2">
@@ -412,6 +713,14 @@ defmodule PouConWeb.Live.Reports.Index do
           </.form>
         </div>
 
+        <.trend_charts charts={@trend_charts} timezone={@timezone} />
+        <div
+          :if={@filter_data_point == "all"}
+          class="bg-gray-400 p-3 rounded-lg mb-4 text-sm text-center"
+        >
+          Select a single data point to see its trend chart.
+        </div>
+
         <div class="bg-gray-400 rounded-lg overflow-hidden">
           <table class="w-full text-sm">
             <thead class="bg-green-600">
@@ -428,7 +737,10 @@ defmodule PouConWeb.Live.Reports.Index do
               <%= for log <- @data_point_logs do %>
                 <tr class="border-t border-gray-700 hover:bg-gray-500">
                   <td class="p-2">
-                    {Calendar.strftime(to_local(log.inserted_at), "%d-%m-%Y %H:%M:%S")}
+                    {Calendar.strftime(
+                      to_local(log.inserted_at, @timezone),
+                      "%d-%m-%Y %H:%M:%S"
+                    )}
                   </td>
                   <td class="p-2 font-medium">{log.data_point_name}</td>
                   <td class="p-2 text-right font-mono text-green-200">
@@ -481,7 +793,10 @@ defmodule PouConWeb.Live.Reports.Index do
               <%= for error <- @errors do %>
                 <tr class="border-t border-gray-700 bg-rose-900 hover:bg-rose-700">
                   <td class="p-2 text-gray-200">
-                    {Calendar.strftime(to_local(error.inserted_at), "%d-%m-%Y %H:%M:%S")}
+                    {Calendar.strftime(
+                      to_local(error.inserted_at, @timezone),
+                      "%d-%m-%Y %H:%M:%S"
+                    )}
                   </td>
                   <td class="p-2 font-medium text-gray-200">{error.equipment_name}</td>
                   <td class="p-2 text-gray-200">{error.from_value || "-"}</td>
@@ -574,7 +889,19 @@ defmodule PouConWeb.Live.Reports.Index do
       <%= if @view_mode == "system_logs" do %>
         <div class="bg-gray-400 p-4 rounded-lg mb-4">
           <h3 class="text-lg font-semibold mb-3">System Logs (In-Memory)</h3>
-          <.form for={%{}} phx-change="filter_system_logs" class="grid grid-cols-3 gap-3">
+          <.form for={%{}} phx-change="filter_system_logs" class="grid grid-cols-4 gap-3">
+            <div>
+              <label class="block text-sm mb-1">Source</label>
+              <select
+                name="source"
+                class="w-full bg-gray-900 border-gray-600 rounded text-white p-2"
+              >
+                <option value="all" selected={@log_source == "all"}>All Sources</option>
+                <option value="server" selected={@log_source == "server"}>Controller</option>
+                <option value="client" selected={@log_source == "client"}>Browsers</option>
+              </select>
+            </div>
+
             <div>
               <label class="block text-sm mb-1">Log Level</label>
               <select
@@ -668,6 +995,8 @@ defmodule PouConWeb.Live.Reports.Index do
           </.form>
         </div>
 
+        <.trend_charts charts={@trend_charts} timezone={@timezone} />
+
         <div class="bg-gray-400 rounded-lg overflow-hidden">
           <table class="w-full text-sm">
             <thead class="bg-emerald-700 text-white">
@@ -682,7 +1011,10 @@ defmodule PouConWeb.Live.Reports.Index do
               <%= for row <- @environment_rows do %>
                 <tr class="border-t border-gray-700 hover:bg-gray-500 align-top">
                   <td class="p-2 whitespace-nowrap">
-                    {Calendar.strftime(to_local(row.datetime), "%d-%m-%Y %H:%M")}
+                    {Calendar.strftime(
+                      to_local(row.datetime, @timezone),
+                      "%d-%m-%Y %H:%M"
+                    )}
                   </td>
                   <td class="p-2">
                     <%= if row.sensors == [] do %>
@@ -740,6 +1072,28 @@ defmodule PouConWeb.Live.Reports.Index do
     """
   end
 
+  attr :charts, :list, required: true
+  attr :timezone, :string, required: true
+
+  # Chart containers are owned by the TrendChart hook (phx-update="ignore");
+  # data arrives through push_event, never through re-renders.
+  defp trend_charts(assigns) do
+    ~H"""
+    <div :for={chart <- @charts} class="bg-gray-400 rounded-lg p-3 mb-4">
+      <div
+        id={"trend-#{chart.chart}"}
+        phx-hook="TrendChart"
+        phx-update="ignore"
+        data-chart={chart.chart}
+        data-title={chart.title}
+        data-timezone={@timezone}
+        class="h-80"
+      >
+      </div>
+    </div>
+    """
+  end
+
   # Helper functions for styling
   defp event_type_badge("start"), do: "px-2 py-1 rounded bg-green-600 text-white text-xs"
   defp event_type_badge("stop"), do: "px-2 py-1 rounded bg-gray-600 text-white text-xs"
@@ -787,21 +1141,18 @@ defmodule PouConWeb.Live.Reports.Index do
   defp delta_color(delta) when delta >= 0, do: "text-green-300"
   defp delta_color(_delta), do: "text-blue-300"
 
-  # Convert UTC datetime to local time using configured timezone from app_config
-  defp to_local(nil), do: nil
-
-  defp to_local(%DateTime{} = dt) do
-    timezone = PouCon.Auth.get_timezone()
+  # Convert UTC datetime to local time using the configured timezone, read once
+  # by the caller (mount or the export) rather than per row
+  defp to_local(nil, _timezone), do: nil
 
+  defp to_local(%DateTime{} = dt, timezone) do
     case DateTime.shift_zone(dt, timezone) do
       {:ok, local_dt} -> local_dt
       {:error, _} -> dt
     end
   end
 
-  defp to_local(%NaiveDateTime{} = ndt) do
-    timezone = PouCon.Auth.get_timezone()
-
+  defp to_local(%NaiveDateTime{} = ndt, timezone) do
     # Convert NaiveDateTime to DateTime (assume UTC), then shift to local timezone
     ndt
     |> DateTime.from_naive!("Etc/UTC")
@@ -812,7 +1163,7 @@ defmodule PouConWeb.Live.Reports.Index do
     end
   end
 
-  defp to_local(other), do: other
+  defp to_local(other, _timezone), do: other
 
   # System log helpers
 
@@ -7,6 +7,7 @@ defmodule PouConWeb.SimulationLive do
   alias PouCon.Equipment.Schemas.Equipment
   alias PouCon.Hardware.DataPointTreeParser
   alias PouConWeb.Components.Formatters
+  alias PouConWeb.SimulationScenario
   alias Phoenix.PubSub
 
   @impl true
@@ -130,9 +131,13 @@ defmodule PouConWeb.SimulationLive do
 
   @impl true
   def handle_event("toggle_input", %{"data_point" => data_point_name, "value" => value}, socket) do
-    new_val = String.to_integer(value)
-    DataPointManager.simulate_input(data_point_name, new_val)
-    {:noreply, socket}
+    action = %{
+      "type" => "toggle_input",
+      "data_point" => data_point_name,
+      "value" => String.to_integer(value)
+    }
+
+    {:noreply, run_action(socket, action)}
   end
 
   @impl true
@@ -147,8 +152,8 @@ defmodule PouConWeb.SimulationLive do
 
     case parse_raw_value(raw_str) do
       {:ok, value} ->
-        DataPointManager.simulate_register(data_point_name, value)
-        {:noreply, put_flash(socket, :info, "Set #{data_point_name} raw value to #{value}")}
+        action = %{"type" => "set_raw", "data_point" => data_point_name, "value" => value}
+        {:noreply, run_action(socket, action)}
 
       {:error, reason} ->
         {:noreply, put_flash(socket, :error, "Invalid raw value: #{reason}")}
@@ -161,65 +166,84 @@ defmodule PouConWeb.SimulationLive do
         %{"data_point" => data_point_name, "value" => offline_str},
         socket
       ) do
-    offline? = offline_str == "true"
-    DataPointManager.simulate_offline(data_point_name, offline?)
-    {:noreply, socket}
+    action = %{
+      "type" => "set_offline",
+      "data_point" => data_point_name,
+      "offline" => offline_str == "true"
+    }
+
+    {:noreply, run_action(socket, action)}
   end
 
   @impl true
   def handle_event("disconnect_port", %{"device_path" => device_path}, socket) do
-    # Find the port and properly terminate its connection process
-    statuses = DataPointManager.get_port_statuses()
-    port_info = Enum.find(statuses, &(&1.device_path == device_path))
-
-    case port_info do
-      %{status: :connected, protocol: protocol} ->
-        case get_connection_pid(device_path) do
-          {:ok, pid} when is_pid(pid) ->
-            # Use PortSupervisor.stop_connection to properly terminate and remove from supervision
-            PouCon.Hardware.PortSupervisor.stop_connection(pid, protocol)
-
-            {:noreply,
-             socket
-             |> put_flash(:info, "Port #{device_path} disconnected")
-             |> assign(:port_statuses, DataPointManager.get_port_statuses())}
-
-          _ ->
-            {:noreply, put_flash(socket, :error, "Could not find connection process")}
-        end
+    {:noreply, run_action(socket, %{"type" => "disconnect_port", "device_path" => device_path})}
+  end
+
+  @impl true
+  def handle_event("reconnect_port", %{"device_path" => device_path}, socket) do
+    {:noreply, run_action(socket, %{"type" => "reconnect_port", "device_path" => device_path})}
+  end
 
-      %{status: status} when status in [:disconnected, :error] ->
-        {:noreply, put_flash(socket, :error, "Port is already disconnected")}
+  # ———————————————————— Scenarios ————————————————————
 
-      nil ->
-        {:noreply, put_flash(socket, :error, "Port not found")}
-    end
+  # Replayed action from the ScenarioRecorder hook; the hook reports the result
+  @impl true
+  def handle_event("scenario_run", %{"action" => action}, socket) do
+    reply =
+      case SimulationScenario.run(action) do
+        {:ok, message} -> %{ok: true, message: message}
+        {:error, message} -> %{ok: false, message: message}
+      end
+
+    {:reply, reply, assign(socket, :port_statuses, DataPointManager.get_port_statuses())}
   end
 
   @impl true
-  def handle_event("reconnect_port", %{"device_path" => device_path}, socket) do
-    case DataPointManager.reload_port(device_path) do
-      {:ok, :reloaded} ->
-        {:noreply,
-         socket
-         |> put_flash(:info, "Port #{device_path} reconnected")
-         |> assign(:port_statuses, DataPointManager.get_port_statuses())}
+  def handle_event("scenario_snapshot", params, socket) do
+    {:reply, SimulationScenario.snapshot(parse_since(params["since"])), socket}
+  end
 
-      {:error, reason} ->
-        {:noreply, put_flash(socket, :error, "Failed to reconnect: #{inspect(reason)}")}
+  @impl true
+  def handle_event("scenario_check", %{"expect" => expect} = params, socket) do
+    snapshot = SimulationScenario.snapshot(parse_since(params["since"]))
+    results = SimulationScenario.check(expect, snapshot)
+
+    {:reply, %{results: results, pass: Enum.all?(results, & &1.pass)}, socket}
+  end
+
+  # Applies a hand-made action and tells the hook, which records it while recording
+  defp run_action(socket, action) do
+    case SimulationScenario.run(action) do
+      {:ok, message} ->
+        socket =
+          socket
+          |> push_event("scenario:action", %{action: action})
+          |> refresh_port_statuses(action)
+
+        if message, do: put_flash(socket, :info, message), else: socket
+
+      {:error, message} ->
+        put_flash(socket, :error, message)
     end
   end
 
-  # Helper to get connection pid from DataPointManager
-  defp get_connection_pid(device_path) do
-    # Use GenServer.call to get the actual state
-    try do
-      GenServer.call(DataPointManager, {:get_connection_pid, device_path})
-    catch
-      :exit, _ -> {:error, :not_found}
+  defp refresh_port_statuses(socket, %{"type" => type})
+       when type in ["disconnect_port", "reconnect_port"] do
+    assign(socket, :port_statuses, DataPointManager.get_port_statuses())
+  end
+
+  defp refresh_port_statuses(socket, _action), do: socket
+
+  defp parse_since(since) when is_binary(since) do
+    case DateTime.from_iso8601(since) do
+      {:ok, datetime, _offset} -> datetime
+      {:error, _} -> nil
     end
   end
 
+  defp parse_since(_since), do: nil
+
   @impl true
   def render(assigns) do
     ~H"""
@@ -273,6 +297,15 @@ defmodule PouConWeb.SimulationLive do
         </div>
       </div>
 
+      <%!-- Scenario record / replay, drawn by the ScenarioRecorder hook --%>
+      <div
+        id="scenario-recorder"
+        phx-hook="ScenarioRecorder"
+        phx-update="ignore"
+        class="mb-6 p-4 bg-gray-900 rounded-lg border border-gray-700"
+      >
+      </div>
+
       <div class="flex justify-between items-center mb-4">
         <div class="flex items-center gap-3">
           <h1 class="text-xl font-bold">Data Point Simulation</h1>
@@ -0,0 +1,220 @@
+defmodule PouConWeb.SimulationScenario do
+  @moduledoc """
+  Runs and checks the recorded scenarios of the Simulation page.
+
+  The `ScenarioRecorder` hook records every action `PouConWeb.SimulationLive`
+  applies (it pushes `"scenario:action"` after each one) with its time, plus
+  checkpoints taken from `snapshot/1`, and saves them as a JSON file. An
+  action is one of
+
+      %{"type" => "toggle_input", "data_point" => name, "value" => 0 | 1}
+      %{"type" => "set_raw", "data_point" => name, "value" => number}
+      %{"type" => "set_offline", "data_point" => name, "offline" => boolean}
+      %{"type" => "disconnect_port" | "reconnect_port", "device_path" => path}
+
+  On replay the hook sends each action back through `run/1` and, at every
+  checkpoint, asks for `check/2` against a fresh snapshot until it passes or
+  the checkpoint's time runs out.
+  """
+
+  alias PouCon.Automation.Alarm.AlarmController
+  alias PouCon.Equipment.EquipmentCommands
+  alias PouCon.Equipment.Schemas.Equipment
+  alias PouCon.Hardware.DataPointManager
+  alias PouCon.Hardware.PortSupervisor
+  alias PouCon.Logging.EquipmentLogger
+  alias PouCon.Repo
+
+  @offline_errors [:not_running, :timeout, :unresponsive, :invalid_data]
+  @max_events 200
+
+  @doc """
+  Applies one action. Returns `{:ok, message}`, where message is nil for
+  actions the page does not flash, or `{:error, message}`.
+  """
+  def run(%{"type" => "toggle_input", "data_point" => name, "value" => value})
+      when value in [0, 1] do
+    DataPointManager.simulate_input(name, value)
+    {:ok, nil}
+  end
+
+  def run(%{"type" => "set_raw", "data_point" => name, "value" => value})
+      when is_number(value) do
+    DataPointManager.simulate_register(name, value)
+    {:ok, "Set #{name} raw value to #{value}"}
+  end
+
+  def run(%{"type" => "set_offline", "data_point" => name, "offline" => offline?})
+      when is_boolean(offline?) do
+    DataPointManager.simulate_offline(name, offline?)
+    {:ok, nil}
+  end
+
+  def run(%{"type" => "disconnect_port", "device_path" => device_path}) do
+    statuses = DataPointManager.get_port_statuses()
+
+    case Enum.find(statuses, &(&1.device_path == device_path)) do
+      %{status: :connected, protocol: protocol} ->
+        case get_connection_pid(device_path) do
+          {:ok, pid} when is_pid(pid) ->
+            # Use PortSupervisor.stop_connection to properly terminate and remove from supervision
+            PortSupervisor.stop_connection(pid, protocol)
+            {:ok, "Port #{device_path} disconnected"}
+
+          _ ->
+            {:error, "Could not find connection process"}
+        end
+
+      %{status: status} when status in [:disconnected, :error] ->
+        {:error, "Port is already disconnected"}
+
+      nil ->
+        {:error, "Port not found"}
+    end
+  end
+
+  def run(%{"type" => "reconnect_port", "device_path" => device_path}) do
+    case DataPointManager.reload_port(device_path) do
+      {:ok, :reloaded} -> {:ok, "Port #{device_path} reconnected"}
+      {:error, reason} -> {:error, "Failed to reconnect: #{inspect(reason)}"}
+    end
+  end
+
+  def run(action), do: {:error, "Unrecognised action: #{inspect(action)}"}
+
+  @doc """
+  What a checkpoint can assert on right now:
+
+    * `equipment` - `%{name => state}`, state being `"running"`, `"stopped"`,
+      `"interlocked"`, `"error"` or `"offline"` (sensors read `"ok"`)
+    * `alarms` - names of the active alarms, sorted
+    * `events` - event log entries since `since` (a DateTime or nil), oldest
+      first, as `%{equipment, type, value}`
+  """
+  def snapshot(since) do
+    %{equipment: equipment_states(), alarms: active_alarm_names(), events: events_since(since)}
+  end
+
+  @doc """
+  Compares a checkpoint's `expect` map (string keys, as read from the JSON
+  file) with a snapshot. Returns one result per expectation:
+  `%{kind, name, expected, actual, pass}`.
+
+  Only the equipment listed is checked. `"alarms"`, when given, must match
+  the active alarms exactly. Each expected event must appear at least once;
+  a missing `"value"` matches any value.
+  """
+  def check(expect, snapshot) when is_map(expect) do
+    equipment_results(expect["equipment"], snapshot.equipment) ++
+      alarm_results(expect["alarms"], snapshot.alarms) ++
+      event_results(expect["events"], snapshot.events)
+  end
+
+  def check(_expect, _snapshot), do: []
+
+  # ———————————————————— Checks ————————————————————
+
+  defp equipment_results(expected, states) when is_map(expected) do
+    expected
+    |> Enum.sort()
+    |> Enum.map(fn {name, state} ->
+      actual = Map.get(states, name, "missing")
+      result("equipment", name, state, actual, actual == state)
+    end)
+  end
+
+  defp equipment_results(_expected, _states), do: []
+
+  defp alarm_results(expected, active) when is_list(expected) do
+    expected = Enum.sort(expected)
+
+    [
+      result(
+        "alarms",
+        "Active alarms",
+        names_text(expected),
+        names_text(active),
+        expected == active
+      )
+    ]
+  end
+
+  defp alarm_results(_expected, _active), do: []
+
+  defp event_results(expected, events) when is_list(expected) do
+    Enum.map(expected, fn event ->
+      seen? = Enum.any?(events, &event_matches?(event, &1))
+      name = "#{event["equipment"]} #{event["type"]}"
+      actual = if seen?, do: "seen", else: "not seen"
+
+      result("event", name, event["value"] || "any", actual, seen?)
+    end)
+  end
+
+  defp event_results(_expected, _events), do: []
+
+  defp event_matches?(expected, event) do
+    expected["equipment"] == event.equipment and expected["type"] == event.type and
+      (is_nil(expected["value"]) or expected["value"] == event.value)
+  end
+
+  defp result(kind, name, expected, actual, pass) do
+    %{kind: kind, name: name, expected: expected, actual: actual, pass: pass}
+  end
+
+  defp names_text([]), do: "none"
+  defp names_text(names), do: Enum.join(names, ", ")
+
+  # ———————————————————— Snapshot ————————————————————
+
+  defp equipment_states do
+    Equipment
+    |> Repo.all()
+    |> Task.async_stream(
+      &{&1.name, equipment_state(EquipmentCommands.get_status(&1.name))},
+      timeout: 1000,
+      on_timeout: :kill_task,
+      max_concurrency: 30
+    )
+    |> Enum.flat_map(fn
+      {:ok, entry} -> [entry]
+      _ -> []
+    end)
+    |> Map.new()
+  end
+
+  defp equipment_state(%{error: error}) when error in @offline_errors, do: "offline"
+  defp equipment_state(%{error: error}) when not is_nil(error), do: "error"
+  defp equipment_state(%{interlocked: true}), do: "interlocked"
+  defp equipment_state(%{is_running: true}), do: "running"
+  defp equipment_state(%{is_running: false}), do: "stopped"
+  defp equipment_state(%{}), do: "ok"
+  defp equipment_state(_), do: "offline"
+
+  defp active_alarm_names do
+    try do
+      AlarmController.active_alarms() |> Enum.map(& &1.name) |> Enum.sort()
+    rescue
+      _ -> []
+    catch
+      :exit, _ -> []
+    end
+  end
+
+  defp events_since(nil), do: []
+
+  defp events_since(since) do
+    [from_date: since, limit: @max_events]
+    |> EquipmentLogger.query_events()
+    |> Enum.reverse()
+    |> Enum.map(&%{equipment: &1.equipment_name, type: &1.event_type, value: &1.to_value})
+  end
+
+  defp get_connection_pid(device_path) do
+    try do
+      GenServer.call(DataPointManager, {:get_connection_pid, device_path})
+    catch
+      :exit, _ -> {:error, :not_found}
+    end
+  end
+end
@@ -0,0 +1,22 @@
+defmodule PouConWeb.Plugs.ApiCors do
+  @moduledoc """
+  Lets pages from other PouCon controllers read `/api/status` and
+  `/api/info` (the router's `:api_cors` pipeline); the rest of the API,
+  backups and sync exports included, stays same-origin.
+
+  The multi-house overview (`/admin/houses`) runs in a browser opened on one
+  controller and polls the others. It sends the API key as `?api_key=`, so
+  those are simple GETs with no preflight and no cookies. Any origin may read
+  the response; `PouConWeb.Plugs.ApiAuth` still checks the key on every
+  request, and its 401 is readable too so the overview can say the key is
+  wrong.
+  """
+
+  import Plug.Conn
+
+  def init(opts), do: opts
+
+  def call(conn, _opts) do
+    put_resp_header(conn, "access-control-allow-origin", "*")
+  end
+end
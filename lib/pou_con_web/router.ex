@@ -19,6 +19,11 @@ defmodule PouConWeb.Router do
     plug(:fetch_query_params)
   end
 
+  # Readable from other controllers' pages (the /admin/houses overview)
+  pipeline :api_cors do
+    plug(PouConWeb.Plugs.ApiCors)
+  end
+
   # API authentication via API key
   pipeline :api_auth do
     plug(PouConWeb.Plugs.ApiAuth)
@@ -73,13 +78,17 @@ defmodule PouConWeb.Router do
   # Requires API key authentication via header or query param
   # --------------------------------------------------------------------
   scope "/api", PouConWeb.API do
-    pipe_through([:api, :api_auth])
+    pipe_through([:api, :api_cors, :api_auth])
 
     # Real-time status
     get("/status", StatusController, :index)
 
     # House info
     get("/info", SyncController, :info)
+  end
+
+  scope "/api", PouConWeb.API do
+    pipe_through([:api, :api_auth])
 
     # Configuration backup (for central server or automation)
     get("/backup", BackupController, :download)
@@ -95,6 +104,15 @@ defmodule PouConWeb.Router do
     get("/sync/task_completions", SyncController, :task_completions)
   end
 
+  # --------------------------------------------------------------------
+  # PWA Shell (service worker + manifest)
+  # Fetched by the browser itself, outside the :browser pipeline
+  # --------------------------------------------------------------------
+  scope "/", PouConWeb do
+    get("/sw.js", PwaController, :service_worker)
+    get("/manifest.webmanifest", PwaController, :manifest)
+  end
+
   # --------------------------------------------------------------------
   # Public Routes (No Session Required)
   # Dashboard is the main entry point - no login required for viewing
@@ -111,11 +129,18 @@ defmodule PouConWeb.Router do
     live_session :public,
       on_mount: [
         {PouConWeb.AuthHooks, :default},
-        {PouConWeb.AuthHooks, :check_critical_alerts}
+        {PouConWeb.AuthHooks, :check_critical_alerts},
+        {PouConWeb.AuthHooks, :alarm_audio},
+        {PouConWeb.AuthHooks, :idle_lock},
+        {PouConWeb.AuthHooks, :notifications},
+        {PouConWeb.AuthHooks, :offline_queue},
+        {PouConWeb.AuthHooks, :time_sync},
+        {PouConWeb.AuthHooks, :client_telemetry}
       ] do
       # Dashboard is now the root page - accessible without login
       live("/", Live.Dashboard.Index, :index)
       live("/dashboard", Live.Dashboard.Index, :index)
+      live("/floor_plan", Live.FloorPlan.Index, :index)
 
       # Auth routes
       live("/setup", Live.Auth.Setup, :index)
@@ -159,7 +184,13 @@ defmodule PouConWeb.Router do
     live_session :ensure_is_admin,
       on_mount: [
         {PouConWeb.AuthHooks, :ensure_is_admin},
-        {PouConWeb.AuthHooks, :check_critical_alerts}
+        {PouConWeb.AuthHooks, :check_critical_alerts},
+        {PouConWeb.AuthHooks, :alarm_audio},
+        {PouConWeb.AuthHooks, :idle_lock},
+        {PouConWeb.AuthHooks, :notifications},
+        {PouConWeb.AuthHooks, :offline_queue},
+        {PouConWeb.AuthHooks, :time_sync},
+        {PouConWeb.AuthHooks, :client_telemetry}
       ] do
       # Admin settings
       live("/settings", Live.Auth.AdminSettings)
@@ -169,6 +200,10 @@ defmodule PouConWeb.Router do
       live("/raw-viewer", Live.Admin.RawViewer.Index, :index)
       live("/backup", Live.Admin.Backup.Index, :index)
 
+      # Overview of several controllers, polled from the browser with their
+      # API keys (admin only)
+      live("/houses", Live.Houses.Index, :index)
+
       # Hardware configuration
       live("/data_points", Live.Admin.DataPoints.Index, :index)
       live("/data_points/new", Live.Admin.DataPoints.Form, :new)
@@ -223,7 +258,15 @@ defmodule PouConWeb.Router do
     pipe_through([:browser, :authenticated])
 
     live_session :authenticated_user,
-      on_mount: [{PouConWeb.AuthHooks, :ensure_authenticated}] do
+      on_mount: [
+        {PouConWeb.AuthHooks, :ensure_authenticated},
+        {PouConWeb.AuthHooks, :alarm_audio},
+        {PouConWeb.AuthHooks, :idle_lock},
+        {PouConWeb.AuthHooks, :notifications},
+        {PouConWeb.AuthHooks, :offline_queue},
+        {PouConWeb.AuthHooks, :time_sync},
+        {PouConWeb.AuthHooks, :client_telemetry}
+      ] do
       # Flock pages
       live("/flock/:id/logs", Live.Flock.Logs, :index)
       live("/flock/:id/daily-yields", Live.Flock.DailyYields, :index)
@@ -0,0 +1,10 @@
+defmodule PouCon.Repo.Migrations.AddSeverityToAlarmRules do
+  use Ecto.Migration
+
+  def change do
+    alter table(:alarm_rules) do
+      # Drives the browser alarm tone: "critical", "warning" or "info"
+      add :severity, :string, null: false, default: "critical"
+    end
+  end
+end
@@ -157,4 +157,36 @@ defmodule PouCon.AuthTest do
       assert Auth.get_house_id() == "NOT SET"
     end
   end
+
+  describe "idle logout timeout" do
+    setup do
+      Repo.delete_all(AppConfig)
+      :ok
+    end
+
+    test "defaults to 15 minutes when not set" do
+      assert Auth.get_idle_logout_timeout() == 900
+    end
+
+    test "stores and reads back the timeout" do
+      assert {:ok, _config} = Auth.set_idle_logout_timeout(1800)
+      assert Auth.get_idle_logout_timeout() == 1800
+    end
+
+    test "updates an existing setting" do
+      {:ok, _} = Auth.set_idle_logout_timeout(600)
+      {:ok, _} = Auth.set_idle_logout_timeout(0)
+
+      assert Auth.get_idle_logout_timeout() == 0
+      assert Repo.aggregate(AppConfig, :count) == 1
+    end
+
+    test "falls back to the default for a corrupt value" do
+      %AppConfig{}
+      |> AppConfig.changeset(%{key: "idle_logout_timeout", value: "soon"})
+      |> Repo.insert!()
+
+      assert Auth.get_idle_logout_timeout() == 900
+    end
+  end
 end
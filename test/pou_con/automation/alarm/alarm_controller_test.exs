@@ -554,6 +554,87 @@ defmodule PouCon.Automation.Alarm.AlarmControllerTest do
     end
   end
 
+  describe "mute/2" do
+    test "caps requested duration at the rule's max_mute_minutes" do
+      {siren_name, _pid, _devs} = start_siren!(name: "cap_siren")
+      stub_read_direct(fn
+        "cap_siren_am" -> {:ok, %{state: 1}}
+        _ -> {:ok, %{state: 0}}
+      end)
+      wait_for_init()
+
+      rule =
+        create_alarm_rule!("Cap Test", [siren_name],
+          max_mute_minutes: 5,
+          conditions: [
+            %{
+              source_type: "sensor",
+              source_name: "cap_temp",
+              condition: "above",
+              threshold: 30.0
+            }
+          ]
+        )
+
+      stub(PouCon.DataPointManagerMock, :read_direct, fn
+        "cap_temp" -> {:ok, %{value: 35.0}}
+        "cap_siren_am" -> {:ok, %{state: 1}}
+        _ -> {:ok, %{state: 0}}
+      end)
+
+      {:ok, _pid} = start_supervised({AlarmController, poll_interval_ms: @test_poll_interval})
+      Process.sleep(200)
+
+      AlarmController.mute(rule.id, 60)
+      Process.sleep(100)
+
+      expiry = AlarmController.get_mute_expiry(rule.id)
+      assert DateTime.diff(expiry, DateTime.utc_now(), :second) <= 5 * 60
+    end
+  end
+
+  describe "active_alarms/0 and subscribe/0" do
+    test "lists active alarms and broadcasts changes" do
+      {siren_name, _pid, _devs} = start_siren!(name: "bcast_siren")
+      stub_read_direct(fn
+        "bcast_siren_am" -> {:ok, %{state: 1}}
+        _ -> {:ok, %{state: 0}}
+      end)
+      wait_for_init()
+
+      rule =
+        create_alarm_rule!("Broadcast Test", [siren_name],
+          auto_clear: false,
+          conditions: [
+            %{
+              source_type: "sensor",
+              source_name: "bcast_temp",
+              condition: "above",
+              threshold: 30.0
+            }
+          ]
+        )
+
+      stub(PouCon.DataPointManagerMock, :read_direct, fn
+        "bcast_temp" -> {:ok, %{value: 35.0}}
+        "bcast_siren_am" -> {:ok, %{state: 1}}
+        _ -> {:ok, %{state: 0}}
+      end)
+
+      :ok = AlarmController.subscribe()
+      {:ok, _pid} = start_supervised({AlarmController, poll_interval_ms: @test_poll_interval})
+
+      assert_receive {:alarm_status_changed, [%{id: id, severity: "critical"}]}, 1000
+      assert id == rule.id
+
+      assert [%{name: "Broadcast Test", acknowledged: false, muted_until: nil}] =
+               AlarmController.active_alarms()
+
+      AlarmController.acknowledge(rule.id)
+      assert_receive {:alarm_status_changed, [%{acknowledged: true}]}, 1000
+    end
+  end
+
   describe "reload_rules/0" do
     test "reloads rules from database" do
       {:ok, _pid} = start_supervised({AlarmController, poll_interval_ms: @test_poll_interval})
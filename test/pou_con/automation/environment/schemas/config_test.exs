@@ -392,4 +392,51 @@ defmodule PouCon.Automation.Environment.Schemas.ConfigTest do
       assert step.temp == 28.0
     end
   end
+
+  describe "step_params/3" do
+    test "maps curve steps onto step fields and clears the rest" do
+      params =
+        Config.step_params(
+          %Config{},
+          [
+            %{"temp" => 25, "extra_fans" => 2, "pumps" => false},
+            %{"temp" => 28.5, "extra_fans" => 4, "pumps" => true}
+          ],
+          "pump_1, pump_2"
+        )
+
+      assert params.step_1_temp == 25.0
+      assert params.step_1_extra_fans == 2
+      assert params.step_1_pumps == ""
+      assert params.step_2_temp == 28.5
+      assert params.step_2_extra_fans == 4
+      assert params.step_2_pumps == "pump_1, pump_2"
+
+      for n <- 3..5 do
+        assert params[String.to_atom("step_#{n}_temp")] == 0.0
+        assert params[String.to_atom("step_#{n}_extra_fans")] == 0
+        assert params[String.to_atom("step_#{n}_pumps")] == ""
+      end
+
+      assert %Config{} |> Config.changeset(params) |> Map.get(:valid?)
+    end
+
+    test "keeps the pumps a step already has" do
+      params =
+        Config.step_params(
+          %Config{step_1_pumps: "pump_2"},
+          [%{"temp" => 25, "extra_fans" => 1, "pumps" => true}],
+          "pump_1, pump_2"
+        )
+
+      assert params.step_1_pumps == "pump_2"
+    end
+
+    test "treats missing or non-numeric values as zero" do
+      params = Config.step_params(%Config{}, [%{"temp" => "hot"}], "")
+
+      assert params.step_1_temp == 0.0
+      assert params.step_1_extra_fans == 0
+    end
+  end
 end
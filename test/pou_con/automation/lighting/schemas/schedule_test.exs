@@ -81,7 +81,7 @@ defmodule PouCon.Automation.Lighting.Schemas.ScheduleTest do
       assert %{off_time: ["can't be blank"]} = errors_on(changeset)
     end
 
-    test "validates off_time must be after on_time", %{equipment: equipment} do
+    test "allows an overnight period (off_time before on_time)", %{equipment: equipment} do
       changeset =
         %Schedule{}
         |> Schedule.changeset(%{
@@ -90,8 +90,7 @@ defmodule PouCon.Automation.Lighting.Schemas.ScheduleTest do
           off_time: ~T[06:00:00]
         })
 
-      refute changeset.valid?
-      assert %{off_time: ["must be after on_time"]} = errors_on(changeset)
+      assert changeset.valid?
     end
 
     test "allows same on_time and off_time", %{equipment: equipment} do
@@ -0,0 +1,58 @@
+defmodule PouCon.Equipment.DataPointsTest do
+  use PouCon.DataCase, async: false
+
+  alias PouCon.Equipment.DataPoints
+  alias PouCon.Equipment.Schemas.DataPoint
+  alias PouCon.Hardware.Ports.Ports
+
+  describe "mapped_at/4" do
+    setup do
+      {:ok, _} = Ports.create_port(%{device_path: "/dev/ttyUSB0"})
+      {:ok, _} = Ports.create_port(%{device_path: "/dev/ttyUSB1"})
+
+      for attrs <- [
+            %{name: "relay_3", type: "DO", slave_id: 1, register: 0, channel: 3},
+            %{name: "meter_kw", type: "AI", slave_id: 2, register: 10, value_type: "float32"},
+            %{name: "other_port", type: "DO", slave_id: 1, register: 2}
+          ] do
+        port_path = if attrs.name == "other_port", do: "/dev/ttyUSB1", else: "/dev/ttyUSB0"
+        {:ok, _} = DataPoints.create_data_point(Map.put(attrs, :port_path, port_path))
+      end
+
+      :ok
+    end
+
+    test "finds the DO point behind a coil" do
+      assert DataPoints.mapped_at("/dev/ttyUSB0", 1, :coil, 2) == ["relay_3"]
+      assert DataPoints.mapped_at("/dev/ttyUSB0", 1, :coil, 3) == []
+      assert DataPoints.mapped_at("/dev/ttyUSB0", 3, :coil, 2) == []
+    end
+
+    test "finds analog points spanning a register" do
+      assert DataPoints.mapped_at("/dev/ttyUSB0", 2, :register, 10) == ["meter_kw"]
+      assert DataPoints.mapped_at("/dev/ttyUSB0", 2, :register, 11) == ["meter_kw"]
+      assert DataPoints.mapped_at("/dev/ttyUSB0", 2, :register, 12) == []
+    end
+
+    test "only looks at the given port" do
+      assert DataPoints.mapped_at("/dev/ttyUSB1", 1, :coil, 2) == ["other_port"]
+      assert DataPoints.mapped_at("/dev/ttyUSB1", 2, :register, 10) == []
+    end
+  end
+
+  describe "maps_address?/4" do
+    test "matches S7 output bytes by byte for digital points and by span for analog" do
+      digital = %DataPoint{type: "DO", register: 4, channel: 2}
+      analog = %DataPoint{type: "AO", register: 20, value_type: "int16"}
+
+      assert DataPoints.maps_address?(digital, nil, :s7_output, 4)
+      refute DataPoints.maps_address?(digital, nil, :s7_output, 5)
+      assert DataPoints.maps_address?(analog, nil, :s7_output, 21)
+      refute DataPoints.maps_address?(analog, nil, :s7_output, 22)
+    end
+
+    test "ignores points without a register" do
+      refute DataPoints.maps_address?(%DataPoint{type: "DO", slave_id: 1}, 1, :coil, 0)
+    end
+  end
+end
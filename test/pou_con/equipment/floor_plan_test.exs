@@ -0,0 +1,70 @@
+defmodule PouCon.Equipment.FloorPlanTest do
+  use PouCon.DataCase, async: false
+
+  alias PouCon.Equipment.FloorPlan
+
+  describe "positions" do
+    test "get_positions/0 is empty when nothing is placed" do
+      assert FloorPlan.get_positions() == %{}
+    end
+
+    test "put_position/3 places and moves equipment" do
+      assert {:ok, _} = FloorPlan.put_position("fan_1", 0.25, 0.5)
+      assert {:ok, _} = FloorPlan.put_position("pump_1", 1, 0)
+      assert {:ok, _} = FloorPlan.put_position("fan_1", 0.75, 0.5)
+
+      assert FloorPlan.get_positions() == %{
+               "fan_1" => %{"x" => 0.75, "y" => 0.5},
+               "pump_1" => %{"x" => 1.0, "y" => 0.0}
+             }
+    end
+
+    test "put_position/3 rejects coordinates outside the plan" do
+      assert {:error, :invalid_position} = FloorPlan.put_position("fan_1", 1.2, 0.5)
+      assert {:error, :invalid_position} = FloorPlan.put_position("fan_1", 0.5, -0.1)
+      assert {:error, :invalid_position} = FloorPlan.put_position("", 0.5, 0.5)
+      assert FloorPlan.get_positions() == %{}
+    end
+
+    test "delete_position/1 takes equipment off the plan" do
+      {:ok, _} = FloorPlan.put_position("fan_1", 0.25, 0.5)
+      {:ok, _} = FloorPlan.put_position("fan_2", 0.5, 0.5)
+
+      assert {:ok, positions} = FloorPlan.delete_position("fan_1")
+      assert Map.keys(positions) == ["fan_2"]
+      assert Map.keys(FloorPlan.get_positions()) == ["fan_2"]
+    end
+
+    test "changes are broadcast" do
+      FloorPlan.subscribe()
+      {:ok, _} = FloorPlan.put_position("fan_1", 0.25, 0.5)
+      assert_receive {:floor_plan_changed, :positions}
+
+      {:ok, _} = FloorPlan.put_image("image/png", "plan")
+      assert_receive {:floor_plan_changed, :image}
+    end
+  end
+
+  describe "background image" do
+    test "get_image/0 is nil when none is set" do
+      assert FloorPlan.get_image() == nil
+    end
+
+    test "put_image/2 stores the plan as a data URL" do
+      assert {:ok, "data:image/png;base64,cGxhbg=="} = FloorPlan.put_image("image/png", "plan")
+      assert FloorPlan.get_image() == "data:image/png;base64,cGxhbg=="
+    end
+
+    test "put_image/2 rejects other file types" do
+      assert {:error, :unsupported_type} = FloorPlan.put_image("text/html", "<script>")
+      assert FloorPlan.get_image() == nil
+    end
+
+    test "delete_image/0 removes the plan" do
+      {:ok, _} = FloorPlan.put_image("image/png", "plan")
+
+      assert :ok = FloorPlan.delete_image()
+      assert FloorPlan.get_image() == nil
+    end
+  end
+end
@@ -223,6 +223,42 @@ defmodule PouCon.Flock.FlocksTest do
       assert summary.log_count == 2
     end
 
+    test "list_weekly_yields/1 rolls daily yields up by age week", %{flock: flock} do
+      for {date, deaths, trays} <- [
+            {~D[2026-01-07], 4, 20},
+            {~D[2026-01-08], 2, 25},
+            {~D[2026-01-09], 3, 30}
+          ] do
+        {:ok, _} =
+          Flocks.create_flock_log(%{
+            flock_id: flock.id,
+            log_date: date,
+            deaths: deaths,
+            egg_trays: trays,
+            feed_usage_kg: 100
+          })
+      end
+
+      assert [week0, week1] = Flocks.list_weekly_yields(flock.id)
+
+      assert week0.age_weeks == 0
+      assert week0.days == 1
+      assert week0.birds_start == 1000
+      assert week0.birds_end == 996
+
+      assert week1.age_weeks == 1
+      assert week1.from_date == ~D[2026-01-08]
+      assert week1.to_date == ~D[2026-01-09]
+      assert week1.birds_start == 996
+      assert week1.birds_end == 991
+      assert week1.deaths == 5
+      assert week1.egg_pcs == 55 * 30
+      assert Decimal.equal?(week1.feed_usage_kg, 200)
+      assert_in_delta week1.mortality, 5 / 996 * 100, 0.001
+      # 200 kg over 994 + 991 bird-days
+      assert_in_delta week1.feed_per_bird_g, 200_000 / 1985, 0.01
+    end
+
     test "deleting flock cascades to logs", %{flock: flock} do
       {:ok, log} =
         Flocks.create_flock_log(%{
@@ -0,0 +1,43 @@
+defmodule PouCon.Logging.EnvironmentLogTest do
+  use PouCon.DataCase
+
+  alias PouCon.Equipment.Schemas.Equipment
+  alias PouCon.Logging.EnvironmentLog
+  alias PouCon.Logging.Schemas.DataPointLog
+
+  defp insert_log(value, inserted_at) do
+    %DataPointLog{}
+    |> DataPointLog.changeset(%{
+      house_id: "test_house",
+      data_point_name: "tt_temp",
+      value: value,
+      unit: "°C",
+      triggered_by: "interval",
+      inserted_at: inserted_at
+    })
+    |> Repo.insert!()
+  end
+
+  describe "daily_sheet/2" do
+    test "only summarises readings from the requested day" do
+      %Equipment{}
+      |> Equipment.changeset(%{
+        name: "tt_sensor",
+        type: "temp_sensor",
+        data_point_tree: "temperature: tt_temp"
+      })
+      |> Repo.insert!()
+
+      insert_log(20.0, ~U[2026-03-10 10:15:00Z])
+      insert_log(22.0, ~U[2026-03-10 10:45:00Z])
+      # Same hour on the following days must not leak into the sheet
+      insert_log(40.0, ~U[2026-03-11 10:15:00Z])
+      insert_log(50.0, ~U[2026-03-12 10:15:00Z])
+
+      %{sensors: [sensor]} = EnvironmentLog.daily_sheet(~D[2026-03-10], "Etc/UTC")
+
+      assert Enum.at(sensor.hours, 10) == [20.0, 21.0, 22.0]
+      assert Enum.count(sensor.hours, & &1) == 1
+    end
+  end
+end
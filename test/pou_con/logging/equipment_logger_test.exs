@@ -1,6 +1,7 @@
 defmodule PouCon.Logging.EquipmentLoggerTest do
   use PouCon.DataCase
 
+  alias PouCon.Equipment.Schemas.Equipment
   alias PouCon.Logging.EquipmentLogger
   alias PouCon.Logging.Schemas.EquipmentEvent
 
@@ -130,6 +131,35 @@ defmodule PouCon.Logging.EquipmentLoggerTest do
       decoded = Jason.decode!(event.metadata)
       assert decoded["error"] == "on_but_not_running"
     end
+
+    test "broadcasts the error even when the event is not stored" do
+      EquipmentLogger.subscribe_errors()
+
+      # No TaskSupervisor in tests, so nothing is written
+      EquipmentLogger.log_error("fan_9", "auto", :on_but_not_running)
+
+      assert_receive {:equipment_error, %{equipment: "fan_9"} = error}
+      assert %{error: "on_but_not_running", title: "fan_9", type: nil} = error
+
+      assert Repo.aggregate(EquipmentEvent, :count) == 0
+    end
+
+    test "broadcasts the equipment title and type looked up once" do
+      {:ok, _} =
+        %Equipment{}
+        |> Equipment.changeset(%{
+          name: "pump_7",
+          title: "Cooling Pump 7",
+          type: "pump",
+          data_point_tree: "on_off_coil: c\nrunning_feedback: f\nauto_manual: a"
+        })
+        |> Repo.insert()
+
+      EquipmentLogger.subscribe_errors()
+      EquipmentLogger.log_error("pump_7", "auto", "tripped")
+
+      assert_receive {:equipment_error, %{title: "Cooling Pump 7", type: "pump"}}
+    end
   end
 
   describe "log_mode_change/4" do
@@ -387,6 +417,30 @@ defmodule PouCon.Logging.EquipmentLoggerTest do
       assert length(results) == 3
     end
 
+    test "pages with offset without overlapping" do
+      now = DateTime.utc_now()
+
+      for i <- 1..5 do
+        Repo.insert!(%EquipmentEvent{
+          equipment_name: "pump_#{i}",
+          event_type: "start",
+          from_value: "off",
+          to_value: "on",
+          mode: "manual",
+          triggered_by: "user",
+          house_id: "test",
+          inserted_at: now
+        })
+      end
+
+      first = EquipmentLogger.query_events(limit: 4, offset: 0)
+      second = EquipmentLogger.query_events(limit: 4, offset: 4)
+
+      assert length(first) == 4
+      assert length(second) == 3
+      assert MapSet.disjoint?(MapSet.new(first, & &1.id), MapSet.new(second, & &1.id))
+    end
+
     test "combines multiple filters" do
       results =
         EquipmentLogger.query_events(
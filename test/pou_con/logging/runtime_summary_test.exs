@@ -0,0 +1,58 @@
+defmodule PouCon.Logging.RuntimeSummaryTest do
+  use ExUnit.Case, async: true
+
+  alias PouCon.Logging.RuntimeSummary
+
+  @start ~U[2026-01-07 22:00:00Z]
+
+  defp row(name, minutes, running, opts \\ []) do
+    %{
+      equipment_name: name,
+      running: running,
+      mode: Keyword.get(opts, :mode, "auto"),
+      error: Keyword.get(opts, :error),
+      inserted_at: DateTime.add(@start, minutes * 60, :second)
+    }
+  end
+
+  defp summarize(rows, opts \\ []) do
+    RuntimeSummary.summarize(
+      rows,
+      Keyword.merge([to: DateTime.add(@start, 3 * 3600, :second), max_gap_seconds: 600], opts)
+    )
+  end
+
+  test "adds up time between rows while running" do
+    rows = [row("fan_1", 0, true), row("fan_1", 5, true), row("fan_1", 10, false)]
+
+    assert [%{equipment_name: "fan_1", runtime_seconds: 600, starts: 0}] = summarize(rows)
+  end
+
+  test "caps gaps at max_gap_seconds, including after the last row" do
+    rows = [row("fan_1", 0, true), row("fan_1", 60, false), row("fan_1", 120, true)]
+
+    assert [%{runtime_seconds: 1200, starts: 1}] = summarize(rows)
+  end
+
+  test "counts manual runtime, errors and splits runtime by day" do
+    rows = [
+      row("pump_1", 115, true, mode: "manual"),
+      row("pump_1", 120, true, error: "timeout"),
+      row("pump_1", 125, true, error: "timeout"),
+      row("pump_1", 130, false)
+    ]
+
+    assert [summary] = summarize(rows)
+    assert summary.runtime_seconds == 900
+    assert summary.manual_seconds == 300
+    assert summary.errors == 1
+    assert summary.daily == %{~D[2026-01-07] => 300, ~D[2026-01-08] => 600}
+  end
+
+  test "returns one summary per equipment sorted by name" do
+    rows = [row("fan_2", 0, true), row("fan_1", 0, false)]
+
+    assert [%{equipment_name: "fan_1", runtime_seconds: 0}, %{equipment_name: "fan_2"}] =
+             summarize(rows)
+  end
+end
@@ -0,0 +1,99 @@
+defmodule PouCon.Logging.TrendSeriesTest do
+  use PouCon.DataCase
+
+  alias PouCon.Equipment.Schemas.Equipment
+  alias PouCon.Logging.TrendSeries
+  alias PouCon.Logging.Schemas.DataPointLog
+
+  defp insert_log(name, value, seconds_ago, triggered_by \\ "interval") do
+    %DataPointLog{}
+    |> DataPointLog.changeset(%{
+      house_id: "test_house",
+      data_point_name: name,
+      value: value,
+      unit: "°C",
+      triggered_by: triggered_by,
+      inserted_at: DateTime.utc_now() |> DateTime.add(-seconds_ago, :second)
+    })
+    |> Repo.insert!()
+  end
+
+  describe "downsample/2" do
+    test "returns points unchanged when under the limit" do
+      assert {[[1000, 1.0], [2000, 2.0]], nil} =
+               TrendSeries.downsample([{1000, 1.0}, {2000, 2.0}], 10)
+    end
+
+    test "returns empty series for no points" do
+      assert {[], nil} = TrendSeries.downsample([], 10)
+    end
+
+    test "buckets long series into averages with a min/max band" do
+      points = for i <- 0..99, do: {i * 1000, i / 1}
+
+      {line, band} = TrendSeries.downsample(points, 10)
+
+      assert length(line) <= 11
+      assert length(band) == length(line)
+
+      [[first_ms, first_avg] | _] = line
+      [[^first_ms, lo, hi] | _] = band
+      assert first_ms == 0
+      assert lo == 0.0
+      assert hi > lo
+      assert first_avg > lo and first_avg < hi
+    end
+  end
+
+  describe "data_point_chart/2" do
+    test "returns nil when the data point has no logs" do
+      assert TrendSeries.data_point_chart("missing_dp", hours: 24) == nil
+    end
+
+    test "builds a single series including change-triggered rows" do
+      insert_log("tt_chart", 25.0, 600)
+      insert_log("tt_chart", 26.5, 300, "change")
+      insert_log("tt_chart", 27.0, 60)
+      insert_log("tt_chart", 99.0, 3 * 3600)
+
+      chart = TrendSeries.data_point_chart("tt_chart", hours: 1)
+
+      assert chart.chart == "data-point"
+      assert chart.unit == "°C"
+      assert chart.thresholds == []
+      assert [%{key: "tt_chart", points: points, band: nil}] = chart.series
+      assert Enum.map(points, fn [_ms, v] -> v end) == [25.0, 26.5, 27.0]
+      assert chart.to - chart.from == 3_600_000
+    end
+  end
+
+  describe "environment_charts/1" do
+    test "gives units without a usable slug distinct chart ids" do
+      %Equipment{}
+      |> Equipment.changeset(%{
+        name: "tt_hum",
+        type: "humidity_sensor",
+        data_point_tree: "humidity: tt_pct\nraw: tt_none"
+      })
+      |> Repo.insert!()
+
+      for {name, unit} <- [{"tt_pct", "%"}, {"tt_none", nil}] do
+        %DataPointLog{}
+        |> DataPointLog.changeset(%{
+          house_id: "test_house",
+          data_point_name: name,
+          value: 60.0,
+          unit: unit,
+          triggered_by: "interval",
+          inserted_at: DateTime.utc_now() |> DateTime.add(-60, :second)
+        })
+        |> Repo.insert!()
+      end
+
+      ids = Enum.map(TrendSeries.environment_charts(hours: 1), & &1.chart)
+
+      assert length(ids) == 2
+      assert ids == Enum.uniq(ids)
+    end
+  end
+end
@@ -324,6 +324,15 @@ defmodule PouCon.Operations.TasksTest do
       assert completion.notes == "All good"
       assert completion.duration_minutes == 15
     end
+
+    test "keeps a given completed_at" do
+      template = template_fixture()
+
+      assert {:ok, completion} =
+               Tasks.complete_task(template.id, %{"completed_at" => ~U[2026-10-18 06:30:00Z]})
+
+      assert completion.completed_at == ~U[2026-10-18 06:30:00Z]
+    end
   end
 
   describe "list_completions/2" do
@@ -0,0 +1,39 @@
+defmodule PouConWeb.Components.ExportTest do
+  use ExUnit.Case, async: true
+
+  alias PouConWeb.Components.Export
+
+  doctest Export, import: true
+
+  describe "reply/3" do
+    test "converts every cell and keeps the done flag" do
+      reply = Export.reply(["Date", "Feed (kg)"], [[~D[2026-10-01], Decimal.new("3.5")]], true)
+
+      assert reply == %{columns: ["Date", "Feed (kg)"], rows: [["2026-10-01", 3.5]], done: true}
+    end
+  end
+
+  describe "paged/2" do
+    test "passes limit and offset for the page" do
+      size = Export.page_size()
+
+      {records, _done?} = Export.paged(2, fn limit, offset -> [{limit, offset}] end)
+
+      assert records == [{size, 2 * size}]
+    end
+
+    test "is done when a page comes back short" do
+      assert {[:a], true} = Export.paged(0, fn _limit, _offset -> [:a] end)
+
+      full = List.duplicate(:a, Export.page_size())
+      assert {^full, false} = Export.paged(0, fn _limit, _offset -> full end)
+    end
+  end
+
+  describe "filename/1" do
+    test "skips defaults and slugs the rest" do
+      assert Export.filename(["data_points", "168h", "TT-01 Front", nil]) ==
+               "data-points_168h_tt-01-front"
+    end
+  end
+end
@@ -0,0 +1,39 @@
+defmodule PouConWeb.Components.ScheduleTimelineTest do
+  use ExUnit.Case, async: true
+
+  alias PouCon.Automation.Lighting.Schemas.Schedule
+  alias PouConWeb.Components.ScheduleTimeline
+
+  doctest ScheduleTimeline, import: true
+
+  describe "to_minutes/1 and from_minutes/1" do
+    test "round-trip every minute of the day" do
+      for minutes <- [0, 1, 59, 60, 719, 1439] do
+        assert minutes |> ScheduleTimeline.from_minutes() |> ScheduleTimeline.to_minutes() ==
+                 minutes
+      end
+    end
+
+    test "from_minutes/1 rejects values the hook should never send" do
+      assert ScheduleTimeline.from_minutes(-1) == nil
+      assert ScheduleTimeline.from_minutes(12.5) == nil
+      assert ScheduleTimeline.from_minutes("60") == nil
+      assert ScheduleTimeline.from_minutes(nil) == nil
+    end
+  end
+
+  describe "reply/1" do
+    test "is ok for a saved schedule" do
+      assert ScheduleTimeline.reply({:ok, %Schedule{}}) == %{ok: true}
+    end
+
+    test "turns changeset errors into one message" do
+      changeset = Schedule.changeset(%Schedule{}, %{equipment_id: 1, on_time: ~T[18:00:00]})
+
+      assert ScheduleTimeline.reply({:error, changeset}) == %{
+               ok: false,
+               message: "Off time can't be blank"
+             }
+    end
+  end
+end
@@ -0,0 +1,15 @@
+defmodule PouConWeb.PwaControllerTest do
+  use PouConWeb.ConnCase, async: false
+
+  test "GET /manifest.webmanifest describes the installable app", %{conn: conn} do
+    conn = get(conn, ~p"/manifest.webmanifest")
+
+    assert [content_type] = get_resp_header(conn, "content-type")
+    assert content_type =~ "application/manifest+json"
+
+    manifest = Jason.decode!(response(conn, 200))
+    assert manifest["start_url"] == "/"
+    assert manifest["display"] == "standalone"
+    assert [%{"src" => "/images/logo.svg"}] = manifest["icons"]
+  end
+end
@@ -0,0 +1,85 @@
+defmodule PouConWeb.ClientTelemetryTest do
+  use ExUnit.Case, async: true
+
+  alias PouConWeb.ClientTelemetry
+
+  defp entry(attrs) do
+    Map.merge(
+      %{
+        "kind" => "error",
+        "level" => "error",
+        "page" => "/dashboard",
+        "message" => "TypeError: x is undefined",
+        "count" => 1,
+        "age_ms" => 500
+      },
+      attrs
+    )
+  end
+
+  describe "lines/2" do
+    test "tags each entry with device, address and page" do
+      batch = %{"device" => "House 1 kiosk", "entries" => [entry(%{})]}
+
+      assert ClientTelemetry.lines(batch, "10.0.0.5") == [
+               {:error,
+                "[client House 1 kiosk@10.0.0.5 /dashboard] error: TypeError: x is undefined"}
+             ]
+    end
+
+    test "maps levels and notes repeats and late arrivals" do
+      batch = %{
+        "device" => "tablet",
+        "entries" => [
+          entry(%{"kind" => "latency", "level" => "warning", "message" => "Slow", "count" => 3}),
+          entry(%{"kind" => "socket", "level" => "info", "message" => "Back", "age_ms" => 90_000})
+        ]
+      }
+
+      assert [{:warning, slow}, {:info, back}] = ClientTelemetry.lines(batch, nil)
+      assert slow == "[client tablet /dashboard] latency: Slow (×3)"
+      assert back == "[client tablet /dashboard] socket: Back (90 s ago)"
+    end
+
+    test "caps the batch and the message length" do
+      long = String.duplicate("a", 5000)
+      batch = %{"device" => "x", "entries" => List.duplicate(entry(%{"message" => long}), 80)}
+
+      lines = ClientTelemetry.lines(batch, nil)
+
+      assert length(lines) == 50
+      assert {:error, text} = hd(lines)
+      assert String.length(text) < 1100
+    end
+
+    test "tolerates missing or malformed fields" do
+      assert ClientTelemetry.lines(%{"entries" => [%{}, "junk"]}, nil) == [
+               {:info, "[client unknown -] client: "}
+             ]
+
+      assert ClientTelemetry.lines(%{}, nil) == []
+    end
+
+    test "every line carries the prefix the system log filters on" do
+      [{_level, text}] = ClientTelemetry.lines(%{"entries" => [entry(%{})]}, nil)
+      assert String.starts_with?(text, ClientTelemetry.prefix())
+    end
+  end
+
+  describe "allow_batch/3" do
+    test "limits public pages to fewer batches a minute than logged-in roles" do
+      assert {:ok, [0]} = ClientTelemetry.allow_batch([], nil, 0)
+      sent = [3, 2, 1, 0]
+
+      assert ClientTelemetry.allow_batch(sent, nil, 10) == :limited
+      assert {:ok, _} = ClientTelemetry.allow_batch(sent, :user, 10)
+    end
+
+    test "forgets batches older than a minute" do
+      sent = Enum.to_list(1..12)
+
+      assert ClientTelemetry.allow_batch(sent, :admin, 30_000) == :limited
+      assert {:ok, [61_000]} = ClientTelemetry.allow_batch(sent, :admin, 61_000)
+    end
+  end
+end
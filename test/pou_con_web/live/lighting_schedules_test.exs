@@ -0,0 +1,52 @@
+defmodule PouConWeb.LightingSchedulesTest do
+  use PouCon.DataCase, async: false
+
+  alias PouCon.Automation.Lighting.LightSchedules
+  alias PouCon.Equipment.Schemas.Equipment
+  alias PouConWeb.Live.Lighting.Schedules
+
+  setup do
+    equipment =
+      %Equipment{}
+      |> Equipment.changeset(%{
+        name: "light_tl",
+        type: "light",
+        data_point_tree: "on_off_coil: c\nrunning_feedback: f\nauto_manual: a"
+      })
+      |> Repo.insert!()
+
+    %{equipment: equipment}
+  end
+
+  describe "timeline events" do
+    test "moving the on end of an overnight bar keeps it overnight", %{equipment: equipment} do
+      {:ok, schedule} =
+        LightSchedules.create_schedule(%{
+          equipment_id: equipment.id,
+          on_time: ~T[18:00:00],
+          off_time: ~T[06:00:00]
+        })
+
+      # 18:00 handle nudged to 19:00; the off end stays at 06:00
+      params = %{"id" => to_string(schedule.id), "start" => 19 * 60, "end" => 6 * 60}
+
+      assert {:reply, %{ok: true}, _socket} =
+               Schedules.handle_event("timeline:update", params, %Phoenix.LiveView.Socket{})
+
+      schedule = LightSchedules.get_schedule!(schedule.id)
+      assert schedule.on_time == ~T[19:00:00]
+      assert schedule.off_time == ~T[06:00:00]
+    end
+
+    test "a bar dragged across midnight is saved as an overnight period", %{
+      equipment: equipment
+    } do
+      params = %{"lane" => equipment.id, "start" => 20 * 60, "end" => 4 * 60}
+
+      assert {:reply, %{ok: true}, _socket} =
+               Schedules.handle_event("timeline:create", params, %Phoenix.LiveView.Socket{})
+
+      assert [%{on_time: ~T[20:00:00], off_time: ~T[04:00:00]}] = LightSchedules.list_schedules()
+    end
+  end
+end
@@ -0,0 +1,204 @@
+defmodule PouConWeb.OfflineQueueTest do
+  use PouCon.DataCase, async: false
+
+  import Phoenix.LiveViewTest
+
+  alias PouCon.Flock.Flocks
+  alias PouCon.Operations.Tasks
+  alias PouCon.Operations.Schemas.{TaskCategory, TaskCompletion, TaskTemplate}
+  alias PouConWeb.OfflineQueue
+
+  setup do
+    Repo.delete_all(TaskCompletion)
+    Repo.delete_all(TaskTemplate)
+    Repo.delete_all(TaskCategory)
+    :ok
+  end
+
+  defp active_flock do
+    {:ok, flock} =
+      Flocks.create_flock(%{name: "Offline Flock", date_of_birth: ~D[2026-01-01], quantity: 1000})
+
+    {:ok, flock} = Flocks.activate_flock(flock)
+    flock
+  end
+
+  # The version exactly as the edit form sends it
+  defp rendered_version(log) do
+    html = render_component(&OfflineQueue.log_version_inputs/1, log: log)
+    [_, version] = Regex.run(~r/name="offline\[version\]" value="([^"]+)"/, html)
+    version
+  end
+
+  defp log_entry(flock, attrs \\ %{}, offline \\ %{}) do
+    %{
+      "kind" => "flock_log",
+      "queued_at" => DateTime.to_iso8601(DateTime.add(DateTime.utc_now(), -60)),
+      "params" => %{
+        "flock_log" =>
+          Map.merge(
+            %{
+              "flock_id" => to_string(flock.id),
+              "log_date" => "2026-10-19",
+              "deaths" => "2",
+              "egg_trays" => "120",
+              "feed_usage_kg" => "55.5",
+              "notes" => ""
+            },
+            attrs
+          ),
+        "offline" => offline
+      }
+    }
+  end
+
+  defp task_entry(task, notes \\ "") do
+    %{
+      "kind" => "task_completion",
+      "queued_at" => DateTime.to_iso8601(DateTime.add(DateTime.utc_now(), -60)),
+      "params" => %{"task_id" => to_string(task.id), "notes" => notes}
+    }
+  end
+
+  defp task_fixture(attrs \\ %{}) do
+    {:ok, category} = Tasks.create_category(%{name: "Daily", color: "cyan", sort_order: 1})
+
+    {:ok, task} =
+      attrs
+      |> Enum.into(%{name: "Check water", category_id: category.id, frequency_type: "daily"})
+      |> Tasks.create_template()
+
+    task
+  end
+
+  describe "reply/2" do
+    test "leaves entries pending without a logged-in role" do
+      flock = active_flock()
+
+      assert %{status: "pending"} = OfflineQueue.reply(nil, log_entry(flock))
+      assert Flocks.count_flock_logs(flock.id) == 0
+    end
+
+    test "saves for a user" do
+      flock = active_flock()
+
+      assert %{status: "saved"} = OfflineQueue.reply(:user, log_entry(flock))
+      assert Flocks.count_flock_logs(flock.id) == 1
+    end
+  end
+
+  describe "flock logs" do
+    test "creates the log" do
+      flock = active_flock()
+
+      assert {:ok, _message} = OfflineQueue.replay(log_entry(flock))
+      assert [log] = Flocks.list_flock_logs(flock.id)
+      assert log.egg_trays == 120
+    end
+
+    test "conflicts on an identical log already saved" do
+      flock = active_flock()
+      assert {:ok, _} = OfflineQueue.replay(log_entry(flock))
+
+      assert {:conflict, message} = OfflineQueue.replay(log_entry(flock))
+      assert message =~ "identical"
+      assert Flocks.count_flock_logs(flock.id) == 1
+    end
+
+    test "conflicts on another log for the day entered after queueing" do
+      flock = active_flock()
+
+      {:ok, _} =
+        Flocks.create_flock_log(%{flock_id: flock.id, log_date: ~D[2026-10-19], egg_trays: 90})
+
+      assert {:conflict, message} = OfflineQueue.replay(log_entry(flock))
+      assert message =~ "while this one was waiting"
+    end
+
+    test "force saves past a conflict" do
+      flock = active_flock()
+      assert {:ok, _} = OfflineQueue.replay(log_entry(flock))
+
+      assert {:ok, _} = OfflineQueue.replay(Map.put(log_entry(flock), "force", true))
+      assert Flocks.count_flock_logs(flock.id) == 2
+    end
+
+    test "conflicts when the flock was closed" do
+      flock = active_flock()
+      {:ok, _} = Flocks.deactivate_flock(flock, ~D[2026-10-19])
+
+      assert {:conflict, message} = OfflineQueue.replay(log_entry(flock))
+      assert message =~ "closed"
+    end
+
+    test "reports validation errors as a conflict" do
+      flock = active_flock()
+
+      assert {:conflict, message} = OfflineQueue.replay(log_entry(flock, %{"deaths" => "-1"}))
+      assert message =~ "deaths"
+      assert Flocks.count_flock_logs(flock.id) == 0
+    end
+
+    test "updates an edited log when it is unchanged" do
+      flock = active_flock()
+
+      {:ok, log} =
+        Flocks.create_flock_log(%{flock_id: flock.id, log_date: ~D[2026-10-19], egg_trays: 90})
+
+      offline = %{"log_id" => to_string(log.id), "version" => rendered_version(log)}
+
+      assert {:ok, _} = OfflineQueue.replay(log_entry(flock, %{}, offline))
+      assert Flocks.get_flock_log!(log.id).egg_trays == 120
+    end
+
+    test "conflicts when the edited log changed meanwhile" do
+      flock = active_flock()
+
+      {:ok, log} =
+        Flocks.create_flock_log(%{flock_id: flock.id, log_date: ~D[2026-10-19], egg_trays: 90})
+
+      offline = %{"log_id" => to_string(log.id), "version" => "2000-01-01 00:00:00"}
+
+      assert {:conflict, message} = OfflineQueue.replay(log_entry(flock, %{}, offline))
+      assert message =~ "changed on another screen"
+      assert Flocks.get_flock_log!(log.id).egg_trays == 90
+    end
+  end
+
+  describe "task completions" do
+    test "completes the task at the time it was queued" do
+      task = task_fixture()
+      entry = task_entry(task, "topped up")
+
+      assert {:ok, _} = OfflineQueue.replay(entry)
+
+      completion = Tasks.get_last_completion(task.id)
+      assert completion.notes == "topped up"
+      {:ok, queued_at, _} = DateTime.from_iso8601(entry["queued_at"])
+      assert completion.completed_at == DateTime.truncate(queued_at, :second)
+    end
+
+    test "conflicts when already completed that day" do
+      task = task_fixture()
+      {:ok, _} = Tasks.complete_task(task.id)
+
+      assert {:conflict, message} = OfflineQueue.replay(task_entry(task))
+      assert message =~ "already marked done"
+    end
+
+    test "conflicts when required notes are missing" do
+      task = task_fixture(%{requires_notes: true})
+
+      assert {:conflict, message} = OfflineQueue.replay(task_entry(task, "  "))
+      assert message =~ "Notes are required"
+    end
+
+    test "conflicts when the task was removed" do
+      assert {:conflict, _} = OfflineQueue.replay(task_entry(%{id: 0}))
+    end
+  end
+
+  test "rejects unknown entries" do
+    assert {:conflict, _} = OfflineQueue.replay(%{"kind" => "nope"})
+  end
+end
@@ -0,0 +1,77 @@
+defmodule PouConWeb.SimulationScenarioTest do
+  use ExUnit.Case, async: true
+
+  alias PouConWeb.SimulationScenario
+
+  @snapshot %{
+    equipment: %{"fan_1" => "running", "fan_2" => "stopped", "temp_1" => "ok"},
+    alarms: ["High Temperature"],
+    events: [
+      %{equipment: "fan_1", type: "start", value: "on"},
+      %{equipment: "High Temperature", type: "alarm_triggered", value: "active"}
+    ]
+  }
+
+  describe "check/2" do
+    test "passes when every expectation holds" do
+      expect = %{
+        "equipment" => %{"fan_1" => "running", "fan_2" => "stopped"},
+        "alarms" => ["High Temperature"],
+        "events" => [%{"equipment" => "fan_1", "type" => "start", "value" => "on"}]
+      }
+
+      results = SimulationScenario.check(expect, @snapshot)
+
+      assert length(results) == 4
+      assert Enum.all?(results, & &1.pass)
+    end
+
+    test "reports the actual equipment state on failure" do
+      [result] = SimulationScenario.check(%{"equipment" => %{"fan_2" => "running"}}, @snapshot)
+
+      assert %{kind: "equipment", name: "fan_2", expected: "running", actual: "stopped"} = result
+      refute result.pass
+
+      [missing] = SimulationScenario.check(%{"equipment" => %{"fan_9" => "running"}}, @snapshot)
+      assert missing.actual == "missing"
+    end
+
+    test "alarms must match exactly" do
+      [result] = SimulationScenario.check(%{"alarms" => []}, @snapshot)
+
+      assert result.expected == "none"
+      assert result.actual == "High Temperature"
+      refute result.pass
+    end
+
+    test "events match on equipment and type, and on value when given" do
+      expect = %{
+        "events" => [
+          %{"equipment" => "fan_1", "type" => "start"},
+          %{"equipment" => "fan_1", "type" => "start", "value" => "off"},
+          %{"equipment" => "fan_2", "type" => "start"}
+        ]
+      }
+
+      assert [%{pass: true}, %{pass: false}, %{pass: false, actual: "not seen"}] =
+               SimulationScenario.check(expect, @snapshot)
+    end
+
+    test "checks nothing that is not asked for" do
+      assert SimulationScenario.check(%{}, @snapshot) == []
+      assert SimulationScenario.check(nil, @snapshot) == []
+    end
+  end
+
+  describe "run/1" do
+    test "rejects unknown or malformed actions" do
+      assert {:error, _} = SimulationScenario.run(%{"type" => "explode"})
+
+      toggle = %{"type" => "toggle_input", "data_point" => "x", "value" => 7}
+      assert {:error, _} = SimulationScenario.run(toggle)
+
+      assert {:error, _} =
+               SimulationScenario.run(%{"type" => "set_raw", "data_point" => "x", "value" => "1"})
+    end
+  end
+end